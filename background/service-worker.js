@@ -18,9 +18,301 @@ class ServiceWorker {
     this.currentAbortController = null;
     this.currentRequestContext = null; // Store context for reverting
 
+    // Time-sliced element database builds running in tabs (tabId -> buildId), cancelled on STOP_AI_REQUEST
+    this.elementDatabaseBuilds = new Map();
+
+    // Streaming AI response currently being received (partial text + throttle state)
+    this.activeStream = null;
+    this.STREAM_UPDATE_INTERVAL = 250; // ms between AI_STREAM_UPDATE messages
+
     // Phase 2: Initialize few-shot examples library
     this.fewShotExamples = null;
     this.loadFewShotExamples();
+
+    // AI provider registry (Anthropic, OpenAI, Azure, Gemini, local endpoints)
+    this.providerRegistry = null;
+    this.loadProviderRegistry();
+
+    // Design file prompt builder (uploaded images and Figma imports)
+    this.designFileManager = null;
+    this.loadDesignFileManager();
+
+    // Portable experience bundles for moving experiences between Convert projects
+    this.experienceBundle = null;
+    this.loadExperienceBundle();
+
+    // Prompt section and routing helper for experiments spanning several pages
+    this.multiPageExperiment = null;
+    this.loadMultiPageExperiment();
+
+    // Device viewport emulation for responsive previews and Visual QA
+    this.viewportEmulator = null;
+    this.loadViewportEmulator();
+
+    // Shadow DOM / iframe selector helper injected alongside waitForElement
+    this.domTraversal = null;
+    this.loadDomTraversal();
+
+    // Per-domain setup scripts run before capture, preview and test scripts
+    this.setupScripts = null;
+    this.loadSetupScriptManager();
+
+    // Fits page context, screenshots, examples and history into the model's context window
+    this.promptBudgetPlanner = null;
+    this.PROMPT_INSTRUCTION_TOKENS = 8000; // Rules, output format and system prompt around the context
+    this.REFINEMENT_INSTRUCTION_TOKENS = 4000; // Refinement rules and previous-code framing on top of those
+    this.REFINEMENT_MAX_TOKENS = 16000; // Refinements return previous code + new code
+    this.loadPromptBudgetPlanner();
+
+    // Framework/platform rules (re-render observers, Shopify section hooks) for generation prompts
+    this.platformDetector = null;
+    this.loadPlatformDetector();
+
+    // Formats the site's design tokens (cached per domain by the side panel) for prompts
+    this.designSystem = null;
+    this.loadDesignSystemExtractor();
+
+    // :hover/:focus/:active styles via CSS.forcePseudoState for interaction-state requests
+    this.pseudoStateCapture = null;
+    this.loadPseudoStateCapture();
+
+    // Whole-page screenshots (debugger captureBeyondViewport, stitched fallback)
+    this.fullPageScreenshot = null;
+    this.loadFullPageScreenshot();
+  }
+
+  loadFullPageScreenshot() {
+    try {
+      importScripts(chrome.runtime.getURL('utils/full-page-screenshot.js'));
+
+      if (typeof FullPageScreenshot !== 'undefined') {
+        this.fullPageScreenshot = new FullPageScreenshot();
+      } else {
+        console.warn('⚠️ FullPageScreenshot class not found after import');
+      }
+    } catch (error) {
+      console.warn('⚠️ Failed to load full-page screenshot:', error.message);
+    }
+  }
+
+  /**
+   * Screenshot of a tab: the whole page when fullPage is set, otherwise the visible viewport
+   * Full-page failures fall back to the viewport so capture and QA still get an image
+   * @returns {Promise<{ screenshot: string, fullPage: boolean }>}
+   */
+  async captureTabScreenshot(tab, { fullPage = false, format = 'png', quality = 90 } = {}) {
+    if (fullPage && this.fullPageScreenshot) {
+      try {
+        const result = await this.fullPageScreenshot.capture(tab.id);
+        return { screenshot: result.screenshot, fullPage: true };
+      } catch (error) {
+        console.warn('⚠️ Full-page screenshot failed, using visible viewport:', error.message);
+      }
+    }
+    return { screenshot: await chrome.tabs.captureVisibleTab(tab.windowId, { format, quality }), fullPage: false };
+  }
+
+  loadPseudoStateCapture() {
+    try {
+      importScripts(chrome.runtime.getURL('utils/pseudo-state-capture.js'));
+
+      if (typeof PseudoStateCapture !== 'undefined') {
+        this.pseudoStateCapture = new PseudoStateCapture();
+      } else {
+        console.warn('⚠️ PseudoStateCapture class not found after import');
+      }
+    } catch (error) {
+      console.warn('⚠️ Failed to load pseudo-state capture:', error.message);
+    }
+  }
+
+  /**
+   * Forced :hover/:focus/:focus-visible/:active styles for the given selectors
+   * Only runs for requests about interaction states - attaching shows Chrome's debugging banner
+   * @returns {Promise<Object|null>} PseudoStateCapture.capture() result, or null when skipped/failed
+   */
+  async captureInteractionStates(tabId, selectors, description, logger = null) {
+    if (!this.pseudoStateCapture || !tabId || !this.pseudoStateCapture.isRelevant(description)) {
+      return null;
+    }
+
+    try {
+      await this.sendStatusToSidePanel('🖱️ Reading hover/focus styles...', 'loading');
+      const captured = await this.pseudoStateCapture.capture(tabId, selectors);
+      logger?.log('Interaction states captured', `elements=${Object.keys(captured).length}`);
+      return captured;
+    } catch (error) {
+      logger?.log('Interaction state capture failed', error.message);
+      return null;
+    }
+  }
+
+  loadDesignSystemExtractor() {
+    try {
+      importScripts(chrome.runtime.getURL('utils/design-system-extractor.js'));
+
+      if (typeof DesignSystemExtractor !== 'undefined') {
+        this.designSystem = new DesignSystemExtractor();
+      } else {
+        console.warn('⚠️ DesignSystemExtractor class not found after import');
+      }
+    } catch (error) {
+      console.warn('⚠️ Failed to load design system extractor:', error.message);
+    }
+  }
+
+  loadPlatformDetector() {
+    try {
+      importScripts(chrome.runtime.getURL('utils/platform-detector.js'));
+
+      if (typeof PlatformDetector !== 'undefined') {
+        this.platformDetector = new PlatformDetector();
+      } else {
+        console.warn('⚠️ PlatformDetector class not found after import');
+      }
+    } catch (error) {
+      console.warn('⚠️ Failed to load platform detector:', error.message);
+    }
+  }
+
+  loadPromptBudgetPlanner() {
+    try {
+      importScripts(chrome.runtime.getURL('utils/prompt-budget-planner.js'));
+
+      if (typeof PromptBudgetPlanner !== 'undefined') {
+        this.promptBudgetPlanner = new PromptBudgetPlanner();
+      } else {
+        console.warn('⚠️ PromptBudgetPlanner class not found after import');
+      }
+    } catch (error) {
+      console.warn('⚠️ Failed to load token budget planner:', error.message);
+    }
+  }
+
+  loadSetupScriptManager() {
+    try {
+      importScripts(chrome.runtime.getURL('utils/setup-script-manager.js'));
+
+      if (typeof SetupScriptManager !== 'undefined') {
+        this.setupScripts = new SetupScriptManager();
+      } else {
+        console.warn('⚠️ SetupScriptManager class not found after import');
+      }
+    } catch (error) {
+      console.warn('⚠️ Failed to load setup script manager:', error.message);
+    }
+  }
+
+  loadDomTraversal() {
+    try {
+      importScripts(chrome.runtime.getURL('utils/dom-traversal.js'));
+
+      if (typeof DomTraversal !== 'undefined') {
+        this.domTraversal = new DomTraversal();
+      } else {
+        console.warn('⚠️ DomTraversal class not found after import');
+      }
+    } catch (error) {
+      console.warn('⚠️ Failed to load DOM traversal helper:', error.message);
+    }
+  }
+
+  loadViewportEmulator() {
+    try {
+      importScripts(chrome.runtime.getURL('utils/viewport-emulator.js'));
+
+      if (typeof ViewportEmulator !== 'undefined') {
+        this.viewportEmulator = new ViewportEmulator();
+      } else {
+        console.warn('⚠️ ViewportEmulator class not found after import');
+      }
+    } catch (error) {
+      console.warn('⚠️ Failed to load viewport emulator:', error.message);
+    }
+  }
+
+  loadMultiPageExperiment() {
+    try {
+      importScripts(chrome.runtime.getURL('utils/multi-page-experiment.js'));
+
+      if (typeof MultiPageExperiment !== 'undefined') {
+        this.multiPageExperiment = new MultiPageExperiment();
+      } else {
+        console.warn('⚠️ MultiPageExperiment class not found after import');
+      }
+    } catch (error) {
+      console.warn('⚠️ Failed to load multi-page experiment helper:', error.message);
+    }
+  }
+
+  loadExperienceBundle() {
+    try {
+      importScripts(chrome.runtime.getURL('utils/convert-experience-bundle.js'));
+
+      if (typeof ConvertExperienceBundle !== 'undefined') {
+        this.experienceBundle = new ConvertExperienceBundle();
+      } else {
+        console.warn('⚠️ ConvertExperienceBundle class not found after import');
+      }
+    } catch (error) {
+      console.warn('⚠️ Failed to load experience bundle helper:', error.message);
+    }
+  }
+
+  loadDesignFileManager() {
+    try {
+      importScripts(chrome.runtime.getURL('utils/design-file-manager.js'));
+
+      if (typeof DesignFileManager !== 'undefined') {
+        this.designFileManager = new DesignFileManager();
+      } else {
+        console.warn('⚠️ DesignFileManager class not found after import');
+      }
+    } catch (error) {
+      console.warn('⚠️ Failed to load design file manager:', error.message);
+    }
+  }
+
+  // Multimodal content blocks for design files (image + Figma design spec)
+  // Image content block for a screenshot data URL; media type comes from the URL
+  // (full-page captures are JPEG, viewport captures PNG)
+  buildImageBlock(dataUrl) {
+    const match = /^data:(image\/[a-z]+);base64,/.exec(dataUrl) || [];
+    return {
+      type: 'image',
+      source: {
+        type: 'base64',
+        media_type: match[1] || 'image/png',
+        data: dataUrl.replace(/^data:image\/[a-z]+;base64,/, '')
+      }
+    };
+  }
+
+  buildDesignFileContent(designFiles) {
+    if (!designFiles?.length || !this.designFileManager) {
+      return [];
+    }
+
+    // Side panel uploads carry the data URL in `data`
+    const files = designFiles.map(file => ({ ...file, dataUrl: file.dataUrl || file.data }));
+    const prompt = this.designFileManager.buildAIPromptWithDesigns('', null, files);
+
+    return prompt.type === 'multimodal' ? prompt.content : [];
+  }
+
+  loadProviderRegistry() {
+    try {
+      importScripts(chrome.runtime.getURL('utils/ai-provider-registry.js'));
+
+      if (typeof AIProviderRegistry !== 'undefined') {
+        this.providerRegistry = new AIProviderRegistry();
+        console.log('✅ AI provider registry loaded:', this.providerRegistry.list().map(p => p.id).join(', '));
+      } else {
+        console.warn('⚠️ AIProviderRegistry class not found after import');
+      }
+    } catch (error) {
+      console.error('❌ Failed to load AI provider registry:', error.message);
+    }
   }
 
   async loadFewShotExamples() {
@@ -89,6 +381,27 @@ class ServiceWorker {
     }
   }
 
+  /**
+   * Cancel element database builds still running in tabs
+   * @returns {Promise<number>} Number of builds that were cancelled
+   */
+  async cancelElementDatabaseBuilds() {
+    const tabIds = [...this.elementDatabaseBuilds.keys()];
+    this.elementDatabaseBuilds.clear();
+
+    const results = await Promise.all(tabIds.map(tabId =>
+      chrome.tabs.sendMessage(tabId, { type: 'CANCEL_ELEMENT_DATABASE_BUILD' })
+        .then(response => response?.cancelled === true)
+        .catch(() => false) // Tab closed or navigated away; nothing left to cancel
+    ));
+
+    const cancelled = results.filter(Boolean).length;
+    if (cancelled > 0) {
+      console.log(`🛑 Cancelled ${cancelled} element database build(s)`);
+    }
+    return cancelled;
+  }
+
   async initializeExtension() {
     console.log('🔄 Initializing extension...');
 
@@ -297,17 +610,38 @@ class ServiceWorker {
           break;
         }
 
-        case 'STOP_AI_REQUEST':
+        case 'STOP_AI_REQUEST': {
           console.log('🛑 Stop AI request received');
+          const cancelledBuilds = await this.cancelElementDatabaseBuilds();
           if (this.currentAbortController) {
+            // Capture whatever was streamed so far before aborting
+            const partialCode = this.activeStream?.content
+              ? this.extractPartialCode(this.activeStream.content)
+              : null;
             this.currentAbortController.abort();
             this.currentAbortController = null;
-            sendResponse({ success: true, context: this.currentRequestContext });
+            sendResponse({ success: true, context: this.currentRequestContext, partialCode, cancelledBuilds });
             this.currentRequestContext = null;
+          } else if (cancelledBuilds > 0) {
+            // Stopped while the page was still being indexed, before any AI request started
+            sendResponse({ success: true, context: null, partialCode: null, cancelledBuilds });
           } else {
             sendResponse({ success: false, error: 'No active request to stop' });
           }
           break;
+        }
+
+        case 'ELEMENT_DATABASE_PROGRESS':
+          // Reported by page-capture.js; the side panel shows the same message as progress
+          if (sender.tab?.id) {
+            if (message.done) {
+              this.elementDatabaseBuilds.delete(sender.tab.id);
+            } else {
+              this.elementDatabaseBuilds.set(sender.tab.id, message.buildId);
+            }
+          }
+          sendResponse({ success: true });
+          break;
 
         case 'GET_AUTH_TOKEN':
           const token = await this.getAuthToken();
@@ -435,6 +769,114 @@ class ServiceWorker {
           }
           break;
 
+        case 'CONVERT_ACTIVATE_EXPERIENCE':
+        case 'CONVERT_PAUSE_EXPERIENCE':
+        case 'CONVERT_ARCHIVE_EXPERIENCE':
+          try {
+            const status = {
+              CONVERT_ACTIVATE_EXPERIENCE: 'active',
+              CONVERT_PAUSE_EXPERIENCE: 'paused',
+              CONVERT_ARCHIVE_EXPERIENCE: 'archived'
+            }[message.type];
+            const changed = await this.setConvertExperienceStatus(message.credentials, {
+              accountId: message.accountId,
+              projectId: message.projectId,
+              experienceId: message.experienceId,
+              status
+            });
+            sendResponse({ success: true, experience: changed, status });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message, status: error.status, data: error.data });
+          }
+          break;
+
+        case 'CONVERT_CLONE_EXPERIENCE':
+          try {
+            const clone = await this.cloneConvertExperience(message.credentials, {
+              accountId: message.accountId,
+              projectId: message.projectId,
+              experienceId: message.experienceId
+            });
+            sendResponse({ success: true, experience: clone });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message, status: error.status, data: error.data });
+          }
+          break;
+
+        case 'CONVERT_GET_EXPERIENCE_REPORT':
+          try {
+            const report = await this.fetchConvertExperienceReport(message.credentials, {
+              accountId: message.accountId,
+              projectId: message.projectId,
+              experienceId: message.experienceId
+            });
+            sendResponse({ success: true, report });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message, status: error.status, data: error.data });
+          }
+          break;
+
+        case 'CONVERT_EXPORT_EXPERIENCES':
+          try {
+            const bundle = await this.exportConvertExperiences(message.credentials, {
+              accountId: message.accountId,
+              projectId: message.projectId,
+              experienceIds: message.experienceIds
+            });
+            sendResponse({ success: true, bundle });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message, status: error.status, data: error.data });
+          }
+          break;
+
+        case 'CONVERT_IMPORT_EXPERIENCES':
+          try {
+            const report = await this.importConvertExperiences(message.credentials, {
+              accountId: message.accountId,
+              projectId: message.projectId,
+              bundle: message.bundle,
+              dryRun: message.dryRun !== false,
+              options: message.options || {}
+            });
+            sendResponse({ success: true, report });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message, status: error.status, data: error.data });
+          }
+          break;
+
+        case 'CONVERT_LIST_TARGETING':
+          try {
+            const targeting = await this.fetchConvertTargeting(message.credentials, {
+              accountId: message.accountId,
+              projectId: message.projectId
+            });
+            sendResponse({ success: true, ...targeting });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message, status: error.status, data: error.data });
+          }
+          break;
+
+        case 'CONVERT_CREATE_GOAL':
+        case 'CONVERT_CREATE_AUDIENCE':
+        case 'CONVERT_CREATE_LOCATION':
+          try {
+            const resource = {
+              CONVERT_CREATE_GOAL: 'goals',
+              CONVERT_CREATE_AUDIENCE: 'audiences',
+              CONVERT_CREATE_LOCATION: 'locations'
+            }[message.type];
+            const created = await this.createConvertTargetingItem(message.credentials, {
+              accountId: message.accountId,
+              projectId: message.projectId,
+              resource,
+              definition: message.definition
+            });
+            sendResponse({ success: true, item: created });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message, status: error.status, data: error.data });
+          }
+          break;
+
         case 'START_ELEMENT_SELECTION':
           try {
             const result = await this.startElementSelection(message.tabId);
@@ -556,6 +998,18 @@ class ServiceWorker {
               await this.wait(300); // Extra delay for message listeners to register
             }
 
+            // Optional device emulation; omitted viewport leaves the window as-is
+            if (message.viewport && this.viewportEmulator) {
+              const [viewport] = this.viewportEmulator.resolveViewports([message.viewport]);
+              if (!viewport) {
+                throw new Error('Invalid preview viewport');
+              }
+              await this.viewportEmulator.setViewport(tabId, viewport);
+            }
+
+            // Same gated page state the code was generated against
+            await this.runSetupScript(tabId);
+
             console.log('📤 Sending previewCode message to tab', tabId, {
               hasCSS: !!message.css,
               cssLength: message.css?.length || 0,
@@ -578,6 +1032,66 @@ class ServiceWorker {
           }
           break;
 
+        case 'CLEAR_PREVIEW_VIEWPORT':
+          try {
+            if (message.tabId && this.viewportEmulator) {
+              await this.viewportEmulator.clearViewport(message.tabId);
+            }
+            sendResponse({ success: true });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+          break;
+
+        case 'SPA_ROUTE_CHANGED':
+          try {
+            // Client-side navigation reported by the route watcher content script
+            if (sender.tab?.id) {
+              this.notifyPageChange(sender.tab.id, { url: message.url, title: message.title }, {
+                spa: true,
+                reason: message.reason,
+                previousUrl: message.previousUrl
+              });
+            }
+            sendResponse({ success: true });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+          break;
+
+        case 'RUN_SETUP_SCRIPT':
+          try {
+            const setupResult = await this.runSetupScript(message.tabId, { force: message.force });
+            sendResponse({ success: true, result: setupResult });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+          break;
+
+        case 'START_SETUP_RECORDING':
+        case 'STOP_SETUP_RECORDING':
+          try {
+            if (message.type === 'START_SETUP_RECORDING') {
+              await this.ensureContentScriptLoaded(message.tabId);
+            }
+            const recording = await chrome.tabs.sendMessage(message.tabId, { type: message.type });
+            sendResponse(recording || { success: false, error: 'No response from page' });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+          break;
+
+        case 'RESPONSIVE_VISUAL_QA':
+          try {
+            console.log('📱 Starting responsive visual QA...');
+            const responsiveResult = await this.runResponsiveVisualQA(message);
+            sendResponse({ success: true, ...responsiveResult });
+          } catch (error) {
+            console.error('Responsive visual QA failed:', error);
+            sendResponse({ success: false, error: error.message });
+          }
+          break;
+
         case 'EXECUTE_PREVIEW_JS':
           try {
             // Get active tab
@@ -643,14 +1157,21 @@ class ServiceWorker {
             }
 
             // Build the complete code with waitForElement utility
+            // deepQuerySelector resolves 'host >>> inner' shadow DOM / iframe selectors
+            const queryHelper = this.domTraversal
+              ? this.domTraversal.buildQueryHelperSource()
+              : 'function deepQuerySelector(selector) { return document.querySelector(selector); }';
             const waitForElementUtility = `
+              ${queryHelper}
+              window.deepQuerySelector = deepQuerySelector;
+
               if (typeof window.waitForElement === 'undefined') {
                 window.waitForElement = function(selector, callback, maxWait = 10000) {
                   console.log('[Convert AI] Waiting for element:', selector);
                   const start = Date.now();
                   const interval = setInterval(() => {
                     try {
-                      const element = document.querySelector(selector);
+                      const element = window.deepQuerySelector(selector);
                       if (element) {
                         clearInterval(interval);
                         console.log('[Convert AI] ✓ Found element:', selector);
@@ -721,6 +1242,7 @@ class ServiceWorker {
 
             // CRITICAL: Ensure content script is loaded (handles page reloads)
             await this.ensureContentScriptLoaded(tabId);
+            await this.runSetupScript(tabId);
 
             await chrome.tabs.sendMessage(tabId, {
               action: 'testCode',
@@ -890,17 +1412,29 @@ class ServiceWorker {
 
             // Get the window ID for the tab to capture the correct window
             const tab = await chrome.tabs.get(tabId);
-            const screenshot = await chrome.tabs.captureVisibleTab(tab.windowId, {
+            const { screenshot, fullPage } = await this.captureTabScreenshot(tab, {
+              fullPage: message.fullPage === true, // Must match how the "before" screenshot was taken
               format: 'jpeg',  // Use JPEG for smaller file size
               quality: 85      // Balance quality vs size
             });
-            sendResponse({ success: true, screenshot });
+            sendResponse({ success: true, screenshot, fullPage });
           } catch (error) {
             console.error('After-injection capture failed:', error);
             sendResponse({ success: false, error: error.message });
           }
           break;
 
+        case 'CAPTURE_FULL_PAGE':
+          try {
+            const tab = await chrome.tabs.get(message.tabId);
+            const result = await this.fullPageScreenshot.capture(tab.id);
+            sendResponse({ success: true, ...result });
+          } catch (error) {
+            console.error('Full-page capture failed:', error);
+            sendResponse({ success: false, error: error.message });
+          }
+          break;
+
         case 'EXECUTE_TEST_SCRIPT':
           try {
             const startTime = Date.now();
@@ -925,6 +1459,9 @@ class ServiceWorker {
             // Build executable code (test patterns + test script)
             const executableCode = this.buildTestExecutionCode(message.testScript);
 
+            // Tests validate the same gated state the variation was built for
+            await this.runSetupScript(tabId);
+
             // Retry loop with recovery
             for (let attempt = 0; attempt <= maxRetries; attempt++) {
               try {
@@ -1085,6 +1622,29 @@ class ServiceWorker {
     // Step 2: Ensure content script is loaded
     logger.log('Ensuring content script is loaded');
     await this.ensureContentScriptLoaded(tabId);
+
+    // Step 2a: Per-domain setup script (open mini-cart, expand menu, log in...)
+    const setup = await this.runSetupScript(tabId);
+    if (setup) {
+      logger.log('Setup script', setup.status === 'error' ? `failed: ${setup.error}` : setup.status);
+    }
+
+    // Step 2b: Optional lazy-content warm-up (scrolls the page, restores position itself)
+    const { settings = {} } = await chrome.storage.local.get(['settings']);
+    if (settings.warmUpLazyContent) {
+      const budgetMs = settings.warmUpBudgetMs || 8000;
+      logger.log('Warming up lazy content', `budget=${budgetMs}ms`);
+      try {
+        const warmUp = await Promise.race([
+          chrome.tabs.sendMessage(tabId, { type: 'WARM_UP_LAZY_CONTENT', budgetMs }),
+          this.wait(budgetMs + 2000).then(() => ({ success: false, error: 'Warm-up timeout' }))
+        ]);
+        if (!warmUp?.success) throw new Error(warmUp?.error || 'No response');
+        logger.log('Lazy content warmed up', `steps=${warmUp.result.steps}, height=${warmUp.result.heightBefore}→${warmUp.result.heightAfter}`);
+      } catch (warmUpError) {
+        logger.log('Warm-up skipped', warmUpError.message);
+      }
+    }
     
     // Step 3: Reset scroll position (with timeout)
     logger.log('Resetting scroll position');
@@ -1103,16 +1663,16 @@ class ServiceWorker {
     await this.wait(100);
     
     // Step 4: Capture screenshot (SIMPLIFIED - no zoom adjustment)
-    logger.log('Capturing screenshot');
+    const fullPage = settings.fullPageScreenshots === true;
+    logger.log('Capturing screenshot', fullPage ? 'full page' : 'viewport');
     let screenshot = null;
+    let screenshotFullPage = false;
     try {
-      screenshot = await Promise.race([
-        chrome.tabs.captureVisibleTab(tab.windowId, {
-          format: 'png',
-          quality: 90
-        }),
-        this.wait(5000).then(() => { throw new Error('Screenshot timeout'); })
-      ]);
+      ({ screenshot, fullPage: screenshotFullPage } = await Promise.race([
+        this.captureTabScreenshot(tab, { fullPage }),
+        // Stitching tall pages is limited to two captures per second
+        this.wait(fullPage ? 30000 : 5000).then(() => { throw new Error('Screenshot timeout'); })
+      ]));
       logger.log('Screenshot captured successfully');
     } catch (screenshotError) {
       logger.log('Screenshot capture failed, continuing without it', screenshotError.message);
@@ -1158,6 +1718,7 @@ class ServiceWorker {
       url: tab.url,
       title: tab.title,
       screenshot,
+      screenshotFullPage,
       elementDatabase,
       timestamp: Date.now()
     };
@@ -1179,11 +1740,17 @@ class ServiceWorker {
         await chrome.scripting.executeScript({
           target: { tabId },
           files: [
+            'utils/dom-traversal.js',
+            'utils/selector-engine.js',
             'utils/selector-validator.js',
             'utils/code-tester.js',
+            'utils/platform-detector.js',
+            'utils/design-system-extractor.js',
             'utils/context-builder.js',
             'content-scripts/page-capture.js',
-            'content-scripts/element-selector.js'
+            'content-scripts/element-selector.js',
+            'content-scripts/route-watcher.js',
+            'content-scripts/setup-recorder.js'
           ]
         });
         // Give scripts time to initialize
@@ -1425,13 +1992,11 @@ Return ONLY valid JSON, no additional text.`;
       const userProvider = userSettings.provider || 'openai';  // Default to OpenAI
 
       const planningSettings = {
+        ...userSettings,  // Provider keys/endpoints
         provider: userProvider,
-        model: userProvider === 'anthropic'
-          ? 'claude-3-5-haiku-20241022'  // Fast, cheap Anthropic
-          : 'gpt-4o-mini',  // Fast, cheap OpenAI
-        anthropicApiKey: userSettings.anthropicApiKey,  // For Anthropic
-        authToken: userSettings.authToken,  // For OpenAI
-        maxTokens: 2000  // Planning response is small JSON
+        model: this.getFastModel({ ...userSettings, provider: userProvider }),  // Fast, cheap model for this provider
+        maxTokens: 2000,  // Planning response is small JSON
+        json: true
       };
 
       logger.log('Calling AI for planning', `provider=${planningSettings.provider}, model=${planningSettings.model}`);
@@ -1825,6 +2390,12 @@ CRITICAL: Use the deep context and layout analysis to generate PERFECT code with
 
       logger.log('Building Stage 3 prompt', `descriptionLength=${description?.length || 0}, plan="${plan.plan?.substring(0,50)}..."`);
 
+      // Site design tokens are the most precise brand source; the heuristics below supplement them
+      const designTokenSection = this.designSystem?.formatForPrompt(pageData.designTokens) || '';
+      if (designTokenSection) {
+        userMessage += `${designTokenSection.trim()}\n\n`;
+      }
+
       // Extract brand context from deep context elements (colors, fonts)
       let brandContext = this.extractBrandContext(deepContext);
 
@@ -2021,6 +2592,11 @@ CRITICAL: Use the deep context and layout analysis to generate PERFECT code with
             }
           }
 
+          // Forced :hover/:focus/:active styles (interaction-state requests only)
+          if (context.pseudoStates && this.pseudoStateCapture) {
+            userMessage += `\n**Interaction States (changes from resting style):**\n${this.pseudoStateCapture.formatForPrompt(selector, context.pseudoStates)}\n`;
+          }
+
           // Stacking context
           if (context.stackingContext) {
             userMessage += `\n**Stacking Context:**\n`;
@@ -2121,24 +2697,38 @@ CRITICAL: Use the deep context and layout analysis to generate PERFECT code with
       userMessage += `  "globalJS": ""\n`;
       userMessage += `}\n`;
 
+      const designContent = this.buildDesignFileContent(designFiles);
+      if (designContent.length > 0) {
+        logger.log('Including design files', `${designFiles.length} file(s)`);
+      }
+
       const messages = [
         { role: 'system', content: systemPrompt },
-        { role: 'user', content: userMessage }
+        {
+          role: 'user',
+          content: designContent.length > 0
+            ? [{ type: 'text', text: userMessage }, ...designContent]
+            : userMessage
+        }
       ];
 
       // Use user's preferred AI settings
       const aiSettings = {
+        ...settings,  // Provider keys/endpoints
         provider: settings?.provider || 'anthropic',
         model: settings?.model || 'claude-sonnet-4-5-20250929',
-        anthropicApiKey: settings?.anthropicApiKey,  // For Anthropic
-        authToken: settings?.authToken,  // For OpenAI
         maxTokens: 16000  // Higher limit for complex code with analysis object
       };
 
       logger.log('Calling AI for code generation', `model=${aiSettings.model}`);
       const startTime = Date.now();
 
-      const response = await this.callAI(messages, aiSettings);
+      const response = await this.callAI(messages, {
+        ...aiSettings,
+        stream: this.shouldStream(aiSettings),
+        streamLabel: 'generation',
+        json: true
+      });
       const duration = Date.now() - startTime;
 
       logger.log('Code generation response received', `duration=${duration}ms`);
@@ -2162,8 +2752,9 @@ CRITICAL: Use the deep context and layout analysis to generate PERFECT code with
   }
 
   async generateCode(data, tabId = null) {
-    const { pageData, description, designFiles, variations, settings, selectedElement, intentAnalysis } = data;
+    const { pageData, description, designFiles, variations, settings, selectedElement, intentAnalysis, pages } = data;
     const logger = this.createOperationLogger('GenerateCode');
+    const isMultiPage = Array.isArray(pages) && pages.length > 1 && !!this.multiPageExperiment;
     
     // Log Visual QA context
     if (selectedElement) {
@@ -2172,6 +2763,9 @@ CRITICAL: Use the deep context and layout analysis to generate PERFECT code with
     if (designFiles?.length) {
       logger.log('Design file context', `files=${designFiles.length}`);
     }
+    if (isMultiPage) {
+      logger.log('Multi-page experiment', `pages=${pages.map(page => page.key).join(', ')}`);
+    }
     
     try {
       console.log('🎯 Service worker generateCode received data:', {
@@ -2181,10 +2775,9 @@ CRITICAL: Use the deep context and layout analysis to generate PERFECT code with
         pageDataTitle: pageData?.title
       });
       
+      const storedProviderSettings = (await chrome.storage.local.get(['settings'])).settings || {};
+      this.assertProviderCredentials({ ...storedProviderSettings, ...settings });
       const authToken = await this.getAuthToken();
-      if (!authToken) {
-        throw new Error('OpenAI API key missing. Add one in the side panel settings.');
-      }
 
       logger.log('Using Element Database', `elements=${pageData.elementDatabase?.elements?.length || 0}`);
 
@@ -2207,7 +2800,8 @@ CRITICAL: Use the deep context and layout analysis to generate PERFECT code with
       // Enable two-stage system for better accuracy (95%+ vs 70%)
       const useTwoStage = true; // Always enabled for maximum accuracy
 
-      if (useTwoStage && tabId) {
+      // Deep context is gathered from the live tab, which only holds one of the pages
+      if (useTwoStage && tabId && !isMultiPage) {
         console.log('🎯 Using TWO-STAGE AI generation system');
 
         // Extract actual user request from intentAnalysis if description is empty
@@ -2237,6 +2831,13 @@ CRITICAL: Use the deep context and layout analysis to generate PERFECT code with
           console.log('📐 STAGE 2: Gathering deep context for required elements');
           const deepContext = await this.stage2_gatherContext(plan.requiredSelectors, pageData, tabId);
 
+          // Hover/focus/active styles are invisible to getComputedStyle; force them for state requests
+          const deepSelectors = Object.keys(deepContext).filter(selector => deepContext[selector].contextType === 'deep');
+          const interactionStates = await this.captureInteractionStates(tabId, deepSelectors, userRequest, logger);
+          Object.entries(interactionStates || {}).forEach(([selector, states]) => {
+            deepContext[selector].pseudoStates = states;
+          });
+
           console.log('✅ Deep context gathered:', {
             total: Object.keys(deepContext).length,
             deep: Object.values(deepContext).filter(c => c.contextType === 'deep').length,
@@ -2331,14 +2932,41 @@ CRITICAL: Use the deep context and layout analysis to generate PERFECT code with
         }
       }
 
-      const prompt = this.buildCodeGenerationPrompt(
+      const interactionStates = selectedElement?.selector && !isMultiPage
+        ? await this.captureInteractionStates(tabId, [selectedElement.selector], description, logger)
+        : null;
+
+      // Fit elements, screenshots and few-shot examples into the model's context window
+      // Design tokens and interaction states are always sent, so they count as fixed text
+      const budgetSettings = { ...(await chrome.storage.local.get(['settings'])).settings, ...settings };
+      const budgeted = this.planPromptBudget({
+        settings: { ...budgetSettings, provider: budgetSettings.provider || 'anthropic' },
+        fixedTokens: this.PROMPT_INSTRUCTION_TOKENS +
+          (this.promptBudgetPlanner?.estimateTokens([
+            description,
+            extractedRequirements,
+            selectedElement?.outerHTML?.substring(0, 2000),
+            selectedElement?.cssRules,
+            this.designSystem?.formatForPrompt(pageData.designTokens),
+            this.pseudoStateCapture?.formatAll(interactionStates)
+          ]) || 0),
         pageData,
-        description,
         designFiles,
+        pages: isMultiPage ? pages : null,
+        description,
+        logger
+      });
+      const promptPageData = budgeted.pageData;
+
+      const prompt = this.buildCodeGenerationPrompt(
+        promptPageData,
+        description,
+        budgeted.designFiles,
         variations,
         settings,
         selectedElement,
-        extractedRequirements  // Pass requirements to prompt builder
+        extractedRequirements,  // Pass requirements to prompt builder
+        { fewShotLimit: budgeted.fewShotLimit, interactionStates }
       );
 
       // Log final prompt statistics
@@ -2441,15 +3069,8 @@ When you see "YOU MUST ONLY USE THESE SELECTORS" in the user's message, that lis
       // Include full page screenshot ONLY for initial generation (for brand context)
       // NOTE: We still include this for first generation to help with color/brand matching
       // But rich HTML/CSS/JS context above is MORE important for understanding structure
-      if (pageData.screenshot) {
-        userContent.push({
-          type: 'image',
-          source: {
-            type: 'base64',
-            media_type: 'image/png',
-            data: pageData.screenshot.replace(/^data:image\/png;base64,/, '')
-          }
-        });
+      if (promptPageData.screenshot) {
+        userContent.push(this.buildImageBlock(promptPageData.screenshot));
         userContent.push({
           type: 'text',
           text: '📸 **FULL PAGE SCREENSHOT (OPTIONAL VISUAL REFERENCE):**\nThis screenshot provides visual context for brand colors and style. However, prioritize the detailed HTML/CSS/JS context above for making structural changes.\n\n'
@@ -2459,12 +3080,34 @@ When you see "YOU MUST ONLY USE THESE SELECTORS" in the user's message, that lis
         logger.log('No screenshot available', 'proceeding with text-only mode');
       }
 
+      // Design files: rendered designs plus exact copy/colors/spacing from Figma
+      const designContent = this.buildDesignFileContent(budgeted.designFiles);
+      if (designContent.length > 0) {
+        userContent.push(...designContent);
+        logger.log('Including design files', `${budgeted.designFiles.length} file(s), ${budgeted.designFiles.filter(f => f.designSpec).length} with design spec`);
+      }
+
       // Add the main prompt
       userContent.push({
         type: 'text',
         text: prompt
       });
 
+      // Other pages in a multi-page experiment: per-page rules, selectors and screenshots
+      if (isMultiPage) {
+        budgeted.pages.filter(page => page.screenshot && page.url !== pageData.url).forEach(page => {
+          userContent.push(this.buildImageBlock(page.screenshot));
+          userContent.push({
+            type: 'text',
+            text: `📸 Screenshot of page \`${page.key}\` (${page.label})\n`
+          });
+        });
+        userContent.push({
+          type: 'text',
+          text: this.multiPageExperiment.buildPromptSection(pages)
+        });
+      }
+
       messages.push({
         role: 'user',
         content: userContent
@@ -2491,22 +3134,32 @@ When you see "YOU MUST ONLY USE THESE SELECTORS" in the user's message, that lis
 
       // Use unified AI call that routes to correct provider
       const aiSettings = {
+        ...mergedSettings, // Provider keys/endpoints
         provider: mergedSettings?.provider || 'anthropic', // Default to Anthropic
         authToken: mergedSettings?.authToken || authToken,
-        anthropicApiKey: mergedSettings?.anthropicApiKey,
         model: mergedSettings?.model || 'claude-3-7-sonnet-20250219', // Default to Claude 3.7 Sonnet
         maxTokens: 16000  // Higher limit for complex code with analysis object
       };
 
-      console.log('🎯 Final AI Settings:', { provider: aiSettings.provider, model: aiSettings.model, hasAnthropicKey: !!aiSettings.anthropicApiKey, hasOpenAIKey: !!aiSettings.authToken });
+      console.log('🎯 Final AI Settings:', { provider: aiSettings.provider, model: aiSettings.model, hasCredentials: this.providerRegistry?.hasCredentials(aiSettings) });
 
-      const aiResponse = await this.callAI(messages, aiSettings);
+      const aiResponse = await this.callAI(messages, {
+        ...aiSettings,
+        stream: this.shouldStream(aiSettings),
+        streamLabel: 'generation',
+        json: true
+      });
       logger.log('Code generated', `provider=${aiSettings.provider}, tokens=${aiResponse.usage?.promptTokens || 0}`);
 
       let parsedCode = this.parseGeneratedCode(aiResponse.content);
       logger.log('Code parsed', `variations=${parsedCode.variations.length}`);
 
       // 🆕 AUTO-FIX: Detect and generate missing helper functions
+      // Router first so the helper check sees isExperimentPage as defined
+      if (isMultiPage) {
+        parsedCode.globalJS = this.multiPageExperiment.ensureRouter(parsedCode.globalJS, pages);
+      }
+
       parsedCode = await this.ensureHelperFunctionsExist(parsedCode, aiSettings);
 
       // ✨ Phase 2.2: Validate refinement and retry if broken
@@ -2582,7 +3235,7 @@ Now generate the corrected code with ALL original functionality preserved.`;
               }
             ];
 
-            const retryResponse = await this.callAI(retryMessages, aiSettings);
+            const retryResponse = await this.callAI(retryMessages, { ...aiSettings, json: true });
             parsedCode = this.parseGeneratedCode(retryResponse.content);
 
             // Validate again with AI (no heuristics)
@@ -2959,7 +3612,9 @@ Now generate the corrected code with ALL original functionality preserved.`;
       },
       classes: element.classes || element.className?.split(' ').slice(0, 3),
       id: element.id || element.attributes?.id,
-      section: element.context?.section || element.section
+      section: element.context?.section || element.section,
+      // Only present for elements behind a shadow root or iframe boundary
+      scope: [element.scope, element.metadata?.scope].find(scope => scope && scope !== 'document')
     };
   }
 
@@ -3364,7 +4019,8 @@ Be LENIENT - allow code rewrites if they accomplish the user's goal.`;
       // Use same provider/API keys as main generation, but switch to Haiku for speed
       const validationSettings = {
         ...aiSettings, // Inherit API keys from parent
-        model: aiSettings.provider === 'anthropic' ? 'claude-3-5-haiku-20241022' : 'gpt-4o-mini' // Fast models
+        model: this.getFastModel(aiSettings), // Fast models
+        json: true
       };
 
       console.log('🤖 Using AI to validate refinement...');
@@ -3497,10 +4153,11 @@ TYPES: text_change, color_change, size_change, position_change, behavior_change,
 COMPLEXITY: 1-10 (1=simple color change, 5=multiple changes, 10=complex timer/animation)`;
 
       const aiSettings = {
-        provider: 'anthropic',
-        model: 'claude-3-5-haiku-20241022', // Fast, cheap model
-        anthropicApiKey: settings?.anthropicApiKey,
-        maxTokens: 1000
+        ...settings,
+        provider: settings?.provider || 'anthropic',
+        model: this.getFastModel({ ...settings, provider: settings?.provider || 'anthropic' }), // Fast, cheap model
+        maxTokens: 1000,
+        json: true
       };
 
       const response = await this.callAI([
@@ -3543,7 +4200,27 @@ COMPLEXITY: 1-10 (1=simple color change, 5=multiple changes, 10=complex timer/an
     }
   }
 
-  buildCodeGenerationPrompt(pageData, description, designFiles, variations, settings, selectedElement = null, extractedRequirements = null) {
+  /**
+   * Prompt lines for the rest of a multi-element attachment (selectedElement.elements), e.g.
+   * several regions picked on the marked screenshot; empty for single-element attachments
+   */
+  formatSelectionGroup(selectedElement) {
+    const others = (selectedElement?.elements || []).filter(el => el.selector && el.selector !== selectedElement.selector);
+    if (others.length === 0) return '';
+
+    // "Select all similar" groups share one selector; list a sample instead of every card
+    const listed = selectedElement.groupSelector ? others.slice(0, 5) : others;
+    const groupLine = selectedElement.groupSelector
+      ? `\n- All ${others.length + 1} elements match \`${selectedElement.groupSelector}\` - target them with that selector (querySelectorAll) rather than one by one`
+      : '';
+
+    return `\n**ALSO SELECTED (${others.length} more, picked together with the element above):**
+${listed.map(el => `- \`${el.selector}\` (${el.tag})${el.text ? `: "${el.text.substring(0, 60)}"` : ''}`).join('\n')}${listed.length < others.length ? `\n- ...and ${others.length - listed.length} more` : ''}${groupLine}
+- The request applies to every selected element unless it names only one of them
+`;
+  }
+
+  buildCodeGenerationPrompt(pageData, description, designFiles, variations, settings, selectedElement = null, extractedRequirements = null, options = {}) {
     // Check if we have hierarchical context (new system) or legacy element database
     const hasHierarchicalContext = pageData.context && pageData.context.mode;
 
@@ -3611,7 +4288,19 @@ COMPLEXITY: 1-10 (1=simple color change, 5=multiple changes, 10=complex timer/an
 
     // Add token usage logging
     const elementsJSON = JSON.stringify(topElements, null, 2);
+
+    // Elements captured inside web components or same-origin iframes need the deep selector helper
+    const deepSelectorSection = topElements.some(el => el.scope) ? `
+🧩 **SHADOW DOM / IFRAME ELEMENTS:**
+Elements with a "scope" field live inside a shadow root or an embedded iframe. Their selectors join one selector per boundary with " >>> " (e.g. "checkout-widget >>> button.pay").
+- Use these selectors ONLY with waitForElement(selector, cb) or deepQuerySelector(selector) - document.querySelector cannot reach them
+- Page-level CSS does not apply inside shadow roots or iframes: style these elements from JS (el.style, or a <style> appended to el.getRootNode())
+` : '';
     metadata = metadata || pageData.elementDatabase?.metadata || {};
+
+    // React/Vue re-renders, SSR hydration and platform AJAX sections need re-apply logic
+    const platformSection = this.platformDetector?.buildGenerationRules(pageData.platform || metadata.platform) || '';
+    const designTokenSection = this.designSystem?.formatForPrompt(pageData.designTokens) || '';
     
     // Log token usage by component
     console.log('🔍 Token Usage Analysis:');
@@ -3661,10 +4350,12 @@ Elements are ranked by importance (position, size, interactivity).
 `;
 
     // 🚨 PHASE 2: Add few-shot examples if available
+    // options.fewShotLimit comes from the token budget plan
     let fewShotSection = '';
-    if (this.fewShotExamples) {
+    const fewShotLimit = options.fewShotLimit ?? 2;
+    if (this.fewShotExamples && fewShotLimit > 0) {
       try {
-        const relevantExamples = this.fewShotExamples.getRelevantExamples(description, 2);
+        const relevantExamples = this.fewShotExamples.getRelevantExamples(description, fewShotLimit);
         if (relevantExamples && relevantExamples.length > 0) {
           fewShotSection = this.fewShotExamples.formatForPrompt(relevantExamples);
           console.log(`✅ [Phase 2] Added ${relevantExamples.length} relevant examples to prompt`);
@@ -3770,7 +4461,7 @@ ${selectedElement.screenshot ? '- 📸 Screenshot: Available for visual referenc
 1. Parse the user's request to identify target elements (button, heading, link, etc.)
 2. Find those elements WITHIN the selected area (${selectedElement.selector})
 3. Apply changes to the matched elements, NOT to the container itself
-`;
+${this.formatSelectionGroup(selectedElement)}${this.pseudoStateCapture?.formatAll(options.interactionStates) || ''}`;
     }
 
     // If user selected an element, put it first in the selector list
@@ -3930,10 +4621,12 @@ ${contextInstructions}
 ${metadata.colorScheme ? `- Color Scheme: Background=${metadata.colorScheme.background}, Text=${metadata.colorScheme.text}, Primary=${metadata.colorScheme.primary}` : ''}
 ${metadata.fontFamilies ? `- Fonts: ${metadata.fontFamilies.join(', ')}` : ''}
 ${metadata.viewport ? `- Viewport: ${metadata.viewport.width}x${metadata.viewport.height}` : ''}
+${designTokenSection}
 ℹ️ Use this style context to ensure your changes match the page's existing design language.
 
 **PAGE JAVASCRIPT BEHAVIORS:**
 ${this.formatJSBehaviors(metadata.jsBehaviors)}
+${platformSection}
 
 **ELEMENTS WITH TEXT CONTENT (for matching):**
 ${topElements.slice(0, 15).map((el, i) => `${i + 1}. "${el.selector}" - ${el.tag} ${el.text ? `"${el.text.substring(0, 50)}"` : '(no text)'}`).join('\n')}
@@ -3951,7 +4644,7 @@ ${elementsJSON}
   ⚠️ CRITICAL: Check styles.padding and styles.margin BEFORE adding spacing
   ⚠️ If element already has padding: "20px", don't add MORE padding - adjust or replace it
 - section: Page area (hero, nav, footer, etc.)
-
+${deepSelectorSection}
 ${fewShotSection}
 
 ${coreRules}
@@ -4211,7 +4904,7 @@ For example, if the code calls getNextFridayMidnightPT(), getTimeRemaining(), an
     try {
       const response = await this.callAI([{role: 'user', content: prompt}], {
         ...aiSettings,
-        model: aiSettings.provider === 'anthropic' ? 'claude-3-5-haiku-20241022' : 'gpt-4o-mini' // Use fast model
+        model: this.getFastModel(aiSettings) // Use fast model
       });
 
       // Extract just the function code (remove markdown if present)
@@ -4234,6 +4927,116 @@ For example, if the code calls getNextFridayMidnightPT(), getTimeRemaining(), an
     return parsedCode;
   }
 
+  /**
+   * Prune prompt inputs to the model's context window (PromptBudgetPlanner)
+   * Page elements, screenshots, few-shot examples and history compete for what is left after
+   * the fixed prompt text; dropped items are logged and reported to the side panel activity log
+   * @param {Object} request
+   * @param {Object} request.settings - Merged provider settings (provider, model, maxTokens)
+   * @param {number} request.fixedTokens - Unprunable prompt text (instructions, request, previous code)
+   * @returns {{ pageData, designFiles, pages, history, fewShotLimit, plan }} - inputs unchanged when nothing had to go
+   */
+  planPromptBudget({ settings, fixedTokens = 0, pageData = null, designFiles = [], pages = null, history = [], description = '', logger = null }) {
+    const unchanged = { pageData, designFiles, pages, history, fewShotLimit: 2, plan: null };
+    const planner = this.promptBudgetPlanner;
+    if (!planner) return unchanged;
+
+    const model = this.providerRegistry ? this.providerRegistry.resolveModel(settings) : settings?.model;
+    const limits = this.providerRegistry
+      ? this.providerRegistry.getModelLimits(model)
+      : { contextWindow: 128000 };
+    const inputBudget = planner.getInputBudget(limits, this.getModelMaxTokens(model, settings?.maxTokens));
+
+    // Elements are costed the way buildCodeGenerationPrompt serializes them
+    const elementItems = (elements, requiredFirst = false) => (elements || []).map((element, index) => ({
+      value: element,
+      label: element.selector,
+      tokens: planner.estimateTokens(JSON.stringify(this.compactElementData(element), null, 2)),
+      importance: element.importance ?? -index,
+      required: requiredFirst && index === 0
+    }));
+
+    const context = pageData?.context?.mode ? pageData.context : null;
+    const sections = context
+      ? {
+          // Element-focused captures put the selected element first; it is never dropped
+          primary: elementItems(context.primary, context.mode === 'element-focused'),
+          proximity: elementItems(context.proximity),
+          structure: elementItems(context.structure)
+        }
+      : { primary: elementItems(pageData?.elementDatabase?.elements?.slice(0, 35)) };
+
+    sections.screenshots = [];
+    if (pageData?.screenshot) {
+      sections.screenshots.push({ value: 'page', label: 'page screenshot', tokens: planner.imageTokens, importance: 100 });
+    }
+    (designFiles || []).forEach((file, index) => {
+      sections.screenshots.push({
+        value: file,
+        label: file.name || `design ${index + 1}`,
+        tokens: planner.imageTokens + planner.estimateTokens(file.designSpec || ''),
+        importance: 90 - index
+      });
+    });
+    (pages || []).forEach(page => {
+      if (page.screenshot && page.url !== pageData?.url) {
+        sections.screenshots.push({ value: page, label: `${page.key} screenshot`, tokens: planner.imageTokens, importance: 50 });
+      }
+    });
+
+    const examples = this.fewShotExamples ? this.fewShotExamples.getRelevantExamples(description || '', 2) : [];
+    sections.fewShot = examples.map((example, index) => ({
+      value: example,
+      label: example.userRequest,
+      tokens: planner.estimateTokens(this.fewShotExamples.formatForPrompt([example])),
+      importance: -index
+    }));
+
+    // Most recent messages matter most
+    sections.history = (history || []).map((entry, index) => ({
+      value: entry,
+      label: `${entry.role || 'user'} message ${index + 1}`,
+      tokens: planner.estimateTokens(entry.content || entry.request || ''),
+      importance: index
+    }));
+
+    const plan = planner.plan({ inputBudget, fixedTokens, sections });
+    logger?.log('Token budget', `model=${model}, input=${plan.budget.input}, used≈${plan.budget.used}, dropped=${plan.dropped.length}`);
+    if (!plan.pruned) return { ...unchanged, fewShotLimit: examples.length, plan };
+
+    const summary = planner.summarizeDropped(plan.dropped);
+    logger?.log('Context pruned to fit token budget', summary);
+    this.sendBudgetReport({ model, summary, budget: plan.budget, dropped: plan.dropped });
+
+    const keptShots = new Set(plan.kept.screenshots);
+    const prunedPageData = { ...pageData, screenshot: keptShots.has('page') ? pageData.screenshot : null };
+    if (context) {
+      prunedPageData.context = {
+        ...context,
+        primary: plan.kept.primary,
+        proximity: plan.kept.proximity,
+        structure: plan.kept.structure
+      };
+    } else if (pageData?.elementDatabase) {
+      prunedPageData.elementDatabase = { ...pageData.elementDatabase, elements: plan.kept.primary };
+    }
+
+    return {
+      pageData: prunedPageData,
+      designFiles: (designFiles || []).filter(file => keptShots.has(file)),
+      pages: pages ? pages.map(page => (keptShots.has(page) ? page : { ...page, screenshot: null })) : pages,
+      history: plan.kept.history,
+      fewShotLimit: plan.kept.fewShot.length,
+      plan
+    };
+  }
+
+  sendBudgetReport(report) {
+    chrome.runtime.sendMessage({ type: 'CONTEXT_BUDGET_REPORT', ...report }).catch(() => {
+      // Side panel not open
+    });
+  }
+
   /**
    * Get appropriate maxTokens for a given AI model
    * @param {string} model - The model name
@@ -4241,25 +5044,10 @@ For example, if the code calls getNextFridayMidnightPT(), getTimeRemaining(), an
    * @returns {number} - Safe maxTokens for the model
    */
   getModelMaxTokens(model, requestedTokens) {
-    // Model-specific output token limits
-    const MODEL_LIMITS = {
-      'claude-3-5-haiku-20241022': 8192,
-      'claude-3-7-sonnet-20250219': 16000,
-      'claude-sonnet-4-5-20250929': 16000,
-      'gpt-4o': 16384,
-      'gpt-4o-mini': 16384,
-      'gpt-4-turbo': 4096
-    };
-
-    // Find the limit for this model
-    let limit = 16000; // Default for most models
-
-    for (const [modelName, maxTokens] of Object.entries(MODEL_LIMITS)) {
-      if (model.includes(modelName) || modelName.includes(model)) {
-        limit = maxTokens;
-        break;
-      }
-    }
+    // Model-specific output token limits are declared once in the provider registry
+    const limit = this.providerRegistry
+      ? this.providerRegistry.getModelLimits(model).maxOutputTokens
+      : 16000; // Default for most models
 
     // If no specific token count requested, return safe default (80% of limit)
     if (!requestedTokens) {
@@ -4276,13 +5064,18 @@ For example, if the code calls getNextFridayMidnightPT(), getTimeRemaining(), an
   }
 
   /**
-   * Unified AI call - routes to appropriate provider
+   * Unified AI call - routes to appropriate provider via the provider registry
    */
   async callAI(messages, settings) {
+    if (!this.providerRegistry) {
+      throw new Error('AI provider registry unavailable. Please reload the extension.');
+    }
+
     const provider = settings?.provider || 'anthropic';
-    const model = settings?.model || 'claude-3-7-sonnet-20250219';
+    const definition = this.providerRegistry.get(provider);
+    const model = this.providerRegistry.resolveModel({ ...settings, provider });
 
-    console.log('🤖 AI Provider:', { provider, model, hasAnthropicKey: !!settings.anthropicApiKey, hasOpenAIKey: !!settings.authToken });
+    console.log('🤖 AI Provider:', { provider, model, capabilities: definition?.capabilities });
 
     // Get safe maxTokens for this model
     const maxTokens = this.getModelMaxTokens(model, settings?.maxTokens);
@@ -4290,418 +5083,369 @@ For example, if the code calls getNextFridayMidnightPT(), getTimeRemaining(), an
     // Extract options
     const options = {
       maxTokens: maxTokens,
-      temperature: settings?.temperature
+      temperature: settings?.temperature,
+      // Stream only where the caller asked for it and the provider supports SSE
+      stream: !!settings?.stream && definition?.capabilities.streaming !== false,
+      streamLabel: settings?.streamLabel || 'generation',
+      // JSON mode only for callers that parse JSON; test scripts and helper functions are raw JS
+      json: settings?.json === true
     };
 
-    if (provider === 'anthropic') {
-      return this.callClaude(messages, settings.anthropicApiKey, model, options);
-    } else {
-      return this.callChatGPT(messages, settings.authToken, model, options);
-    }
+    return this.callRegisteredProvider(messages, { ...settings, provider }, model, options);
   }
 
   /**
-   * Call Anthropic Claude API with prompt caching
+   * Call the configured provider through its registry definition
+   * (request format, model-specific parameters and stream parsing all come from the registry)
    */
-  async callClaude(messages, apiKey, model = 'claude-3-7-sonnet-20250219', options = {}) {
-    if (!apiKey || !apiKey.trim()) {
-      throw new Error('Anthropic API key is missing. Please add it in settings.');
-    }
-
-    // Enhanced API key validation
-    if (!apiKey.startsWith('sk-ant-')) {
-      throw new Error('Invalid Anthropic API key format. Keys should start with "sk-ant-"');
-    }
-
-    if (apiKey.length < 40) {
-      throw new Error('Anthropic API key appears too short. Please check your key in settings.');
-    }
-
-    console.log('🔮 Calling Anthropic Claude:', {
-      model,
-      messageCount: messages.length,
-      apiKeyPrefix: apiKey.substring(0, 12) + '...',
-      apiKeyLength: apiKey.length,
-      maxTokens: options.maxTokens || 4000
-    });
-
-    // Extract system message and user messages
-    const systemMessage = messages.find(m => m.role === 'system')?.content || '';
-    const userMessages = messages.filter(m => m.role !== 'system');
-
-    // Build Anthropic-format messages
-    const claudeMessages = userMessages.map(msg => ({
-      role: msg.role === 'assistant' ? 'assistant' : 'user',
-      content: msg.content
-    }));
-
-    // Determine if this is Claude 4.5 (supports extended thinking)
-    const isClaude45 = model.includes('claude-4') || model.includes('sonnet-4');
-
-    const requestBody = {
-      model: model,
-      max_tokens: options.maxTokens || 4000,
-      messages: claudeMessages
-    };
-
-    // Add system message with prompt caching for 90% savings
-    if (systemMessage) {
-      requestBody.system = [{
-        type: "text",
-        text: systemMessage,
-        cache_control: { type: "ephemeral" } // Enable caching for repeated prompts
-      }];
-    }
-
-    // Claude 4.5 specific: Enable extended thinking if available
-    if (isClaude45) {
-      requestBody.thinking = {
-        type: "enabled",
-        budget_tokens: 2048 // Minimum 1024, using 2048 for better reasoning
-      };
-    }
+  async callRegisteredProvider(messages, settings, model, options = {}) {
+    // Create abort controller for cancellable requests
+    this.currentAbortController = new AbortController();
 
-    let response;
     try {
-      // Verify service worker context is still valid
-      try {
-        await chrome.storage.local.get(['settings']); // Quick context check
-      } catch (contextError) {
-        throw new Error('Service worker context is invalid. Please reload the extension.');
-      }
-
-      const requestBodyString = JSON.stringify(requestBody);
-      const requestBodySize = requestBodyString.length;
-
-      console.log('🌐 Making API request to Anthropic...', {
-        url: 'https://api.anthropic.com/v1/messages',
-        model: model,
-        hasApiKey: !!apiKey,
-        apiKeyLength: apiKey ? apiKey.length : 0,
-        timestamp: new Date().toISOString(),
-        requestBodySize: requestBodySize
+      const result = await this.providerRegistry.call(messages, settings, {
+        model,
+        maxTokens: options.maxTokens,
+        temperature: options.temperature,
+        json: options.json,
+        stream: options.stream,
+        consumeStream: (response, provider) => this.consumeProviderStream(response, provider, options),
+        signal: this.currentAbortController.signal
       });
 
-      // Check if request is too large (Chrome fetch limit is ~10MB, but we want to stay well under)
-      const MAX_REQUEST_SIZE = 5 * 1024 * 1024; // 5MB limit
-      if (requestBodySize > MAX_REQUEST_SIZE) {
-        console.error(`❌ Request body too large: ${(requestBodySize / 1024 / 1024).toFixed(2)}MB (max: ${MAX_REQUEST_SIZE / 1024 / 1024}MB)`);
-        throw new Error(`Request too large (${(requestBodySize / 1024 / 1024).toFixed(2)}MB). Try capturing fewer elements or using a simpler description.`);
-      }
-
-      // Warn if request is getting large
-      if (requestBodySize > 1 * 1024 * 1024) { // 1MB
-        console.warn(`⚠️ Large request: ${(requestBodySize / 1024 / 1024).toFixed(2)}MB - this may be slow or fail`);
-      }
-
-      // Add a small delay to prevent rapid-fire requests that might be blocked
-      await new Promise(resolve => setTimeout(resolve, 100));
-
-      // Validate service worker context before fetch
-      try {
-        await chrome.storage.local.get(['contextCheck']);
-        console.log('✅ Service worker context is valid');
-      } catch (contextError) {
-        console.error('❌ Service worker context invalid:', contextError);
-        throw new Error('Service worker context lost. Please reload the extension.');
-      }
-
-      console.log('🔄 About to make fetch request...');
-      const fetchStartTime = Date.now();
-
-      // Create abort controller for cancellable requests
-      this.currentAbortController = new AbortController();
+      console.log(`📥 ${settings.provider} API Response:`, {
+        model: result.model,
+        finishReason: result.finishReason,
+        usage: result.usage
+      });
 
-      try {
-        response = await fetch('https://api.anthropic.com/v1/messages', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'x-api-key': apiKey,
-            'anthropic-version': '2023-06-01',
-            'anthropic-dangerous-direct-browser-access': 'true'
-          },
-          body: requestBodyString, // Use pre-stringified body
-          signal: this.currentAbortController.signal // Allow cancellation
+      // Log cache performance for monitoring
+      if (result.usage.cacheCreationTokens || result.usage.cacheReadTokens) {
+        console.log('💾 Prompt Cache Performance:', {
+          cacheCreation: result.usage.cacheCreationTokens || 0,
+          cacheRead: result.usage.cacheReadTokens || 0
         });
-
-        const fetchDuration = Date.now() - fetchStartTime;
-        console.log(`✅ Fetch completed in ${fetchDuration}ms`);
-      } catch (innerFetchError) {
-        const fetchDuration = Date.now() - fetchStartTime;
-
-        // Check if request was aborted by user
-        if (innerFetchError.name === 'AbortError') {
-          console.log('🛑 Request cancelled by user');
-          this.currentAbortController = null;
-          throw new Error('REQUEST_CANCELLED');
-        }
-
-        console.error(`❌ Fetch failed after ${fetchDuration}ms`);
-        console.error('Error name:', innerFetchError.name);
-        console.error('Error message:', innerFetchError.message);
-        console.error('Error type:', typeof innerFetchError);
-        console.error('Error toString:', innerFetchError.toString());
-
-        // Check if this is a CORS error vs network error
-        if (innerFetchError.message === 'Failed to fetch') {
-          console.error('🔍 This is a "Failed to fetch" error - possible causes:');
-          console.error('  1. Network connectivity issue');
-          console.error('  2. CORS blocking (unlikely with manifest permissions)');
-          console.error('  3. API endpoint down');
-          console.error('  4. Service worker permissions lost');
-          console.error('  5. Browser extension was recently reloaded');
-        }
-
-        throw innerFetchError;
-      } finally {
-        // Clean up abort controller after request completes
-        this.currentAbortController = null;
       }
 
-      console.log('📡 API Response received:', {
-        status: response.status,
-        statusText: response.statusText,
-        ok: response.ok
-      });
+      return result;
+    } catch (error) {
+      if (error.message === 'REQUEST_CANCELLED') {
+        console.log('🛑 Request cancelled by user');
+      }
+      throw error;
+    } finally {
+      // Clean up abort controller after request completes
+      this.currentAbortController = null;
+    }
+  }
 
-    } catch (fetchError) {
-      console.error('🚨 Network Error Details:', {
-        message: fetchError.message,
-        name: fetchError.name,
-        stack: fetchError.stack,
-        timestamp: new Date().toISOString()
-      });
+  /**
+   * Whether long generations should stream into the side panel
+   */
+  shouldStream(settings = {}) {
+    return settings.streamResponses !== false;
+  }
 
-      // Provide specific error messages for common issues
-      if (fetchError.message.includes('Failed to fetch')) {
-        // Try to determine if this is a service worker issue
-        const timeSinceStart = Date.now() - (this.serviceWorkerStartTime || Date.now());
-        const possibleCauses = [
-          'Your internet connection',
-          'Extension permissions (reload extension if needed)',
-          'No firewall blocking api.anthropic.com'
-        ];
-
-        if (timeSinceStart > 300000) { // 5 minutes
-          possibleCauses.push('Service worker may need restart - try reloading the extension');
-        }
+  /**
+   * Fast/cheap model for the configured provider (planning, validation, test scripts)
+   */
+  getFastModel(aiSettings = {}) {
+    if (this.providerRegistry) {
+      return this.providerRegistry.getFastModel(aiSettings);
+    }
+    return aiSettings.provider === 'anthropic' ? 'claude-3-5-haiku-20241022' : 'gpt-4o-mini';
+  }
 
-        throw new Error('Network error: Unable to connect to Anthropic API. Please check:\n' +
-                       possibleCauses.map((c, i) => `${i + 1}. ${c}`).join('\n'));
-      }
+  /**
+   * Ensure the configured provider has its credentials before spending time on prompts
+   */
+  assertProviderCredentials(settings = {}) {
+    if (!this.providerRegistry) return;
 
-      throw new Error(`Network error: ${fetchError.message}`);
+    const missing = this.providerRegistry.getMissingCredentials(settings);
+    if (missing.length > 0) {
+      const label = this.providerRegistry.get(settings.provider).label;
+      throw new Error(`${label} API key missing. Add one in the side panel settings.`);
     }
+  }
 
-    if (!response.ok) {
-      let errorDetail = `Claude API error: ${response.status}`;
-      try {
-        const errorBody = await response.json();
-        console.error('❌ Claude API Error Response:', errorBody);
+  /**
+   * Read a server-sent-event body, calling onEvent with each parsed `data:` payload
+   */
+  async readServerSentEvents(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
 
-        if (errorBody?.error?.message) {
-          errorDetail = errorBody.error.message;
-        }
+    const dispatch = (rawEvent) => {
+      const data = rawEvent
+        .split(/\r?\n/)
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trimStart())
+        .join('\n');
 
-        if (errorBody?.error?.type === 'invalid_request_error') {
-          errorDetail = `${errorDetail}. Check model name: "${model}"`;
-        }
+      if (!data || data === '[DONE]') return;
+
+      try {
+        onEvent(JSON.parse(data));
       } catch (parseError) {
-        // Ignore parse errors
+        if (parseError instanceof SyntaxError) {
+          console.warn('⚠️ Skipping malformed stream event:', data.substring(0, 100));
+        } else {
+          throw parseError;
+        }
       }
+    };
 
-      if (response.status === 404) {
-        errorDetail = `Model "${model}" not found by Anthropic API. Try "claude-3-7-sonnet-20250219" (3.7 Sonnet) or "claude-sonnet-4-5-20250929" (4.5 Sonnet). Check settings.`;
-      } else if (response.status === 429) {
-        errorDetail = 'Anthropic rate limit hit. Wait a moment or switch to another provider.';
-      } else if (response.status === 401) {
-        errorDetail = 'Invalid Anthropic API key. Check your settings.';
-      }
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
 
-      throw new Error(errorDetail);
+      buffer += decoder.decode(value, { stream: true });
+      const events = buffer.split(/\r?\n\r?\n/);
+      buffer = events.pop();
+      events.forEach(dispatch);
     }
 
-    const result = await response.json();
-
-    console.log('📥 Claude API Response:', {
-      id: result.id,
-      model: result.model,
-      stopReason: result.stop_reason,
-      usage: result.usage
-    });
-
-    // Extract content from Claude response
-    const content = result.content
-      ?.filter(block => block.type === 'text')
-      .map(block => block.text)
-      .join('\n') || '';
-
-    if (!content || content.trim().length === 0) {
-      console.error('❌ Claude returned empty content!');
-      console.error('Full API response:', JSON.stringify(result, null, 2));
-      throw new Error(`Claude API returned empty response. stop_reason: ${result.stop_reason}`);
-    }
-
-    // Log cache performance for monitoring
-    if (result.usage?.cache_creation_input_tokens || result.usage?.cache_read_input_tokens) {
-      console.log('💾 Prompt Cache Performance:', {
-        cacheCreation: result.usage.cache_creation_input_tokens || 0,
-        cacheRead: result.usage.cache_read_input_tokens || 0,
-        savings: result.usage.cache_read_input_tokens
-          ? `${Math.round((result.usage.cache_read_input_tokens / (result.usage.input_tokens || 1)) * 100)}%`
-          : '0%'
-      });
+    if (buffer.trim()) {
+      dispatch(buffer);
     }
+  }
 
-    return {
-      content,
-      usage: {
-        promptTokens: result.usage?.input_tokens || 0,
-        completionTokens: result.usage?.output_tokens || 0,
-        totalTokens: (result.usage?.input_tokens || 0) + (result.usage?.output_tokens || 0),
-        cacheCreationTokens: result.usage?.cache_creation_input_tokens || 0,
-        cacheReadTokens: result.usage?.cache_read_input_tokens || 0
-      },
-      model: result.model
+  /**
+   * Start tracking a streamed response so partial code can be forwarded and recovered on STOP
+   */
+  beginStream(label) {
+    this.activeStream = {
+      id: `stream-${Date.now()}`,
+      label,
+      content: '',
+      lastUpdate: 0
     };
+    return this.activeStream;
   }
 
-  async callChatGPT(messages, authToken, model = 'gpt-4o-mini', options = {}) {
-    const resolvedModel = typeof model === 'string' && model.trim() ? model.trim() : 'gpt-4o-mini';
-    console.log('Calling OpenAI Chat Completions.', { model: resolvedModel, messageCount: messages.length, maxTokens: options.maxTokens });
-
-    // Convert Anthropic-format messages to OpenAI format
-    const convertedMessages = messages.map(msg => {
-      if (msg.role !== 'user' || typeof msg.content === 'string') {
-        return msg; // No conversion needed
-      }
-
-      // Convert array content from Anthropic format to OpenAI format
-      if (Array.isArray(msg.content)) {
-        const openAIContent = msg.content.map(item => {
-          if (item.type === 'image' && item.source) {
-            // Convert Anthropic image format to OpenAI format
-            const base64Data = item.source.data;
-            const mediaType = item.source.media_type || 'image/png';
-            return {
-              type: 'image_url',
-              image_url: {
-                url: `data:${mediaType};base64,${base64Data}`,
-                detail: 'high'
-              }
-            };
-          }
-          return item; // Keep text items as-is
-        });
+  /**
+   * Append streamed text and forward a throttled AI_STREAM_UPDATE to the side panel
+   */
+  appendStreamText(stream, text, force = false) {
+    stream.content += text;
 
-        return {
-          role: msg.role,
-          content: openAIContent
-        };
-      }
+    const now = Date.now();
+    if (!force && now - stream.lastUpdate < this.STREAM_UPDATE_INTERVAL) {
+      return;
+    }
+    stream.lastUpdate = now;
 
-      return msg;
+    chrome.runtime.sendMessage({
+      type: 'AI_STREAM_UPDATE',
+      streamId: stream.id,
+      label: stream.label,
+      charsReceived: stream.content.length,
+      partialCode: this.extractPartialCode(stream.content),
+      done: force
+    }).catch(() => {
+      // Ignore errors if sidepanel isn't open
     });
+  }
 
-    // Use model-specific parameters for GPT-5 vs GPT-4 models
-    const isGPT5Model = resolvedModel.startsWith('gpt-5');
-    const requestBody = {
-      model: resolvedModel,
-      messages: convertedMessages
-    };
-
-    if (isGPT5Model) {
-      // GPT-5 models use reasoning tokens + completion tokens
-      // Need higher limit since reasoning tokens don't count toward output
-      requestBody.max_completion_tokens = options.maxTokens || 4000; // Keep original - reasoning uses tokens
-      // GPT-5 models only support default temperature (1)
-    } else {
-      requestBody.max_tokens = options.maxTokens || 2500; // Reduced from 4000 for faster generation
-      requestBody.temperature = options.temperature || 0.5; // Reduced from 0.7 for more consistent output
+  endStream(stream) {
+    this.appendStreamText(stream, '', true);
+    if (this.activeStream === stream) {
+      this.activeStream = null;
     }
+  }
 
-    // CRITICAL: Force JSON output mode (prevents markdown code blocks)
-    requestBody.response_format = { type: "json_object" };
-
-    // Create abort controller for cancellable requests
-    this.currentAbortController = new AbortController();
+  /**
+   * Consume an Anthropic Messages SSE stream into the same shape as a non-streamed response
+   */
+  async consumeAnthropicStream(response, options = {}) {
+    const stream = this.beginStream(options.streamLabel);
+    const result = { id: null, model: null, stop_reason: null, content: [], usage: {} };
+    let text = '';
 
-    let response;
     try {
-      response = await fetch('https://api.openai.com/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${authToken}`
-        },
-        body: JSON.stringify(requestBody),
-        signal: this.currentAbortController.signal // Allow cancellation
+      await this.readServerSentEvents(response, (event) => {
+        switch (event.type) {
+          case 'message_start':
+            result.id = event.message?.id;
+            result.model = event.message?.model;
+            Object.assign(result.usage, event.message?.usage || {});
+            break;
+          case 'content_block_delta':
+            if (event.delta?.type === 'text_delta') {
+              text += event.delta.text;
+              this.appendStreamText(stream, event.delta.text);
+            }
+            break;
+          case 'message_delta':
+            result.stop_reason = event.delta?.stop_reason || result.stop_reason;
+            Object.assign(result.usage, event.usage || {});
+            break;
+          case 'error':
+            throw new Error(event.error?.message || 'Claude stream error');
+        }
       });
-    } catch (fetchError) {
-      // Check if request was aborted by user
-      if (fetchError.name === 'AbortError') {
-        console.log('🛑 Request cancelled by user');
-        this.currentAbortController = null;
+    } catch (streamError) {
+      if (streamError.name === 'AbortError') {
+        console.log(`🛑 Stream cancelled by user after ${text.length} chars`);
         throw new Error('REQUEST_CANCELLED');
       }
-      throw fetchError;
+      throw streamError;
     } finally {
-      // Clean up abort controller after request completes
       this.currentAbortController = null;
+      this.endStream(stream);
     }
 
-    if (!response.ok) {
-      let errorDetail = `ChatGPT API error: ${response.status}`;
-      try {
-        const errorBody = await response.json();
-        if (errorBody?.error?.message) {
-          errorDetail = `${errorBody.error.message} (HTTP ${response.status})`;
+    result.content = [{ type: 'text', text }];
+    return result;
+  }
+
+  /**
+   * Consume an OpenAI Chat Completions SSE stream into the same shape as a non-streamed response
+   */
+  async consumeOpenAIStream(response, options = {}) {
+    const stream = this.beginStream(options.streamLabel);
+    let text = '';
+    let finishReason = null;
+    let usage = null;
+    let model = null;
+
+    try {
+      await this.readServerSentEvents(response, (event) => {
+        if (event.error) {
+          throw new Error(event.error.message || 'OpenAI stream error');
         }
-      } catch (parseError) {
-        // Ignore parse errors
-      }
 
-      if (response.status === 429 && !/rate limit|quota|billing/i.test(errorDetail)) {
-        errorDetail = 'OpenAI rate limit hit. Wait a moment or reduce request frequency.';
+        model = event.model || model;
+        if (event.usage) {
+          usage = event.usage;
+        }
+
+        const choice = event.choices?.[0];
+        if (choice?.delta?.content) {
+          text += choice.delta.content;
+          this.appendStreamText(stream, choice.delta.content);
+        }
+        if (choice?.finish_reason) {
+          finishReason = choice.finish_reason;
+        }
+      });
+    } catch (streamError) {
+      if (streamError.name === 'AbortError') {
+        console.log(`🛑 Stream cancelled by user after ${text.length} chars`);
+        throw new Error('REQUEST_CANCELLED');
       }
+      throw streamError;
+    } finally {
+      this.currentAbortController = null;
+      this.endStream(stream);
+    }
+
+    return {
+      model,
+      usage,
+      choices: [{ message: { content: text }, finish_reason: finishReason }]
+    };
+  }
 
-      throw new Error(errorDetail);
+  /**
+   * Consume a registry provider's SSE stream into the provider's non-streamed response shape
+   */
+  async consumeProviderStream(response, provider, options = {}) {
+    switch (provider.format) {
+      case 'anthropic':
+        return this.consumeAnthropicStream(response, options);
+      case 'gemini':
+        return this.consumeGeminiStream(response, options);
+      default:
+        return this.consumeOpenAIStream(response, options);
     }
+  }
 
-    const result = await response.json();
+  /**
+   * Consume a Gemini streamGenerateContent (alt=sse) stream into the same shape as generateContent
+   */
+  async consumeGeminiStream(response, options = {}) {
+    const stream = this.beginStream(options.streamLabel);
+    let text = '';
+    let finishReason = null;
+    let usageMetadata = null;
 
-    console.log('📥 OpenAI API Response:', {
-      hasChoices: !!result?.choices,
-      choicesLength: result?.choices?.length || 0,
-      firstChoiceHasMessage: !!result?.choices?.[0]?.message,
-      contentLength: result?.choices?.[0]?.message?.content?.length || 0,
-      finishReason: result?.choices?.[0]?.finish_reason,
-      usage: result?.usage
-    });
+    try {
+      await this.readServerSentEvents(response, (event) => {
+        if (event.error) {
+          throw new Error(event.error.message || 'Gemini stream error');
+        }
 
-    const content = result?.choices?.[0]?.message?.content || '';
+        usageMetadata = event.usageMetadata || usageMetadata;
+        const candidate = event.candidates?.[0];
+        const chunk = candidate?.content?.parts?.map(part => part.text || '').join('') || '';
+        if (chunk) {
+          text += chunk;
+          this.appendStreamText(stream, chunk);
+        }
+        if (candidate?.finishReason) {
+          finishReason = candidate.finishReason;
+        }
+      });
+    } catch (streamError) {
+      if (streamError.name === 'AbortError') {
+        console.log(`🛑 Stream cancelled by user after ${text.length} chars`);
+        throw new Error('REQUEST_CANCELLED');
+      }
+      throw streamError;
+    } finally {
+      this.currentAbortController = null;
+      this.endStream(stream);
+    }
 
-    if (!content || content.trim().length === 0) {
-      console.error('❌ OpenAI returned empty content!');
-      console.error('Full API response:', JSON.stringify(result, null, 2));
+    return {
+      candidates: [{ content: { parts: [{ text }] }, finishReason }],
+      usageMetadata
+    };
+  }
 
-      const finishReason = result?.choices?.[0]?.finish_reason;
-      const reasoningTokens = result?.usage?.completion_tokens_details?.reasoning_tokens || 0;
+  /**
+   * Best-effort extraction of variation code from an incomplete JSON response.
+   * Used for progressive rendering while streaming - the full parseGeneratedCode
+   * still runs once the stream closes.
+   */
+  extractPartialCode(text) {
+    const partial = { variations: [], globalCSS: '', globalJS: '', partial: true };
+    if (!text) return partial;
 
-      // Special handling for GPT-5 models that use reasoning tokens
-      if (finishReason === 'length' && reasoningTokens > 0) {
-        throw new Error(`GPT-5 model used all ${reasoningTokens} tokens for reasoning but produced no output. This is a known issue with GPT-5 models on complex prompts. Try: (1) Using gpt-4o or gpt-4o-mini instead, (2) Simplifying the request, or (3) Increasing max_completion_tokens.`);
+    const decode = (raw) => {
+      // Drop a trailing incomplete escape sequence before decoding
+      const trimmed = raw.replace(/\\(u[0-9a-fA-F]{0,3})?$/, '');
+      try {
+        return JSON.parse(`"${trimmed}"`);
+      } catch (error) {
+        return trimmed.replace(/\\n/g, '\n').replace(/\\"/g, '"').replace(/\\\\/g, '\\');
       }
+    };
 
-      throw new Error(`OpenAI API returned empty response. finish_reason: ${finishReason}. This may indicate: (1) Content filter triggered, (2) Model refused request, (3) API quota exceeded, or (4) Hit token limit.`);
+    const variationsStart = text.indexOf('"variations"');
+    const fieldPattern = /"(name|css|js|globalCSS|globalJS)"\s*:\s*"((?:[^"\\]|\\.)*)/g;
+    let current = null;
+    let match;
+
+    while ((match = fieldPattern.exec(text)) !== null) {
+      const [, key, raw] = match;
+      const value = decode(raw);
+
+      if (key === 'globalCSS' || key === 'globalJS') {
+        partial[key] = value;
+      } else if (variationsStart !== -1 && match.index > variationsStart) {
+        if (key === 'name' || !current) {
+          current = { number: partial.variations.length + 1, name: '', css: '', js: '' };
+          partial.variations.push(current);
+        }
+        current[key] = value;
+      }
     }
 
-    return {
-      content,
-      usage: result?.usage || null,
-      model: resolvedModel
-    };
+    return partial;
   }
 
   parseGeneratedCode(response) {
@@ -5294,7 +6038,7 @@ For example, if the code calls getNextFridayMidnightPT(), getTimeRemaining(), an
 
   normalizeUsage(aiResponse = {}) {
     const usage = aiResponse.usage || {};
-    // Handle both snake_case (OpenAI) and camelCase (already normalized from callClaude)
+    // Handle both snake_case (OpenAI) and camelCase (already normalized by the provider registry)
     const promptTokens = usage.promptTokens || usage.prompt_tokens || usage.inputTokens || usage.input_tokens || 0;
     const completionTokens = usage.completionTokens || usage.completion_tokens || usage.outputTokens || usage.output_tokens || 0;
     const totalTokens = usage.totalTokens || usage.total_tokens || promptTokens + completionTokens;
@@ -5352,32 +6096,63 @@ For example, if the code calls getNextFridayMidnightPT(), getTimeRemaining(), an
         throw new Error('Missing page data for adjustment request.');
       }
 
+      const storedProviderSettings = (await chrome.storage.local.get(['settings'])).settings || {};
+      this.assertProviderCredentials({ ...storedProviderSettings, ...actualSettings });
       const authToken = await this.getAuthToken();
-      if (!authToken) {
-        throw new Error('OpenAI API key missing. Add one in the side panel settings.');
-      }
+
+      // Settings for the AI call, resolved up front so the budget plans for the same model and output size
+      const aiSettings = {
+        ...storedProviderSettings,
+        ...actualSettings, // Provider keys/endpoints
+        provider: actualSettings?.provider || 'openai',
+        authToken: authToken,
+        model: actualSettings?.model || 'gpt-4o-mini',
+        maxTokens: this.REFINEMENT_MAX_TOKENS
+      };
+
+      // Refinements carry previous code and history; fit page context and history around them
+      const budgeted = this.planPromptBudget({
+        settings: aiSettings,
+        fixedTokens: this.PROMPT_INSTRUCTION_TOKENS + this.REFINEMENT_INSTRUCTION_TOKENS +
+          (this.promptBudgetPlanner?.estimateTokens([
+            previousCode,
+            newRequest,
+            feedback,
+            testSummary,
+            extraContext,
+            this.designSystem?.formatForPrompt(actualPageData.designTokens)
+          ]) || 0),
+        pageData: { ...actualPageData, screenshot: null }, // Refinements never send screenshots
+        history: Array.isArray(conversationHistory) ? conversationHistory : [],
+        description: actualDescription,
+        logger
+      });
+      const history = budgeted.history;
 
       // Build base prompt using ORIGINAL page data (not modified page)
       const basePrompt = this.buildCodeGenerationPrompt(
-        actualPageData,
+        budgeted.pageData,
         actualDescription,
         isNewFormat ? [] : generationData?.designFiles,
         actualVariations,
-        actualSettings
+        actualSettings,
+        null,
+        null,
+        { fewShotLimit: budgeted.fewShotLimit }
       );
       logger.log('Base prompt prepared', `length=${basePrompt.length}`);
 
       let adjustmentContext = '';
 
       // NEW: Handle conversation history for follow-ups
-      if (isNewFormat && conversationHistory && conversationHistory.length > 0) {
+      if (isNewFormat && history.length > 0) {
         adjustmentContext += '\n**CONVERSATION HISTORY:**\n';
-        conversationHistory.forEach((entry, index) => {
+        history.forEach((entry, index) => {
           adjustmentContext += `${index + 1}. User: "${entry.request}"\n`;
           adjustmentContext += `   → Generated: ${entry.code?.variations?.length || 0} variation(s)\n`;
         });
         adjustmentContext += '\n';
-        logger.log('Including conversation history', `entries=${conversationHistory.length}`);
+        logger.log('Including conversation history', `entries=${history.length}`);
       }
 
       if (previousCode) {
@@ -5440,8 +6215,8 @@ ${formattedPreviousCode}
         logger.log('Including test summary');
       }
 
-      if (Array.isArray(conversationHistory) && conversationHistory.length) {
-        let trimmedHistory = conversationHistory.filter(msg => msg && msg.content);
+      if (history.length) {
+        let trimmedHistory = history.filter(msg => msg && msg.content);
         if (trimmedHistory.length && feedback) {
           const lastEntry = trimmedHistory[trimmedHistory.length - 1];
           if (lastEntry.role === 'user' && lastEntry.content.trim() === feedback.trim()) {
@@ -5486,6 +6261,7 @@ ${formattedPreviousCode}
               adjustmentContext += `\n- Text Content: "${truncatedText}${selectedElement.text.length > 100 ? '...' : ''}"`;
             }
             adjustmentContext += `\n\n**Context:** The user clicked on this specific element when making the request above. They are referring to THIS element when they say "${userRequest}".`;
+            adjustmentContext += this.formatSelectionGroup(selectedElement);
 
             // 🆕 Add note about generated elements
             adjustmentContext += `\n\n**Important:** If the user is describing layout/positioning issues (like "below", "above", "aligned with"), you may need to look at BOTH:`;
@@ -5773,16 +6549,13 @@ CRITICAL: (1) Respond with ONLY valid JSON. (2) Make smart editorial decisions t
       });
 
       // Use unified AI call
-      const aiSettings = {
-        provider: actualSettings?.provider || 'openai',
-        authToken: authToken,
-        anthropicApiKey: actualSettings?.anthropicApiKey,
-        model: actualSettings?.model || 'gpt-4o-mini',
-        maxTokens: 16000  // Higher limit for refinements (includes previous code + new code)
-      };
-
       console.log('🤖 [adjustCode] Calling AI with model:', aiSettings.model);
-      const aiResponse = await this.callAI(messages, aiSettings);
+      const aiResponse = await this.callAI(messages, {
+        ...aiSettings,
+        stream: this.shouldStream(aiSettings),
+        streamLabel: 'refinement',
+        json: true
+      });
       console.log('✅ [adjustCode] AI response received, parsing code...');
 
       const parsedCode = this.parseGeneratedCode(aiResponse.content);
@@ -6321,12 +7094,19 @@ CRITICAL: (1) Respond with ONLY valid JSON. (2) Make smart editorial decisions t
     }
   }
 
-  notifyPageChange(tabId, tab) {
+  /**
+   * Tell the side panel the tab shows a different page
+   * @param {Object} details - { spa, reason, previousUrl } for client-side route changes
+   */
+  notifyPageChange(tabId, tab, details = {}) {
     chrome.runtime.sendMessage({
       type: 'PAGE_CHANGED',
       tabId,
       url: tab.url,
-      title: tab.title
+      title: tab.title,
+      spa: Boolean(details.spa),
+      reason: details.reason || 'load',
+      previousUrl: details.previousUrl || null
     }).catch(() => {});
   }
 
@@ -6672,101 +7452,442 @@ CRITICAL: (1) Respond with ONLY valid JSON. (2) Make smart editorial decisions t
     const experience = this.sanitizeConvertId(experienceId);
 
     if (!account || !project || !experience) {
-      throw new Error('Account, project, and experience IDs are required');
+      throw new Error('Account, project, and experience IDs are required');
+    }
+
+    const includeParam = options.include;
+    const expandParam = options.expand;
+
+    const include = Array.isArray(includeParam)
+      ? includeParam
+      : typeof includeParam === 'string'
+        ? includeParam.split(',').map((item) => item.trim()).filter(Boolean)
+        : [];
+
+    let expand = Array.isArray(expandParam)
+      ? expandParam
+      : typeof expandParam === 'string'
+        ? expandParam.split(',').map((item) => item.trim()).filter(Boolean)
+        : null;
+
+    if (!expand || expand.length === 0) {
+      expand = ['variations', 'variations.changes'];
+    }
+
+    const query = {};
+    if (Array.isArray(include) && include.length) {
+      query.include = include;
+    }
+    if (Array.isArray(expand) && expand.length) {
+      query.expand = expand;
+    }
+
+    const result = await this.convertApiRequest(credentials, {
+      path: `/accounts/${account}/projects/${project}/experiences/${experience}`,
+      method: 'GET',
+      query,
+      operation: `/accounts/${account}/projects/${project}/experiences/${experience}`
+    });
+
+    return result;
+  }
+
+  async createConvertExperienceV2(credentials, { accountId, projectId, payload }) {
+    const account = this.sanitizeConvertId(accountId);
+    const project = this.sanitizeConvertId(projectId);
+
+    if (!account || !project) {
+      throw new Error('Account and project IDs are required to create an experience');
+    }
+
+    const result = await this.convertApiRequest(credentials, {
+      path: `/accounts/${account}/projects/${project}/experiences/add`,
+      method: 'POST',
+      body: payload,
+      expectedStatus: 201
+    });
+
+    return result;
+  }
+
+  async updateConvertVariation(credentials, { accountId, projectId, experienceId, variationId, payload }) {
+    const account = this.sanitizeConvertId(accountId);
+    const project = this.sanitizeConvertId(projectId);
+    const experience = this.sanitizeConvertId(experienceId);
+    const variation = this.sanitizeConvertId(variationId);
+
+    if (!account || !project || !experience || !variation) {
+      throw new Error('Account, project, experience, and variation IDs are required to update variation');
+    }
+
+    const result = await this.convertApiRequest(credentials, {
+      path: `/accounts/${account}/projects/${project}/experiences/${experience}/variations/${variation}/update`,
+      method: 'PUT',
+      body: payload,
+      expectedStatus: [200, 204]
+    });
+
+    return result;
+  }
+
+  async updateConvertExperience(credentials, { accountId, projectId, experienceId, payload }) {
+    const account = this.sanitizeConvertId(accountId);
+    const project = this.sanitizeConvertId(projectId);
+    const experience = this.sanitizeConvertId(experienceId);
+
+    if (!account || !project || !experience) {
+      throw new Error('Account, project, and experience IDs are required to update an experience');
+    }
+
+    const result = await this.convertApiRequest(credentials, {
+      path: `/accounts/${account}/projects/${project}/experiences/${experience}/update`,
+      method: 'POST',
+      body: payload,
+      expectedStatus: [200]
+    });
+
+    return result;
+  }
+
+  async setConvertExperienceStatus(credentials, { accountId, projectId, experienceId, status }) {
+    const allowed = ['active', 'paused', 'archived'];
+    if (!allowed.includes(status)) {
+      throw new Error(`Unsupported experience status: ${status}`);
+    }
+
+    const result = await this.updateConvertExperience(credentials, {
+      accountId,
+      projectId,
+      experienceId,
+      payload: { status }
+    });
+
+    return this.normalizeConvertExperienceResult(result, { id: experienceId, status });
+  }
+
+  async cloneConvertExperience(credentials, { accountId, projectId, experienceId }) {
+    const account = this.sanitizeConvertId(accountId);
+    const project = this.sanitizeConvertId(projectId);
+    const experience = this.sanitizeConvertId(experienceId);
+
+    if (!account || !project || !experience) {
+      throw new Error('Account, project, and experience IDs are required to clone an experience');
+    }
+
+    const result = await this.convertApiRequest(credentials, {
+      path: `/accounts/${account}/projects/${project}/experiences/${experience}/clone`,
+      method: 'POST',
+      expectedStatus: [200, 201]
+    });
+
+    return this.normalizeConvertExperienceResult(result, {});
+  }
+
+  // Same shape as fetchConvertExperiences items; fallback fills fields the API omitted
+  normalizeConvertExperienceResult(result, fallback) {
+    const experience = result?.data || result || {};
+    return {
+      id: this.sanitizeConvertId(experience.id ?? fallback.id),
+      name: experience.name || fallback.name || 'Untitled Experience',
+      status: experience.status || fallback.status || 'unknown',
+      type: experience.type || 'a/b',
+      key: experience.key || null,
+      updated_at: experience.updated_at || experience.updatedAt || new Date().toISOString(),
+      raw: experience
+    };
+  }
+
+  /**
+   * Aggregated report for one experience, normalized per goal and variation
+   * @returns {Promise<{experienceId, fetchedAt, goals: Array<{id, name, variations: Array}>}>}
+   */
+  async fetchConvertExperienceReport(credentials, { accountId, projectId, experienceId }) {
+    const account = this.sanitizeConvertId(accountId);
+    const project = this.sanitizeConvertId(projectId);
+    const experience = this.sanitizeConvertId(experienceId);
+
+    if (!account || !project || !experience) {
+      throw new Error('Account, project, and experience IDs are required to load a report');
     }
 
-    const includeParam = options.include;
-    const expandParam = options.expand;
+    // Goal names are not part of the report payload; a failed goal lookup only costs the labels
+    const [result, goals] = await Promise.all([
+      this.convertApiRequest(credentials, {
+        path: `/accounts/${account}/projects/${project}/experiences/${experience}/aggregated_report`,
+        method: 'POST',
+        body: {},
+        operation: `/accounts/${account}/projects/${project}/experiences/${experience}/aggregated_report`
+      }),
+      this.fetchConvertProjectResource(credentials, { accountId: account, projectId: project, resource: 'goals' })
+        .catch(() => [])
+    ]);
 
-    const include = Array.isArray(includeParam)
-      ? includeParam
-      : typeof includeParam === 'string'
-        ? includeParam.split(',').map((item) => item.trim()).filter(Boolean)
-        : [];
+    const goalNames = new Map(goals.map(goal => [String(goal.id), goal.name]));
+    const data = result?.data || result || {};
+    const goalReports = data.reportData || data.goals || (Array.isArray(data) ? data : []);
 
-    let expand = Array.isArray(expandParam)
-      ? expandParam
-      : typeof expandParam === 'string'
-        ? expandParam.split(',').map((item) => item.trim()).filter(Boolean)
-        : null;
+    return {
+      experienceId: experience,
+      fetchedAt: new Date().toISOString(),
+      goals: goalReports.map((goalReport) => {
+        const goalId = this.sanitizeConvertId(goalReport.goal_id ?? goalReport.id);
+        return {
+          id: goalId,
+          name: goalReport.goal_name || goalNames.get(String(goalId)) || `Goal ${goalId}`,
+          variations: (goalReport.variations_data || goalReport.variations || [])
+            .map((variation) => this.normalizeConvertReportVariation(variation))
+        };
+      })
+    };
+  }
 
-    if (!expand || expand.length === 0) {
-      expand = ['variations', 'variations.changes'];
+  // Report rows nest their numbers differently depending on the stats engine
+  normalizeConvertReportVariation(variation) {
+    const stats = variation.conversion_data || variation.stats || variation;
+    const number = (value) => {
+      const parsed = typeof value === 'string' ? parseFloat(value) : value;
+      return Number.isFinite(parsed) ? parsed : null;
+    };
+
+    const visitors = number(stats.visitors ?? stats.unique_visitors) ?? 0;
+    const conversions = number(stats.conversions ?? stats.conversions_count) ?? 0;
+
+    return {
+      id: this.sanitizeConvertId(variation.id ?? variation.variation_id),
+      name: variation.name || variation.variation_name || 'Variation',
+      isBaseline: Boolean(variation.is_baseline ?? variation.baseline),
+      visitors,
+      conversions,
+      // Derived from the counts so the rate is always a percentage
+      conversionRate: visitors > 0 ? (conversions / visitors) * 100 : number(stats.conversion_rate ?? stats.conversionRate),
+      improvement: number(stats.improvement ?? stats.uplift),
+      confidence: number(stats.confidence ?? stats.chance_to_win)
+    };
+  }
+
+  async exportConvertExperiences(credentials, { accountId, projectId, experienceIds = [] }) {
+    if (!this.experienceBundle) {
+      throw new Error('Experience bundle helper is not available');
+    }
+    if (!experienceIds.length) {
+      throw new Error('Select at least one experience to export');
     }
 
-    const query = {};
-    if (Array.isArray(include) && include.length) {
-      query.include = include;
+    // Sequential to stay well inside Convert's rate limits
+    const experiences = [];
+    for (const experienceId of experienceIds) {
+      const experience = await this.fetchConvertExperience(credentials, {
+        accountId,
+        projectId,
+        experienceId,
+        options: { include: ['goals', 'audiences', 'locations'] }
+      });
+      experiences.push(experience);
     }
-    if (Array.isArray(expand) && expand.length) {
-      query.expand = expand;
+
+    console.log(`📦 Exported ${experiences.length} Convert experience(s) from project ${projectId}`);
+    return this.experienceBundle.createBundle(experiences, { accountId, projectId });
+  }
+
+  // Dry run returns the plan only; otherwise each planned item also gets { status, experienceId | error }
+  async importConvertExperiences(credentials, { accountId, projectId, bundle, dryRun = true, options = {} }) {
+    if (!this.experienceBundle) {
+      throw new Error('Experience bundle helper is not available');
     }
 
-    const result = await this.convertApiRequest(credentials, {
-      path: `/accounts/${account}/projects/${project}/experiences/${experience}`,
-      method: 'GET',
-      query,
-      operation: `/accounts/${account}/projects/${project}/experiences/${experience}`
-    });
+    const existing = await this.listAllConvertExperiences(credentials, { accountId, projectId });
+    const report = this.experienceBundle.planImport(bundle, { accountId, projectId }, existing, options);
+    report.dryRun = dryRun;
 
-    return result;
+    if (dryRun) {
+      return report;
+    }
+
+    let created = 0;
+    let failed = 0;
+    for (const item of report.items) {
+      if (item.action !== 'create') {
+        item.status = 'skipped';
+        continue;
+      }
+
+      try {
+        const payload = this.experienceBundle.toCreatePayload(bundle.experiences[item.index], {
+          sameProject: report.sameProject,
+          namePrefix: options.namePrefix
+        });
+        const result = await this.createConvertExperienceV2(credentials, { accountId, projectId, payload });
+        item.status = 'created';
+        item.experienceId = this.sanitizeConvertId(result?.data?.id ?? result?.id);
+        created++;
+      } catch (error) {
+        item.status = 'failed';
+        item.error = error.message;
+        failed++;
+      }
+    }
+
+    report.created = created;
+    report.failed = failed;
+    console.log(`📥 Imported ${created} experience(s) into project ${projectId} (${failed} failed)`);
+    return report;
   }
 
-  async createConvertExperienceV2(credentials, { accountId, projectId, payload }) {
+  async listAllConvertExperiences(credentials, { accountId, projectId, maxPages = 10 }) {
+    const experiences = [];
+    for (let page = 1; page <= maxPages; page++) {
+      const batch = await this.fetchConvertExperiences(credentials, {
+        accountId,
+        projectId,
+        options: { page, resultsPerPage: 50 }
+      });
+      experiences.push(...batch);
+      if (batch.length < 50) break;
+    }
+    return experiences;
+  }
+
+  // Goals, audiences and locations share list/add endpoints under the project
+  async fetchConvertProjectResource(credentials, { accountId, projectId, resource, options = {} }) {
     const account = this.sanitizeConvertId(accountId);
     const project = this.sanitizeConvertId(projectId);
 
     if (!account || !project) {
-      throw new Error('Account and project IDs are required to create an experience');
+      throw new Error(`Account and project IDs are required to list ${resource}`);
     }
 
-    const result = await this.convertApiRequest(credentials, {
-      path: `/accounts/${account}/projects/${project}/experiences/add`,
-      method: 'POST',
-      body: payload,
-      expectedStatus: 201
-    });
+    const items = [];
+    const resultsPerPage = 50;
+    const maxPages = options.maxPages || 5;
 
-    return result;
+    for (let page = 1; page <= maxPages; page++) {
+      const result = await this.convertApiRequest(credentials, {
+        path: `/accounts/${account}/projects/${project}/${resource}`,
+        method: 'POST',
+        body: { page, results_per_page: resultsPerPage },
+        operation: `/accounts/${account}/projects/${project}/${resource}`
+      });
+
+      const data = Array.isArray(result?.data) ? result.data : [];
+      items.push(...data);
+
+      const totalPages = result?.extra?.pagination?.pages_count;
+      if (data.length < resultsPerPage || (totalPages && page >= totalPages)) {
+        break;
+      }
+    }
+
+    return items.map((item) => this.normalizeConvertTargetingItem(item));
   }
 
-  async updateConvertVariation(credentials, { accountId, projectId, experienceId, variationId, payload }) {
-    const account = this.sanitizeConvertId(accountId);
-    const project = this.sanitizeConvertId(projectId);
-    const experience = this.sanitizeConvertId(experienceId);
-    const variation = this.sanitizeConvertId(variationId);
+  normalizeConvertTargetingItem(item) {
+    return {
+      id: this.sanitizeConvertId(item?.id),
+      name: item?.name || 'Untitled',
+      type: item?.type || null,
+      status: item?.status || null,
+      key: item?.key || null
+    };
+  }
 
-    if (!account || !project || !experience || !variation) {
-      throw new Error('Account, project, experience, and variation IDs are required to update variation');
+  async fetchConvertTargeting(credentials, { accountId, projectId }) {
+    const [goals, audiences, locations] = await Promise.all(
+      ['goals', 'audiences', 'locations'].map((resource) =>
+        this.fetchConvertProjectResource(credentials, { accountId, projectId, resource })
+      )
+    );
+
+    return { goals, audiences, locations };
+  }
+
+  // Convert rule object: OR of AND blocks, each an OR_WHEN list of single conditions
+  buildConvertUrlRule(url, matchType = 'contains') {
+    return {
+      OR: [{
+        AND: [{
+          OR_WHEN: [{
+            rule_type: 'url',
+            matching: {
+              match_type: matchType,
+              negated: false
+            },
+            value: url
+          }]
+        }]
+      }]
+    };
+  }
+
+  // Build the Convert payload for a simple goal/audience/location definition
+  // definition: { name, kind: 'url' | 'click', value, matchType }
+  buildConvertTargetingPayload(resource, definition = {}) {
+    const name = definition.name?.trim();
+    const value = definition.value?.trim();
+
+    if (!name) {
+      throw new Error('A name is required');
+    }
+    if (!value) {
+      throw new Error(definition.kind === 'click' ? 'A CSS selector is required' : 'A URL is required');
     }
 
-    const result = await this.convertApiRequest(credentials, {
-      path: `/accounts/${account}/projects/${project}/experiences/${experience}/variations/${variation}/update`,
-      method: 'PUT',
-      body: payload,
-      expectedStatus: [200, 204]
-    });
+    const rule = definition.kind === 'click' ? null : this.buildConvertUrlRule(value, definition.matchType || 'contains');
 
-    return result;
+    if (resource === 'goals') {
+      if (definition.kind === 'click') {
+        return {
+          name,
+          type: 'clicks_element',
+          settings: { selector: value }
+        };
+      }
+      return {
+        name,
+        type: 'visits_page',
+        triggering_rule: rule
+      };
+    }
+
+    if (definition.kind === 'click') {
+      throw new Error(`Click rules are only supported for goals, not ${resource}`);
+    }
+
+    if (resource === 'audiences') {
+      return {
+        name,
+        type: 'transient',
+        rules: rule
+      };
+    }
+
+    if (resource === 'locations') {
+      return {
+        name,
+        rules: rule
+      };
+    }
+
+    throw new Error(`Unsupported Convert resource: ${resource}`);
   }
 
-  async updateConvertExperience(credentials, { accountId, projectId, experienceId, payload }) {
+  async createConvertTargetingItem(credentials, { accountId, projectId, resource, definition }) {
     const account = this.sanitizeConvertId(accountId);
     const project = this.sanitizeConvertId(projectId);
-    const experience = this.sanitizeConvertId(experienceId);
 
-    if (!account || !project || !experience) {
-      throw new Error('Account, project, and experience IDs are required to update an experience');
+    if (!account || !project) {
+      throw new Error(`Account and project IDs are required to create ${resource}`);
     }
 
+    const payload = this.buildConvertTargetingPayload(resource, definition);
+
     const result = await this.convertApiRequest(credentials, {
-      path: `/accounts/${account}/projects/${project}/experiences/${experience}/update`,
+      path: `/accounts/${account}/projects/${project}/${resource}/add`,
       method: 'POST',
       body: payload,
-      expectedStatus: [200]
+      expectedStatus: [200, 201]
     });
 
-    return result;
+    return this.normalizeConvertTargetingItem(result?.data || result);
   }
 
   async getConvertAPIKeys() {
@@ -6864,6 +7985,78 @@ CRITICAL: (1) Respond with ONLY valid JSON. (2) Make smart editorial decisions t
     return code;
   }
 
+  /**
+   * Capture before/after screenshots of one variation at several emulated viewports
+   * and validate them together so defects are reported per breakpoint
+   */
+  async runResponsiveVisualQA({ tabId, viewports, variation, globalCSS, globalJS, userRequest, chatHistory, elementDatabase }) {
+    if (!this.viewportEmulator) {
+      throw new Error('Viewport emulation is not available');
+    }
+    if (!tabId) {
+      throw new Error('No tab ID provided for responsive QA');
+    }
+
+    const resolved = this.viewportEmulator.resolveViewports(viewports);
+    if (resolved.length === 0) {
+      throw new Error('No valid viewports selected');
+    }
+
+    await this.ensureContentScriptLoaded(tabId);
+
+    const css = [globalCSS, variation.css].filter(Boolean).join('\n');
+    const js = [globalJS, variation.js].filter(Boolean).join('\n');
+    const resetPage = () => chrome.tabs.sendMessage(tabId, { type: 'RESET_VARIATION', keyPrefix: '' });
+
+    const captures = await this.viewportEmulator.forEachViewport(tabId, resolved, async (viewport) => {
+      await resetPage();
+      await this.wait(300);
+      const beforeScreenshot = await this.viewportEmulator.captureScreenshot(tabId, viewport);
+
+      const applied = await this.applyVariationCode({
+        tabId,
+        css,
+        js,
+        key: `variation-${variation.number || 1}`
+      });
+      if (applied && applied.success === false) {
+        throw new Error(applied.error || 'Failed to apply variation');
+      }
+      await this.wait(600);
+      const afterScreenshot = await this.viewportEmulator.captureScreenshot(tabId, viewport);
+
+      await resetPage();
+      return { beforeScreenshot, afterScreenshot };
+    });
+
+    const viewportScreenshots = captures
+      .filter(capture => capture.result)
+      .map(capture => ({ viewport: capture.viewport, ...capture.result }));
+
+    console.log(`📱 Captured ${viewportScreenshots.length}/${resolved.length} viewports for responsive QA`);
+
+    const validation = viewportScreenshots.length > 0
+      ? await this.performVisualQAValidation({
+        userRequest,
+        chatHistory,
+        variation,
+        elementDatabase,
+        viewportScreenshots
+      })
+      : { passed: false, message: 'No viewport could be captured', error: true };
+
+    return {
+      validation,
+      viewports: captures.map(capture => ({
+        ...capture.viewport,
+        captured: !!capture.result,
+        error: capture.error || null,
+        beforeScreenshot: capture.result?.beforeScreenshot || null,
+        afterScreenshot: capture.result?.afterScreenshot || null
+      }))
+    };
+  }
+
   async performVisualQAValidation(data) {
     console.log('🎨 Performing visual QA validation with AI...');
 
@@ -6874,10 +8067,14 @@ CRITICAL: (1) Respond with ONLY valid JSON. (2) Make smart editorial decisions t
       chatHistory,
       variation,
       elementDatabase,
-      testResults  // NEW: Test results from interactive validation
+      testResults,  // NEW: Test results from interactive validation
+      viewportScreenshots,  // [{ viewport, beforeScreenshot, afterScreenshot }] from responsive QA
+      fullPage = false  // Both screenshots cover the whole page length, not just the viewport
     } = data;
 
-    if (!beforeScreenshot || !afterScreenshot) {
+    const hasViewportPairs = Array.isArray(viewportScreenshots) && viewportScreenshots.length > 0;
+
+    if (!hasViewportPairs && (!beforeScreenshot || !afterScreenshot)) {
       console.warn('⚠️ Missing screenshots for visual QA - skipping AI validation');
       return {
         passed: true,
@@ -6891,7 +8088,8 @@ CRITICAL: (1) Respond with ONLY valid JSON. (2) Make smart editorial decisions t
       const result = await chrome.storage.local.get(['settings']);
       const settings = result.settings || {};
 
-      if (!settings.apiKey) {
+      const provider = settings.provider || 'anthropic';
+      if (this.providerRegistry && !this.providerRegistry.hasCredentials({ ...settings, provider })) {
         console.warn('⚠️ No API key - skipping visual QA');
         return {
           passed: true,
@@ -6900,18 +8098,36 @@ CRITICAL: (1) Respond with ONLY valid JSON. (2) Make smart editorial decisions t
         };
       }
 
+      if (this.providerRegistry && !this.providerRegistry.getCapabilities(provider).vision) {
+        console.warn(`⚠️ Provider ${provider} has no vision support - skipping visual QA`);
+        return {
+          passed: true,
+          message: 'Visual QA skipped (model does not support images)',
+          skipped: true
+        };
+      }
+
       // Build Visual QA prompt (now includes test results)
-      const visualQAPrompt = this.buildVisualQAPrompt(userRequest, chatHistory, variation, elementDatabase, testResults);
+      let visualQAPrompt = this.buildVisualQAPrompt(
+        userRequest,
+        chatHistory,
+        variation,
+        elementDatabase,
+        testResults,
+        hasViewportPairs ? viewportScreenshots.map(pair => pair.viewport) : null
+      );
+      if (fullPage && !hasViewportPairs) {
+        visualQAPrompt += '\n\nNOTE: Both screenshots show the FULL page length (scaled down), not just the viewport. Check sections below the fold too; fixed headers appear only once at the top.';
+      }
 
       // Call AI with screenshots
-      const provider = settings.provider || 'anthropic';
-      let validationResult;
-
-      if (provider === 'anthropic') {
-        validationResult = await this.callAnthropicVisualQA(settings.apiKey, settings.model, visualQAPrompt, beforeScreenshot, afterScreenshot);
-      } else {
-        validationResult = await this.callOpenAIVisualQA(settings.apiKey, settings.model, visualQAPrompt, beforeScreenshot, afterScreenshot);
-      }
+      const validationResult = await this.callVisualQA(
+        { ...settings, provider },
+        visualQAPrompt,
+        beforeScreenshot,
+        afterScreenshot,
+        hasViewportPairs ? viewportScreenshots : null
+      );
 
       console.log('✅ Visual QA validation complete:', validationResult);
       return validationResult;
@@ -6926,7 +8142,7 @@ CRITICAL: (1) Respond with ONLY valid JSON. (2) Make smart editorial decisions t
     }
   }
 
-  buildVisualQAPrompt(userRequest, chatHistory, variation, elementDatabase, testResults) {
+  buildVisualQAPrompt(userRequest, chatHistory, variation, elementDatabase, testResults, viewports = null) {
     const chatContext = chatHistory && chatHistory.length > 0
       ? `\n\n## Conversation History:\n${chatHistory.map(msg => `**${msg.role}**: ${msg.content}`).join('\n')}`
       : '';
@@ -6989,6 +8205,12 @@ ${testResults ? '4. **Behavioral validation** - Consider the test results above
 ${testResults && testResults.overallStatus === 'passed' ? '- ✅ Interactive tests PASSED - increase confidence in correctness' : ''}
 ${testResults && testResults.overallStatus === 'failed' ? '- ⚠️ Interactive tests FAILED - lower confidence, investigate failures' : ''}
 
+${viewports ? `
+## Breakpoints:
+You are given a BEFORE/AFTER pair for each of these viewports: ${viewports.map(v => `${v.label} (${v.width}×${v.height})`).join(', ')}.
+Judge every breakpoint separately - a change can be correct on desktop and broken on mobile (overflow, wrapping, overlap, hidden content, tap targets too small).
+"passed" is true only if ALL breakpoints pass.
+` : ''}
 Respond in JSON format:
 \`\`\`json
 {
@@ -6997,133 +8219,42 @@ Respond in JSON format:
   "correctnessScore": 0-100,
   "issues": ["issue 1", "issue 2"],
   "message": "Brief summary of validation results",
-  "recommendations": ["recommendation 1"]
+  "recommendations": ["recommendation 1"]${viewports ? `,
+  "breakpoints": [
+    { "viewport": "${viewports[0].name}", "passed": true/false, "issues": ["issue at this breakpoint"] }
+  ]` : ''}
 }
 \`\`\``;
   }
 
-  async callAnthropicVisualQA(apiKey, model, prompt, beforeScreenshot, afterScreenshot) {
-    const apiModel = model || 'claude-3-7-sonnet-20250219';
-
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKey,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: apiModel,
-        max_tokens: 2000,
-        messages: [{
-          role: 'user',
-          content: [
-            {
-              type: 'image',
-              source: {
-                type: 'base64',
-                media_type: 'image/png',
-                data: beforeScreenshot.replace(/^data:image\/png;base64,/, '')
-              }
-            },
-            {
-              type: 'text',
-              text: '**BEFORE Screenshot** (original page)'
-            },
-            {
-              type: 'image',
-              source: {
-                type: 'base64',
-                media_type: 'image/png',
-                data: afterScreenshot.replace(/^data:image\/png;base64,/, '')
-              }
-            },
-            {
-              type: 'text',
-              text: '**AFTER Screenshot** (with changes applied)'
-            },
-            {
-              type: 'text',
-              text: prompt
-            }
-          ]
-        }]
-      })
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Anthropic API error (${response.status}): ${errorText}`);
-    }
-
-    const result = await response.json();
-    const aiResponse = result.content[0].text;
-
-    // Parse JSON from AI response
-    const jsonMatch = aiResponse.match(/```json\s*([\s\S]*?)\s*```/) || aiResponse.match(/(\{[\s\S]*\})/);
-    if (jsonMatch) {
-      return JSON.parse(jsonMatch[1]);
-    }
-
-    // Fallback if AI didn't return JSON
-    return {
-      passed: true,
-      message: aiResponse,
-      rawResponse: aiResponse
-    };
-  }
-
-  async callOpenAIVisualQA(apiKey, model, prompt, beforeScreenshot, afterScreenshot) {
-    const apiModel = model || 'gpt-4o';
+  async callVisualQA(settings, prompt, beforeScreenshot, afterScreenshot, viewportScreenshots = null) {
+    const screenshotContent = viewportScreenshots
+      ? viewportScreenshots.flatMap(({ viewport, beforeScreenshot: before, afterScreenshot: after }) => [
+        this.buildImageBlock(before),
+        { type: 'text', text: `**BEFORE - ${viewport.label}** (${viewport.width}×${viewport.height}, viewport "${viewport.name}")` },
+        this.buildImageBlock(after),
+        { type: 'text', text: `**AFTER - ${viewport.label}** (${viewport.width}×${viewport.height}, viewport "${viewport.name}")` }
+      ])
+      : [
+        this.buildImageBlock(beforeScreenshot),
+        { type: 'text', text: '**BEFORE Screenshot** (original page)' },
+        this.buildImageBlock(afterScreenshot),
+        { type: 'text', text: '**AFTER Screenshot** (with changes applied)' }
+      ];
 
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
-      },
-      body: JSON.stringify({
-        model: apiModel,
-        max_tokens: 2000,
-        messages: [{
-          role: 'user',
-          content: [
-            {
-              type: 'image_url',
-              image_url: {
-                url: beforeScreenshot
-              }
-            },
-            {
-              type: 'text',
-              text: '**BEFORE Screenshot** (original page)'
-            },
-            {
-              type: 'image_url',
-              image_url: {
-                url: afterScreenshot
-              }
-            },
-            {
-              type: 'text',
-              text: '**AFTER Screenshot** (with changes applied)'
-            },
-            {
-              type: 'text',
-              text: prompt
-            }
-          ]
-        }]
-      })
+    const response = await this.callAI([{
+      role: 'user',
+      content: [
+        ...screenshotContent,
+        { type: 'text', text: prompt }
+      ]
+    }], {
+      ...settings,
+      maxTokens: 2000,
+      json: true
     });
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`OpenAI API error (${response.status}): ${errorText}`);
-    }
-
-    const result = await response.json();
-    const aiResponse = result.choices[0].message.content;
+    const aiResponse = response.content;
 
     // Parse JSON from AI response
     const jsonMatch = aiResponse.match(/```json\s*([\s\S]*?)\s*```/) || aiResponse.match(/(\{[\s\S]*\})/);
@@ -7322,7 +8453,7 @@ Respond in JSON format:
         content: [{ type: 'text', text: prompt }]
       }], {
         ...aiSettings,
-        model: aiSettings.provider === 'anthropic' ? 'claude-3-5-haiku-20241022' : 'gpt-4o-mini' // Use cheaper models for test generation
+        model: this.getFastModel(aiSettings) // Use cheaper models for test generation
       });
 
       const testScript = this.parseTestScriptResponse(response.content);
@@ -7526,6 +8657,46 @@ Generate the test function now:`;
     return 'unknown';
   }
 
+  /**
+   * Run the tab's per-domain setup script in the page (MAIN world)
+   * Failures are reported, not thrown - capture and preview still work on the ungated page
+   * @param {Object} options - force: run even when disabled or already applied to this page load
+   * @returns {Promise<Object|null>} - { status: 'completed'|'skipped'|'error', duration, error } or null without a setup
+   */
+  async runSetupScript(tabId, options = {}) {
+    if (!this.setupScripts || !tabId) return null;
+
+    const tab = await chrome.tabs.get(tabId);
+    const setup = await this.setupScripts.getForUrl(tab.url);
+    if (!setup || (!setup.enabled && !options.force)) return null;
+
+    console.log(`🪄 Running setup script for ${setup.domain} on tab ${tabId}`);
+    const code = this.setupScripts.buildExecutionCode(setup, this.getTestPatternsCode(), options);
+
+    try {
+      const execution = await Promise.race([
+        chrome.scripting.executeScript({
+          target: { tabId },
+          world: 'MAIN',
+          func: (setupCode) => eval(setupCode),
+          args: [code]
+        }),
+        this.wait(this.setupScripts.timeout).then(() => {
+          throw new Error(`Setup script timed out after ${this.setupScripts.timeout}ms`);
+        })
+      ]);
+
+      const result = execution[0]?.result || { status: 'error', error: 'No result from setup script' };
+      if (result.status === 'error') {
+        console.warn('⚠️ Setup script failed:', result.error);
+      }
+      return { ...result, domain: setup.domain };
+    } catch (error) {
+      console.warn('⚠️ Setup script could not run:', error.message);
+      return { status: 'error', error: error.message, domain: setup.domain };
+    }
+  }
+
   /**
    * Build executable code for test script (TestPatterns + test function + wrapper)
    * @param {string} testScript - AI-generated test function
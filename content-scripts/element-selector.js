@@ -9,6 +9,15 @@ class ElementSelector {
     this.highlightBox = null;
     this.infoBox = null;
     this.onSelect = null;
+    // Multi-select: shift-click, keyboard traversal and "select all similar" build one attachment
+    this.currentTarget = null; // Element under the pointer or reached with the arrow keys
+    this.selection = [];
+    this.selectionBoxes = [];
+    this.groupSelector = null; // Set by "select all similar"
+    this.maxSelection = 50;
+    // Picks inside open shadow roots and same-origin iframes (utils/dom-traversal.js)
+    this.traversal = typeof DomTraversal !== 'undefined' ? new DomTraversal() : null;
+    this.selectorEngine = typeof SelectorEngine !== 'undefined' ? new SelectorEngine() : null;
   }
 
   activate(callback) {
@@ -16,6 +25,9 @@ class ElementSelector {
     
     this.active = true;
     this.onSelect = callback;
+    this.currentTarget = null;
+    this.selection = [];
+    this.groupSelector = null;
     this.createOverlay();
     this.attachEventListeners();
     
@@ -99,10 +111,7 @@ class ElementSelector {
       align-items: center;
       gap: 16px;
     `;
-    banner.innerHTML = `
-      <span>🎯 <strong>Element Selection Mode</strong> - Click any element to select it</span>
-      <button id="convert-cancel-selection" style="
-        background: #ef4444;
+    const buttonStyle = `
         color: white;
         border: none;
         padding: 6px 12px;
@@ -110,7 +119,17 @@ class ElementSelector {
         cursor: pointer;
         font-size: 12px;
         font-weight: 500;
-      ">Cancel (Esc)</button>
+    `;
+    banner.innerHTML = `
+      <span>
+        🎯 <strong>Element Selection Mode</strong> - Click any element to select it
+        <span id="convert-selector-status" style="display: block; font-size: 12px; color: #9ca3af; margin-top: 4px;">
+          Shift+click or Space adds to the selection · ↑ parent · ↓ child · ← → siblings · A selects all similar
+        </span>
+      </span>
+      <button id="convert-select-similar" style="background: #4b5563; ${buttonStyle}">Select similar (A)</button>
+      <button id="convert-finish-selection" style="background: #3b82f6; display: none; ${buttonStyle}">Done (Enter)</button>
+      <button id="convert-cancel-selection" style="background: #ef4444; ${buttonStyle}">Cancel (Esc)</button>
     `;
 
     document.body.appendChild(this.overlay);
@@ -124,6 +143,18 @@ class ElementSelector {
       e.stopPropagation();
       this.cancel();
     });
+
+    document.getElementById('convert-select-similar').addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      if (this.currentTarget) this.selectSimilar(this.currentTarget);
+    });
+
+    document.getElementById('convert-finish-selection').addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.finishSelection();
+    });
   }
 
   removeOverlay() {
@@ -138,6 +169,7 @@ class ElementSelector {
       const el = document.getElementById(id);
       if (el) el.remove();
     });
+    this.clearSelectionBoxes();
 
     this.overlay = null;
     this.highlightBox = null;
@@ -166,32 +198,51 @@ class ElementSelector {
   }
 
   onMouseMove(e) {
+    // Keep the hovered target while the pointer is on the banner buttons
+    if (e.target.closest?.('#convert-selector-banner')) return;
+
     console.log('🎯 Mouse move at:', e.clientX, e.clientY);
     const element = this.getElementFromPoint(e.clientX, e.clientY);
     console.log('🎯 Element from point:', element?.tagName, element?.className, element?.id);
     
-    if (!element || element === document.body || element === document.documentElement) {
+    if (!element || element === element.ownerDocument.body || element === element.ownerDocument.documentElement) {
       console.log('🎯 Invalid element, hiding highlight');
       this.hideHighlight();
       return;
     }
 
     console.log('🎯 Highlighting element on mousemove:', element.tagName, element.className);
+    this.currentTarget = element;
     this.highlightElement(element);
   }
 
   onClick(e) {
+    // Banner buttons handle their own clicks
+    if (e.target.closest?.('#convert-selector-banner')) return;
+
     console.log('🎯 Element selector click detected', e);
     e.preventDefault();
     e.stopPropagation();
 
     const element = this.getElementFromPoint(e.clientX, e.clientY);
     console.log('🎯 Element found:', element);
-    if (!element || element === document.body || element === document.documentElement) {
+    if (!element || element === element.ownerDocument.body || element === element.ownerDocument.documentElement) {
       console.log('🎯 Invalid element, ignoring click');
       return;
     }
 
+    if (e.shiftKey) {
+      this.toggleInSelection(element);
+      return;
+    }
+
+    // A plain click ends multi-select with the clicked element included
+    if (this.selection.length > 0) {
+      if (!this.selection.includes(element)) this.addToSelection(element);
+      this.finishSelection();
+      return;
+    }
+
     console.log('🎯 Selecting element:', element.tagName, element.className);
     this.selectElement(element);
   }
@@ -200,7 +251,167 @@ class ElementSelector {
     if (e.key === 'Escape') {
       e.preventDefault();
       this.cancel();
+      return;
+    }
+
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      if (this.selection.length > 0) {
+        this.finishSelection();
+      } else if (this.currentTarget) {
+        this.selectElement(this.currentTarget);
+      }
+      return;
+    }
+
+    if (!this.currentTarget) return;
+
+    const moves = {
+      ArrowUp: () => this.getParent(this.currentTarget),
+      ArrowDown: () => this.currentTarget.firstElementChild,
+      ArrowLeft: () => this.currentTarget.previousElementSibling,
+      ArrowRight: () => this.currentTarget.nextElementSibling
+    };
+
+    if (moves[e.key]) {
+      e.preventDefault(); // Keep the page from scrolling
+      const next = moves[e.key]();
+      if (next && next !== next.ownerDocument.body && next !== next.ownerDocument.documentElement) {
+        this.currentTarget = next;
+        this.highlightElement(next);
+      }
+    } else if (e.key === ' ') {
+      e.preventDefault();
+      this.toggleInSelection(this.currentTarget);
+    } else if (e.key === 'a' || e.key === 'A') {
+      e.preventDefault();
+      this.selectSimilar(this.currentTarget);
+    }
+  }
+
+  // Parent element, crossing out of shadow roots to their host
+  getParent(element) {
+    if (element.parentElement) return element.parentElement;
+    const root = element.getRootNode();
+    return root instanceof ShadowRoot ? root.host : null;
+  }
+
+  addToSelection(element) {
+    if (this.selection.length >= this.maxSelection) return;
+    this.selection.push(element);
+  }
+
+  toggleInSelection(element) {
+    const index = this.selection.indexOf(element);
+    if (index >= 0) {
+      this.selection.splice(index, 1);
+    } else {
+      this.addToSelection(element);
     }
+    this.groupSelector = null; // Hand-picked changes break the structural group
+    this.renderSelection();
+  }
+
+  /**
+   * Select every element sharing the target's structural pattern (e.g. all product cards)
+   */
+  selectSimilar(element) {
+    const group = this.findSimilarElements(element);
+    this.selection = group.elements.slice(0, this.maxSelection);
+    this.groupSelector = group.elements.length > 1 ? group.selector : null;
+    this.renderSelection();
+  }
+
+  /**
+   * Tightest selector matching the element and its look-alikes: all stable classes, then the
+   * first class under the same parent pattern, then the first class, then tag under the parent
+   * @returns {{ selector: string, elements: Element[] }}
+   */
+  findSimilarElements(element) {
+    const root = element.getRootNode();
+    const tag = element.tagName.toLowerCase();
+    const classes = this.getStableClasses(element).map(c => this.escapeCSSIdentifier(c));
+    const parent = element.parentElement;
+    const parentClass = parent ? this.getStableClasses(parent)[0] : null;
+    const parentPart = parent && parent !== element.ownerDocument.body
+      ? `${parent.tagName.toLowerCase()}${parentClass ? `.${this.escapeCSSIdentifier(parentClass)}` : ''}`
+      : null;
+
+    const candidates = [];
+    if (classes.length > 0) {
+      candidates.push(`${tag}.${classes.join('.')}`);
+      if (parentPart) candidates.push(`${parentPart} > ${tag}.${classes[0]}`);
+      candidates.push(`${tag}.${classes[0]}`);
+    }
+    if (parentPart) candidates.push(`${parentPart} > ${tag}`);
+
+    for (const selector of candidates) {
+      try {
+        const matches = Array.from(root.querySelectorAll(selector));
+        if (matches.length > 1 && matches.includes(element)) {
+          return { selector, elements: matches };
+        }
+      } catch (error) {
+        // Unusual class names can still produce invalid selectors; try the next pattern
+      }
+    }
+
+    return { selector: this.generateSelector(element, root), elements: [element] };
+  }
+
+  // Classes worth grouping by: no state classes, generated hashes or our own markers
+  getStableClasses(element) {
+    return this.selectorEngine ? this.selectorEngine.getStableClasses(element, 2) : [];
+  }
+
+  // How many elements the selector matches in the element's own document or shadow root
+  countMatches(element) {
+    try {
+      return element.getRootNode().querySelectorAll(this.generateSelector(element, element.getRootNode())).length;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  renderSelection() {
+    this.clearSelectionBoxes();
+
+    this.selection.forEach(element => {
+      const rect = this.getViewportRect(element);
+      const box = document.createElement('div');
+      box.className = 'convert-selection-box';
+      box.style.cssText = `
+        position: absolute;
+        top: ${rect.top + window.scrollY}px;
+        left: ${rect.left + window.scrollX}px;
+        width: ${rect.width}px;
+        height: ${rect.height}px;
+        border: 2px solid #10b981;
+        background: rgba(16, 185, 129, 0.15);
+        pointer-events: none;
+        z-index: 1000000;
+      `;
+      document.body.appendChild(box);
+      this.selectionBoxes.push(box);
+    });
+
+    const status = document.getElementById('convert-selector-status');
+    if (status) {
+      const count = this.selection.length;
+      status.textContent = count === 0
+        ? 'Shift+click or Space adds to the selection · ↑ parent · ↓ child · ← → siblings · A selects all similar'
+        : `${count} selected${this.groupSelector ? ` · all match ${this.groupSelector}` : ''} · Enter to finish`;
+    }
+
+    const finishBtn = document.getElementById('convert-finish-selection');
+    if (finishBtn) {
+      finishBtn.style.display = this.selection.length > 0 ? 'inline-block' : 'none';
+    }
+  }
+
+  clearSelectionBoxes() {
+    this.selectionBoxes.forEach(box => box.remove());
+    this.selectionBoxes = [];
   }
 
   getElementFromPoint(x, y) {
@@ -211,13 +422,14 @@ class ElementSelector {
       this.overlay,
       this.highlightBox,
       this.infoBox,
-      document.getElementById('convert-selector-banner')
+      document.getElementById('convert-selector-banner'),
+      ...this.selectionBoxes
     ].filter(Boolean);
     
     // Hide our UI elements
     elementsToHide.forEach(el => el.style.visibility = 'hidden');
     
-    const element = document.elementFromPoint(x, y);
+    const element = this.traversal ? this.traversal.elementFromPointDeep(x, y) : document.elementFromPoint(x, y);
     console.log('🎯 Found element:', element?.tagName, element?.className, element?.id);
     
     // Show our UI elements again
@@ -227,7 +439,7 @@ class ElementSelector {
   }
 
   highlightElement(element) {
-    const rect = element.getBoundingClientRect();
+    const rect = this.getViewportRect(element);
     
     this.highlightBox.style.top = `${rect.top + window.scrollY}px`;
     this.highlightBox.style.left = `${rect.left + window.scrollX}px`;
@@ -236,14 +448,19 @@ class ElementSelector {
     this.highlightBox.style.display = 'block';
 
     // Update info box
-    const selector = this.generateSelector(element);
+    const selector = this.generateScopedSelector(element);
     const tag = element.tagName.toLowerCase();
     const id = element.id ? `#${element.id}` : '';
     const classes = element.className ? `.${[...element.classList].join('.')}` : '';
     
+    const matchCount = this.countMatches(element);
+    const matchInfo = matchCount === 1
+      ? '<span style="color: #10b981;">✓ unique</span>'
+      : `<span style="color: #f59e0b;">⚠ matches ${matchCount} elements</span>`;
+
     this.infoBox.innerHTML = `
       <div style="font-weight: 600; margin-bottom: 4px;">&lt;${tag}${id}${classes}&gt;</div>
-      <div style="font-size: 11px; color: #9ca3af;">Selector: <code style="background: rgba(255,255,255,0.1); padding: 2px 4px; border-radius: 2px;">${selector}</code></div>
+      <div style="font-size: 11px; color: #9ca3af;">Selector: <code style="background: rgba(255,255,255,0.1); padding: 2px 4px; border-radius: 2px;">${selector}</code> ${matchInfo}</div>
       <div style="font-size: 11px; color: #9ca3af; margin-top: 4px;">${rect.width.toFixed(0)} × ${rect.height.toFixed(0)}px</div>
     `;
 
@@ -279,6 +496,49 @@ class ElementSelector {
     const elementData = await this.captureElementData(element);
     console.log('🎯 Element data captured:', elementData);
     
+    this.deliverSelection(elementData);
+  }
+
+  /**
+   * Send the multi-selection as one attachment: full data for the first element, a summary
+   * of every element in `elements`, and the shared selector when it came from "select similar"
+   */
+  async finishSelection() {
+    if (this.selection.length === 0) return;
+    if (this.selection.length === 1 && !this.groupSelector) {
+      this.selectElement(this.selection[0]);
+      return;
+    }
+
+    const [first] = this.selection;
+    this.selectedElement = first;
+    this.clearSelectionBoxes(); // Keep the green boxes out of the element screenshot
+    const elementData = await this.captureElementData(first);
+
+    this.deliverSelection({
+      ...elementData,
+      elements: this.selection.map(element => this.summarizeElement(element)),
+      groupSelector: this.groupSelector,
+      selectionSource: 'element-selector'
+    });
+  }
+
+  // Light entry for each selected element (no HTML or screenshot)
+  summarizeElement(element) {
+    const rect = this.getViewportRect(element);
+    const text = element.textContent?.trim().substring(0, 200) || '';
+    return {
+      selector: this.generateScopedSelector(element),
+      tag: element.tagName.toLowerCase(),
+      id: element.id || null,
+      classes: Array.from(element.classList || []),
+      text,
+      textContent: text,
+      dimensions: { width: rect.width, height: rect.height, top: rect.top, left: rect.left }
+    };
+  }
+
+  deliverSelection(elementData) {
     // Deactivate selector
     this.deactivate();
     
@@ -305,8 +565,8 @@ class ElementSelector {
   }
 
   async captureElementData(element) {
-    const rect = element.getBoundingClientRect();
-    const selector = this.generateSelector(element);
+    const rect = this.getViewportRect(element);
+    const selector = this.generateScopedSelector(element);
     const computedStyle = window.getComputedStyle(element);
     
     // Get key styles
@@ -346,6 +606,7 @@ class ElementSelector {
 
     return {
       selector,
+      scope: this.traversal ? this.traversal.getScopeInfo(element, (node, root) => this.generateSelector(node, root)).type : 'document',
       tag: element.tagName.toLowerCase(),
       id: element.id || null,
       classes: element.className ? Array.from(element.classList) : [],
@@ -374,7 +635,7 @@ class ElementSelector {
       await new Promise(resolve => setTimeout(resolve, 300));
       
       // Get element bounds after scroll
-      const rect = element.getBoundingClientRect();
+      const rect = this.getViewportRect(element);
       console.log('🎯 Element bounds after scroll:', {
         left: rect.left,
         top: rect.top,
@@ -431,44 +692,20 @@ class ElementSelector {
     return str.replace(/([!"#$%&'()*+,.\/:;<=>?@\[\\\]^`{|}~])/g, '\\$1');
   }
 
-  generateSelector(element) {
-    // Try ID first
-    if (element.id) {
-      return `#${this.escapeCSSIdentifier(element.id)}`;
-    }
-
-    // Build path from classes
-    const classes = element.className ?
-      Array.from(element.classList)
-        .filter(c => c && !c.startsWith('convert-'))
-        .slice(0, 2)
-        .map(c => this.escapeCSSIdentifier(c))
-        .join('.') : '';
-
-    const tag = element.tagName.toLowerCase();
-    let selector = tag + (classes ? `.${classes}` : '');
+  // 'host >>> inner' for elements inside shadow roots / iframes; plain selector otherwise
+  generateScopedSelector(element) {
+    if (!this.traversal) return this.generateSelector(element);
+    return this.traversal.buildDeepSelector(element, (node, root) => this.generateSelector(node, root));
+  }
 
-    // Add nth-child if needed for uniqueness
-    try {
-      if (document.querySelectorAll(selector).length > 1) {
-        const parent = element.parentElement;
-        if (parent) {
-          const siblings = Array.from(parent.children);
-          const index = siblings.indexOf(element) + 1;
-          selector += `:nth-child(${index})`;
-        }
-      }
-    } catch (e) {
-      // If selector is invalid, fall back to tag + nth-child
-      const parent = element.parentElement;
-      if (parent) {
-        const siblings = Array.from(parent.children);
-        const index = siblings.indexOf(element) + 1;
-        selector = `${tag}:nth-child(${index})`;
-      }
-    }
+  // Top-document viewport coordinates (iframe content is offset by its frame)
+  getViewportRect(element) {
+    return this.traversal ? this.traversal.getViewportRect(element) : element.getBoundingClientRect();
+  }
 
-    return selector;
+  // root: the document or shadow root the selector must be unique in
+  generateSelector(element, root = document) {
+    return this.selectorEngine ? this.selectorEngine.generate(element, root) : element.tagName.toLowerCase();
   }
 
   getXPath(element) {
@@ -2,6 +2,15 @@
 class PageCapture {
   constructor() {
     this.isInitialized = false;
+    // Open shadow roots and same-origin iframes (null if dom-traversal.js did not load)
+    this.traversal = typeof DomTraversal !== 'undefined' ? new DomTraversal() : null;
+    this.selectorEngine = typeof SelectorEngine !== 'undefined' ? new SelectorEngine() : null;
+
+    // Capture context is built in idle-time slices (long PLPs would otherwise block the page for seconds)
+    this.activeBuild = null;
+    this.MIN_SLICE_MS = 8; // Work per slice when the idle callback fires on its timeout
+    this.IDLE_TIMEOUT_MS = 200; // Busy pages never go idle; run a slice at least this often
+    this.PROGRESS_INTERVAL_MS = 250;
     this.initialize();
   }
 
@@ -22,15 +31,30 @@ class PageCapture {
           selectedElementSelector: message.selectedElementSelector || null,
           maxProximityElements: message.maxProximityElements || 8,
           maxStructureElements: message.maxStructureElements || 12,
-          proximityRadius: message.proximityRadius || 300
+          proximityRadius: message.proximityRadius || 300,
+          warmUp: message.warmUp || null // { budgetMs } - scroll through lazy content first
         };
 
         this.capturePageData(options)
           .then(data => sendResponse({ success: true, data }))
-          .catch(error => sendResponse({ success: false, error: error.message }));
+          .catch(error => sendResponse({ success: false, error: error.message, cancelled: error.cancelled === true }));
         return true; // Keep message channel open for async response
       }
 
+      // Stop button in the side panel (relayed by the service worker on STOP_AI_REQUEST)
+      if (message.type === 'CANCEL_ELEMENT_DATABASE_BUILD') {
+        sendResponse({ success: true, cancelled: this.cancelElementDatabaseBuild() });
+        return false;
+      }
+
+      // Lazy-content warm-up on its own (service worker capture screenshots before requesting data)
+      if (message.type === 'WARM_UP_LAZY_CONTENT') {
+        this.warmUpLazyContent({ budgetMs: message.budgetMs })
+          .then(result => sendResponse({ success: true, result }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+      }
+
       // Handle code preview (temporary injection)
       if (message.action === 'previewCode') {
         console.log('🎯 [Content Script] Received previewCode message:', {
@@ -576,6 +600,8 @@ class PageCapture {
 
       // Pseudo-elements (NEW)
       pseudoElements: pseudoElements,
+      // :hover/:focus/:active styles - filled in by the service worker (needs chrome.debugger)
+      pseudoStates: null,
 
       // Structure (ENHANCED)
       siblings: siblings,
@@ -699,6 +725,9 @@ class PageCapture {
     try {
       console.log('🔍 Page capture starting with options:', options);
 
+      // Load below-the-fold lazy sections before anything is measured
+      const warmUp = options.warmUp ? await this.warmUpLazyContent(options.warmUp) : null;
+
       // Use intelligent context builder for better AI performance
       const contextBuilder = new ContextBuilder();
 
@@ -708,7 +737,7 @@ class PageCapture {
 
       if (options.rootElementSelector) {
         // NEW: Root element scopes the entire database capture
-        rootElement = document.querySelector(options.rootElementSelector);
+        rootElement = this.findElement(options.rootElementSelector);
         if (!rootElement) {
           console.warn(`⚠️ Could not find root element with selector: ${options.rootElementSelector}`);
         } else {
@@ -718,7 +747,7 @@ class PageCapture {
 
       if (options.selectedElementSelector) {
         // LEGACY: Selected element for focused context mode
-        selectedElement = document.querySelector(options.selectedElementSelector);
+        selectedElement = this.findElement(options.selectedElementSelector);
         if (!selectedElement) {
           console.warn(`⚠️ Could not find element with selector: ${options.selectedElementSelector}`);
         } else {
@@ -726,13 +755,15 @@ class PageCapture {
         }
       }
 
-      const context = contextBuilder.buildContext(selectedElement, {
+      // Page scans run in idle-time slices with ELEMENT_DATABASE_PROGRESS reports; Stop cancels them
+      const context = await this.runTimeSlicedBuild('capture', build => contextBuilder.buildContext(selectedElement, {
         rootElement: rootElement, // Pass root element for scoping
         includeScreenshot: false, // Screenshot handled separately
         maxProximityElements: options.maxProximityElements || 8,
         maxStructureElements: options.maxStructureElements || 12,
-        proximityRadius: options.proximityRadius || 300
-      });
+        proximityRadius: options.proximityRadius || 300,
+        slicer: (items, phase, handler) => this.processInSlices(items, build, phase, handler)
+      }));
 
       const pageData = {
         url: window.location.href,
@@ -746,6 +777,9 @@ class PageCapture {
 
         viewport: this.getViewportInfo(),
         timestamp: Date.now(),
+        warmUp: warmUp,
+        platform: context.metadata.platform || null,
+        designTokens: this.extractDesignTokens(),
 
         // Deprecated fields (keep for compatibility)
         html: null,
@@ -768,6 +802,209 @@ class PageCapture {
     }
   }
 
+  /**
+   * Run a build as the active one (a newer build cancels an older one) and report its outcome
+   * @param {string} kind - Reported with progress, e.g. 'capture'
+   * @param {Function} task - async (build) => result
+   */
+  async runTimeSlicedBuild(kind, task) {
+    if (this.activeBuild) {
+      this.activeBuild.cancelled = true;
+    }
+
+    const build = { id: `${kind}_${Date.now()}`, kind, cancelled: false, startedAt: Date.now(), lastReportAt: 0 };
+    this.activeBuild = build;
+
+    try {
+      const result = await task(build);
+      this.reportBuildProgress(build, 'done', 1, 1, true);
+      return result;
+    } catch (error) {
+      this.reportBuildProgress(build, error.cancelled ? 'cancelled' : 'failed', 0, 0, true);
+      throw error;
+    } finally {
+      if (this.activeBuild === build) {
+        this.activeBuild = null;
+      }
+    }
+  }
+
+  /**
+   * Call handler(item, index) for every item, yielding to the page between idle-time slices
+   * @throws {Error} with error.cancelled = true once the build is cancelled
+   */
+  async processInSlices(items, build, phase, handler) {
+    let index = 0;
+
+    while (index < items.length) {
+      const deadline = await this.nextIdleSlice();
+      if (build.cancelled) {
+        const error = new Error('Page capture cancelled');
+        error.cancelled = true;
+        throw error;
+      }
+
+      const sliceEnd = performance.now() + Math.max(this.MIN_SLICE_MS, deadline.timeRemaining());
+      do {
+        try {
+          handler(items[index], index);
+        } catch (error) {
+          // Detached nodes and cross-origin quirks: skip the element, keep the build going
+          console.warn(`Element skipped during ${phase}:`, error.message);
+        }
+        index++;
+      } while (index < items.length && performance.now() < sliceEnd);
+
+      this.reportBuildProgress(build, phase, index, items.length);
+    }
+  }
+
+  nextIdleSlice() {
+    return new Promise(resolve => {
+      if (typeof requestIdleCallback === 'function') {
+        requestIdleCallback(resolve, { timeout: this.IDLE_TIMEOUT_MS });
+      } else {
+        setTimeout(() => resolve({ didTimeout: true, timeRemaining: () => 0 }), 0);
+      }
+    });
+  }
+
+  // Throttled ELEMENT_DATABASE_PROGRESS for the side panel and service worker
+  reportBuildProgress(build, phase, processed, total, force = false) {
+    const now = Date.now();
+    if (!force && now - build.lastReportAt < this.PROGRESS_INTERVAL_MS) return;
+    build.lastReportAt = now;
+
+    chrome.runtime.sendMessage({
+      type: 'ELEMENT_DATABASE_PROGRESS',
+      buildId: build.id,
+      kind: build.kind,
+      phase, // 'scan' | 'measure' | 'describe' | 'done' | 'cancelled' | 'failed'
+      processed,
+      total,
+      done: ['done', 'cancelled', 'failed'].includes(phase),
+      elapsedMs: now - build.startedAt
+    }).catch(() => {});
+  }
+
+  /**
+   * Cancel the running build; it stops at its next slice
+   * @returns {boolean} Whether a build was running
+   */
+  cancelElementDatabaseBuild() {
+    if (!this.activeBuild) return false;
+
+    console.log(`🛑 Cancelling ${this.activeBuild.kind} build`);
+    this.activeBuild.cancelled = true;
+    this.activeBuild = null;
+    return true;
+  }
+
+  /**
+   * Scroll through the document so lazy sections (images, review widgets, carousels) render,
+   * then restore the scroll position. Stops at the bottom or when the time budget runs out.
+   * @param {Object} options
+   * @param {number} options.budgetMs - Total time allowed, including the final settle
+   */
+  async warmUpLazyContent(options = {}) {
+    const budgetMs = Math.max(1000, options.budgetMs || 8000);
+    const quietMs = 400; // No DOM mutations or finished requests for this long counts as loaded
+    const maxSteps = 40; // Infinite-scroll feeds keep growing; the budget usually ends first
+    const start = Date.now();
+    const deadline = start + budgetMs;
+
+    const scroller = document.scrollingElement || document.documentElement;
+    const original = { x: window.scrollX, y: window.scrollY };
+    const heightBefore = scroller.scrollHeight;
+    const stepSize = Math.max(200, Math.round(window.innerHeight * 0.85));
+
+    let position = 0;
+    let steps = 0;
+    let reachedBottom = false;
+
+    console.log(`🔥 Warming up lazy content (budget ${budgetMs}ms)`);
+
+    window.scrollTo({ left: 0, top: 0, behavior: 'instant' });
+
+    // Keep the last step's quiet wait inside the budget so the restore always happens
+    while (steps < maxSteps && Date.now() < deadline - quietMs) {
+      const maxScroll = scroller.scrollHeight - window.innerHeight;
+      if (position >= maxScroll) {
+        reachedBottom = true;
+        break;
+      }
+
+      position = Math.min(position + stepSize, maxScroll);
+      window.scrollTo({ left: 0, top: position, behavior: 'instant' });
+      steps++;
+
+      await this.waitForQuiet(quietMs, deadline);
+    }
+
+    window.scrollTo({ left: original.x, top: original.y, behavior: 'instant' });
+    // Sticky headers and scroll-linked animations reset on the way back
+    await this.waitForQuiet(Math.min(quietMs, 200), Date.now() + quietMs);
+
+    const result = {
+      steps,
+      reachedBottom,
+      timedOut: !reachedBottom && steps < maxSteps,
+      heightBefore,
+      heightAfter: scroller.scrollHeight,
+      duration: Date.now() - start
+    };
+
+    console.log('🔥 Lazy content warm-up finished:', result);
+    return result;
+  }
+
+  /**
+   * Resolve once the DOM and network have been quiet for quietMs, or at the deadline
+   * Network activity is approximated by finished resource entries and loading images in view
+   */
+  waitForQuiet(quietMs, deadline) {
+    return new Promise(resolve => {
+      let lastActivity = Date.now();
+      const markActivity = () => { lastActivity = Date.now(); };
+
+      const mutationObserver = new MutationObserver(markActivity);
+      mutationObserver.observe(document.documentElement, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter: ['src', 'srcset', 'style', 'class']
+      });
+
+      let resourceObserver = null;
+      try {
+        resourceObserver = new PerformanceObserver(markActivity);
+        resourceObserver.observe({ type: 'resource' });
+      } catch (error) {
+        // PerformanceObserver unavailable - DOM quiet alone decides
+      }
+
+      const check = setInterval(() => {
+        const now = Date.now();
+        const quiet = now - lastActivity >= quietMs && !this.hasPendingImagesInView();
+        if (quiet || now >= deadline) {
+          clearInterval(check);
+          mutationObserver.disconnect();
+          resourceObserver?.disconnect();
+          resolve();
+        }
+      }, 100);
+    });
+  }
+
+  hasPendingImagesInView() {
+    const viewportHeight = window.innerHeight;
+    return Array.from(document.images).some(img => {
+      if (img.complete) return false;
+      const rect = img.getBoundingClientRect();
+      return rect.bottom > 0 && rect.top < viewportHeight && rect.width > 0;
+    });
+  }
+
   /**
    * Convert new hierarchical context to legacy elementDatabase format
    * for backward compatibility
@@ -912,95 +1149,40 @@ class PageCapture {
     return allCSS;
   }
 
-  // Helper function to escape special characters in CSS selectors
-  escapeCSSIdentifier(str) {
-    // Escape special CSS characters: !"#$%&'()*+,./:;<=>?@[\]^`{|}~
-    // Also handle leading digits
-    if (!str) return '';
-
-    // CSS.escape is the standard way, but fallback for older browsers
-    if (typeof CSS !== 'undefined' && CSS.escape) {
-      return CSS.escape(str);
+  /**
+   * Structured design tokens (custom properties, palette, type/spacing scale, radii, buttons)
+   * from the same stylesheets extractCSS reads; cached per domain by the side panel
+   */
+  extractDesignTokens() {
+    if (typeof DesignSystemExtractor === 'undefined') return null;
+    try {
+      const tokens = new DesignSystemExtractor().extract(document);
+      console.log(`🎨 Design tokens: ${tokens.variables.length} variables, ${tokens.buttons.length} button styles (${tokens.sources.duration}ms)`);
+      return tokens;
+    } catch (error) {
+      console.warn('Design token extraction failed:', error);
+      return null;
     }
-
-    // Manual fallback
-    return str.replace(/([!"#$%&'()*+,.\/:;<=>?@\[\\\]^`{|}~])/g, '\\$1');
   }
 
-  generateUniqueSelector(element) {
-    // Try ID first
-    if (element.id) {
-      return `#${this.escapeCSSIdentifier(element.id)}`;
-    }
-
-    // Try unique class combination (prefer simpler selectors)
-    if (element.className && typeof element.className === 'string') {
-      const classes = element.className.trim().split(/\s+/).filter(cls => cls.length > 0);
-      if (classes.length > 0) {
-        // Escape each class name
-        const escapedClasses = classes.map(cls => this.escapeCSSIdentifier(cls));
-
-        // Try single class first, then progressively more specific
-        for (let i = 1; i <= Math.min(escapedClasses.length, 3); i++) {
-          const classSelector = element.tagName.toLowerCase() + '.' + escapedClasses.slice(0, i).join('.');
-          try {
-            const matchingElements = document.querySelectorAll(classSelector);
-            if (matchingElements.length <= 3 && matchingElements.length > 0) {
-              return classSelector;
-            }
-          } catch (e) {
-            // If selector is still invalid, skip to next
-            continue;
-          }
-        }
-
-        // Fallback to all classes if needed
-        const fullClassSelector = `.${escapedClasses.join('.')}`;
-        try {
-          const matchingElements = document.querySelectorAll(fullClassSelector);
-          if (matchingElements.length <= 5) {
-            return fullClassSelector;
-          }
-        } catch (e) {
-          // Invalid selector, fall through to path-based
-        }
-      }
-    }
-
-    // Generate path-based selector
-    const path = [];
-    let currentElement = element;
-
-    while (currentElement && currentElement !== document.body) {
-      let selector = currentElement.tagName.toLowerCase();
-
-      if (currentElement.id) {
-        selector += `#${this.escapeCSSIdentifier(currentElement.id)}`;
-        path.unshift(selector);
-        break;
-      }
-
-      if (currentElement.className && typeof currentElement.className === 'string') {
-        const classes = currentElement.className.trim().split(/\s+/);
-        if (classes.length > 0 && classes[0]) {
-          selector += `.${this.escapeCSSIdentifier(classes[0])}`;
-        }
-      }
-
-      // Add nth-child if there are siblings
-      const siblings = Array.from(currentElement.parentNode?.children || []);
-      const sameTagSiblings = siblings.filter(sibling => sibling.tagName === currentElement.tagName);
+  // root: the document or shadow root the selector must be unique in
+  generateUniqueSelector(element, root = document) {
+    return this.selectorEngine ? this.selectorEngine.generate(element, root) : element.tagName.toLowerCase();
+  }
 
-      if (sameTagSiblings.length > 1) {
-        const index = sameTagSiblings.indexOf(currentElement) + 1;
-        selector += `:nth-child(${index})`;
-      }
+  // Accepts deep 'host >>> inner' selectors from the element selector
+  findElement(selector) {
+    return this.traversal ? this.traversal.querySelectorDeep(selector) : document.querySelector(selector);
+  }
 
-      path.unshift(selector);
-      currentElement = currentElement.parentElement;
-    }
+  // Shadow root / iframe boundaries above an element, as selectors (see DomTraversal)
+  getElementScope(element) {
+    if (!this.traversal) return { type: 'document', hops: [] };
+    return this.traversal.getScopeInfo(element, (node, root) => this.generateUniqueSelector(node, root));
+  }
 
-    return path.slice(-3).join(' > '); // Use last 3 elements to avoid overly long selectors
+  toScopedSelector(scope, selector) {
+    return scope.hops.length ? [...scope.hops, selector].join(this.traversal.separator) : selector;
   }
 
   getViewportInfo() {
@@ -1160,20 +1342,29 @@ class PageCapture {
     ];
 
     const seen = new Set();
+
+    // Web components and embedded checkouts: also query open shadow roots and same-origin iframes
+    const scopes = this.traversal ? this.traversal.collectScopes(document) : null;
+    if (scopes?.length > 1) {
+      console.log(`🧩 Including ${scopes.length - 1} shadow root / iframe scopes`);
+    }
     
     prioritySelectors.forEach(selector => {
       try {
-        document.querySelectorAll(selector).forEach(element => {
+        const matches = scopes ? this.traversal.querySelectorAllDeep(selector, document, scopes) : document.querySelectorAll(selector);
+        matches.forEach(element => {
           // Skip if already processed or not visible
           if (seen.has(element)) return;
           if (!element.offsetParent && element.tagName.toLowerCase() !== 'option') return;
           
-          const rect = element.getBoundingClientRect();
+          // Top-document viewport coordinates, even for iframe content
+          const rect = this.traversal ? this.traversal.getViewportRect(element) : element.getBoundingClientRect();
           if (rect.width === 0 && rect.height === 0) return;
           
           seen.add(element);
           
-          const computed = window.getComputedStyle(element);
+          const computed = (element.ownerDocument.defaultView || window).getComputedStyle(element);
+          const scope = this.getElementScope(element);
           const text = element.textContent?.trim() || '';
           const tag = element.tagName.toLowerCase();
           
@@ -1182,8 +1373,8 @@ class PageCapture {
           
           const elementData = {
             id: `el_${String(elementId++).padStart(3, '0')}`,
-            selector: this.generateUniqueSelector(element),
-            alternativeSelectors: this.generateAlternatives(element),
+            selector: this.toScopedSelector(scope, this.generateUniqueSelector(element, element.getRootNode())),
+            alternativeSelectors: this.generateAlternatives(element).map(alternative => this.toScopedSelector(scope, alternative)),
             
             type: tag,
             text: text.substring(0, 150),
@@ -1230,6 +1421,8 @@ class PageCapture {
               hasClickHandler: element.onclick !== null || element.hasAttribute('onclick'),
               importance: this.calculateImportance(element, computed),
               category: this.categorizeElement(element),
+              scope: scope.type, // 'document' | 'shadow' | 'iframe'
+              scopePath: scope.hops,
               timestamp: Date.now()
             }
           };
@@ -1245,6 +1438,7 @@ class PageCapture {
     database.elements.sort((a, b) => b.metadata.importance - a.metadata.importance);
     
     database.metadata.totalElements = database.elements.length;
+    database.metadata.scopedElements = database.elements.filter(el => el.metadata.scope !== 'document').length;
 
     console.log(`✅ Element Database built: ${database.elements.length} elements`);
 
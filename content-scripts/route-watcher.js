@@ -0,0 +1,130 @@
+// Route Watcher - notices client-side navigations on SPAs (React, Next.js, Shopify Hydrogen)
+// tabs.onUpdated only reports full loads; this reports history pushState/replaceState/popstate,
+// hash changes and large DOM swaps once the new view has settled
+
+class RouteWatcher {
+  constructor() {
+    this.lastUrl = window.location.href;
+    this.pendingReason = null;
+    this.firstChangeAt = null;
+    this.settleTimer = null;
+    this.burstTimer = null;
+    this.removedInBurst = 0;
+    this.baselineCount = 0;
+
+    this.settleDelay = 800; // DOM must be quiet this long before the route counts as settled
+    this.maxSettleWait = 5000; // Report anyway on pages that never stop mutating
+    this.burstWindow = 1000; // Removals within this window count as one swap
+    this.swapRatio = 0.3; // Share of body elements removed in one burst that means a new view
+    this.minSwapElements = 50; // Ignore swaps on tiny documents
+
+    this.start();
+  }
+
+  start() {
+    window.addEventListener('popstate', () => this.onNavigation('popstate'));
+    window.addEventListener('hashchange', () => this.onNavigation('hashchange'));
+
+    // Content scripts can't patch the page's history.pushState (isolated world);
+    // the Navigation API reports pushState/replaceState made by page scripts
+    if (window.navigation?.addEventListener) {
+      const reasons = { push: 'pushState', replace: 'replaceState', traverse: 'popstate' };
+      window.navigation.addEventListener('currententrychange', (event) => {
+        this.onNavigation(reasons[event.navigationType] || 'navigation');
+      });
+    }
+
+    if (!document.body) return;
+    this.baselineCount = this.countElements();
+    this.observer = new MutationObserver((mutations) => this.onMutations(mutations));
+    this.observer.observe(document.body, { childList: true, subtree: true });
+  }
+
+  countElements() {
+    return document.body ? document.body.getElementsByTagName('*').length : 0;
+  }
+
+  // Our own overlays and preview elements must not look like a route change
+  isExtensionNode(node) {
+    return node.nodeType === Node.ELEMENT_NODE &&
+      ((node.id && node.id.startsWith('convert-')) || node.hasAttribute('data-convert-preview'));
+  }
+
+  onNavigation(reason) {
+    if (window.location.href === this.lastUrl && reason !== 'dom-swap') return;
+
+    this.pendingReason = this.pendingReason || reason;
+    this.scheduleSettle();
+  }
+
+  onMutations(mutations) {
+    // Fallback for browsers without the Navigation API: URL changed alongside a DOM update
+    if (window.location.href !== this.lastUrl && !this.pendingReason) {
+      this.onNavigation('pushState');
+    }
+
+    mutations.forEach(mutation => {
+      mutation.removedNodes.forEach(node => {
+        if (node.nodeType !== Node.ELEMENT_NODE || this.isExtensionNode(node)) return;
+        this.removedInBurst += 1 + node.getElementsByTagName('*').length;
+      });
+    });
+
+    if (this.pendingReason) {
+      this.scheduleSettle(); // Still rendering the new view
+    } else if (this.baselineCount >= this.minSwapElements &&
+               this.removedInBurst >= this.baselineCount * this.swapRatio) {
+      this.onNavigation('dom-swap');
+    }
+
+    if (this.removedInBurst && !this.burstTimer) {
+      this.burstTimer = setTimeout(() => {
+        this.burstTimer = null;
+        this.removedInBurst = 0;
+        if (!this.pendingReason) this.baselineCount = this.countElements();
+      }, this.burstWindow);
+    }
+  }
+
+  scheduleSettle() {
+    clearTimeout(this.settleTimer);
+    this.firstChangeAt = this.firstChangeAt || Date.now();
+
+    const remaining = this.maxSettleWait - (Date.now() - this.firstChangeAt);
+    this.settleTimer = setTimeout(() => this.report(), Math.max(0, Math.min(this.settleDelay, remaining)));
+  }
+
+  report() {
+    const change = {
+      type: 'SPA_ROUTE_CHANGED',
+      reason: this.pendingReason,
+      url: window.location.href,
+      previousUrl: this.lastUrl,
+      title: document.title,
+      settledAfter: Date.now() - this.firstChangeAt
+    };
+
+    this.lastUrl = window.location.href;
+    this.pendingReason = null;
+    this.firstChangeAt = null;
+    this.removedInBurst = 0;
+    this.baselineCount = this.countElements();
+
+    console.log(`🧭 Route changed (${change.reason}): ${change.previousUrl} → ${change.url}`);
+
+    // Extension reloaded: this content script is orphaned, stop watching
+    if (!chrome.runtime?.id) {
+      this.observer?.disconnect();
+      return;
+    }
+    chrome.runtime.sendMessage(change).catch(() => {});
+  }
+}
+
+// Initialize route watcher
+const routeWatcher = new RouteWatcher();
+
+// Export for potential use by other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RouteWatcher;
+}
@@ -0,0 +1,115 @@
+// Setup Recorder - turns clicks and form input into a TestPatterns setup script
+// Started/stopped from the side panel's Page Setup dialog (START/STOP_SETUP_RECORDING)
+
+class SetupRecorder {
+  constructor() {
+    this.recording = false;
+    this.steps = [];
+    this.lastStepAt = 0;
+    this.maxPause = 3000; // Longer pauses while recording are capped in the generated waits
+
+    this.onClick = this.onClick.bind(this);
+    this.onChange = this.onChange.bind(this);
+
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      if (message.type === 'START_SETUP_RECORDING') {
+        this.start();
+        sendResponse({ success: true });
+      } else if (message.type === 'STOP_SETUP_RECORDING') {
+        sendResponse({ success: true, ...this.stop() });
+      }
+    });
+  }
+
+  start() {
+    this.recording = true;
+    this.steps = [];
+    this.lastStepAt = Date.now();
+    // Capture phase so handlers that stop propagation don't hide the step
+    document.addEventListener('click', this.onClick, true);
+    document.addEventListener('change', this.onChange, true);
+    console.log('⏺️ Setup recording started');
+  }
+
+  stop() {
+    this.recording = false;
+    document.removeEventListener('click', this.onClick, true);
+    document.removeEventListener('change', this.onChange, true);
+    console.log(`⏹️ Setup recording stopped (${this.steps.length} steps)`);
+    return { steps: this.steps, script: this.toScript() };
+  }
+
+  getSelector(element) {
+    if (typeof pageCapture !== 'undefined' && pageCapture?.generateUniqueSelector) {
+      return pageCapture.generateUniqueSelector(element);
+    }
+    return element.id ? `#${CSS.escape(element.id)}` : element.tagName.toLowerCase();
+  }
+
+  isExtensionNode(element) {
+    return Boolean(element.closest('[id^="convert-"], [data-convert-preview]'));
+  }
+
+  addStep(step) {
+    const now = Date.now();
+    step.pause = Math.min(now - this.lastStepAt, this.maxPause);
+    this.lastStepAt = now;
+    this.steps.push(step);
+  }
+
+  onClick(event) {
+    if (!event.isTrusted || !(event.target instanceof Element)) return;
+
+    const element = event.target.closest('a, button, summary, label, select, [role="button"], [role="tab"], [onclick]') || event.target;
+    if (this.isExtensionNode(element)) return;
+    // The browser follows a label click with a click on its control; record that one only
+    if (element.tagName === 'LABEL' && element.control) return;
+    // Typing into a field is recorded by the change handler
+    if (element.matches('input:not([type="checkbox"]):not([type="radio"]):not([type="submit"]):not([type="button"]), textarea, select')) return;
+
+    this.addStep({ action: 'click', selector: this.getSelector(element) });
+  }
+
+  onChange(event) {
+    const element = event.target;
+    if (!event.isTrusted || !element.matches?.('input, textarea, select') || this.isExtensionNode(element)) return;
+    if (element.type === 'checkbox' || element.type === 'radio') return; // Recorded as clicks
+
+    const selector = this.getSelector(element);
+    const previous = this.steps[this.steps.length - 1];
+    // Passwords are never stored; the script gets a placeholder to fill in
+    const value = element.type === 'password' ? 'PASSWORD_HERE' : element.value;
+
+    if (previous?.action === 'fill' && previous.selector === selector) {
+      previous.value = value;
+    } else {
+      this.addStep({ action: 'fill', selector, value, secret: element.type === 'password' });
+    }
+  }
+
+  toScript() {
+    return this.steps.map(step => {
+      const lines = [];
+      if (step.pause > 1000) {
+        lines.push(`await TestPatterns.wait(${Math.round(step.pause / 100) * 100});`);
+      }
+
+      const target = `await TestPatterns.waitForElement(${JSON.stringify(step.selector)})`;
+      if (step.action === 'click') {
+        lines.push(`await TestPatterns.simulateClick(${target});`);
+      } else {
+        if (step.secret) lines.push('// TODO: replace the password placeholder');
+        lines.push(`await TestPatterns.fillInput(${target}, ${JSON.stringify(step.value)});`);
+      }
+      return lines.join('\n');
+    }).join('\n');
+  }
+}
+
+// Initialize setup recorder
+const setupRecorder = new SetupRecorder();
+
+// Export for potential use by other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SetupRecorder;
+}
@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+/**
+ * Offline regression runner for exported experiments
+ *
+ * Usage:
+ *   node scripts/run-regressions.js <suite-dir>
+ *   node scripts/run-regressions.js <experiment.json> --snapshot <page.html>
+ *
+ * In a suite directory every `name.json` export is paired with `name.html`.
+ * Options:
+ *   --variation <n>   Only run variation n (repeatable)
+ *   --timeout <ms>    Per test-script budget (default 30000)
+ *   --settle <ms>     Delay before the test script runs (default 500)
+ *   --json            Print machine-readable results
+ *   --verbose         Forward page console output
+ *
+ * Exits 1 when any variation fails or errors.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const HeadlessRegressionRunner = require('../utils/headless-regression-runner');
+
+function parseArgs(argv) {
+  const args = { inputs: [], variations: [], json: false, verbose: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--snapshot') args.snapshot = argv[++i];
+    else if (arg === '--variation') args.variations.push(parseInt(argv[++i], 10));
+    else if (arg === '--timeout') args.timeout = parseInt(argv[++i], 10);
+    else if (arg === '--settle') args.settle = parseInt(argv[++i], 10);
+    else if (arg === '--json') args.json = true;
+    else if (arg === '--verbose') args.verbose = true;
+    else args.inputs.push(arg);
+  }
+  return args;
+}
+
+// Pair each export with its snapshot: explicit --snapshot, or name.json ↔ name.html
+function collectCases(args) {
+  const cases = [];
+
+  args.inputs.forEach(input => {
+    const stat = fs.statSync(input);
+    if (stat.isDirectory()) {
+      fs.readdirSync(input)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .forEach(file => {
+          const base = path.join(input, path.basename(file, '.json'));
+          cases.push({ name: path.basename(base), experimentPath: `${base}.json`, snapshotPath: `${base}.html` });
+        });
+    } else {
+      const snapshotPath = args.snapshot || input.replace(/\.json$/, '.html');
+      cases.push({ name: path.basename(input, '.json'), experimentPath: input, snapshotPath });
+    }
+  });
+
+  return cases;
+}
+
+function printCase(entry) {
+  if (entry.error) {
+    console.log(`💥 ERROR ${entry.name}: ${entry.error}`);
+    return;
+  }
+
+  entry.results.forEach(result => {
+    const icon = result.status === 'passed' ? '✅ PASS ' : result.status === 'failed' ? '❌ FAIL ' : '💥 ERROR';
+    const checks = result.validations.length
+      ? ` ${result.validations.filter(v => v.passed).length}/${result.validations.length} checks,`
+      : '';
+    console.log(`${icon} ${entry.name} › ${result.name} (${checks} ${result.duration}ms)`.replace('( ', '('));
+
+    result.validations
+      .filter(validation => !validation.passed)
+      .forEach(validation => {
+        console.log(`    ✗ ${validation.test}${validation.expected ? ` - expected ${validation.expected}, got ${validation.actual}` : ''}`);
+      });
+    result.errors.forEach(error => console.log(`    ⚠️ ${error}`));
+  });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.inputs.length === 0) {
+    console.error('Usage: node scripts/run-regressions.js <suite-dir | experiment.json> [--snapshot page.html]');
+    process.exit(2);
+  }
+
+  let JSDOM;
+  try {
+    ({ JSDOM } = require('jsdom'));
+  } catch (error) {
+    console.error('❌ jsdom is not installed. Run `npm install` first.');
+    process.exit(2);
+  }
+
+  const runner = new HeadlessRegressionRunner({
+    JSDOM,
+    testPatternsSource: fs.readFileSync(path.join(__dirname, '..', 'utils', 'test-patterns.js'), 'utf8'),
+    testTimeout: args.timeout,
+    settleDelay: args.settle,
+    verbose: args.verbose
+  });
+
+  const cases = collectCases(args);
+  for (const entry of cases) {
+    try {
+      const experiment = JSON.parse(fs.readFileSync(entry.experimentPath, 'utf8'));
+      const snapshot = fs.readFileSync(entry.snapshotPath, 'utf8');
+      entry.results = await runner.runExperiment(snapshot, experiment, { variations: args.variations });
+    } catch (error) {
+      entry.error = error.code === 'ENOENT' ? `Missing file ${error.path}` : error.message;
+    }
+
+    if (!args.json) printCase(entry);
+  }
+
+  const summary = runner.summarize(cases);
+  if (args.json) {
+    console.log(JSON.stringify({ summary, cases }, null, 2));
+  } else {
+    console.log(`\n🧪 ${summary.passed}/${summary.total} variations passed` +
+      (summary.failed ? `, ${summary.failed} failed` : '') +
+      (summary.errored ? `, ${summary.errored} errored` : ''));
+  }
+
+  process.exit(summary.failed || summary.errored ? 1 : 0);
+}
+
+main();
@@ -3,6 +3,23 @@ console.log('Settings page loaded');
 
 class SettingsManager {
   constructor() {
+    this.providerRegistry = new AIProviderRegistry();
+
+    // Provider-specific form fields (settings key === input id)
+    this.providerFields = {
+      'azure-openai': ['azureOpenAIEndpoint', 'azureOpenAIDeployment', 'azureOpenAIApiVersion', 'azureOpenAIKey'],
+      'gemini': ['geminiApiKey'],
+      'openai-compatible': ['localEndpoint', 'localModel', 'localApiKey']
+    };
+
+    this.providerSectionIds = {
+      'openai': 'openaiSection',
+      'anthropic': 'anthropicSection',
+      'azure-openai': 'azureOpenAISection',
+      'gemini': 'geminiSection',
+      'openai-compatible': 'localProviderSection'
+    };
+
     this.init();
   }
 
@@ -27,6 +44,20 @@ class SettingsManager {
         document.getElementById('anthropicApiKey').value = this.settings.anthropicApiKey;
       }
 
+      // Load Azure / Gemini / local endpoint fields
+      Object.values(this.providerFields).flat().forEach(field => {
+        if (this.settings[field]) {
+          document.getElementById(field).value = this.settings[field];
+        }
+      });
+
+      // Load Figma import settings
+      ['figmaToken', 'figmaApiBase'].forEach(field => {
+        if (this.settings[field]) {
+          document.getElementById(field).value = this.settings[field];
+        }
+      });
+
       // Load model selection
       if (this.settings.model) {
         document.getElementById('modelSelect').value = this.settings.model;
@@ -35,6 +66,13 @@ class SettingsManager {
       // Load code generation preferences
       document.getElementById('preferCSS').checked = this.settings.preferCSS !== false;
       document.getElementById('includeDOMChecks').checked = this.settings.includeDOMChecks !== false;
+      document.getElementById('streamResponses').checked = this.settings.streamResponses !== false;
+
+      // Load page capture preferences
+      document.getElementById('warmUpLazyContent').checked = this.settings.warmUpLazyContent === true;
+      document.getElementById('warmUpBudget').value = Math.round((this.settings.warmUpBudgetMs || 8000) / 1000);
+      document.getElementById('fullPageScreenshots').checked = this.settings.fullPageScreenshots === true;
+      document.getElementById('selectorStrategyPriority').value = (this.settings.selectorStrategyPriority || []).join(', ');
     } catch (error) {
       console.error('Failed to load settings:', error);
       this.showAlert('Failed to load settings', 'error');
@@ -67,6 +105,24 @@ class SettingsManager {
       this.saveAnthropicKey();
     });
 
+    // Save Azure / Gemini / local endpoint settings
+    document.getElementById('saveAzureOpenAIBtn').addEventListener('click', () => {
+      this.saveProviderFields('azure-openai');
+    });
+
+    document.getElementById('saveGeminiKeyBtn').addEventListener('click', () => {
+      this.saveProviderFields('gemini');
+    });
+
+    document.getElementById('saveLocalProviderBtn').addEventListener('click', () => {
+      this.saveProviderFields('openai-compatible');
+    });
+
+    // Save Figma import settings
+    document.getElementById('saveFigmaBtn').addEventListener('click', () => {
+      this.saveFigmaSettings();
+    });
+
     // Model selection
     document.getElementById('modelSelect').addEventListener('change', (e) => {
       this.saveModel(e.target.value);
@@ -81,6 +137,33 @@ class SettingsManager {
       this.saveCodePreference('includeDOMChecks', e.target.checked);
     });
 
+    document.getElementById('streamResponses')?.addEventListener('change', (e) => {
+      this.saveCodePreference('streamResponses', e.target.checked);
+    });
+
+    // Page capture preferences
+    document.getElementById('warmUpLazyContent')?.addEventListener('change', (e) => {
+      this.saveCodePreference('warmUpLazyContent', e.target.checked);
+    });
+
+    document.getElementById('warmUpBudget')?.addEventListener('change', (e) => {
+      const seconds = Math.min(30, Math.max(2, parseInt(e.target.value, 10) || 8));
+      e.target.value = seconds;
+      this.saveCodePreference('warmUpBudgetMs', seconds * 1000);
+    });
+
+    document.getElementById('fullPageScreenshots')?.addEventListener('change', (e) => {
+      this.saveCodePreference('fullPageScreenshots', e.target.checked);
+    });
+
+    document.getElementById('selectorStrategyPriority')?.addEventListener('change', (e) => {
+      // Unknown names are dropped and missing strategies appended; empty restores the default order
+      const engine = new SelectorEngine();
+      const priority = engine.normalizePriority(e.target.value) || engine.strategies;
+      e.target.value = priority.join(', ');
+      this.saveCodePreference('selectorStrategyPriority', priority);
+    });
+
     // Enter key support
     document.getElementById('apiKeyLabel').addEventListener('keypress', (e) => {
       if (e.key === 'Enter') {
@@ -241,10 +324,9 @@ class SettingsManager {
       settings.provider = provider;
 
       // Set default model based on provider
-      if (provider === 'anthropic' && !settings.model?.startsWith('claude')) {
-        settings.model = 'claude-3-5-sonnet-20240620'; // Claude 3.5 Sonnet (stable)
-      } else if (provider === 'openai' && !settings.model?.startsWith('gpt')) {
-        settings.model = 'gpt-4o-mini';
+      const definition = this.providerRegistry.get(provider);
+      if (definition.defaultModel && !this.providerRegistry.isModelForProvider(provider, settings.model || '')) {
+        settings.model = definition.defaultModel;
       }
 
       await chrome.storage.local.set({ settings });
@@ -253,7 +335,7 @@ class SettingsManager {
       // Update model selector
       document.getElementById('modelSelect').value = settings.model;
 
-      this.showAlert(`Provider changed to ${provider === 'anthropic' ? 'Anthropic Claude' : 'OpenAI GPT'}`, 'success');
+      this.showAlert(`Provider changed to ${definition.label}`, 'success');
     } catch (error) {
       console.error('Failed to save provider:', error);
       this.showAlert('Failed to save provider', 'error');
@@ -261,15 +343,81 @@ class SettingsManager {
   }
 
   updateProviderSections(provider) {
-    const openaiSection = document.getElementById('openaiSection');
-    const anthropicSection = document.getElementById('anthropicSection');
-
-    if (provider === 'anthropic') {
-      openaiSection.style.display = 'none';
-      anthropicSection.style.display = 'block';
-    } else {
-      openaiSection.style.display = 'block';
-      anthropicSection.style.display = 'none';
+    Object.entries(this.providerSectionIds).forEach(([id, sectionId]) => {
+      const section = document.getElementById(sectionId);
+      if (section) {
+        section.style.display = id === provider ? 'block' : 'none';
+      }
+    });
+
+    // Azure and local endpoints pick their model from their own section
+    const usesCatalog = !this.providerRegistry.get(provider).modelField;
+    document.getElementById('modelSelect').disabled = !usesCatalog;
+  }
+
+  async saveProviderFields(provider) {
+    const fields = this.providerFields[provider] || [];
+    const values = {};
+    fields.forEach(field => {
+      values[field] = document.getElementById(field).value.trim();
+    });
+
+    const candidate = { ...this.settings, ...values, provider };
+    const missing = this.providerRegistry.getMissingCredentials(candidate);
+    if (missing.length > 0) {
+      this.showAlert(`Please fill in: ${missing.join(', ')}`, 'error');
+      return;
+    }
+
+    if (provider === 'azure-openai' && !/^https:\/\//.test(values.azureOpenAIEndpoint)) {
+      this.showAlert('Azure endpoint must start with https://', 'error');
+      return;
+    }
+
+    if (provider === 'openai-compatible' && !/^https?:\/\//.test(values.localEndpoint)) {
+      this.showAlert('Endpoint must start with http:// or https://', 'error');
+      return;
+    }
+
+    try {
+      const result = await chrome.storage.local.get(['settings']);
+      const settings = { ...(result.settings || {}), ...values };
+
+      await chrome.storage.local.set({ settings });
+      this.settings = settings;
+
+      this.showAlert(`${this.providerRegistry.get(provider).label} settings saved successfully`, 'success');
+    } catch (error) {
+      console.error('Failed to save provider settings:', error);
+      this.showAlert('Failed to save provider settings', 'error');
+    }
+  }
+
+  async saveFigmaSettings() {
+    const figmaToken = document.getElementById('figmaToken').value.trim();
+    const figmaApiBase = document.getElementById('figmaApiBase').value.trim();
+
+    if (!figmaToken) {
+      this.showAlert('Please enter a Figma personal access token', 'error');
+      return;
+    }
+
+    if (figmaApiBase && !/^https?:\/\//.test(figmaApiBase)) {
+      this.showAlert('API base URL must start with http:// or https://', 'error');
+      return;
+    }
+
+    try {
+      const result = await chrome.storage.local.get(['settings']);
+      const settings = { ...(result.settings || {}), figmaToken, figmaApiBase };
+
+      await chrome.storage.local.set({ settings });
+      this.settings = settings;
+
+      this.showAlert('Figma settings saved successfully', 'success');
+    } catch (error) {
+      console.error('Failed to save Figma settings:', error);
+      this.showAlert('Failed to save Figma settings', 'error');
     }
   }
 
@@ -326,8 +474,20 @@ class SettingsManager {
       await chrome.storage.local.set({ settings });
       this.settings = settings;
 
-      const label = key === 'preferCSS' ? 'CSS preference' : 'DOM checks';
-      this.showAlert(`${label} ${value ? 'enabled' : 'disabled'}`, 'success');
+      const labels = {
+        preferCSS: 'CSS preference',
+        includeDOMChecks: 'DOM checks',
+        streamResponses: 'Response streaming',
+        warmUpLazyContent: 'Lazy content warm-up',
+        warmUpBudgetMs: 'Warm-up budget',
+        fullPageScreenshots: 'Full-page screenshots',
+        selectorStrategyPriority: 'Selector strategy order'
+      };
+      const label = labels[key] || key;
+      const state = typeof value === 'boolean'
+        ? (value ? 'enabled' : 'disabled')
+        : `set to ${key.endsWith('Ms') ? `${value / 1000}s` : Array.isArray(value) ? value.join(' → ') : value}`;
+      this.showAlert(`${label} ${state}`, 'success');
     } catch (error) {
       console.error('Failed to save code preference:', error);
       this.showAlert('Failed to save preference', 'error');
@@ -19,9 +19,17 @@ class UnifiedExperimentBuilder {
     this.basePageLocked = false; // Flag: true after first successful generation
     this.captureTimestamp = null; // When base page was captured
     this.targetTabId = null;
+    this.elementDatabaseBuildId = null; // Page capture build whose progress the status bar shows
     this.variations = [{ id: 1, name: 'Variation 1', description: '' }];
     this.generatedCode = null;
     this.editedCode = {};
+    this.trafficAllocation = null; // [original, variation 1, ...] percentages; null = even split
+    this.experimentPages = []; // Multi-page capture set; fewer than two pages = single-page experiment
+    this.templateDocuments = new Map(); // url → parsed server HTML, for selector robustness checks
+    this.selectorRobustness = null; // Latest SelectorValidator.checkRobustness report
+    this.convertReport = null; // Latest Convert.com report for the synced experience
+    this.convertReportExperienceId = null; // Experience the results section is showing; late responses for others are dropped
+    this.convertReportCacheTtl = 15 * 60 * 1000;
 
     // Workflow State
     this.workflowState = 'fresh'; // fresh, building, results, deploy
@@ -38,7 +46,10 @@ class UnifiedExperimentBuilder {
       authToken: '',
       anthropicApiKey: '',
       provider: 'anthropic',
-      model: 'claude-3-7-sonnet-20250219'
+      model: 'claude-3-7-sonnet-20250219',
+      warmUpLazyContent: false,
+      warmUpBudgetMs: 8000,
+      fullPageScreenshots: false
     };
     
     // Listen for messages from background script
@@ -54,8 +65,10 @@ class UnifiedExperimentBuilder {
     this.usageStats = { tokens: 0, cost: 0 };
     this.usageStorage = this.getUsageStorageArea();
     this.previewState = { activeVariation: null, isApplying: false };
+    this.routeReapplyPreview = false; // Re-apply the active preview after SPA route changes
     this.captureMode = 'full';
     this.chatSelectedElements = [];
+    this.markPicker = null; // Open marked-screenshot picker: { mode, marks, selected, pageData }
 
     // Legacy compatibility properties
     this.activePanel = 'build';
@@ -85,6 +98,31 @@ class UnifiedExperimentBuilder {
         return true; // Keep the message channel open
       }
 
+      // Streamed AI output (partial code while the model is still writing)
+      if (message.type === 'AI_STREAM_UPDATE') {
+        this.handleStreamUpdate(message);
+        sendResponse({ success: true });
+        return false;
+      }
+
+      // Prompt context pruned to fit the model's context window
+      if (message.type === 'CONTEXT_BUDGET_REPORT') {
+        this.addActivity(`✂️ Context trimmed for ${message.model}: dropped ${message.summary}`, 'warning');
+        return false;
+      }
+
+      // Time-sliced page capture in the tab (stop button cancels it)
+      if (message.type === 'ELEMENT_DATABASE_PROGRESS') {
+        this.handleElementDatabaseProgress(message, sender.tab?.id);
+        return false;
+      }
+
+      // Full loads and SPA route changes in a tab (relayed by the service worker)
+      if (message.type === 'PAGE_CHANGED') {
+        this.handlePageChanged(message);
+        return false;
+      }
+
       // Handle status updates from service worker
       if (message.type === 'STATUS_UPDATE') {
         this.showStatus(message.message, message.statusType || 'info', null, true);
@@ -104,11 +142,20 @@ class UnifiedExperimentBuilder {
     console.log('📸 Screenshot available:', !!elementData.screenshot);
     console.log('📏 Element dimensions:', elementData.dimensions);
 
+    // Picking a click-goal selector from the Convert sync modal
+    // (checked first so it doesn't replace the element selected for chat and generation)
+    if (this.selectingForConvertGoal) {
+      this.endConvertGoalPick();
+      this.applyConvertGoalSelector(elementData);
+      return;
+    }
+
     // Store selected element data for code generation (includes screenshot!)
     this.selectedElementData = elementData;
 
     // Build element description for display
-    const elementDescription = this.getElementDescription(elementData);
+    const extraCount = (elementData.elements?.length || 1) - 1;
+    const elementDescription = this.getElementDescription(elementData) + (extraCount > 0 ? ` (+${extraCount} more)` : '');
 
     // If selected from chat, add it as a chat message and context
     if (this.selectingFromChat) {
@@ -210,6 +257,14 @@ class UnifiedExperimentBuilder {
 
   handleElementSelectionCancelled() {
     console.log('🎯 Element selection cancelled');
+
+    // Esc while picking a goal selector: go back to the sync modal, not the chat flow
+    if (this.selectingForConvertGoal) {
+      this.endConvertGoalPick();
+      this.showStatus('Goal selector pick cancelled', 'info', 3000);
+      return;
+    }
+
     this.showStatus('Element selection cancelled', 'info', 3000);
     this.addActivity('Element selection cancelled', 'info');
     this.addChatMessage('assistant', 'Element selection was cancelled. You can still describe elements in your text (like "the red button" or "the main headline") and I\'ll generate appropriate selectors.');
@@ -288,6 +343,13 @@ class UnifiedExperimentBuilder {
       this.convertSmartLists = typeof ConvertSmartLists !== 'undefined' ? new ConvertSmartLists() : null;
       this.visualQAService = typeof VisualQAService !== 'undefined' ? new VisualQAService() : null;
       this.codeQualityMonitor = typeof CodeQualityMonitor !== 'undefined' ? new CodeQualityMonitor() : null;
+      this.codeMerge = typeof CodeMerge !== 'undefined' ? new CodeMerge() : null;
+      this.multiPageExperiment = typeof MultiPageExperiment !== 'undefined' ? new MultiPageExperiment() : null;
+      this.setupScripts = typeof SetupScriptManager !== 'undefined' ? new SetupScriptManager() : null;
+      this.designSystem = typeof DesignSystemExtractor !== 'undefined' ? new DesignSystemExtractor() : null;
+      this.setOfMarks = typeof SetOfMarks !== 'undefined' ? new SetOfMarks() : null;
+      this.selectorEngine = typeof SelectorEngine !== 'undefined' ? new SelectorEngine() : null;
+      this.platformDetector = typeof PlatformDetector !== 'undefined' ? new PlatformDetector() : null;
 
       // NEW: DOM Code Companion Utilities
       this.domSemanticIndex = typeof DOMSemanticIndex !== 'undefined' ? new DOMSemanticIndex() : null;
@@ -317,11 +379,17 @@ class UnifiedExperimentBuilder {
         'utils/feature-flags.js',
         'utils/performance-monitor.js',
         'utils/regression-test-suite.js',
+        'utils/dom-traversal.js',
+        'utils/selector-engine.js',
         'utils/selector-validator.js',
         'utils/code-tester.js',
+        'utils/platform-detector.js',
+        'utils/design-system-extractor.js',
         'utils/context-builder.js',
         'content-scripts/page-capture.js',
-        'content-scripts/element-selector.js'
+        'content-scripts/element-selector.js',
+        'content-scripts/route-watcher.js',
+        'content-scripts/setup-recorder.js'
       ];
 
       for (const script of scripts) {
@@ -539,6 +607,8 @@ class UnifiedExperimentBuilder {
 
   bindBuildingStateTools() {
     this.rebindBuildingStateEvents();
+    this.renderTrafficAllocation();
+    this.renderExperimentPages();
   }
 
   rebindBuildingStateEvents() {
@@ -562,6 +632,43 @@ class UnifiedExperimentBuilder {
       console.error('❌ selectElementBtn not found in DOM');
     }
 
+    // Figma import (onclick assignment keeps rebinding idempotent)
+    const figmaImportBtn = document.getElementById('figmaImportBtn');
+    if (figmaImportBtn) {
+      figmaImportBtn.onclick = (e) => {
+        e.preventDefault();
+        this.toggleFigmaImportForm();
+      };
+      document.getElementById('figmaImportSubmit').onclick = () => this.importFigmaDesign();
+      document.getElementById('figmaImportCancel').onclick = () => this.toggleFigmaImportForm(false);
+      document.getElementById('figmaUrlInput').onkeydown = (e) => {
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          this.importFigmaDesign();
+        }
+      };
+    }
+
+    // Multi-page capture set (onclick/oninput keep rebinding idempotent)
+    const addPageBtn = document.getElementById('addExperimentPageBtn');
+    const pagesList = document.getElementById('experimentPagesList');
+    if (addPageBtn && pagesList) {
+      addPageBtn.onclick = (e) => {
+        e.preventDefault();
+        this.addCurrentPageToExperiment();
+      };
+      pagesList.oninput = (e) => {
+        const field = e.target.dataset.pageField;
+        const row = e.target.closest('[data-page-key]');
+        if (field && row) this.updateExperimentPage(row.dataset.pageKey, field, e.target.value);
+      };
+      pagesList.onchange = pagesList.oninput;
+      pagesList.onclick = (e) => {
+        const removeBtn = e.target.closest('[data-page-remove]');
+        if (removeBtn) this.removeExperimentPage(removeBtn.closest('[data-page-key]').dataset.pageKey);
+      };
+    }
+
     const templatesBtn = document.getElementById('templatesBtn');
     if (templatesBtn) {
       console.log('✅ Found templatesBtn, text content:', templatesBtn.textContent);
@@ -608,6 +715,126 @@ class UnifiedExperimentBuilder {
     }
   }
 
+  // ==========================================
+  // MULTI-PAGE EXPERIMENTS
+  // ==========================================
+
+  renderExperimentPages() {
+    const list = document.getElementById('experimentPagesList');
+    if (!list) return;
+
+    if (this.experimentPages.length === 0) {
+      list.innerHTML = '<div class="experiment-pages-hint">Single-page experiment. To span several pages (e.g. product, cart, checkout), add this tab, navigate, then add the next page.</div>';
+      return;
+    }
+
+    const matchOptions = [
+      ['contains', 'URL contains'],
+      ['matches', 'URL matches exactly'],
+      ['regexMatches', 'URL matches regex']
+    ];
+
+    list.innerHTML = this.experimentPages.map(page => `
+      <div class="experiment-page" data-page-key="${this.escapeHtml(page.key)}">
+        <div class="experiment-page-row">
+          <input type="text" class="form-input" data-page-field="label" value="${this.escapeHtml(page.label)}" placeholder="Page name">
+          <span class="experiment-page-key" title="Key used by isExperimentPage()">${this.escapeHtml(page.key)}</span>
+          ${page.pageData ? '' : '<span class="experiment-page-stale" title="Element data is not kept between sessions - open this page and add it again to recapture">not captured</span>'}
+          <button class="preview-remove" data-page-remove title="Remove page">×</button>
+        </div>
+        <div class="experiment-page-row">
+          <select class="form-select" data-page-field="matchType">
+            ${matchOptions.map(([value, label]) => `<option value="${value}" ${page.matchType === value ? 'selected' : ''}>${label}</option>`).join('')}
+          </select>
+          <input type="text" class="form-input" data-page-field="pattern" value="${this.escapeHtml(page.pattern)}" placeholder="/cart">
+        </div>
+        <textarea class="form-textarea" data-page-field="instructions" rows="2" placeholder="What should change on this page?">${this.escapeHtml(page.instructions || '')}</textarea>
+      </div>
+    `).join('');
+  }
+
+  /**
+   * Capture the active tab into the page set
+   * The first page stays the primary capture used for previews and refinements
+   */
+  async addCurrentPageToExperiment() {
+    if (!this.multiPageExperiment) return;
+
+    const primaryPageData = this.currentPageData;
+    const primaryBaseData = this.basePageData;
+
+    if (this.experimentPages.length === 0 && primaryPageData) {
+      this.experimentPages.push(this.multiPageExperiment.createPage(primaryPageData, []));
+    }
+
+    try {
+      const pageData = await this.capturePage();
+
+      // Recapturing a page already in the set refreshes its element data
+      const existing = this.experimentPages.find(page => page.url === pageData.url) ||
+        this.multiPageExperiment.findPageForUrl(this.experimentPages, pageData.url);
+      if (existing) {
+        existing.pageData = pageData;
+        existing.url = pageData.url;
+        existing.capturedAt = Date.now();
+        this.addActivity(`Recaptured page "${existing.label}"`, 'success');
+      } else {
+        const page = this.multiPageExperiment.createPage(pageData, this.experimentPages);
+        this.experimentPages.push(page);
+        this.addActivity(`Added page "${page.label}" to experiment`, 'success');
+      }
+    } catch (error) {
+      // capturePage already reported the failure
+      return;
+    } finally {
+      if (primaryPageData) {
+        this.currentPageData = primaryPageData;
+        this.basePageData = primaryBaseData;
+        this.updatePageInfo(primaryPageData);
+      }
+    }
+
+    this.renderExperimentPages();
+  }
+
+  updateExperimentPage(key, field, value) {
+    const page = this.experimentPages.find(p => p.key === key);
+    if (!page || !['label', 'matchType', 'pattern', 'instructions'].includes(field)) return;
+    page[field] = value;
+  }
+
+  removeExperimentPage(key) {
+    this.experimentPages = this.experimentPages.filter(page => page.key !== key);
+    // A single remaining page is just a normal experiment again
+    if (this.experimentPages.length === 1) {
+      this.experimentPages = [];
+    }
+    this.renderExperimentPages();
+  }
+
+  // Create one Convert location per page and return their IDs
+  async createExperimentPageLocations(experienceName) {
+    const definitions = this.multiPageExperiment.toLocationDefinitions(this.experimentPages, experienceName);
+    const ids = [];
+
+    for (const definition of definitions) {
+      const response = await chrome.runtime.sendMessage({
+        type: 'CONVERT_CREATE_LOCATION',
+        credentials: this.convertCredentials,
+        accountId: this.convertAccountId,
+        projectId: this.convertProjectId,
+        definition
+      });
+
+      if (!response.success) {
+        throw new Error(`Could not create location "${definition.name}": ${response.error}`);
+      }
+      ids.push(response.item.id);
+    }
+
+    return ids;
+  }
+
   async regenerateCode() {
     if (!this.currentPageData) {
       this.showError('Please capture the page first');
@@ -719,6 +946,10 @@ class UnifiedExperimentBuilder {
       });
     }
 
+    // Pick elements on the captured screenshot (works after the tab has navigated away)
+    document.getElementById('chatPickScreenshotBtn')?.addEventListener('click', () => this.openMarkPicker());
+    this.setupMarkPicker();
+
     // Remove attachment button
     const chatRemoveAttachment = document.getElementById('chatRemoveAttachment');
     if (chatRemoveAttachment) {
@@ -869,6 +1100,63 @@ class UnifiedExperimentBuilder {
       pushToConvertBtn.addEventListener('click', () => this.openConvertSyncModal());
     }
 
+    // Responsive preview & QA
+    const viewportSelect = document.getElementById('previewViewportSelect');
+    if (viewportSelect) {
+      viewportSelect.addEventListener('change', () => {
+        document.getElementById('customViewportFields')?.classList.toggle('hidden', viewportSelect.value !== 'custom');
+        this.onPreviewViewportChange();
+      });
+      ['customViewportWidth', 'customViewportHeight'].forEach(id => {
+        document.getElementById(id)?.addEventListener('change', () => this.onPreviewViewportChange());
+      });
+    }
+    document.getElementById('responsiveQABtn')?.addEventListener('click', () => this.runResponsiveQA());
+
+    // SPA route changes
+    const routeReapplyToggle = document.getElementById('routeReapplyToggle');
+    if (routeReapplyToggle) {
+      chrome.storage.local.get(['routeReapplyPreview']).then(({ routeReapplyPreview }) => {
+        this.routeReapplyPreview = Boolean(routeReapplyPreview);
+        routeReapplyToggle.checked = this.routeReapplyPreview;
+      });
+      routeReapplyToggle.addEventListener('change', () => {
+        this.routeReapplyPreview = routeReapplyToggle.checked;
+        chrome.storage.local.set({ routeReapplyPreview: this.routeReapplyPreview });
+      });
+    }
+    document.getElementById('routeRecaptureBtn')?.addEventListener('click', async () => {
+      this.hideRouteChangeBanner();
+      try {
+        await this.capturePage();
+      } catch (error) {
+        // capturePage already reported the failure
+      }
+    });
+    document.getElementById('routeReapplyBtn')?.addEventListener('click', () => {
+      this.hideRouteChangeBanner();
+      if (this.previewState.activeVariation) {
+        this.previewVariation(this.previewState.activeVariation, 'route-change-banner');
+      }
+    });
+    document.getElementById('routeDismissBtn')?.addEventListener('click', () => this.hideRouteChangeBanner());
+
+    // Per-domain page setup script
+    document.getElementById('pageSetupBtn')?.addEventListener('click', () => this.openSetupScriptModal());
+    document.getElementById('contextPageSetupBtn')?.addEventListener('click', () => this.openSetupScriptModal());
+    document.getElementById('closeSetupScript')?.addEventListener('click', () => this.closeSetupScriptModal());
+    document.getElementById('setupRecordBtn')?.addEventListener('click', () => this.toggleSetupRecording());
+    document.getElementById('setupRunBtn')?.addEventListener('click', () => this.runSetupScriptNow());
+    document.getElementById('setupDeleteBtn')?.addEventListener('click', () => this.deleteSetupScript());
+    document.getElementById('setupSaveBtn')?.addEventListener('click', () => this.saveSetupScript());
+
+    // Convert.com results
+    document.getElementById('refreshConvertResults')?.addEventListener('click', async () => {
+      const mapping = await this.getExperimentMapping();
+      if (mapping) this.loadConvertResults(mapping, { force: true });
+    });
+    document.getElementById('convertResultsGoal')?.addEventListener('change', () => this.renderConvertResults());
+
     // Actions menu
     this.bindActionsMenu();
 
@@ -941,6 +1229,54 @@ class UnifiedExperimentBuilder {
       projectSelect.addEventListener('change', () => this.onConvertProjectChange());
     }
 
+    // Existing experiences + lifecycle actions
+    const experienceSelect = document.getElementById('convertExperienceSelect');
+    if (experienceSelect) {
+      experienceSelect.addEventListener('change', () => this.onConvertExperienceSelect());
+    }
+
+    const lifecycleActions = document.getElementById('convertLifecycleActions');
+    if (lifecycleActions) {
+      lifecycleActions.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-lifecycle]');
+        if (button && !button.disabled) {
+          this.runExperienceLifecycleAction(button.dataset.lifecycle);
+        }
+      });
+    }
+
+    // Bulk export/import between projects
+    document.getElementById('convertBulkList')?.addEventListener('change', (e) => {
+      const checkbox = e.target.closest('input[data-bulk-id]');
+      if (!checkbox) return;
+      if (checkbox.checked) {
+        this.convertBulkSelection.add(checkbox.dataset.bulkId);
+      } else {
+        this.convertBulkSelection.delete(checkbox.dataset.bulkId);
+      }
+      document.getElementById('convertBulkExport').disabled = this.convertBulkSelection.size === 0;
+    });
+
+    document.getElementById('convertBulkExport')?.addEventListener('click', () => this.exportConvertBundle());
+
+    const bulkFile = document.getElementById('convertBulkFile');
+    document.getElementById('convertBulkImport')?.addEventListener('click', () => bulkFile?.click());
+    bulkFile?.addEventListener('change', () => {
+      const file = bulkFile.files?.[0];
+      bulkFile.value = '';
+      if (file) this.previewConvertBundleImport(file);
+    });
+
+    document.getElementById('convertBulkReport')?.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-bulk-action]');
+      if (!button) return;
+      if (button.dataset.bulkAction === 'confirm') {
+        this.runConvertBundleImport();
+      } else {
+        this.clearConvertBundleImport();
+      }
+    });
+
     // Create/Update buttons
     const createBtn = document.getElementById('createConvertExperience');
     const updateBtn = document.getElementById('updateConvertExperience');
@@ -954,6 +1290,47 @@ class UnifiedExperimentBuilder {
 
     if (generateNameBtn) generateNameBtn.addEventListener('click', () => this.generateExperimentName());
     if (generateDescBtn) generateDescBtn.addEventListener('click', () => this.generateExperimentDescription());
+
+    // Sync conflict modal
+    document.getElementById('closeConvertConflict')?.addEventListener('click', () => this.finishConvertConflict(null));
+    document.getElementById('cancelConvertConflict')?.addEventListener('click', () => this.finishConvertConflict(null));
+    document.getElementById('applyConvertConflict')?.addEventListener('click', () => this.applyConvertConflictResolution());
+    document.getElementById('convertConflictFields')?.addEventListener('change', (e) => {
+      const choice = e.target.closest('input[data-conflict-choice]');
+      if (choice) {
+        const field = choice.closest('.conflict-field');
+        field?.querySelector('.conflict-manual')?.classList.toggle('hidden', choice.value !== 'manual');
+      }
+    });
+
+    // Goals / audiences / locations (rendered dynamically, so delegate)
+    const targeting = document.getElementById('convertTargeting');
+    if (targeting) {
+      targeting.addEventListener('change', (e) => {
+        const checkbox = e.target.closest('input[data-targeting-id]');
+        if (checkbox) {
+          this.toggleConvertTargetingItem(checkbox.dataset.resource, checkbox.dataset.targetingId, checkbox.checked);
+          return;
+        }
+
+        const kindSelect = e.target.closest('select[data-targeting-kind]');
+        if (kindSelect) {
+          this.updateConvertTargetingForm(kindSelect.dataset.resource);
+        }
+      });
+
+      targeting.addEventListener('click', (e) => {
+        const addBtn = e.target.closest('[data-targeting-add]');
+        if (addBtn) {
+          this.createConvertTargetingItem(addBtn.dataset.targetingAdd);
+          return;
+        }
+
+        if (e.target.closest('[data-targeting-pick]')) {
+          this.pickConvertGoalSelector();
+        }
+      });
+    }
   }
 
   bindKeyboardShortcuts() {
@@ -1178,6 +1555,9 @@ class UnifiedExperimentBuilder {
       // Restore state
       this.generatedCode = experiment.generatedCode;
       this.variations = experiment.variations || this.variations;
+      this.trafficAllocation = experiment.trafficAllocation || null;
+      this.experimentPages = experiment.experimentPages || [];
+      this.renderExperimentPages();
 
       // 🆕 Extract helper functions if globalJS is missing or empty (older experiments)
       if (this.generatedCode && this.generatedCode.variations) {
@@ -1330,6 +1710,8 @@ class UnifiedExperimentBuilder {
         screenshot: this.currentPageData?.screenshot || null,
         pageData: this.currentPageData, // Include for full restore capability
         chatHistory: this.chatHistory || [], // 🆕 Save chat history for context restoration
+        trafficAllocation: this.trafficAllocation,
+        experimentPages: this.multiPageExperiment ? this.multiPageExperiment.serializePages(this.experimentPages) : [],
         includePageData: true
       };
 
@@ -1446,6 +1828,10 @@ class UnifiedExperimentBuilder {
       console.log('📡 Ensuring page-capture scripts are loaded on tab:', tab.id);
       try {
         const scripts = [
+          'utils/platform-detector.js',
+          'utils/dom-traversal.js',
+          'utils/selector-engine.js',
+          'utils/design-system-extractor.js',
           'utils/context-builder.js',
           'utils/selector-validator.js',
           'content-scripts/page-capture.js'
@@ -1469,6 +1855,17 @@ class UnifiedExperimentBuilder {
         console.log('ℹ️ Page-capture script injection skipped (likely already loaded):', injectError.message);
       }
 
+      // Put the page into its gated state (mini-cart open, logged in...) before capturing it
+      await this.runPageSetup(tab.id);
+
+      // Optional warm-up scrolls the page so lazy sections exist before the database is built
+      const warmUp = this.settings.warmUpLazyContent
+        ? { budgetMs: this.settings.warmUpBudgetMs || 8000 }
+        : null;
+      if (warmUp) {
+        this.showStatus('Scrolling page to load lazy content...', 'loading');
+      }
+
       // Send capture message to content script
       // If user selected an element, only capture within that scope
       const response = await chrome.tabs.sendMessage(tab.id, {
@@ -1476,7 +1873,8 @@ class UnifiedExperimentBuilder {
         maxProximityElements: 8,
         maxStructureElements: 12,
         proximityRadius: 300,
-        rootElementSelector: this.selectedElementData?.selector || null // SCOPE TO SELECTED ELEMENT
+        rootElementSelector: this.selectedElementData?.selector || null, // SCOPE TO SELECTED ELEMENT
+        warmUp
       });
 
       if (!response?.success) {
@@ -1484,6 +1882,10 @@ class UnifiedExperimentBuilder {
       }
 
       this.currentPageData = response.data;
+      this.hideRouteChangeBanner();
+      await this.probePagePlatform(tab.id, this.currentPageData);
+      await this.applyDesignTokenCache(this.currentPageData);
+      await this.recordTemplatePage(this.currentPageData.url);
 
       // 🔒 BASE PAGE STATE LOCKING (Phase 1)
       // Only set basePageData if not already locked (first capture or explicit reset)
@@ -1531,17 +1933,31 @@ class UnifiedExperimentBuilder {
 
       // Capture screenshot for Visual QA
       try {
-        const screenshot = await chrome.tabs.captureVisibleTab(tab.windowId, {
+        let screenshot = null;
+        let fullPage = false;
+        if (this.settings.fullPageScreenshots) {
+          this.showStatus('Capturing full-page screenshot...', 'loading');
+          const fullPageResponse = await chrome.runtime.sendMessage({ type: 'CAPTURE_FULL_PAGE', tabId: tab.id });
+          if (fullPageResponse?.success) {
+            screenshot = fullPageResponse.screenshot;
+            fullPage = true;
+          } else {
+            console.warn('⚠️ Full-page screenshot failed, using visible viewport:', fullPageResponse?.error);
+          }
+        }
+        screenshot = screenshot || await chrome.tabs.captureVisibleTab(tab.windowId, {
           format: 'png',
           quality: 90
         });
 
         // Add screenshot to currentPageData
         this.currentPageData.screenshot = screenshot;
+        this.currentPageData.screenshotFullPage = fullPage;
 
         // Only update basePageData screenshot if not locked
         if (!this.basePageLocked) {
           this.basePageData.screenshot = screenshot;
+          this.basePageData.screenshotFullPage = fullPage;
           console.log('📸 Screenshot captured and stored in base page state');
         } else {
           console.log('📸 Screenshot captured (base page screenshot preserved)');
@@ -1593,6 +2009,8 @@ class UnifiedExperimentBuilder {
       contextUrl.textContent = this.formatUrl(pageData.url);
     }
 
+    this.updatePlatformBadge(pageData.platform || pageData.context?.metadata?.platform);
+
     // Update page status indicator
     const pageStatus = document.getElementById('pageStatus');
     if (pageStatus) {
@@ -1609,6 +2027,148 @@ class UnifiedExperimentBuilder {
     }
   }
 
+  /**
+   * Merge the capture's design tokens with the domain cache and store the result, so pages
+   * whose stylesheets are CORS-blocked still get the variables seen elsewhere on the site
+   */
+  async applyDesignTokenCache(pageData) {
+    if (!this.experimentHistory || !this.designSystem || !pageData?.url) return;
+
+    try {
+      const cached = await this.experimentHistory.getDesignTokens(pageData.url);
+      const merged = this.designSystem.merge(pageData.designTokens, cached);
+      if (!merged) return;
+
+      pageData.designTokens = merged;
+      await this.experimentHistory.saveDesignTokens(pageData.url, merged);
+      console.log(`🎨 Design tokens ready: ${merged.variables.length} variables${cached ? ' (merged with domain cache)' : ''}`);
+    } catch (error) {
+      console.warn('⚠️ Design token cache unavailable:', error);
+    }
+  }
+
+  async recordTemplatePage(url) {
+    if (!this.experimentHistory || !this.selectorEngine || !url) return;
+    await this.experimentHistory.saveTemplatePage(url, this.selectorEngine.getTemplateKey(url));
+  }
+
+  /**
+   * Replay the generated code's selectors against up to three other captured pages of the
+   * current page's template (fetched server HTML) and warn in chat about ones likely to break
+   */
+  async checkSelectorRobustness(codeData) {
+    const url = this.basePageData?.url || this.currentPageData?.url;
+    if (!url || !this.selectorEngine || !this.experimentHistory || typeof SelectorValidator === 'undefined') return null;
+
+    try {
+      const templateKey = this.selectorEngine.getTemplateKey(url);
+      const captured = await this.experimentHistory.getTemplatePages(url, templateKey);
+      const sameTemplate = this.experimentPages
+        .map(page => page.url)
+        .filter(pageUrl => pageUrl && pageUrl !== url && this.selectorEngine.getTemplateKey(pageUrl) === templateKey);
+      const otherUrls = [...new Set([...captured, ...sameTemplate])].slice(0, 3);
+      if (otherUrls.length === 0) return null;
+
+      const validator = new SelectorValidator();
+      const code = [
+        codeData.globalCSS,
+        codeData.globalJS,
+        ...(codeData.variations || []).flatMap(variation => [variation.css, variation.js])
+      ].filter(Boolean);
+      const selectors = [...new Set(code.flatMap(part => validator.extractSelectorsFromCode(part)))];
+      if (selectors.length === 0) return null;
+
+      this.addActivity(`🔁 Checking ${selectors.length} selectors on ${otherUrls.length} other page${otherUrls.length > 1 ? 's' : ''} of this template...`, 'info');
+      const [baseline, ...others] = await Promise.all([url, ...otherUrls].map(pageUrl => this.fetchTemplateDocument(pageUrl)));
+      const pages = others.filter(Boolean);
+      if (pages.length === 0) {
+        this.addActivity('Selector robustness check skipped: other pages could not be loaded', 'warning');
+        return null;
+      }
+
+      const report = validator.checkRobustness(selectors, pages, baseline);
+      this.selectorRobustness = report;
+
+      if (report.flagged.length === 0) {
+        this.addActivity(`✅ Selectors held up on ${pages.length} other page${pages.length > 1 ? 's' : ''} of this template`, 'success');
+        return report;
+      }
+
+      const lines = report.flagged.slice(0, 6).map(item =>
+        `- \`${item.selector}\` ${item.status === 'broken' ? '❌ breaks' : '⚠️ fragile'}: ${item.reasons.join('; ')}`
+      );
+      const more = report.flagged.length > lines.length ? `\n- ...and ${report.flagged.length - lines.length} more` : '';
+      this.addActivity(`⚠️ ${report.flagged.length} selector${report.flagged.length > 1 ? 's' : ''} may break on other pages of this template`, 'warning');
+      this.addChatMessage('assistant', `**Selector robustness** (replayed on ${pages.length} other page${pages.length > 1 ? 's' : ''} of this template):\n${lines.join('\n')}${more}\n\nAsk me to switch these to sturdier selectors (test ids, stable classes) if the experiment should run on every page of the template.`);
+      return report;
+    } catch (error) {
+      console.warn('⚠️ Selector robustness check failed:', error);
+      return null;
+    }
+  }
+
+  // Server HTML of a page, parsed once per session (scripts don't run, so client-rendered parts are missing)
+  async fetchTemplateDocument(url) {
+    if (this.templateDocuments.has(url)) return this.templateDocuments.get(url);
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), 8000);
+    try {
+      const response = await fetch(url, { credentials: 'include', signal: controller.signal });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const page = { url, document: new DOMParser().parseFromString(await response.text(), 'text/html') };
+      this.templateDocuments.set(url, page);
+      return page;
+    } catch (error) {
+      console.warn(`⚠️ Could not load ${url} for selector replay:`, error.message);
+      return null;
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  /**
+   * Add framework globals from the page's MAIN world (React 18 roots, bundled Vue/Angular,
+   * window.Shopify) to the markup-based platform the content script detected
+   */
+  async probePagePlatform(tabId, pageData) {
+    if (!this.platformDetector || !pageData) return;
+
+    try {
+      const [injection] = await chrome.scripting.executeScript({
+        target: { tabId },
+        world: 'MAIN',
+        func: PlatformDetector.probePageGlobals
+      });
+      pageData.platform = this.platformDetector.applyPageGlobals(pageData.platform || pageData.context?.metadata?.platform, injection?.result);
+    } catch (error) {
+      console.log('ℹ️ Page globals probe skipped:', error.message);
+    }
+  }
+
+  /**
+   * Framework/platform badge next to the page URL; warns when the page re-renders
+   * or hydrates, since generated code then needs re-apply logic to stick
+   */
+  updatePlatformBadge(platform) {
+    const badge = document.getElementById('contextPlatform');
+    if (!badge) return;
+
+    const label = this.platformDetector?.describe(platform) || '';
+    if (!label) {
+      badge.classList.add('hidden');
+      return;
+    }
+
+    const atRisk = platform.rerenderRisk && platform.rerenderRisk !== 'low';
+    badge.textContent = atRisk ? `⚠️ ${label}` : label;
+    badge.classList.toggle('warning', atRisk);
+    badge.title = atRisk
+      ? `${label} re-renders parts of the page${platform.hydration?.ssr ? ' after hydration' : ''} - generated code re-applies its changes when the page updates`
+      : `Detected: ${label}`;
+    badge.classList.remove('hidden');
+  }
+
   async generateExperiment() {
     if (this.chatState.sending) return;
 
@@ -1699,12 +2259,27 @@ class UnifiedExperimentBuilder {
         optimizedPageData = await this.smartContextAssembler.assembleContext(
           intentAnalysis,
           sourcePageData,  // Use current page state
-          this.generatedCode
+          this.generatedCode,
+          { elementTokenBudget: this.getElementTokenBudget() }
         );
+
+        const droppedForBudget = optimizedPageData.elementDatabase?.metadata?.droppedForBudget;
+        if (droppedForBudget) {
+          this.addActivity(`✂️ ${droppedForBudget} low-ranked element(s) left out to fit the model's context window`, 'warning');
+        }
       }
 
       console.log('✅ [Stage 2] Context assembled');
 
+      // Multi-page experiments send every page's rule and element summary
+      const isMultiPage = this.experimentPages.length > 1 && this.multiPageExperiment;
+      if (isMultiPage) {
+        const { valid, errors } = this.multiPageExperiment.validatePages(this.experimentPages);
+        if (!valid) {
+          throw new Error(errors[0]);
+        }
+      }
+
       // Build generation request with optimized context
       const generationData = {
         description: description,
@@ -1713,7 +2288,8 @@ class UnifiedExperimentBuilder {
         settings: this.settings,
         selectedElement: this.selectedElementData || null,
         designFiles: this.uploadedDesignFile ? [this.uploadedDesignFile] : [],
-        intentAnalysis: intentAnalysis // Phase 2.2: Pass intent analysis for validation
+        intentAnalysis: intentAnalysis, // Phase 2.2: Pass intent analysis for validation
+        pages: isMultiPage ? this.multiPageExperiment.toGenerationPages(this.experimentPages) : null
       };
 
       // Log what context we're sending
@@ -1731,6 +2307,10 @@ class UnifiedExperimentBuilder {
 
       const result = await this.callAIGeneration(generationData);
 
+      if (result?.variations?.length && isMultiPage) {
+        result.globalJS = this.multiPageExperiment.ensureRouter(result.globalJS, this.experimentPages);
+      }
+
       if (result?.variations?.length) {
         this.generatedCode = result;
         // Clear button loading state BEFORE switching workflows to prevent empty button flash
@@ -1769,6 +2349,9 @@ class UnifiedExperimentBuilder {
           this.displayTestScriptStatus(result.testScript);
         }
 
+        // Replay the new selectors on other captured pages of this template (runs in the background)
+        this.checkSelectorRobustness(result);
+
         // Auto-launch comprehensive testing pipeline (only if enabled in settings)
         if (this.settings.autoValidateCode !== false) { // Default to true for now
           console.log('🧪 Auto-validation enabled, launching test suite...');
@@ -1823,6 +2406,7 @@ class UnifiedExperimentBuilder {
           selectedElement: data.selectedElement || null, // Pass selected element info
           designFiles: data.designFiles || [],
           intentAnalysis: data.intentAnalysis || null, // Phase 2.2: Pass intent analysis
+          pages: data.pages || null, // Multi-page experiments only
           tabId: this.targetTabId // Pass the target tab ID for code injection
         }
       });
@@ -1980,7 +2564,9 @@ document.body.insertBefore(banner, document.body.firstChild);
       });
     }
 
+    this.partialGeneratedCode = null;
     this.updateCodeDrawer(codeData);
+    this.renderTrafficAllocation();
     this.displayVariationsGrid(codeData);
     this.updateCodeCount(codeData);
     this.updateResultsHeader(codeData);
@@ -2317,7 +2903,8 @@ The test script will validate interactive features automatically.`;
 
     if (attachmentPreview && attachmentLabel) {
       const displayText = elementData.text ? elementData.text.substring(0, 40) + (elementData.text.length > 40 ? '...' : '') : 'No text';
-      attachmentLabel.textContent = `${elementData.tag}${elementData.id ? `#${elementData.id}` : ''} - "${displayText}"`;
+      const extra = (elementData.elements?.length || 1) - 1;
+      attachmentLabel.textContent = `${elementData.tag}${elementData.id ? `#${elementData.id}` : ''} - "${displayText}"${extra > 0 ? ` (+${extra} more)` : ''}`;
       attachmentPreview.classList.remove('hidden');
     }
 
@@ -3256,6 +3843,14 @@ Generating code for this element...`);
       timestamp: Date.now()
     };
 
+    // Same numbers on the captured screenshot, for options that are hard to tell apart by text
+    if (this.setOfMarks && (this.currentPageData || this.basePageData)?.screenshot) {
+      this.addChatQuickActions([{
+        text: '🖼️ Show options on screenshot',
+        action: () => this.openMarkPicker({ mode: 'disambiguate', elements: topMatches.map(match => this.findCapturedElement(match.element)) })
+      }], 'chatMessages');
+    }
+
     // Update typing indicator status
     this.updateTypingIndicatorStatus('Waiting for your selection...');
   }
@@ -3420,8 +4015,8 @@ Generating code for this element...`);
     textarea.style.height = Math.min(textarea.scrollHeight, 120) + 'px';
   }
 
-  addChatQuickActions(actions) {
-    const container = document.getElementById('chatHistory');
+  addChatQuickActions(actions, containerId = 'chatHistory') {
+    const container = document.getElementById(containerId);
     if (!container) return;
 
     const actionsEl = document.createElement('div');
@@ -3821,55 +4416,288 @@ Generating code for this element...`);
     }
   }
 
-  addAISummaryToChat(codeResult, userRequest) {
-    // Generate a concise summary of what was done
-    const variationCount = codeResult.variations?.length || 0;
+  /**
+   * Show the captured screenshot with numbered Set-of-Marks regions. In 'attach' mode clicked or
+   * lassoed elements become one chat attachment; in 'disambiguate' mode clicking a number answers
+   * the pending "which element?" question. Works from page data alone, so the tab may have moved on.
+   * @param {Object} options
+   * @param {string} options.mode - 'attach' | 'disambiguate'
+   * @param {Array} options.elements - Elements to mark (default: the captured element database)
+   */
+  async openMarkPicker({ mode = 'attach', elements = null } = {}) {
+    const pageData = this.currentPageData || this.basePageData;
+    if (!this.setOfMarks || !pageData?.screenshot) {
+      this.showStatus('Capture the page first - the picker works on the captured screenshot', 'warning', 3000);
+      return;
+    }
 
-    if (variationCount === 0) return;
+    try {
+      const image = await new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error('Screenshot could not be loaded'));
+        img.src = pageData.screenshot;
+      });
 
-    let summary = `✅ Created ${variationCount} variation${variationCount > 1 ? 's' : ''}:\n\n`;
+      const frame = this.setOfMarks.getScreenshotFrame(pageData, image.naturalWidth, image.naturalHeight);
+      const candidates = elements || (pageData.elementDatabase?.elements || []).slice(0, 80);
+      // Disambiguation keeps the option numbers from the chat message
+      const marks = this.setOfMarks.createMarks(candidates.filter(Boolean), frame, { renumber: mode !== 'disambiguate' });
+      if (marks.length === 0) {
+        this.showStatus('None of these elements are visible in the captured screenshot', 'warning', 3000);
+        return;
+      }
 
-    // List variations with their names
-    codeResult.variations.forEach((variation, index) => {
-      summary += `**${variation.name}**\n`;
+      document.getElementById('markPickerImage').src = await this.setOfMarks.createMarkedScreenshot(pageData.screenshot, marks);
+      this.markPicker = { mode, marks, selected: new Set(), pageData };
 
-      const changes = [];
+      const disambiguating = mode === 'disambiguate';
+      document.getElementById('markPickerTitle').textContent = disambiguating ? 'Which element did you mean?' : 'Pick elements on the screenshot';
+      document.getElementById('markPickerHint').textContent = disambiguating
+        ? 'Click the numbered option you meant.'
+        : 'Click a numbered region to select it (click again to deselect), or drag to lasso an area.';
+      document.getElementById('markPickerClear').classList.toggle('hidden', disambiguating);
+      document.getElementById('markPickerAttach').classList.toggle('hidden', disambiguating);
 
-      // Concise change detection
-      if (variation.css) {
-        if (variation.css.includes('background') || variation.css.includes('color')) changes.push('styling');
-        if (variation.css.includes('display') || variation.css.includes('visibility')) changes.push('visibility');
-        if (variation.css.includes('position') || variation.css.includes('top') || variation.css.includes('left')) changes.push('positioning');
-      }
+      this.renderMarkPickerSelection();
+      document.getElementById('markPickerModal').classList.remove('hidden');
+    } catch (error) {
+      console.error('❌ Marked screenshot picker failed:', error);
+      this.showStatus(`Could not open the screenshot picker: ${error.message}`, 'error', 3000);
+    }
+  }
 
-      if (variation.js) {
-        if (variation.js.includes('createElement') || variation.js.includes('innerHTML')) changes.push('new elements');
-        if (variation.js.includes('textContent')) changes.push('text changes');
-        if (variation.js.includes('setInterval') || variation.js.includes('setTimeout')) changes.push('dynamic behavior');
-      }
+  closeMarkPicker() {
+    this.markPicker = null;
+    document.getElementById('markPickerModal')?.classList.add('hidden');
+    document.getElementById('markPickerLasso')?.classList.add('hidden');
+  }
 
-      if (changes.length > 0) {
-        summary += `Modified: ${changes.join(', ')}\n`;
-      }
+  // Pointer handling: a short press is a click on the innermost mark, a drag is a lasso
+  setupMarkPicker() {
+    const stage = document.getElementById('markPickerStage');
+    const image = document.getElementById('markPickerImage');
+    const lasso = document.getElementById('markPickerLasso');
+    if (!stage || !image || !lasso) return;
 
-      if (index < variationCount - 1) summary += '\n';
+    document.getElementById('closeMarkPicker')?.addEventListener('click', () => this.closeMarkPicker());
+    document.getElementById('markPickerClear')?.addEventListener('click', () => {
+      this.markPicker?.selected.clear();
+      this.renderMarkPickerSelection();
     });
+    document.getElementById('markPickerAttach')?.addEventListener('click', () => this.attachMarkPickerSelection());
+
+    // Screenshot pixels for a pointer position (the image is scaled to the modal width)
+    const toImagePoint = (event) => {
+      const rect = image.getBoundingClientRect();
+      return {
+        x: (event.clientX - rect.left) * image.naturalWidth / rect.width,
+        y: (event.clientY - rect.top) * image.naturalHeight / rect.height
+      };
+    };
 
-    // Add to chat
-    this.addChatMessageToDrawer('assistant', summary);
+    let dragStart = null;
 
-    // Add to chat history
-    if (!this.chatHistory) this.chatHistory = [];
-    this.chatHistory.push({
-      role: 'assistant',
-      content: summary,
-      timestamp: Date.now()
+    stage.addEventListener('mousedown', (event) => {
+      if (!this.markPicker || event.button !== 0) return;
+      event.preventDefault();
+      dragStart = { clientX: event.clientX, clientY: event.clientY, point: toImagePoint(event) };
     });
-  }
 
-  addChatMessageToDrawer(role, content, elementAttachment = null) {
-    const container = document.getElementById('chatMessages');
-    if (!container) return;
+    stage.addEventListener('mousemove', (event) => {
+      if (!dragStart || this.markPicker?.mode !== 'attach') return;
+      const stageRect = stage.getBoundingClientRect();
+      lasso.style.left = `${Math.min(dragStart.clientX, event.clientX) - stageRect.left + stage.scrollLeft}px`;
+      lasso.style.top = `${Math.min(dragStart.clientY, event.clientY) - stageRect.top + stage.scrollTop}px`;
+      lasso.style.width = `${Math.abs(event.clientX - dragStart.clientX)}px`;
+      lasso.style.height = `${Math.abs(event.clientY - dragStart.clientY)}px`;
+      lasso.classList.remove('hidden');
+    });
+
+    window.addEventListener('mouseup', (event) => {
+      if (!dragStart || !this.markPicker) {
+        dragStart = null;
+        return;
+      }
+
+      const start = dragStart.point;
+      const end = toImagePoint(event);
+      const dragged = Math.abs(event.clientX - dragStart.clientX) > 6 || Math.abs(event.clientY - dragStart.clientY) > 6;
+      dragStart = null;
+      lasso.classList.add('hidden');
+
+      if (dragged && this.markPicker.mode === 'attach') {
+        const area = {
+          x: Math.min(start.x, end.x),
+          y: Math.min(start.y, end.y),
+          width: Math.abs(end.x - start.x),
+          height: Math.abs(end.y - start.y)
+        };
+        this.setOfMarks.findMarksInArea(this.markPicker.marks, area).forEach(mark => this.markPicker.selected.add(mark.markNumber));
+        this.renderMarkPickerSelection();
+        return;
+      }
+
+      const mark = this.setOfMarks.findMarkAt(this.markPicker.marks, end.x, end.y);
+      if (!mark) return;
+
+      if (this.markPicker.mode === 'disambiguate') {
+        this.closeMarkPicker();
+        // Answer exactly as if the number had been typed
+        const chatInput = document.getElementById('chatInput');
+        if (chatInput) {
+          chatInput.value = String(mark.markNumber);
+          this.sendChatMessage();
+        }
+        return;
+      }
+
+      const { selected } = this.markPicker;
+      if (selected.has(mark.markNumber)) {
+        selected.delete(mark.markNumber);
+      } else {
+        selected.add(mark.markNumber);
+      }
+      this.renderMarkPickerSelection();
+    });
+  }
+
+  renderMarkPickerSelection() {
+    const stage = document.getElementById('markPickerStage');
+    const image = document.getElementById('markPickerImage');
+    if (!stage || !image || !this.markPicker) return;
+
+    stage.querySelectorAll('.mark-picker-highlight').forEach(el => el.remove());
+
+    const { marks, selected } = this.markPicker;
+    const chosen = marks.filter(mark => selected.has(mark.markNumber));
+
+    // Percentages keep highlights aligned while the image scales with the modal
+    chosen.forEach(({ boundingRect: r }) => {
+      const highlight = document.createElement('div');
+      highlight.className = 'mark-picker-highlight';
+      highlight.style.left = `${(r.x / image.naturalWidth) * 100}%`;
+      highlight.style.top = `${(r.y / image.naturalHeight) * 100}%`;
+      highlight.style.width = `${(r.width / image.naturalWidth) * 100}%`;
+      highlight.style.height = `${(r.height / image.naturalHeight) * 100}%`;
+      stage.appendChild(highlight);
+    });
+
+    const summary = document.getElementById('markPickerSelection');
+    if (summary) {
+      summary.textContent = chosen.length === 0
+        ? 'No elements selected'
+        : `Selected: ${chosen.map(mark => `[${mark.markNumber}] ${mark.element.tag || mark.element.type || 'element'}`).join(', ')}`;
+    }
+
+    const attachBtn = document.getElementById('markPickerAttach');
+    if (attachBtn) {
+      attachBtn.disabled = chosen.length === 0;
+      attachBtn.textContent = chosen.length > 1 ? `Attach ${chosen.length} elements` : 'Attach to chat';
+    }
+  }
+
+  async attachMarkPickerSelection() {
+    if (!this.markPicker) return;
+
+    const { marks, selected, pageData } = this.markPicker;
+    const chosen = marks.filter(mark => selected.has(mark.markNumber));
+    if (chosen.length === 0) return;
+
+    // Cropped element screenshots, like the ones the live element selector attaches
+    let crops = [];
+    try {
+      crops = await this.setOfMarks.createElementScreenshots(
+        pageData.screenshot,
+        chosen.map(mark => ({ ...mark.element, boundingRect: mark.boundingRect }))
+      );
+    } catch (error) {
+      console.warn('⚠️ Element crops unavailable, attaching without screenshots:', error);
+    }
+
+    const elements = chosen.map((mark, index) => this.toElementAttachment(mark.element, crops[index]?.screenshot || null));
+    // The whole selection is one attachment: the first element plus the full list
+    const attachment = { ...elements[0], elements, selectionSource: 'marked-screenshot' };
+
+    this.closeMarkPicker();
+    this.addElementToChatMessage(attachment);
+    this.openChatDrawer();
+    this.showStatus(`${elements.length} element${elements.length > 1 ? 's' : ''} attached from the screenshot`, 'success', 3000);
+  }
+
+  // Element database entry in the shape handleElementSelected receives from the page
+  toElementAttachment(element, screenshot = null) {
+    const position = element.visual?.position || {};
+    return {
+      selector: element.selector,
+      tag: element.tag || element.type || 'element',
+      id: element.attributes?.id || null, // Database entries use id for their el_NNN key
+      classes: element.classes || [],
+      text: element.text || '',
+      textContent: element.text || '',
+      dimensions: {
+        width: position.width || element.visual?.dimensions?.width || 0,
+        height: position.height || element.visual?.dimensions?.height || 0
+      },
+      screenshot
+    };
+  }
+
+  // Captured element (with its screenshot position) for a semantic-search match
+  findCapturedElement(element) {
+    const pageData = this.currentPageData || this.basePageData;
+    return (pageData?.elementDatabase?.elements || []).find(el => el.selector === element.selector) || element;
+  }
+
+  addAISummaryToChat(codeResult, userRequest) {
+    // Generate a concise summary of what was done
+    const variationCount = codeResult.variations?.length || 0;
+
+    if (variationCount === 0) return;
+
+    let summary = `✅ Created ${variationCount} variation${variationCount > 1 ? 's' : ''}:\n\n`;
+
+    // List variations with their names
+    codeResult.variations.forEach((variation, index) => {
+      summary += `**${variation.name}**\n`;
+
+      const changes = [];
+
+      // Concise change detection
+      if (variation.css) {
+        if (variation.css.includes('background') || variation.css.includes('color')) changes.push('styling');
+        if (variation.css.includes('display') || variation.css.includes('visibility')) changes.push('visibility');
+        if (variation.css.includes('position') || variation.css.includes('top') || variation.css.includes('left')) changes.push('positioning');
+      }
+
+      if (variation.js) {
+        if (variation.js.includes('createElement') || variation.js.includes('innerHTML')) changes.push('new elements');
+        if (variation.js.includes('textContent')) changes.push('text changes');
+        if (variation.js.includes('setInterval') || variation.js.includes('setTimeout')) changes.push('dynamic behavior');
+      }
+
+      if (changes.length > 0) {
+        summary += `Modified: ${changes.join(', ')}\n`;
+      }
+
+      if (index < variationCount - 1) summary += '\n';
+    });
+
+    // Add to chat
+    this.addChatMessageToDrawer('assistant', summary);
+
+    // Add to chat history
+    if (!this.chatHistory) this.chatHistory = [];
+    this.chatHistory.push({
+      role: 'assistant',
+      content: summary,
+      timestamp: Date.now()
+    });
+  }
+
+  addChatMessageToDrawer(role, content, elementAttachment = null) {
+    const container = document.getElementById('chatMessages');
+    if (!container) return;
 
     const messageEl = document.createElement('div');
     messageEl.className = role === 'user' ? 'chat-user-message' : 'chat-assistant-message';
@@ -3895,7 +4723,7 @@ Generating code for this element...`);
           <span class="element-icon">🎯</span>
           <div class="element-info">
             <div class="element-tag">${elementAttachment.tag}${elementAttachment.id ? `#${elementAttachment.id}` : ''}${elementAttachment.classes && elementAttachment.classes.length > 0 ? `.${elementAttachment.classes[0]}` : ''}</div>
-            <div class="element-text">${elementAttachment.text ? this.escapeHtml(elementAttachment.text.substring(0, 50)) + (elementAttachment.text.length > 50 ? '...' : '') : 'No text'}</div>
+            <div class="element-text">${elementAttachment.text ? this.escapeHtml(elementAttachment.text.substring(0, 50)) + (elementAttachment.text.length > 50 ? '...' : '') : 'No text'}${elementAttachment.elements?.length > 1 ? ` (+${elementAttachment.elements.length - 1} more)` : ''}</div>
           </div>
         </div>
       `;
@@ -4120,6 +4948,11 @@ Generating code for this element...`);
     });
   }
 
+  // waitForElement + deepQuerySelector (resolves 'host >>> inner' shadow/iframe selectors)
+  getWaitForElementUtility() {
+    return new DomTraversal().buildWaitForElementSource();
+  }
+
   // Command Palette Helper Methods
   async copyAllCode() {
     if (!this.generatedCode || !this.generatedCode.variations) {
@@ -4128,25 +4961,7 @@ Generating code for this element...`);
     }
 
     // CRITICAL: Include waitForElement utility
-    const waitForElementUtility = `// Utility function (required for code execution)
-function waitForElement(selector, callback, maxWait = 10000) {
-  const start = Date.now();
-  const interval = setInterval(() => {
-    const element = document.querySelector(selector);
-    if (element) {
-      clearInterval(interval);
-      callback(element);
-    } else if (Date.now() - start > maxWait) {
-      clearInterval(interval);
-      console.warn('Element not found after timeout:', selector);
-    }
-  }, 100);
-
-  // AUTO-TRACK: Register interval with Cleanup Manager
-  if (window.ConvertCleanupManager) {
-    window.ConvertCleanupManager.registerInterval(interval, 'waitForElement: ' + selector);
-  }
-}`;
+    const waitForElementUtility = this.getWaitForElementUtility();
 
     const globalJS = this.generatedCode.globalJS || '';
     const utilitySection = globalJS.includes('function waitForElement') ? globalJS :
@@ -4208,6 +5023,9 @@ function waitForElement(selector, callback, maxWait = 10000) {
       this.currentPageData = null;
       this.generatedCode = null;
       this.variations = [{ id: 1, name: 'Variation 1', description: '' }];
+      this.trafficAllocation = null;
+      this.experimentPages = [];
+      this.renderExperimentPages();
       this.conversation = [];
       this.selectedElementData = null;
 
@@ -4319,6 +5137,141 @@ function waitForElement(selector, callback, maxWait = 10000) {
   // PLACEHOLDER METHODS (Legacy Compatibility)
   // ==========================================
 
+  // ==========================================
+  // RESPONSIVE PREVIEW & QA
+  // ==========================================
+
+  // null = user's window; otherwise a preset name or { name, width, height }
+  getPreviewViewport() {
+    const value = document.getElementById('previewViewportSelect')?.value;
+    if (!value) return null;
+    if (value !== 'custom') return value;
+
+    const width = parseInt(document.getElementById('customViewportWidth')?.value, 10);
+    const height = parseInt(document.getElementById('customViewportHeight')?.value, 10);
+    return width && height ? { name: 'custom', width, height } : null;
+  }
+
+  async onPreviewViewportChange() {
+    const viewport = this.getPreviewViewport();
+
+    if (!viewport) {
+      await chrome.runtime.sendMessage({ type: 'CLEAR_PREVIEW_VIEWPORT', tabId: this.targetTabId });
+      this.addActivity('Preview restored to the current window size', 'info');
+      return;
+    }
+
+    // Re-apply the active variation so the emulated viewport shows it
+    const variationNumber = this.previewState.activeVariation || this.generatedCode?.variations?.[0]?.number;
+    if (variationNumber) {
+      await this.previewVariation(variationNumber, 'viewport-change');
+    }
+  }
+
+  async runResponsiveQA() {
+    if (!this.generatedCode?.variations?.length) {
+      this.showError('No variations to test');
+      return;
+    }
+    if (!this.targetTabId) {
+      this.showError('Capture the page first so there is a tab to test on');
+      return;
+    }
+
+    const viewports = ['mobile', 'tablet', 'desktop'];
+    const custom = this.getPreviewViewport();
+    if (custom && typeof custom === 'object') {
+      viewports.push(custom);
+    }
+
+    const button = document.getElementById('responsiveQABtn');
+    if (button) button.disabled = true;
+
+    const reports = [];
+    try {
+      for (const variation of this.generatedCode.variations) {
+        this.showStatus(`📱 Responsive QA on ${variation.name} (${viewports.length} viewports)...`, 'loading');
+        this.addActivity(`📱 Responsive QA - ${variation.name}`, 'info');
+
+        const response = await chrome.runtime.sendMessage({
+          type: 'RESPONSIVE_VISUAL_QA',
+          tabId: this.targetTabId,
+          viewports,
+          variation,
+          globalCSS: this.generatedCode.globalCSS || '',
+          globalJS: this.generatedCode.globalJS || '',
+          userRequest: document.getElementById('primaryDescription')?.value || variation.name,
+          chatHistory: (this.chatHistory || []).slice(-6),
+          elementDatabase: this.currentPageData?.elementDatabase || null
+        });
+
+        if (!response.success) {
+          throw new Error(response.error || 'Responsive QA failed');
+        }
+
+        variation.responsiveQA = {
+          checkedAt: new Date().toISOString(),
+          passed: !!response.validation?.passed,
+          breakpoints: response.validation?.breakpoints || []
+        };
+        reports.push({ variation, ...response });
+      }
+
+      const failed = reports.filter(report => !report.validation?.passed).length;
+      this.renderResponsiveQAReport(reports);
+      this.showStatus(
+        failed ? `Responsive QA: ${failed} variation(s) have breakpoint issues` : 'Responsive QA passed at every breakpoint',
+        failed ? 'warning' : 'success',
+        5000
+      );
+      this.addActivity(`📱 Responsive QA finished: ${reports.length - failed}/${reports.length} variations passed`, failed ? 'warning' : 'success');
+
+      // Emulation was cleared by the run; put the chosen preview viewport back
+      if (this.getPreviewViewport()) {
+        await this.onPreviewViewportChange();
+      }
+    } catch (error) {
+      console.error('Responsive QA failed:', error);
+      this.showStatus('Responsive QA failed: ' + error.message, 'error', 5000);
+      this.addActivity(`❌ Responsive QA failed: ${error.message}`, 'error');
+    } finally {
+      if (button) button.disabled = false;
+    }
+  }
+
+  renderResponsiveQAReport(reports) {
+    const container = document.getElementById('responsiveQAReport');
+    if (!container) return;
+
+    container.innerHTML = reports.map(({ variation, validation, viewports }) => {
+      const breakpoints = validation?.breakpoints || [];
+
+      const cells = viewports.map(viewport => {
+        const verdict = breakpoints.find(b => b.viewport === viewport.name);
+        const state = !viewport.captured ? 'error' : verdict ? (verdict.passed ? 'pass' : 'fail') : 'unknown';
+        const issues = viewport.error ? [viewport.error] : (verdict?.issues || []);
+
+        return `
+          <div class="responsive-qa-cell ${state}">
+            <div class="responsive-qa-viewport">${this.escapeHtml(viewport.label)} <span>${viewport.width}×${viewport.height}</span></div>
+            ${viewport.afterScreenshot ? `<img src="${viewport.afterScreenshot}" alt="${this.escapeHtml(viewport.label)} after" class="responsive-qa-thumb">` : ''}
+            ${issues.map(issue => `<div class="responsive-qa-issue">${this.escapeHtml(issue)}</div>`).join('')}
+          </div>
+        `;
+      }).join('');
+
+      return `
+        <div class="responsive-qa-variation">
+          <div class="responsive-qa-title">${validation?.passed ? '✅' : '⚠️'} ${this.escapeHtml(variation.name)}</div>
+          ${validation?.message ? `<div class="responsive-qa-summary">${this.escapeHtml(validation.message)}</div>` : ''}
+          <div class="responsive-qa-grid">${cells}</div>
+        </div>
+      `;
+    }).join('');
+
+    container.classList.remove('hidden');
+  }
+
   async previewVariation(variationNumber, source = 'unknown') {
     try {
       console.log(`🎬 [Preview] previewVariation called for variation ${variationNumber} from source: ${source}`);
@@ -4369,7 +5322,8 @@ function waitForElement(selector, callback, maxWait = 10000) {
         css: combinedCSS.trim(),
         js: combinedJS.trim(),
         variationNumber: variationNumber,
-        tabId: this.targetTabId // Pass the stored tab ID
+        tabId: this.targetTabId, // Pass the stored tab ID
+        viewport: this.getPreviewViewport()
       });
 
       if (!response.success) {
@@ -4612,6 +5566,189 @@ function waitForElement(selector, callback, maxWait = 10000) {
     }
   }
 
+  /**
+   * PAGE_CHANGED from the service worker: full loads (spa: false) and client-side
+   * route changes reported by the route watcher (spa: true, reason: pushState | replaceState | popstate | hashchange | dom-swap)
+   */
+  async handlePageChanged(message) {
+    if (!this.targetTabId || message.tabId !== this.targetTabId) return;
+
+    // Reloads of the captured URL (including our own preview/test reloads) keep the same view
+    const capturedUrl = this.currentPageData?.url;
+    if (!message.spa && (!capturedUrl || message.url === capturedUrl)) return;
+
+    const reasonLabels = {
+      pushState: 'navigated',
+      replaceState: 'URL replaced',
+      popstate: 'back/forward',
+      hashchange: 'hash changed',
+      'dom-swap': 'content replaced',
+      load: 'page loaded'
+    };
+    const reason = reasonLabels[message.reason] || message.reason;
+    this.addActivity(`Page changed (${reason}): ${this.formatUrl(message.url)}`, 'warning');
+
+    const previewActive = Boolean(this.previewState.activeVariation);
+    if (message.spa && previewActive && this.routeReapplyPreview) {
+      this.addActivity(`Re-applying variation ${this.previewState.activeVariation} after route change`, 'info');
+      await this.previewVariation(this.previewState.activeVariation, 'route-change');
+    }
+
+    if (capturedUrl || previewActive) {
+      this.showRouteChangeBanner(message, reason, previewActive && !(message.spa && this.routeReapplyPreview));
+    }
+  }
+
+  showRouteChangeBanner(message, reason, offerReapply) {
+    const banner = document.getElementById('routeChangeBanner');
+    if (!banner) return;
+
+    const sameUrl = message.url === this.currentPageData?.url;
+    document.getElementById('routeChangeMessage').textContent = sameUrl
+      ? `Page ${reason} - the capture may be stale`
+      : `Page ${reason}: ${this.formatUrl(message.url)} - the capture is from a different view`;
+    document.getElementById('routeReapplyBtn')?.classList.toggle('hidden', !offerReapply);
+    banner.classList.remove('hidden');
+  }
+
+  hideRouteChangeBanner() {
+    document.getElementById('routeChangeBanner')?.classList.add('hidden');
+  }
+
+  // Element share of the selected model's input budget; the service worker plans the full prompt
+  getElementTokenBudget() {
+    if (typeof AIProviderRegistry === 'undefined' || typeof PromptBudgetPlanner === 'undefined') {
+      return null;
+    }
+
+    this.providerRegistry = this.providerRegistry || new AIProviderRegistry();
+    const planner = this.smartContextAssembler.budgetPlanner || new PromptBudgetPlanner();
+    const model = this.providerRegistry.resolveModel(this.settings);
+    const limits = this.providerRegistry.getModelLimits(model);
+    const { primary, proximity, structure } = planner.shares;
+    return Math.floor(planner.getInputBudget(limits, limits.maxOutputTokens) * (primary + proximity + structure));
+  }
+
+  // ==========================================
+  // PAGE SETUP SCRIPTS
+  // ==========================================
+
+  async runPageSetup(tabId, force = false) {
+    const response = await chrome.runtime.sendMessage({ type: 'RUN_SETUP_SCRIPT', tabId, force });
+    const result = response?.result;
+    if (!result || result.status === 'skipped') return result;
+
+    if (result.status === 'error') {
+      this.addActivity(`⚠️ Page setup failed (${result.error}) - continuing without it`, 'warning');
+    } else {
+      this.addActivity(`🪄 Page setup ran for ${result.domain} (${result.duration}ms)`, 'info');
+    }
+    return result;
+  }
+
+  async openSetupScriptModal() {
+    if (!this.setupScripts) return;
+
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const domain = tab && this.setupScripts.getDomainFromUrl(tab.url);
+    if (!domain) {
+      this.showError('Open a website tab to configure its page setup');
+      return;
+    }
+
+    const setup = await this.setupScripts.getForUrl(tab.url);
+    this.setupScriptTarget = { tabId: tab.id, domain: setup?.domain || domain };
+
+    document.getElementById('setupScriptDomain').textContent = this.setupScriptTarget.domain;
+    document.getElementById('setupScriptInput').value = setup?.script || '';
+    document.getElementById('setupScriptEnabled').checked = setup ? setup.enabled !== false : true;
+    document.getElementById('setupDeleteBtn').disabled = !setup;
+    this.setSetupScriptStatus(setup ? `Last saved ${new Date(setup.updatedAt).toLocaleString()}` : '');
+    document.getElementById('setupScriptModal').classList.remove('hidden');
+  }
+
+  async closeSetupScriptModal() {
+    if (this.setupRecording) {
+      await this.toggleSetupRecording();
+    }
+    document.getElementById('setupScriptModal')?.classList.add('hidden');
+  }
+
+  setSetupScriptStatus(text) {
+    const status = document.getElementById('setupScriptStatus');
+    if (status) status.textContent = text;
+  }
+
+  // Recorded steps are appended so a script can be built up across several takes
+  async toggleSetupRecording() {
+    const button = document.getElementById('setupRecordBtn');
+    const type = this.setupRecording ? 'STOP_SETUP_RECORDING' : 'START_SETUP_RECORDING';
+
+    try {
+      const response = await chrome.runtime.sendMessage({ type, tabId: this.setupScriptTarget.tabId });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Recorder did not respond');
+      }
+
+      this.setupRecording = !this.setupRecording;
+      button.textContent = this.setupRecording ? '⏹ Stop' : '⏺ Record';
+
+      if (this.setupRecording) {
+        this.setSetupScriptStatus('Recording - click and type on the page, then press Stop');
+        return;
+      }
+
+      const input = document.getElementById('setupScriptInput');
+      if (response.script) {
+        input.value = [input.value.trim(), response.script].filter(Boolean).join('\n');
+      }
+      this.setSetupScriptStatus(`Recorded ${response.steps?.length || 0} step(s) - review and save`);
+    } catch (error) {
+      this.setupRecording = false;
+      button.textContent = '⏺ Record';
+      // Navigating away during recording reloads the content script and loses the steps
+      this.setSetupScriptStatus(`Recording failed: ${error.message}`);
+    }
+  }
+
+  async saveSetupScript() {
+    const script = document.getElementById('setupScriptInput').value.trim();
+    const enabled = document.getElementById('setupScriptEnabled').checked;
+    const { domain } = this.setupScriptTarget;
+
+    if (!script) {
+      await this.deleteSetupScript();
+      return;
+    }
+
+    await this.setupScripts.save(domain, script, enabled);
+    this.addActivity(`💾 Page setup saved for ${domain}`, 'success');
+    await this.closeSetupScriptModal();
+  }
+
+  // Saves first so the run uses what is in the editor
+  async runSetupScriptNow() {
+    const script = document.getElementById('setupScriptInput').value.trim();
+    if (!script) return;
+
+    const { domain, tabId } = this.setupScriptTarget;
+    await this.setupScripts.save(domain, script, document.getElementById('setupScriptEnabled').checked);
+    document.getElementById('setupDeleteBtn').disabled = false;
+
+    this.setSetupScriptStatus('Running...');
+    const result = await this.runPageSetup(tabId, true);
+    this.setSetupScriptStatus(result?.status === 'completed'
+      ? `✓ Completed in ${result.duration}ms`
+      : `✗ ${result?.error || 'Setup did not run'}`);
+  }
+
+  async deleteSetupScript() {
+    const { domain } = this.setupScriptTarget;
+    await this.setupScripts.remove(domain);
+    this.addActivity(`🗑️ Page setup removed for ${domain}`, 'info');
+    await this.closeSetupScriptModal();
+  }
+
   async launchAutomaticTesting(codeData) {
     console.log('🚀 Launching automatic testing pipeline...');
     this.showStatus('Starting automatic code validation...', 'loading');
@@ -4955,11 +6092,14 @@ function waitForElement(selector, callback, maxWait = 10000) {
       this.updateTypingStatus(`Running Visual QA on ${variation.name}...`);
     }
 
-    // Capture screenshot after code injection
+    // Capture screenshot after code injection, full-page when the before screenshot is
+    const beforePageData = this.currentPageData?.screenshot ? this.currentPageData : this.basePageData;
+    const fullPage = beforePageData?.screenshotFullPage === true;
     const afterResponse = await chrome.runtime.sendMessage({
       type: 'CAPTURE_AFTER_INJECTION',
       variationNumber: variation.number,
-      tabId: this.targetTabId
+      tabId: this.targetTabId,
+      fullPage
     });
 
     if (!afterResponse.success) {
@@ -5013,7 +6153,8 @@ function waitForElement(selector, callback, maxWait = 10000) {
           iteration,
           previousDefects,
           elementDatabase: this.currentPageData?.elementDatabase || null,
-          generatedCode: currentCode
+          generatedCode: currentCode,
+          fullPage
         });
 
         console.log(`[Visual QA] Iteration ${iteration} result:`, qaResult);
@@ -5107,7 +6248,8 @@ function waitForElement(selector, callback, maxWait = 10000) {
         const newAfterResponse = await chrome.runtime.sendMessage({
           type: 'CAPTURE_AFTER_INJECTION',
           variationNumber: variation.number,
-          tabId: this.targetTabId
+          tabId: this.targetTabId,
+          fullPage
         });
 
         if (newAfterResponse.success) {
@@ -5290,25 +6432,7 @@ FIX the issues identified above. You MUST address ALL critical defects while pre
 
     // CRITICAL: Include waitForElement utility in globalJS
     // This utility is required by all generated code
-    const waitForElementUtility = `// Utility function (required for code execution)
-function waitForElement(selector, callback, maxWait = 10000) {
-  const start = Date.now();
-  const interval = setInterval(() => {
-    const element = document.querySelector(selector);
-    if (element) {
-      clearInterval(interval);
-      callback(element);
-    } else if (Date.now() - start > maxWait) {
-      clearInterval(interval);
-      console.warn('Element not found after timeout:', selector);
-    }
-  }, 100);
-
-  // AUTO-TRACK: Register interval with Cleanup Manager
-  if (window.ConvertCleanupManager) {
-    window.ConvertCleanupManager.registerInterval(interval, 'waitForElement: ' + selector);
-  }
-}`;
+    const waitForElementUtility = this.getWaitForElementUtility();
 
     // Combine existing globalJS with utility (if not already present)
     let globalJS = this.generatedCode.globalJS || '';
@@ -5463,7 +6587,11 @@ function waitForElement(selector, callback, maxWait = 10000) {
     projectGroup?.classList.add('hidden');
     nameGroup?.classList.add('hidden');
     descGroup?.classList.add('hidden');
+    document.getElementById('convertTargetingGroup')?.classList.add('hidden');
+    document.getElementById('convertExperienceGroup')?.classList.add('hidden');
+    document.getElementById('convertBulkGroup')?.classList.add('hidden');
     status?.classList.add('hidden');
+    this.resetConvertTargeting();
 
     // Hide success panel
     this.hideConvertSyncSuccess();
@@ -5781,34 +6909,666 @@ Return ONLY the description, nothing else.`;
 
     createBtn?.classList.remove('hidden');
     updateBtn?.classList.add('hidden');
+
+    await this.loadConvertExperiences();
+    await this.loadConvertTargeting();
   }
 
-  async createConvertExperience() {
-    const nameInput = document.getElementById('convertExperienceName');
-    const descInput = document.getElementById('convertExperienceDescription');
-    const experienceName = nameInput?.value?.trim();
-    const experienceDescription = descInput?.value?.trim();
+  // ==========================================
+  // CONVERT EXPERIENCE LIFECYCLE
+  // ==========================================
 
-    if (!experienceName) {
-      this.showConvertSyncStatus('error', 'Please enter an experience name');
-      return;
-    }
+  async loadConvertExperiences() {
+    const group = document.getElementById('convertExperienceGroup');
+    if (!group || !this.convertCredentials || !this.convertAccountId || !this.convertProjectId) return;
 
-    if (!this.convertCredentials || !this.convertAccountId || !this.convertProjectId) {
-      this.showConvertSyncStatus('error', 'Please complete all fields');
-      return;
+    this.convertExperiences = [];
+    this.convertBulkSelection = new Set();
+    this.clearConvertBundleImport();
+    group.classList.remove('hidden');
+    document.getElementById('convertBulkGroup')?.classList.remove('hidden');
+    document.getElementById('convertLifecycleActions')?.classList.add('hidden');
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'CONVERT_LIST_EXPERIENCES',
+        credentials: this.convertCredentials,
+        accountId: this.convertAccountId,
+        projectId: this.convertProjectId
+      });
+
+      if (!response.success) {
+        throw new Error(response.error || 'Failed to load experiences');
+      }
+
+      this.convertExperiences = response.experiences || [];
+    } catch (error) {
+      console.error('Failed to load Convert experiences:', error);
+      this.showConvertSyncStatus('error', `Could not load experiences: ${error.message}`);
     }
 
-    this.showConvertSyncStatus('loading', 'Creating experience in Convert.com...');
+    this.renderConvertExperienceSelect();
+  }
 
-    try {
-      // Get current page URL (not extension URL)
-      const pageUrl = this.currentPageData?.url || (await this.getCurrentTabUrl()) || window.location.href;
+  renderConvertExperienceSelect(selectedId = '') {
+    const select = document.getElementById('convertExperienceSelect');
+    if (!select) return;
 
-      // Prepare payload according to Convert.com API spec
-      const payload = {
-        name: experienceName,
-        type: 'a/b',  // Changed from 'ab' to 'a/b'
+    if (!this.convertSmartLists) {
+      select.innerHTML = '<option value="">Select an experience...</option>' +
+        this.convertExperiences.map(exp => `<option value="${exp.id}">${this.escapeHtml(exp.name)} (${exp.status})</option>`).join('');
+    } else {
+      const sorted = this.convertSmartLists.sortExperiences([...this.convertExperiences]);
+      const groups = this.convertSmartLists.groupExperiencesByStatus(sorted);
+      select.innerHTML = this.convertSmartLists.createGroupedSelect(
+        groups,
+        this.convertSmartLists.enhanceExperienceDisplay,
+        'Select an experience...'
+      );
+    }
+
+    select.value = selectedId ? String(selectedId) : '';
+    this.onConvertExperienceSelect();
+    this.renderConvertBulkList();
+  }
+
+  getSelectedConvertExperience() {
+    const value = document.getElementById('convertExperienceSelect')?.value;
+    if (!value || value === '__create__') return null;
+    return (this.convertExperiences || []).find(exp => String(exp.id) === value) || null;
+  }
+
+  onConvertExperienceSelect() {
+    const actions = document.getElementById('convertLifecycleActions');
+    if (!actions) return;
+
+    const experience = this.getSelectedConvertExperience();
+    actions.classList.toggle('hidden', !experience);
+    if (!experience) return;
+
+    const status = (experience.status || '').toLowerCase();
+    const isLive = status === 'active' || status === 'running';
+    const disabled = {
+      activate: isLive,
+      pause: !isLive,
+      archive: status === 'archived',
+      clone: false
+    };
+
+    actions.querySelectorAll('[data-lifecycle]').forEach(button => {
+      button.disabled = disabled[button.dataset.lifecycle];
+    });
+  }
+
+  // ==========================================
+  // CONVERT BULK EXPORT / IMPORT
+  // ==========================================
+
+  renderConvertBulkList() {
+    const list = document.getElementById('convertBulkList');
+    if (!list) return;
+
+    const experiences = this.convertExperiences || [];
+    list.innerHTML = experiences.length > 0
+      ? experiences.map(exp => `
+          <label class="targeting-item">
+            <input type="checkbox" data-bulk-id="${this.escapeHtml(String(exp.id))}" ${this.convertBulkSelection.has(String(exp.id)) ? 'checked' : ''}>
+            <span class="targeting-name">${this.escapeHtml(exp.name)}</span>
+            <span class="targeting-type">${this.escapeHtml(exp.status)}</span>
+          </label>
+        `).join('')
+      : '<div class="targeting-empty">No experiences in this project yet</div>';
+
+    const exportBtn = document.getElementById('convertBulkExport');
+    if (exportBtn) exportBtn.disabled = this.convertBulkSelection.size === 0;
+  }
+
+  async exportConvertBundle() {
+    const experienceIds = [...this.convertBulkSelection];
+    if (experienceIds.length === 0) return;
+
+    this.showConvertSyncStatus('loading', `Exporting ${experienceIds.length} experience(s)...`);
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'CONVERT_EXPORT_EXPERIENCES',
+        credentials: this.convertCredentials,
+        accountId: this.convertAccountId,
+        projectId: this.convertProjectId,
+        experienceIds
+      });
+
+      if (!response.success) {
+        throw new Error(response.error || 'Failed to export experiences');
+      }
+
+      const blob = new Blob([JSON.stringify(response.bundle, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `convert-bundle-${this.convertProjectId}-${Date.now()}.json`;
+      a.click();
+      URL.revokeObjectURL(url);
+
+      this.showConvertSyncStatus('success', `Exported ${experienceIds.length} experience(s)`);
+      this.addActivity(`Exported ${experienceIds.length} Convert experience(s) to a bundle`, 'success');
+    } catch (error) {
+      console.error('Failed to export Convert bundle:', error);
+      this.showConvertSyncStatus('error', `Export failed: ${error.message}`);
+    }
+  }
+
+  // Dry run: ask the service worker what the bundle would create in the selected project
+  async previewConvertBundleImport(file) {
+    let bundle;
+    try {
+      bundle = JSON.parse(await file.text());
+    } catch (error) {
+      this.showConvertSyncStatus('error', `Could not read ${file.name}: ${error.message}`);
+      return;
+    }
+
+    this.pendingConvertBundle = bundle;
+    await this.sendConvertBundleImport(true);
+  }
+
+  async runConvertBundleImport() {
+    if (!this.pendingConvertBundle) return;
+    await this.sendConvertBundleImport(false);
+  }
+
+  async sendConvertBundleImport(dryRun) {
+    this.showConvertSyncStatus('loading', dryRun ? 'Checking bundle against this project...' : 'Importing experiences...');
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'CONVERT_IMPORT_EXPERIENCES',
+        credentials: this.convertCredentials,
+        accountId: this.convertAccountId,
+        projectId: this.convertProjectId,
+        bundle: this.pendingConvertBundle,
+        dryRun,
+        options: {
+          skipExisting: document.getElementById('convertBulkSkipExisting')?.checked
+        }
+      });
+
+      if (!response.success) {
+        throw new Error(response.error || 'Failed to import bundle');
+      }
+
+      this.renderConvertBundleReport(response.report);
+
+      if (dryRun) {
+        this.hideConvertSyncStatus();
+        return;
+      }
+
+      const { created, failed } = response.report;
+      this.pendingConvertBundle = null;
+      this.showConvertSyncStatus(failed ? 'error' : 'success', `Imported ${created} experience(s)${failed ? `, ${failed} failed` : ''}`);
+      this.addActivity(`Imported ${created} Convert experience(s) into project ${this.convertProjectId}`, failed ? 'warning' : 'success');
+
+      // Refresh the list but keep the import result on screen
+      const reportHtml = document.getElementById('convertBulkReport')?.innerHTML;
+      await this.loadConvertExperiences();
+      const report = document.getElementById('convertBulkReport');
+      if (report && reportHtml) {
+        report.innerHTML = reportHtml;
+        report.classList.remove('hidden');
+      }
+    } catch (error) {
+      console.error('Convert bundle import failed:', error);
+      this.showConvertSyncStatus('error', `Import failed: ${error.message}`);
+    }
+  }
+
+  renderConvertBundleReport(report) {
+    const container = document.getElementById('convertBulkReport');
+    if (!container) return;
+
+    const items = report.items.map(item => {
+      const state = item.status || item.action;
+      const label = {
+        create: 'will be created',
+        skip: 'will be skipped',
+        created: 'created',
+        skipped: 'skipped',
+        failed: `failed: ${item.error || 'unknown error'}`
+      }[state];
+
+      return `
+        <div class="bulk-report-item ${state}">
+          <span class="bulk-report-name">${this.escapeHtml(item.name)}</span>
+          <span>${this.escapeHtml(label)} · ${item.variationCount} variation(s)${item.hasGlobalCode ? ' · global code' : ''}</span>
+          ${item.warnings.map(warning => `<span class="bulk-report-warning">⚠️ ${this.escapeHtml(warning)}</span>`).join('')}
+        </div>
+      `;
+    }).join('');
+
+    const summary = report.dryRun
+      ? `<strong>Dry run:</strong> ${report.toCreate} to create, ${report.toSkip} to skip in project ${this.escapeHtml(report.target.projectId)}`
+      : `<strong>Import finished:</strong> ${report.created} created, ${report.toSkip} skipped, ${report.failed} failed`;
+
+    const actions = report.dryRun
+      ? `<div class="bulk-actions">
+           <button type="button" class="btn-primary btn-small" data-bulk-action="confirm" ${report.toCreate === 0 ? 'disabled' : ''}>Import ${report.toCreate} experience(s)</button>
+           <button type="button" class="btn-secondary btn-small" data-bulk-action="cancel">Cancel</button>
+         </div>`
+      : `<div class="bulk-actions">
+           <button type="button" class="btn-secondary btn-small" data-bulk-action="cancel">Close</button>
+         </div>`;
+
+    container.innerHTML = `<div>${summary}</div>${items}${actions}`;
+    container.classList.remove('hidden');
+  }
+
+  clearConvertBundleImport() {
+    this.pendingConvertBundle = null;
+    const report = document.getElementById('convertBulkReport');
+    if (report) {
+      report.innerHTML = '';
+      report.classList.add('hidden');
+    }
+  }
+
+  async runExperienceLifecycleAction(action) {
+    const experience = this.getSelectedConvertExperience();
+    if (!experience) return;
+
+    const status = (experience.status || '').toLowerCase();
+    const isLive = status === 'active' || status === 'running';
+    const name = experience.name;
+
+    // Anything that starts or stops live traffic needs an explicit confirmation
+    const confirmations = {
+      activate: `Start "${name}"? Visitors will begin seeing its variations immediately.`,
+      pause: `Pause "${name}"? It will stop receiving live traffic.`,
+      archive: isLive ? `"${name}" is live. Archiving stops its traffic and removes it from active experiences. Continue?` : null
+    };
+
+    if (confirmations[action] && !confirm(confirmations[action])) {
+      return;
+    }
+
+    const config = {
+      activate: { type: 'CONVERT_ACTIVATE_EXPERIENCE', progress: 'Starting', done: 'started' },
+      pause: { type: 'CONVERT_PAUSE_EXPERIENCE', progress: 'Pausing', done: 'paused' },
+      archive: { type: 'CONVERT_ARCHIVE_EXPERIENCE', progress: 'Archiving', done: 'archived' },
+      clone: { type: 'CONVERT_CLONE_EXPERIENCE', progress: 'Duplicating', done: 'duplicated' }
+    }[action];
+
+    if (!config) return;
+
+    this.showConvertSyncStatus('loading', `${config.progress} "${name}"...`);
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: config.type,
+        credentials: this.convertCredentials,
+        accountId: this.convertAccountId,
+        projectId: this.convertProjectId,
+        experienceId: experience.id
+      });
+
+      if (!response.success) {
+        throw new Error(response.error || `Failed to ${action} experience`);
+      }
+
+      let selectedId = experience.id;
+      if (action === 'clone') {
+        // Clones land as drafts; select the copy so it can be managed right away
+        const clone = { ...response.experience, status: response.experience.status === 'unknown' ? 'draft' : response.experience.status };
+        if (clone.id) {
+          this.convertExperiences.unshift(clone);
+          selectedId = clone.id;
+        }
+      } else {
+        experience.status = response.status;
+        experience.updated_at = new Date().toISOString();
+      }
+
+      this.renderConvertExperienceSelect(selectedId);
+      this.showConvertSyncStatus('success', `"${name}" ${config.done}`);
+      this.addActivity(`Convert experience "${name}" ${config.done}`, 'success');
+    } catch (error) {
+      console.error(`Failed to ${action} experience:`, error);
+      this.showConvertSyncStatus('error', `Failed to ${action} "${name}": ${error.message}`);
+    }
+  }
+
+  // ==========================================
+  // CONVERT GOALS / AUDIENCES / LOCATIONS
+  // ==========================================
+
+  resetConvertTargeting() {
+    this.convertTargeting = { goals: [], audiences: [], locations: [] };
+    this.convertTargetingSelection = { goals: new Set(), audiences: new Set(), locations: new Set() };
+    // IDs already attached to the experience being updated (pre-selected so unticking removes them)
+    this.convertTargetingAttached = { goals: new Set(), audiences: new Set(), locations: new Set() };
+  }
+
+  async loadConvertTargeting() {
+    const group = document.getElementById('convertTargetingGroup');
+    if (!group || !this.convertCredentials || !this.convertAccountId || !this.convertProjectId) return;
+
+    this.resetConvertTargeting();
+    group.classList.remove('hidden');
+    this.showConvertSyncStatus('loading', 'Loading goals, audiences and locations...');
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'CONVERT_LIST_TARGETING',
+        credentials: this.convertCredentials,
+        accountId: this.convertAccountId,
+        projectId: this.convertProjectId
+      });
+
+      if (!response.success) {
+        throw new Error(response.error || 'Failed to load project targeting');
+      }
+
+      this.convertTargeting = {
+        goals: response.goals || [],
+        audiences: response.audiences || [],
+        locations: response.locations || []
+      };
+
+      if (this.updateMode && this.updateModeMapping?.experienceId) {
+        await this.preselectAttachedConvertTargeting(this.updateModeMapping.experienceId);
+      }
+      this.hideConvertSyncStatus();
+    } catch (error) {
+      console.error('Failed to load Convert targeting:', error);
+      // Creation still works without the lists
+      this.showConvertSyncStatus('error', `Could not load goals/audiences/locations: ${error.message}`);
+    }
+
+    this.renderConvertTargeting();
+  }
+
+  /**
+   * Tick the goals, audiences and locations already attached to the experience being updated
+   */
+  async preselectAttachedConvertTargeting(experienceId) {
+    const response = await chrome.runtime.sendMessage({
+      type: 'CONVERT_GET_EXPERIENCE',
+      credentials: this.convertCredentials,
+      accountId: this.convertAccountId,
+      projectId: this.convertProjectId,
+      experienceId
+    });
+
+    if (!response.success) {
+      // Without the current attachments, ticked items are added on top of them at push time
+      console.warn('⚠️ Could not load the experience\'s current targeting:', response.error);
+      return;
+    }
+
+    ['goals', 'audiences', 'locations'].forEach(resource => {
+      this.getExperienceTargetingIds(response.experience, resource).forEach(id => {
+        this.convertTargetingAttached[resource].add(id);
+        this.convertTargetingSelection[resource].add(id);
+      });
+    });
+  }
+
+  // Convert returns targeting either as ID lists or as expanded objects
+  getExperienceTargetingIds(experience, resource) {
+    const items = Array.isArray(experience?.[resource]) ? experience[resource] : [];
+    return items
+      .map(item => (item && typeof item === 'object' ? item.id : item))
+      .filter(id => id !== null && id !== undefined && id !== '')
+      .map(id => String(id));
+  }
+
+  renderConvertTargeting() {
+    const container = document.getElementById('convertTargeting');
+    if (!container) return;
+
+    const sections = [
+      { resource: 'goals', title: 'Goals', empty: 'No goals in this project yet' },
+      { resource: 'audiences', title: 'Audiences', empty: 'No audiences in this project yet' },
+      { resource: 'locations', title: 'Locations', empty: 'No locations in this project yet' }
+    ];
+    const pageUrl = this.currentPageData?.url || '';
+
+    container.innerHTML = sections.map(({ resource, title, empty }) => {
+      const items = this.convertTargeting[resource];
+      const selected = this.convertTargetingSelection[resource];
+
+      const list = items.length > 0
+        ? items.map(item => `
+            <label class="targeting-item">
+              <input type="checkbox" data-resource="${resource}" data-targeting-id="${this.escapeHtml(String(item.id))}" ${selected.has(String(item.id)) ? 'checked' : ''}>
+              <span class="targeting-name">${this.escapeHtml(item.name)}</span>
+              ${item.type ? `<span class="targeting-type">${this.escapeHtml(item.type)}</span>` : ''}
+            </label>
+          `).join('')
+        : `<div class="targeting-empty">${empty}</div>`;
+
+      const kindSelect = resource === 'goals'
+        ? `<select class="form-select" data-targeting-kind data-resource="goals">
+             <option value="url">Visits URL</option>
+             <option value="click">Clicks element</option>
+           </select>`
+        : '';
+
+      return `
+        <div class="targeting-section" data-resource="${resource}">
+          <div class="targeting-title">${title} <span class="targeting-count">${selected.size}/${items.length}</span></div>
+          <div class="targeting-list">${list}</div>
+          <div class="targeting-create">
+            <input type="text" class="form-input" data-targeting-name placeholder="New ${title.toLowerCase().replace(/s$/, '')} name">
+            ${kindSelect}
+            <select class="form-select" data-targeting-match>
+              <option value="contains">URL contains</option>
+              <option value="matches">URL matches exactly</option>
+              <option value="regexMatches">URL matches regex</option>
+            </select>
+            <div class="input-with-button">
+              <input type="text" class="form-input" data-targeting-value placeholder="${resource === 'goals' ? 'URL or CSS selector' : 'URL'}" value="${this.escapeHtml(pageUrl)}">
+              <button type="button" class="btn-icon-small hidden" data-targeting-pick title="Pick element on page">🎯</button>
+              <button type="button" class="btn-secondary btn-small" data-targeting-add="${resource}">Create</button>
+            </div>
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  updateConvertTargetingForm(resource) {
+    const section = document.querySelector(`.targeting-section[data-resource="${resource}"]`);
+    if (!section) return;
+
+    const isClick = section.querySelector('[data-targeting-kind]')?.value === 'click';
+    const valueInput = section.querySelector('[data-targeting-value]');
+
+    section.querySelector('[data-targeting-match]')?.classList.toggle('hidden', isClick);
+    section.querySelector('[data-targeting-pick]')?.classList.toggle('hidden', !isClick);
+
+    if (valueInput) {
+      valueInput.placeholder = isClick ? 'CSS selector, e.g. .hero .cta-button' : 'URL';
+      valueInput.value = isClick
+        ? (this.selectedElementData?.selector || '')
+        : (this.currentPageData?.url || '');
+    }
+  }
+
+  toggleConvertTargetingItem(resource, id, checked) {
+    const selected = this.convertTargetingSelection?.[resource];
+    if (!selected) return;
+
+    if (checked) {
+      selected.add(String(id));
+    } else {
+      selected.delete(String(id));
+    }
+
+    const count = document.querySelector(`.targeting-section[data-resource="${resource}"] .targeting-count`);
+    if (count) {
+      count.textContent = `${selected.size}/${this.convertTargeting[resource].length}`;
+    }
+  }
+
+  async createConvertTargetingItem(resource) {
+    const section = document.querySelector(`.targeting-section[data-resource="${resource}"]`);
+    if (!section) return;
+
+    const definition = {
+      name: section.querySelector('[data-targeting-name]')?.value.trim(),
+      kind: section.querySelector('[data-targeting-kind]')?.value || 'url',
+      matchType: section.querySelector('[data-targeting-match]')?.value || 'contains',
+      value: section.querySelector('[data-targeting-value]')?.value.trim()
+    };
+
+    if (!definition.name || !definition.value) {
+      this.showConvertSyncStatus('error', 'Enter a name and a URL/selector to create an item');
+      return;
+    }
+
+    const messageType = {
+      goals: 'CONVERT_CREATE_GOAL',
+      audiences: 'CONVERT_CREATE_AUDIENCE',
+      locations: 'CONVERT_CREATE_LOCATION'
+    }[resource];
+
+    this.showConvertSyncStatus('loading', `Creating "${definition.name}"...`);
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: messageType,
+        credentials: this.convertCredentials,
+        accountId: this.convertAccountId,
+        projectId: this.convertProjectId,
+        definition
+      });
+
+      if (!response.success || !response.item?.id) {
+        throw new Error(response.error || 'No ID returned from Convert.com');
+      }
+
+      // New items are attached to this experience by default
+      this.convertTargeting[resource].unshift(response.item);
+      this.convertTargetingSelection[resource].add(String(response.item.id));
+      this.renderConvertTargeting();
+      this.showConvertSyncStatus('success', `Created "${response.item.name}"`);
+    } catch (error) {
+      console.error(`Failed to create Convert ${resource}:`, error);
+      this.showConvertSyncStatus('error', `Failed to create: ${error.message}`);
+    }
+  }
+
+  async pickConvertGoalSelector() {
+    this.selectingForConvertGoal = true;
+    // Hide (not close) the modal so the form keeps its state while the user picks on the page
+    document.getElementById('convertSyncModal')?.classList.add('hidden');
+
+    const activated = await this.activateElementSelector();
+    if (!activated) {
+      this.endConvertGoalPick();
+    }
+  }
+
+  endConvertGoalPick() {
+    this.selectingForConvertGoal = false;
+    document.getElementById('convertSyncModal')?.classList.remove('hidden');
+  }
+
+  applyConvertGoalSelector(elementData) {
+    const section = document.querySelector('.targeting-section[data-resource="goals"]');
+    const valueInput = section?.querySelector('[data-targeting-value]');
+    const nameInput = section?.querySelector('[data-targeting-name]');
+
+    if (valueInput) {
+      valueInput.value = elementData.selector || '';
+    }
+    if (nameInput && !nameInput.value.trim()) {
+      const label = (elementData.textContent || elementData.tag || 'element').trim().substring(0, 40);
+      nameInput.value = `Click: ${label}`;
+    }
+
+    this.showStatus(`Goal selector set: ${elementData.selector}`, 'success', 3000);
+  }
+
+  getSelectedConvertTargeting() {
+    const targeting = {};
+    if (!this.convertTargetingSelection) return targeting;
+
+    ['goals', 'audiences', 'locations'].forEach(resource => {
+      const ids = Array.from(this.convertTargetingSelection[resource] || []);
+      if (ids.length > 0) {
+        targeting[resource] = ids.map(id => (/^\d+$/.test(id) ? Number(id) : id));
+      }
+    });
+
+    return targeting;
+  }
+
+  /**
+   * Targeting ticked or unticked in update mode, relative to what was attached when the modal loaded
+   * @returns {Object} { goals: { added, removed }, ... } for resources the user changed
+   */
+  getConvertTargetingChanges() {
+    const changes = {};
+    if (!this.convertTargetingSelection) return changes;
+
+    ['goals', 'audiences', 'locations'].forEach(resource => {
+      const selected = this.convertTargetingSelection[resource];
+      const attached = this.convertTargetingAttached?.[resource] || new Set();
+      const added = Array.from(selected).filter(id => !attached.has(id));
+      const removed = Array.from(attached).filter(id => !selected.has(id));
+      if (added.length > 0 || removed.length > 0) {
+        changes[resource] = { added, removed };
+      }
+    });
+
+    return changes;
+  }
+
+  /**
+   * Apply targeting changes to the experience's current attachments so untouched ones are kept
+   * @returns {Object} Full ID lists for the changed resources, ready for the experience payload
+   */
+  mergeConvertTargetingChanges(experience, changes = {}) {
+    const targeting = {};
+
+    Object.entries(changes).forEach(([resource, { added, removed }]) => {
+      const ids = new Set(this.getExperienceTargetingIds(experience, resource));
+      added.forEach(id => ids.add(id));
+      removed.forEach(id => ids.delete(id));
+      targeting[resource] = Array.from(ids).map(id => (/^\d+$/.test(id) ? Number(id) : id));
+    });
+
+    return targeting;
+  }
+
+  async createConvertExperience() {
+    const nameInput = document.getElementById('convertExperienceName');
+    const descInput = document.getElementById('convertExperienceDescription');
+    const experienceName = nameInput?.value?.trim();
+    const experienceDescription = descInput?.value?.trim();
+
+    if (!experienceName) {
+      this.showConvertSyncStatus('error', 'Please enter an experience name');
+      return;
+    }
+
+    if (!this.convertCredentials || !this.convertAccountId || !this.convertProjectId) {
+      this.showConvertSyncStatus('error', 'Please complete all fields');
+      return;
+    }
+
+    this.showConvertSyncStatus('loading', 'Creating experience in Convert.com...');
+
+    try {
+      // Get current page URL (not extension URL)
+      const pageUrl = this.currentPageData?.url || (await this.getCurrentTabUrl()) || window.location.href;
+
+      // Prepare payload according to Convert.com API spec
+      const payload = {
+        name: experienceName,
+        type: 'a/b',  // Changed from 'ab' to 'a/b'
         status: 'paused',  // Changed from 'draft' to 'paused' (valid status)
         url: pageUrl,  // Root-level URL (required)
         site_area: {
@@ -5824,27 +7584,22 @@ Return ONLY the description, nothing else.`;
         payload.description = experienceDescription;
       }
 
+      // Attach goals/audiences/locations; selected locations replace the page-URL site area
+      const targeting = this.getSelectedConvertTargeting();
+      Object.assign(payload, targeting);
+
+      // Multi-page experiments target each page's URL rule unless locations were picked by hand
+      if (!targeting.locations && this.experimentPages.length > 1 && this.multiPageExperiment) {
+        this.showConvertSyncStatus('loading', `Creating ${this.experimentPages.length} page locations...`);
+        payload.locations = await this.createExperimentPageLocations(experienceName);
+      }
+      if (payload.locations) {
+        delete payload.site_area;
+      }
+
       // CRITICAL: Include waitForElement utility in global_js
       // This utility is required by all generated code
-      const waitForElementUtility = `// Utility function (required for code execution)
-function waitForElement(selector, callback, maxWait = 10000) {
-  const start = Date.now();
-  const interval = setInterval(() => {
-    const element = document.querySelector(selector);
-    if (element) {
-      clearInterval(interval);
-      callback(element);
-    } else if (Date.now() - start > maxWait) {
-      clearInterval(interval);
-      console.error('Element not found after ' + maxWait + 'ms:', selector);
-    }
-  }, 100);
-
-  // Register cleanup if available
-  if (window.ConvertCleanupManager) {
-    window.ConvertCleanupManager.registerInterval(interval, 'waitForElement: ' + selector);
-  }
-}`;
+      const waitForElementUtility = this.getWaitForElementUtility();
 
       // Add global JS with waitForElement utility
       let globalJS = this.generatedCode?.globalJS || '';
@@ -6011,6 +7766,15 @@ function waitForElement(selector, callback, maxWait = 10000) {
         throw new Error(errorMessage);
       }
 
+      // Detect edits made in the Convert editor since our last sync before overwriting them
+      const remoteSnapshot = this.extractRemoteCodeSnapshot(fetchResponse.experience);
+      const base = await this.getSyncBase(mapping);
+      const proceed = await this.reconcileRemoteChanges(base, remoteSnapshot, mapping.codeHash, 'push');
+      if (!proceed) {
+        this.showStatus('Update cancelled - Convert.com changes were kept', 'info', 4000);
+        return;
+      }
+
       const variations = fetchResponse.experience?.variations || [];
       // Check if all variations are baseline
       const allBaseline = variations.every(v => v.is_baseline);
@@ -6018,45 +7782,60 @@ function waitForElement(selector, callback, maxWait = 10000) {
         console.warn('⚠️ Experience only has baseline variation. Global JS/CSS will be updated, but consider creating a new experience for proper A/B test structure.');
       }
 
-      // Update each variation with new code
-      for (let i = 0; i < variations.length && i < this.generatedCode.variations.length; i++) {
-        const apiVariation = variations[i];
-        const codeVariation = this.generatedCode.variations[i];
+      // Traffic split: [original, ...variations] mapped onto the experience's variations.
+      // Only a split the user set is sent - otherwise the split already live in Convert is kept
+      const allocation = Array.isArray(this.trafficAllocation)
+        ? this.getPushTrafficAllocation(variations.length - 1)
+        : null;
+
+      // Update each variation with new code and its traffic share
+      // Non-baseline variations map in order onto the generated variations
+      let codeIndex = 0;
+      for (const apiVariation of variations) {
+        const updatePayload = {};
 
-        // Skip baseline variations - they represent the original page without changes
         if (apiVariation.is_baseline) {
-          continue;
-        }
+          // Baseline represents the original page - only its traffic share changes
+          if (allocation) {
+            updatePayload.traffic_distribution = allocation[0];
+          }
+        } else {
+          const codeVariation = this.generatedCode.variations[codeIndex];
+          codeIndex++;
+          if (allocation) {
+            updatePayload.traffic_distribution = allocation[codeIndex];
+          }
 
-        // Build the change data object
-        // IMPORTANT: When adding a new change, ALL THREE fields (css, js, custom_js) are REQUIRED
-        // Use null for empty values (API spec says "string | null")
-        const changeData = {
-          css: codeVariation.css || null,
-          js: null,  // Visual Editor JS - always null for us
-          custom_js: codeVariation.js || null
-        };
+          // Build the change data object
+          // IMPORTANT: When adding a new change, ALL THREE fields (css, js, custom_js) are REQUIRED
+          // Use null for empty values (API spec says "string | null")
+          const changeData = {
+            css: codeVariation?.css || null,
+            js: null,  // Visual Editor JS - always null for us
+            custom_js: codeVariation?.js || null
+          };
+
+          // Only send changes when there is code for this variation
+          if (changeData.css || changeData.custom_js) {
+            updatePayload.changes = [
+              {
+                type: 'defaultCode',
+                data: changeData
+              }
+            ];
+          }
+        }
 
-        // If no code at all, skip this variation
-        if (!changeData.css && !changeData.custom_js) {
+        // Nothing to change for this variation (no code and no custom split)
+        if (Object.keys(updatePayload).length === 0) {
           continue;
         }
 
         // Include concurrency_key if available (for optimistic locking)
-        const updatePayload = {
-          changes: [
-            {
-              type: 'defaultCode',
-              data: changeData
-            }
-          ]
-        };
-
         if (apiVariation.concurrency_key) {
           updatePayload.concurrency_key = apiVariation.concurrency_key;
         }
 
-
         const updateResponse = await chrome.runtime.sendMessage({
           type: 'CONVERT_UPDATE_VARIATION',
           credentials,
@@ -6068,33 +7847,20 @@ function waitForElement(selector, callback, maxWait = 10000) {
         });
 
         if (!updateResponse.success) {
-          console.warn(`⚠️ Could not update variation code: ${updateResponse.error}`);
+          console.warn(`⚠️ Could not update variation ${apiVariation.id}: ${updateResponse.error}`);
         }
       }
 
-      // Update global JS/CSS at experience level if available
-      if (this.generatedCode?.globalJS || this.generatedCode?.globalCSS) {
+      // Goals/audiences/locations ticked or unticked in the sync modal (update mode only),
+      // merged with what is attached now so other attachments are not replaced
+      const targeting = this.mergeConvertTargetingChanges(fetchResponse.experience, this.pendingConvertTargeting || {});
+      this.pendingConvertTargeting = null;
+
+      // Update global JS/CSS and targeting at experience level if available
+      if (this.generatedCode?.globalJS || this.generatedCode?.globalCSS || Object.keys(targeting).length > 0) {
 
         // CRITICAL: Include waitForElement utility in global_js
-        const waitForElementUtility = `// Utility function (required for code execution)
-function waitForElement(selector, callback, maxWait = 10000) {
-  const start = Date.now();
-  const interval = setInterval(() => {
-    const element = document.querySelector(selector);
-    if (element) {
-      clearInterval(interval);
-      callback(element);
-    } else if (Date.now() - start > maxWait) {
-      clearInterval(interval);
-      console.error('Element not found after ' + maxWait + 'ms:', selector);
-    }
-  }, 100);
-
-  // Register cleanup if available
-  if (window.ConvertCleanupManager) {
-    window.ConvertCleanupManager.registerInterval(interval, 'waitForElement: ' + selector);
-  }
-}`;
+        const waitForElementUtility = this.getWaitForElementUtility();
 
         const experienceUpdatePayload = {};
 
@@ -6111,6 +7877,8 @@ function waitForElement(selector, callback, maxWait = 10000) {
           experienceUpdatePayload.global_css = this.generatedCode.globalCSS;
         }
 
+        Object.assign(experienceUpdatePayload, targeting);
+
         const experienceUpdateResponse = await chrome.runtime.sendMessage({
           type: 'CONVERT_UPDATE_EXPERIENCE',
           credentials,
@@ -6121,7 +7889,7 @@ function waitForElement(selector, callback, maxWait = 10000) {
         });
 
         if (!experienceUpdateResponse.success) {
-          throw new Error('Failed to update global JS/CSS: ' + experienceUpdateResponse.error);
+          throw new Error('Failed to update experience settings: ' + experienceUpdateResponse.error);
         }
       }
 
@@ -6167,6 +7935,9 @@ function waitForElement(selector, callback, maxWait = 10000) {
       this.convertAccountId = accountId;
       this.convertProjectId = projectId;
 
+      // Capture targeting before the modal reset clears it
+      this.pendingConvertTargeting = this.getConvertTargetingChanges();
+
       // Close modal and perform update
       this.closeConvertSyncModal();
 
@@ -6206,7 +7977,8 @@ function waitForElement(selector, callback, maxWait = 10000) {
       const pageUrl = this.currentPageData?.url || (await this.getCurrentTabUrl()) || window.location.href;
 
       const payload = {
-        variations: this.formatVariationsForConvert(pageUrl)
+        variations: this.formatVariationsForConvert(pageUrl),
+        ...this.getSelectedConvertTargeting()
       };
 
       const response = await chrome.runtime.sendMessage({
@@ -6251,8 +8023,7 @@ function waitForElement(selector, callback, maxWait = 10000) {
     // The baseline is the original page with NO code changes
     // Each generated variation becomes a Convert.com variation with code changes
 
-    const baselinePercentage = 50;
-    const variationPercentage = Math.floor(50 / this.generatedCode.variations.length);
+    const allocation = this.getPushTrafficAllocation(this.generatedCode.variations.length);
 
     const variations = [];
 
@@ -6260,7 +8031,7 @@ function waitForElement(selector, callback, maxWait = 10000) {
     variations.push({
       name: 'Original',
       is_baseline: true,  // Mark as baseline (control) variation
-      traffic_distribution: baselinePercentage  // API expects traffic_distribution, not percentage
+      traffic_distribution: allocation[0]  // API expects traffic_distribution, not percentage
       // No changes array for baseline - it's the original page
       // No id field - API assigns it automatically (readOnly)
       // No url field - URL is set at experience level, not variation level
@@ -6270,7 +8041,7 @@ function waitForElement(selector, callback, maxWait = 10000) {
     this.generatedCode.variations.forEach((variation, index) => {
       const variationData = {
         name: variation.name || `Variation ${index + 1}`,
-        traffic_distribution: variationPercentage  // API expects traffic_distribution, not percentage
+        traffic_distribution: allocation[index + 1]  // API expects traffic_distribution, not percentage
         // No id field - API assigns it automatically (readOnly)
         // No url field - URL is set at experience level, not variation level
       };
@@ -6319,15 +8090,24 @@ function waitForElement(selector, callback, maxWait = 10000) {
     await this.experimentHistory.markAsSynced(
       this.currentPageData?.url,
       currentExperiment.id,
-      metadata
+      {
+        codeHash: this.getCodeHash(),
+        baseCode: this.getCodeSnapshot(),
+        ...metadata
+      }
     );
 
   }
 
   async getCurrentExperiment() {
-    // This would need to be implemented based on how experiments are tracked
-    // For now, return null - you'll need to add proper experiment tracking
-    return null;
+    if (!this.experimentHistory || !this.currentExperimentId) {
+      return null;
+    }
+
+    const currentUrl = this.currentPageData?.url || (await this.getCurrentTabUrl());
+    if (!currentUrl) return null;
+
+    return this.experimentHistory.getExperiment(currentUrl, this.currentExperimentId);
   }
 
   async prefillConvertSyncModal(metadata) {
@@ -6513,7 +8293,7 @@ function waitForElement(selector, callback, maxWait = 10000) {
    * Save experiment-to-experience mapping for future updates
    * Creates a unique key based on page URL and generated code hash
    */
-  async saveExperimentMapping(experienceId) {
+  async saveExperimentMapping(experienceId, baseSnapshot = null) {
     try {
       const experimentKey = await this.getExperimentKey();
       if (!experimentKey) {
@@ -6530,78 +8310,382 @@ function waitForElement(selector, callback, maxWait = 10000) {
         pageUrl: this.currentPageData?.url || (await this.getCurrentTabUrl()),
         experimentName: document.getElementById('convertExperienceName')?.value || 'Unnamed',
         lastSynced: new Date().toISOString(),
-        codeHash: this.getCodeHash()
+        // Code as it exists in Convert after this sync - the base for three-way merges
+        codeHash: this.getCodeHash(baseSnapshot || this.generatedCode),
+        baseCode: baseSnapshot || this.getCodeSnapshot()
       };
 
       const result = await chrome.storage.local.get(['convertExperimentMappings']);
       const mappings = result.convertExperimentMappings || {};
       mappings[experimentKey] = mapping;
 
-      await chrome.storage.local.set({ convertExperimentMappings: mappings });
+      await chrome.storage.local.set({ convertExperimentMappings: mappings });
+
+      // Update UI to show this is a synced experiment
+      this.currentExperimentMapping = mapping;
+      this.updatePushButtonState();
+    } catch (error) {
+      console.error('Failed to save experiment mapping:', error);
+    }
+  }
+
+  /**
+   * Get experiment mapping for current experiment
+   */
+  async getExperimentMapping() {
+    try {
+      const experimentKey = await this.getExperimentKey();
+      if (!experimentKey) return null;
+
+      const result = await chrome.storage.local.get(['convertExperimentMappings']);
+      const mappings = result.convertExperimentMappings || {};
+
+      return mappings[experimentKey] || null;
+    } catch (error) {
+      console.error('Failed to get experiment mapping:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Generate unique key for current experiment
+   * Based on page URL + variation names + code structure
+   */
+  async getExperimentKey() {
+    if (!this.generatedCode?.variations) {
+      return null;
+    }
+
+    // Get page URL
+    const pageUrl = this.currentPageData?.url || (await this.getCurrentTabUrl());
+    if (!pageUrl) {
+      return null;
+    }
+
+    // Create a key from URL and variation structure
+    const variationNames = this.generatedCode.variations.map(v => v.name || '').join('|');
+
+    // Simple hash (not cryptographic, just for identification)
+    const keyString = `${pageUrl}_${variationNames}`;
+    return keyString.replace(/[^a-zA-Z0-9_-]/g, '_').substring(0, 200);
+  }
+
+  // ==========================================
+  // CONVERT SYNC CONFLICTS (three-way diff)
+  // ==========================================
+
+  getCodeSnapshot(code = this.generatedCode) {
+    return {
+      variations: (code?.variations || []).map(v => ({
+        name: v.name || '',
+        css: v.css || '',
+        js: v.js || ''
+      })),
+      globalCSS: code?.globalCSS || '',
+      globalJS: code?.globalJS || ''
+    };
+  }
+
+  // The push adds a waitForElement helper to global JS; drop it so it doesn't read as a remote edit
+  stripWaitForElementUtility(js) {
+    if (!js) return '';
+    const { utilityStartMarker, utilityEndMarker } = new DomTraversal();
+
+    const start = js.indexOf(utilityStartMarker);
+    const end = start === -1 ? -1 : js.indexOf(utilityEndMarker, start);
+    if (end !== -1) {
+      const before = js.slice(0, start).replace(/\n+$/, '');
+      const after = js.slice(end + utilityEndMarker.length).replace(/^\n+/, '');
+      return before && after ? `${before}\n\n${after}` : before || after;
+    }
+
+    // Pushed before the markers existed: helpers at the top, ending with waitForElement's closing brace
+    const legacyStarts = ['// Utility function (required for code execution)', "// Resolves 'host >>> inner' selectors"];
+    if (!legacyStarts.some(marker => js.startsWith(marker))) return js;
+
+    const helperStart = js.indexOf('function waitForElement');
+    const helperEnd = helperStart === -1 ? -1 : js.indexOf('\n}', helperStart);
+    if (helperEnd === -1) return js;
+    return js.slice(helperEnd + 2).replace(/^\n+/, '');
+  }
+
+  extractRemoteCodeSnapshot(experience) {
+    const data = experience?.data || experience || {};
+    const variations = (data.variations || [])
+      .filter(variation => !variation.is_baseline)
+      .map(variation => {
+        const change = (variation.changes || []).find(c => c.type === 'defaultCode');
+        return {
+          name: variation.name || '',
+          css: change?.data?.css || '',
+          js: change?.data?.custom_js || ''
+        };
+      });
+
+    return {
+      variations,
+      globalCSS: data.global_css || '',
+      globalJS: this.stripWaitForElementUtility(data.global_js || '')
+    };
+  }
+
+  // Code at the last sync: mapping first, then the experiment history's sync metadata
+  async getSyncBase(mapping) {
+    if (mapping?.baseCode) {
+      return mapping.baseCode;
+    }
+
+    const experiment = await this.getCurrentExperiment();
+    return experiment?.convertMetadata?.baseCode || null;
+  }
+
+  /**
+   * Compare remote Convert code against the last-synced base and local code
+   * Applies the user's resolution to this.generatedCode
+   * @returns {Promise<boolean>} - false when the user cancelled
+   */
+  async reconcileRemoteChanges(base, remoteSnapshot, baseHash, mode) {
+    if (!this.codeMerge) return true;
+
+    // Fast path: Convert still holds exactly what we last synced
+    if (base && baseHash && this.getCodeHash(remoteSnapshot) === baseHash) {
+      return true;
+    }
+
+    const local = this.getCodeSnapshot();
+    const fields = this.codeMerge.compareSnapshots(base, local, remoteSnapshot);
+    const needsReview = fields.some(field => field.status === 'remote' || field.status === 'conflict');
+
+    if (!needsReview) {
+      return true;
+    }
+
+    const resolved = await this.resolveConvertConflicts(fields, mode);
+    if (!resolved) {
+      return false;
+    }
+
+    this.applyCodeSnapshot(this.codeMerge.applyResolutions(local, resolved));
+    return true;
+  }
+
+  resolveConvertConflicts(fields, mode) {
+    const modal = document.getElementById('convertConflictModal');
+    if (!modal) return Promise.resolve(null);
+
+    // Only one review at a time
+    this.finishConvertConflict(null);
+
+    this.conflictFields = fields.filter(field => field.status !== 'unchanged');
+    const conflictCount = this.conflictFields.filter(field => field.status === 'conflict').length;
+    const remoteCount = this.conflictFields.filter(field => field.status === 'remote').length;
+
+    document.getElementById('convertConflictTitle').textContent = mode === 'pull'
+      ? 'Pull changes from Convert.com'
+      : 'Experience changed in Convert.com';
+    document.getElementById('convertConflictSummary').textContent =
+      `${remoteCount} field(s) changed only in Convert, ${conflictCount} changed on both sides since the last sync. ` +
+      'Choose which version to keep for each field, or merge manually.';
+    document.getElementById('applyConvertConflict').textContent = mode === 'pull' ? 'Load into editor' : 'Apply & push';
+
+    this.renderConvertConflicts();
+    modal.classList.remove('hidden');
+
+    return new Promise(resolve => {
+      this.conflictResolver = resolve;
+    });
+  }
+
+  renderConvertConflicts() {
+    const container = document.getElementById('convertConflictFields');
+    if (!container) return;
+
+    const statusLabels = {
+      local: 'Changed locally',
+      remote: 'Changed in Convert',
+      conflict: 'Changed in both'
+    };
+    const defaultChoice = { local: 'local', remote: 'remote', conflict: 'manual' };
+
+    container.innerHTML = this.conflictFields.map((field, index) => {
+      const choice = defaultChoice[field.status];
+      const radio = (value, label) => `
+        <label><input type="radio" name="conflict-${index}" value="${value}" data-conflict-choice ${choice === value ? 'checked' : ''}> ${label}</label>
+      `;
+
+      return `
+        <div class="conflict-field ${field.status}" data-conflict-index="${index}">
+          <div class="conflict-field-header">
+            <span>${this.escapeHtml(field.label)}</span>
+            <span class="conflict-badge ${field.status}">${statusLabels[field.status]}</span>
+          </div>
+          <div class="conflict-choices">
+            ${radio('local', 'Keep local')}
+            ${radio('remote', 'Keep Convert')}
+            ${radio('manual', 'Merge manually')}
+          </div>
+          <div class="conflict-diffs">
+            <div>
+              <div class="conflict-diff-title">${field.base === null ? 'Local' : 'Last sync → Local'}</div>
+              <pre class="conflict-diff">${this.renderLineDiff(field.base, field.local)}</pre>
+            </div>
+            <div>
+              <div class="conflict-diff-title">${field.base === null ? 'Convert' : 'Last sync → Convert'}</div>
+              <pre class="conflict-diff">${this.renderLineDiff(field.base, field.remote)}</pre>
+            </div>
+          </div>
+          <textarea class="form-textarea conflict-manual ${choice === 'manual' ? '' : 'hidden'}" spellcheck="false">${this.escapeHtml(field.merged)}</textarea>
+        </div>
+      `;
+    }).join('');
+  }
+
+  renderLineDiff(base, text) {
+    // No common ancestor (synced before base snapshots existed): show the text as-is
+    const ops = base === null
+      ? this.codeMerge.splitLines(text).map(line => ({ type: 'equal', line }))
+      : this.codeMerge.diffLines(base, text);
 
-      // Update UI to show this is a synced experiment
-      this.currentExperimentMapping = mapping;
-      this.updatePushButtonState();
-    } catch (error) {
-      console.error('Failed to save experiment mapping:', error);
+    if (ops.length === 0) {
+      return '<span class="diff-equal">(empty)</span>';
     }
+
+    const prefixes = { add: '+ ', remove: '- ', equal: '  ' };
+    return ops.map(op => `<span class="diff-${op.type}">${prefixes[op.type]}${this.escapeHtml(op.line) || ' '}</span>`).join('');
   }
 
-  /**
-   * Get experiment mapping for current experiment
-   */
-  async getExperimentMapping() {
-    try {
-      const experimentKey = await this.getExperimentKey();
-      if (!experimentKey) return null;
+  applyConvertConflictResolution() {
+    const container = document.getElementById('convertConflictFields');
+    if (!container || !this.conflictFields) return;
 
-      const result = await chrome.storage.local.get(['convertExperimentMappings']);
-      const mappings = result.convertExperimentMappings || {};
+    const resolutions = {};
+    for (const [index, field] of this.conflictFields.entries()) {
+      const fieldEl = container.querySelector(`[data-conflict-index="${index}"]`);
+      const choice = fieldEl?.querySelector('input[data-conflict-choice]:checked')?.value || 'local';
 
-      return mappings[experimentKey] || null;
-    } catch (error) {
-      console.error('Failed to get experiment mapping:', error);
-      return null;
+      if (choice === 'manual') {
+        const text = fieldEl.querySelector('.conflict-manual').value;
+        if (this.codeMerge.hasConflictMarkers(text)) {
+          document.getElementById('convertConflictSummary').textContent =
+            `Resolve the conflict markers in "${field.label}" before applying.`;
+          return;
+        }
+        resolutions[field.key] = text;
+      } else {
+        resolutions[field.key] = choice === 'remote' ? field.remote : field.local;
+      }
     }
+
+    this.finishConvertConflict(resolutions);
   }
 
-  /**
-   * Generate unique key for current experiment
-   * Based on page URL + variation names + code structure
-   */
-  async getExperimentKey() {
-    if (!this.generatedCode?.variations) {
-      return null;
+  finishConvertConflict(resolutions) {
+    document.getElementById('convertConflictModal')?.classList.add('hidden');
+
+    const resolver = this.conflictResolver;
+    this.conflictResolver = null;
+    this.conflictFields = null;
+    if (resolver) {
+      resolver(resolutions);
     }
+  }
 
-    // Get page URL
-    const pageUrl = this.currentPageData?.url || (await this.getCurrentTabUrl());
-    if (!pageUrl) {
-      return null;
+  applyCodeSnapshot(snapshot) {
+    if (!this.generatedCode) return;
+
+    snapshot.variations.forEach((variation, index) => {
+      const target = this.generatedCode.variations[index];
+      if (target) {
+        target.css = variation.css;
+        target.js = variation.js;
+      } else {
+        this.generatedCode.variations.push({
+          number: index + 1,
+          name: variation.name || `Variation ${index + 1}`,
+          css: variation.css,
+          js: variation.js
+        });
+      }
+    });
+    this.generatedCode.globalCSS = snapshot.globalCSS;
+    this.generatedCode.globalJS = snapshot.globalJS;
+
+    this.displayGeneratedCode(this.generatedCode);
+    this.saveCurrentExperiment();
+  }
+
+  async pullFromConvert() {
+    const mapping = await this.getExperimentMapping();
+    if (!mapping?.experienceId || !mapping.accountId || !mapping.projectId) {
+      this.showStatus('This experiment has not been pushed to Convert.com yet', 'error', 4000);
+      return;
     }
 
-    // Create a key from URL and variation structure
-    const variationNames = this.generatedCode.variations.map(v => v.name || '').join('|');
+    const result = await chrome.storage.local.get(['convertApiKeys']);
+    const apiKeys = result.convertApiKeys || [];
+    const selectedKey = apiKeys.find(k => k.id === mapping.apiKeyId) || apiKeys[0];
+    if (!selectedKey) {
+      this.showStatus('No API keys configured', 'error', 5000);
+      return;
+    }
 
-    // Simple hash (not cryptographic, just for identification)
-    const keyString = `${pageUrl}_${variationNames}`;
-    return keyString.replace(/[^a-zA-Z0-9_-]/g, '_').substring(0, 200);
+    this.showStatus('Fetching experience from Convert.com...', 'loading');
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'CONVERT_GET_EXPERIENCE',
+        credentials: { apiKey: selectedKey.apiKey, apiSecret: selectedKey.apiSecret },
+        accountId: mapping.accountId,
+        projectId: mapping.projectId,
+        experienceId: mapping.experienceId
+      });
+
+      if (!response.success) {
+        throw new Error(response.error || 'Failed to fetch experience');
+      }
+
+      const remoteSnapshot = this.extractRemoteCodeSnapshot(response.experience);
+      const base = await this.getSyncBase(mapping);
+
+      if (base && mapping.codeHash && this.getCodeHash(remoteSnapshot) === mapping.codeHash) {
+        this.showStatus('Already up to date with Convert.com', 'success', 3000);
+        return;
+      }
+
+      const applied = await this.reconcileRemoteChanges(base, remoteSnapshot, null, 'pull');
+      if (!applied) {
+        this.showStatus('Pull cancelled', 'info', 3000);
+        return;
+      }
+
+      // Convert's current code is the new merge base
+      this.convertApiKeyId = selectedKey.id;
+      this.convertAccountId = mapping.accountId;
+      this.convertProjectId = mapping.projectId;
+      await this.saveExperimentMapping(mapping.experienceId, remoteSnapshot);
+
+      this.addActivity('Pulled latest code from Convert.com', 'success');
+      this.showStatus('Pulled changes from Convert.com', 'success', 3000);
+    } catch (error) {
+      console.error('Failed to pull from Convert:', error);
+      this.showStatus(`Failed to pull: ${error.message}`, 'error', 5000);
+    }
   }
 
   /**
    * Generate hash of current code for change detection
    */
-  getCodeHash() {
-    if (!this.generatedCode) return '';
+  getCodeHash(code = this.generatedCode) {
+    if (!code) return '';
 
     const codeString = JSON.stringify({
-      variations: this.generatedCode.variations.map(v => ({
+      variations: (code.variations || []).map(v => ({
         name: v.name,
         js: v.js,
         css: v.css
       })),
-      globalJS: this.generatedCode.globalJS,
-      globalCSS: this.generatedCode.globalCSS
+      globalJS: code.globalJS,
+      globalCSS: code.globalCSS
     });
 
     // Simple hash
@@ -6634,6 +8718,8 @@ function waitForElement(selector, callback, maxWait = 10000) {
       // Add Convert.com link and "Push New" button
       this.addConvertLinkToHeader(mapping);
       this.addPushNewButton();
+      this.addPullFromConvertButton();
+      this.loadConvertResults(mapping);
     } else {
       pushText.textContent = 'Push to Convert.com';
       pushBtn.title = 'Create new experience in Convert.com';
@@ -6641,7 +8727,162 @@ function waitForElement(selector, callback, maxWait = 10000) {
       // Remove Convert.com link and "Push New" button if they exist
       this.removeConvertLinkFromHeader();
       this.removePushNewButton();
+      document.querySelector('.pull-convert-menu-item')?.remove();
+      this.convertReport = null;
+      this.convertReportExperienceId = null;
+      document.getElementById('convertResultsSection')?.classList.add('hidden');
+    }
+  }
+
+  // ==========================================
+  // CONVERT.COM RESULTS
+  // ==========================================
+
+  /**
+   * Show the report for the synced experience, served from cache unless stale or forced
+   * Cache lives in chrome.storage.local under convertReportCache, keyed by experience ID
+   */
+  async loadConvertResults(mapping, { force = false } = {}) {
+    const section = document.getElementById('convertResultsSection');
+    if (!section || !mapping?.experienceId) return;
+
+    section.classList.remove('hidden');
+    const cacheKey = String(mapping.experienceId);
+    this.convertReportExperienceId = cacheKey;
+    // The user may switch experiments while storage or the API answers
+    const isCurrent = () => this.convertReportExperienceId === cacheKey;
+
+    const stored = await chrome.storage.local.get(['convertReportCache']);
+    const cached = (stored.convertReportCache || {})[cacheKey];
+    if (!isCurrent()) return;
+
+    if (cached) {
+      this.convertReport = cached;
+      this.renderConvertResults();
+    }
+
+    const isFresh = cached && Date.now() - new Date(cached.fetchedAt).getTime() < this.convertReportCacheTtl;
+    if (isFresh && !force) return;
+
+    const result = await chrome.storage.local.get(['convertApiKeys']);
+    const apiKeys = result.convertApiKeys || [];
+    const selectedKey = apiKeys.find(k => k.id === mapping.apiKeyId) || apiKeys[0];
+    if (!selectedKey) {
+      this.renderConvertResultsMessage('No Convert.com API keys configured');
+      return;
+    }
+
+    const refreshBtn = document.getElementById('refreshConvertResults');
+    if (refreshBtn) refreshBtn.disabled = true;
+    if (!cached) this.renderConvertResultsMessage('Loading results...');
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'CONVERT_GET_EXPERIENCE_REPORT',
+        credentials: { apiKey: selectedKey.apiKey, apiSecret: selectedKey.apiSecret },
+        accountId: mapping.accountId,
+        projectId: mapping.projectId,
+        experienceId: mapping.experienceId
+      });
+
+      if (!response.success) {
+        throw new Error(response.error || 'Failed to load report');
+      }
+
+      await this.saveConvertReport(cacheKey, response.report);
+      if (!isCurrent()) {
+        console.log(`📊 Dropped Convert report for ${cacheKey} - experiment changed while loading`);
+        return;
+      }
+
+      this.convertReport = response.report;
+      this.renderConvertResults();
+      if (force) this.addActivity('Convert results refreshed', 'success');
+    } catch (error) {
+      console.error('Failed to load Convert results:', error);
+      if (!isCurrent()) return;
+      if (cached) {
+        this.showStatus(`Could not refresh results: ${error.message}`, 'error', 4000);
+      } else {
+        this.renderConvertResultsMessage(`Could not load results: ${error.message}`);
+      }
+    } finally {
+      if (refreshBtn) refreshBtn.disabled = false;
+    }
+  }
+
+  // Re-read before writing so parallel loads don't drop each other's entries; expired reports go
+  async saveConvertReport(cacheKey, report) {
+    const stored = await chrome.storage.local.get(['convertReportCache']);
+    const cache = {};
+    Object.entries(stored.convertReportCache || {}).forEach(([key, entry]) => {
+      if (Date.now() - new Date(entry?.fetchedAt).getTime() < this.convertReportCacheTtl) {
+        cache[key] = entry;
+      }
+    });
+    cache[cacheKey] = report;
+    await chrome.storage.local.set({ convertReportCache: cache });
+  }
+
+  renderConvertResultsMessage(message) {
+    const body = document.getElementById('convertResultsBody');
+    if (body) body.innerHTML = `<div class="convert-results-empty">${this.escapeHtml(message)}</div>`;
+  }
+
+  renderConvertResults() {
+    const report = this.convertReport;
+    const body = document.getElementById('convertResultsBody');
+    const goalSelect = document.getElementById('convertResultsGoal');
+    const updated = document.getElementById('convertResultsUpdated');
+    if (!report || !body || !goalSelect) return;
+
+    if (updated) {
+      updated.textContent = `Updated ${new Date(report.fetchedAt).toLocaleString()}`;
+    }
+
+    if (!report.goals.length) {
+      goalSelect.classList.add('hidden');
+      this.renderConvertResultsMessage('No report data yet - the experience may not have received traffic');
+      return;
     }
+
+    // Keep the chosen goal across refreshes
+    const previousGoal = goalSelect.value;
+    goalSelect.innerHTML = report.goals
+      .map(goal => `<option value="${this.escapeHtml(String(goal.id))}">${this.escapeHtml(goal.name)}</option>`)
+      .join('');
+    goalSelect.value = report.goals.some(goal => String(goal.id) === previousGoal) ? previousGoal : String(report.goals[0].id);
+    goalSelect.classList.toggle('hidden', report.goals.length < 2);
+
+    const goal = report.goals.find(g => String(g.id) === goalSelect.value) || report.goals[0];
+    const percent = (value, digits = 2) => (value === null ? '–' : `${value.toFixed(digits)}%`);
+
+    const rows = goal.variations.map(variation => {
+      const improvementClass = variation.isBaseline || variation.improvement === null
+        ? ''
+        : variation.improvement >= 0 ? 'positive' : 'negative';
+      const significant = !variation.isBaseline && variation.confidence !== null && variation.confidence >= 95;
+
+      return `
+        <tr class="${variation.isBaseline ? 'baseline' : ''}">
+          <td>${this.escapeHtml(variation.name)}${variation.isBaseline ? ' <span class="convert-results-tag">control</span>' : ''}</td>
+          <td>${variation.visitors.toLocaleString()}</td>
+          <td>${variation.conversions.toLocaleString()}</td>
+          <td>${percent(variation.conversionRate)}</td>
+          <td class="${improvementClass}">${variation.isBaseline ? '–' : percent(variation.improvement, 1)}</td>
+          <td class="${significant ? 'significant' : ''}">${variation.isBaseline ? '–' : percent(variation.confidence, 1)}</td>
+        </tr>
+      `;
+    }).join('');
+
+    body.innerHTML = `
+      <table class="convert-results-table">
+        <thead>
+          <tr><th>Variation</th><th>Visitors</th><th>Conv.</th><th>Rate</th><th>Improv.</th><th>Conf.</th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
   }
 
   addPushNewButton() {
@@ -6683,6 +8924,29 @@ function waitForElement(selector, callback, maxWait = 10000) {
     menu.appendChild(pushNewItem);
   }
 
+  addPullFromConvertButton() {
+    const menu = document.getElementById('actionsMenu');
+    if (!menu || menu.querySelector('.pull-convert-menu-item')) return;
+
+    const pullItem = document.createElement('button');
+    pullItem.className = 'actions-menu-item pull-convert-menu-item';
+    pullItem.innerHTML = `
+      <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
+        <polyline points="7 10 12 15 17 10"></polyline>
+        <line x1="12" y1="15" x2="12" y2="3"></line>
+      </svg>
+      <span>Pull from Convert.com</span>
+    `;
+
+    pullItem.addEventListener('click', async () => {
+      menu.classList.add('hidden');
+      await this.pullFromConvert();
+    });
+
+    menu.appendChild(pullItem);
+  }
+
   removePushNewButton() {
     const existingBtn = document.querySelector('.push-new-menu-item');
     if (existingBtn) existingBtn.remove();
@@ -6751,12 +9015,17 @@ function waitForElement(selector, callback, maxWait = 10000) {
     
     console.log(`➕ Adding variation ${newId}`);
     this.addActivity(`Added Variation ${newId}`, 'info');
+
+    // Arm count changed - start again from an even split
+    this.trafficAllocation = null;
     
     // Update the UI to show the new variation
     this.renderVariationBuilder();
   }
 
   renderVariationBuilder() {
+    this.renderTrafficAllocation();
+
     const additionalVariations = document.getElementById('additionalVariations');
     if (!additionalVariations) return;
 
@@ -6818,8 +9087,120 @@ function waitForElement(selector, callback, maxWait = 10000) {
     });
   }
 
+  // ==========================================
+  // TRAFFIC ALLOCATION
+  // ==========================================
+
+  getEvenTrafficSplit(armCount) {
+    const base = Math.floor(100 / armCount);
+    const remainder = 100 - base * armCount;
+    // Hand the remainder to the first arms so the split always sums to 100
+    return Array.from({ length: armCount }, (_, index) => base + (index < remainder ? 1 : 0));
+  }
+
+  // Percentages for [original, ...variations]; falls back to an even split when the
+  // stored allocation doesn't match the number of variations being pushed
+  getTrafficAllocation(variationCount) {
+    const armCount = variationCount + 1;
+    if (Array.isArray(this.trafficAllocation) && this.trafficAllocation.length === armCount) {
+      return [...this.trafficAllocation];
+    }
+    return this.getEvenTrafficSplit(armCount);
+  }
+
+  // Split used for a push: a custom split that doesn't fit the pushed variations blocks the
+  // push instead of quietly turning into an even split
+  getPushTrafficAllocation(variationCount) {
+    const armCount = variationCount + 1;
+    if (Array.isArray(this.trafficAllocation) && this.trafficAllocation.length !== armCount) {
+      throw new Error(`Custom traffic split covers ${this.trafficAllocation.length - 1} variation(s) but ${variationCount} would be pushed - adjust the split or click "Split evenly"`);
+    }
+
+    const allocation = this.getTrafficAllocation(variationCount);
+    const { valid, error } = this.validateTrafficAllocation(allocation);
+    if (!valid) {
+      throw new Error(error);
+    }
+    return allocation;
+  }
+
+  // The arms the editor shows are the ones a push sends: generated variations once there is code
+  getTrafficVariationNames() {
+    const source = this.generatedCode?.variations?.length ? this.generatedCode.variations : this.variations;
+    return source.map((v, index) => v.name || `Variation ${index + 1}`);
+  }
+
+  validateTrafficAllocation(allocation) {
+    const total = Math.round(allocation.reduce((sum, value) => sum + (Number(value) || 0), 0) * 100) / 100;
+
+    if (allocation.some(value => !Number.isFinite(Number(value)) || Number(value) < 0 || Number(value) > 100)) {
+      return { valid: false, total, error: 'Traffic percentages must be between 0 and 100' };
+    }
+
+    if (total !== 100) {
+      return { valid: false, total, error: `Traffic split must add up to 100% (currently ${total}%)` };
+    }
+
+    return { valid: true, total, error: null };
+  }
+
+  renderTrafficAllocation() {
+    const container = document.getElementById('trafficAllocation');
+    if (!container) return;
+
+    const variationNames = this.getTrafficVariationNames();
+    if (Array.isArray(this.trafficAllocation) && this.trafficAllocation.length !== variationNames.length + 1) {
+      this.trafficAllocation = null;
+      this.addActivity('Number of variations changed - traffic split reset to even', 'warning');
+    }
+
+    const allocation = this.getTrafficAllocation(variationNames.length);
+    const labels = ['Original', ...variationNames];
+
+    container.innerHTML = `
+      <div class="traffic-header">
+        <span>Traffic split</span>
+        <button class="btn-link" id="evenTrafficSplitBtn">Split evenly</button>
+      </div>
+      ${labels.map((label, index) => `
+        <div class="traffic-row">
+          <label for="traffic${index}">${this.escapeHtml(label)}</label>
+          <input type="number" id="traffic${index}" data-traffic-index="${index}" min="0" max="100" step="1" value="${allocation[index]}">
+          <span>%</span>
+        </div>
+      `).join('')}
+      <div class="traffic-total" id="trafficTotal"></div>
+    `;
+
+    container.querySelectorAll('input[data-traffic-index]').forEach(input => {
+      input.addEventListener('input', () => {
+        const current = this.getTrafficAllocation(this.getTrafficVariationNames().length);
+        current[parseInt(input.dataset.trafficIndex)] = input.value === '' ? 0 : Number(input.value);
+        this.trafficAllocation = current;
+        this.updateTrafficTotal();
+      });
+    });
+
+    document.getElementById('evenTrafficSplitBtn')?.addEventListener('click', () => {
+      this.trafficAllocation = null;
+      this.renderTrafficAllocation();
+    });
+
+    this.updateTrafficTotal();
+  }
+
+  updateTrafficTotal() {
+    const totalEl = document.getElementById('trafficTotal');
+    if (!totalEl) return;
+
+    const { valid, total, error } = this.validateTrafficAllocation(this.getTrafficAllocation(this.getTrafficVariationNames().length));
+    totalEl.className = `traffic-total ${valid ? 'valid' : 'invalid'}`;
+    totalEl.textContent = valid ? `Total: ${total}%` : error;
+  }
+
   removeVariation(variationId) {
     this.variations = this.variations.filter(v => v.id !== variationId);
+    this.trafficAllocation = null;
     console.log(`➖ Removed variation ${variationId}`);
     this.addActivity(`Removed Variation ${variationId}`, 'info');
     this.renderVariationBuilder();
@@ -6867,6 +9248,7 @@ function waitForElement(selector, callback, maxWait = 10000) {
       if (response?.success) {
         // Status is already shown above
         this.addActivity('Click any element on the page to select it', 'info');
+        return true;
       } else {
         throw new Error('Could not activate element selector');
       }
@@ -6875,6 +9257,7 @@ function waitForElement(selector, callback, maxWait = 10000) {
       console.error('Element selector failed:', error);
       this.showStatus('Element selector unavailable: ' + error.message, 'error', 5000);
       this.addActivity('Element selector unavailable: ' + error.message, 'error');
+      return false;
     }
   }
 
@@ -7083,6 +9466,76 @@ function waitForElement(selector, callback, maxWait = 10000) {
     }
   }
 
+  toggleFigmaImportForm(show) {
+    const form = document.getElementById('figmaImportForm');
+    if (!form) return;
+
+    const visible = show ?? form.classList.contains('hidden');
+    form.classList.toggle('hidden', !visible);
+    if (visible) {
+      document.getElementById('figmaUrlInput')?.focus();
+    }
+  }
+
+  async importFigmaDesign() {
+    const input = document.getElementById('figmaUrlInput');
+    const submitBtn = document.getElementById('figmaImportSubmit');
+    const figmaUrl = input?.value.trim();
+
+    if (!figmaUrl) {
+      this.showError('Paste a Figma frame link first');
+      return;
+    }
+
+    if (!this.designFileManager) {
+      this.showError('Design file manager not available');
+      return;
+    }
+
+    // Pick up a token saved in settings after the panel was opened
+    await this.loadSettings();
+    if (!this.settings.figmaToken) {
+      this.showError('Add a Figma personal access token in Settings to import frames');
+      return;
+    }
+
+    if (submitBtn) submitBtn.disabled = true;
+    this.addActivity('Importing frame from Figma...', 'info');
+
+    try {
+      const imported = await this.designFileManager.importFromFigma(figmaUrl, this.settings.figmaToken, {
+        apiBase: this.settings.figmaApiBase || undefined
+      });
+
+      // Only one design file is attached to a generation at a time
+      this.designFileManager.files = [imported];
+      this.uploadedDesignFile = {
+        name: imported.name,
+        data: imported.dataUrl,
+        type: imported.type,
+        source: 'figma',
+        figma: imported.figma,
+        designSpec: imported.designSpec
+      };
+
+      this.addDesignToDescription(imported);
+      this.toggleFigmaImportForm(false);
+      input.value = '';
+
+      const spec = imported.designSpec;
+      this.addActivity(
+        `Figma frame imported: ${spec.texts.length} text layers, ${spec.colors.length} colors, ${spec.typography.length} type styles`,
+        'success'
+      );
+    } catch (error) {
+      console.error('Figma import failed:', error);
+      this.addActivity('Figma import failed: ' + error.message, 'error');
+      this.showError(error.message);
+    } finally {
+      if (submitBtn) submitBtn.disabled = false;
+    }
+  }
+
   addDesignToDescription(file) {
     const descField = document.getElementById('primaryDescription');
     if (descField) {
@@ -7131,6 +9584,7 @@ function waitForElement(selector, callback, maxWait = 10000) {
   removeDesignFile() {
     // Clear stored file
     this.uploadedDesignFile = null;
+    this.designFileManager?.clear();
 
     // Hide preview
     const preview = document.getElementById('designFilePreview');
@@ -7478,6 +9932,110 @@ function waitForElement(selector, callback, maxWait = 10000) {
     console.log(`[STATUS ${type.toUpperCase()}] ${message}`);
   }
 
+  /**
+   * Render partial code from a streaming AI response into the code drawer and activity stream.
+   * Final parsing/validation still happens in the service worker once the stream closes.
+   */
+  handleStreamUpdate(update) {
+    if (!this.streamState || this.streamState.id !== update.streamId) {
+      this.streamState = { id: update.streamId, label: update.label, sections: new Set(), partialCode: null };
+      this.addActivity(`Streaming ${update.label} from AI...`, 'info');
+    }
+
+    const state = this.streamState;
+    const partialCode = update.partialCode;
+    state.partialCode = partialCode;
+
+    // Log each new variation/section once as it starts arriving
+    partialCode?.variations?.forEach(v => {
+      ['css', 'js'].forEach(type => {
+        const key = `${v.number}-${type}`;
+        if (v[type] && !state.sections.has(key)) {
+          state.sections.add(key);
+          this.addActivity(`Receiving ${v.name || `Variation ${v.number}`} ${type.toUpperCase()}...`, 'info');
+        }
+      });
+    });
+
+    const hasCode = partialCode?.variations?.some(v => v.css || v.js) || partialCode?.globalCSS || partialCode?.globalJS;
+    if (hasCode) {
+      this.updateCodeDrawer(partialCode);
+    }
+
+    if (update.done) {
+      this.addActivity(`Stream complete (${update.charsReceived.toLocaleString()} chars) - validating code...`, 'info');
+      this.updateTypingStatus('Validating generated code');
+    } else {
+      this.updateTypingStatus(`Receiving code (${update.charsReceived.toLocaleString()} chars)`);
+    }
+  }
+
+  handleElementDatabaseProgress(progress, tabId) {
+    if (this.targetTabId && tabId && tabId !== this.targetTabId) return;
+
+    if (progress.phase === 'cancelled') {
+      this.addActivity('Page capture cancelled', 'warning');
+      return;
+    }
+    if (progress.done) {
+      // Only clear the status bar if it still shows our progress
+      if (this.elementDatabaseBuildId === progress.buildId) {
+        this.elementDatabaseBuildId = null;
+        this.clearStatus();
+      }
+      return;
+    }
+
+    const labels = {
+      scan: 'Scanning page styles',
+      measure: 'Measuring page elements',
+      describe: 'Describing elements'
+    };
+    this.elementDatabaseBuildId = progress.buildId;
+    this.showStatus(`${labels[progress.phase] || 'Indexing page'}: ${progress.processed.toLocaleString()} / ${progress.total.toLocaleString()}`, 'loading', null, true);
+  }
+
+  // Promote the code that streamed in before Stop to the working result
+  applyPartialGeneratedCode() {
+    const partial = this.partialGeneratedCode;
+    if (!partial) {
+      this.showStatus('Partial code is no longer available', 'info', 2000);
+      return;
+    }
+
+    const variations = partial.variations
+      .filter(v => v.css || v.js)
+      .map((v, index) => ({ ...v, number: index + 1, name: v.name || `Variation ${index + 1}` }));
+
+    this.generatedCode = { ...partial, variations };
+    this.updateWorkflowState('results');
+    this.displayGeneratedCode(this.generatedCode);
+    this.addActivity(`Using partial code (${variations.length} variation${variations.length > 1 ? 's' : ''}) - incomplete, test before pushing`, 'warning');
+  }
+
+  async copyPartialGeneratedCode() {
+    const partial = this.partialGeneratedCode;
+    if (!partial) {
+      this.showStatus('Partial code is no longer available', 'info', 2000);
+      return;
+    }
+
+    const sections = [
+      partial.globalCSS ? `/* === GLOBAL CSS (partial) === */\n${partial.globalCSS}` : '',
+      partial.globalJS ? `/* === GLOBAL JAVASCRIPT (partial) === */\n${partial.globalJS}` : '',
+      ...partial.variations.map((v, idx) =>
+        `/* === VARIATION ${idx + 1}: ${v.name || 'Variation ' + (idx + 1)} (partial) === */\n\n/* CSS */\n${v.css || ''}\n\n/* JavaScript */\n${v.js || ''}`)
+    ].filter(Boolean);
+
+    try {
+      await navigator.clipboard.writeText(sections.join('\n\n'));
+      this.showStatus('Partial code copied to clipboard', 'success', 3000);
+    } catch (error) {
+      console.error('Failed to copy partial code:', error);
+      this.showError('Failed to copy code');
+    }
+  }
+
   async stopAIRequest() {
     console.log('🛑 Stop button clicked');
 
@@ -7491,6 +10049,20 @@ function waitForElement(selector, callback, maxWait = 10000) {
         this.showStatus('Request cancelled', 'warning', 3000);
         this.addActivity('AI request cancelled by user', 'warning');
 
+        // Keep whatever code had streamed in before the stop
+        const partialCode = response.partialCode || this.streamState?.partialCode;
+        if (partialCode?.variations?.some(v => v.css || v.js)) {
+          this.partialGeneratedCode = partialCode;
+          this.updateCodeDrawer(partialCode);
+          this.addActivity('Partial code kept in the code drawer (incomplete - review before using)', 'warning');
+          this.addChatMessage('assistant', `Stopped. ${partialCode.variations.length} variation(s) had partially streamed in - the code is incomplete, so review it before using it.`);
+          this.addChatQuickActions([
+            { text: '✅ Use partial code', action: () => this.applyPartialGeneratedCode() },
+            { text: '📋 Copy partial code', action: () => this.copyPartialGeneratedCode() }
+          ]);
+        }
+        this.streamState = null;
+
         // Reset chat state to prevent any automatic generation
         if (this.chatState?.sending) {
           this.chatState.sending = false;
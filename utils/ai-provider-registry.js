@@ -0,0 +1,615 @@
+/**
+ * AI Provider Registry
+ * Single place where every AI provider the extension can talk to is declared.
+ *
+ * Each provider declares:
+ * - Request format (anthropic, openai or gemini wire format)
+ * - Capabilities (vision, prompt caching, JSON mode, streaming)
+ * - Model limits (max output tokens, context window) and which model names it accepts
+ * - Which settings fields hold its credentials / endpoint
+ * - Optional hooks: validateCredentials(settings) returns an error message for malformed keys,
+ *   prepareBody(body, model, options) applies model-specific request parameters
+ *
+ * Messages are always passed in the internal (Anthropic-style) format:
+ *   { role: 'system' | 'user' | 'assistant', content: string | Array<{ type: 'text' | 'image', ... }> }
+ * and converted to the provider's wire format here.
+ */
+
+class AIProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    this.DEFAULT_PROVIDER = 'anthropic';
+    this.DEFAULT_LIMITS = { maxOutputTokens: 16000, contextWindow: 128000 };
+    // Chrome fetch tops out around 10MB; stay well under it
+    this.MAX_REQUEST_SIZE = 5 * 1024 * 1024;
+
+    this.registerDefaults();
+  }
+
+  /**
+   * Register built-in providers
+   */
+  registerDefaults() {
+    this.register({
+      id: 'anthropic',
+      label: 'Anthropic Claude',
+      format: 'anthropic',
+      capabilities: { vision: true, promptCaching: true, jsonMode: false, streaming: true },
+      defaultModel: 'claude-3-7-sonnet-20250219',
+      fastModel: 'claude-3-5-haiku-20241022',
+      modelPattern: /^claude-/,
+      credentialFields: ['anthropicApiKey'],
+      validateCredentials: (settings) => {
+        const key = settings.anthropicApiKey.trim();
+        if (!key.startsWith('sk-ant-')) {
+          return 'Invalid Anthropic API key format. Keys should start with "sk-ant-"';
+        }
+        if (key.length < 40) {
+          return 'Anthropic API key appears too short. Please check your key in settings.';
+        }
+        return null;
+      },
+      // Claude 4 models get extended thinking; the API rejects a custom temperature alongside it
+      prepareBody: (body, model) => {
+        if (model.includes('claude-4') || model.includes('sonnet-4')) {
+          body.thinking = { type: 'enabled', budget_tokens: 2048 };
+          delete body.temperature;
+        }
+      },
+      models: {
+        'claude-sonnet-4-5-20250929': { maxOutputTokens: 16000, contextWindow: 200000 },
+        'claude-sonnet-4-20250514': { maxOutputTokens: 16000, contextWindow: 200000 },
+        'claude-3-7-sonnet-20250219': { maxOutputTokens: 16000, contextWindow: 200000 },
+        'claude-3-5-haiku-20241022': { maxOutputTokens: 8192, contextWindow: 200000 }
+      },
+      resolveEndpoint: (settings) => ({
+        url: 'https://api.anthropic.com/v1/messages',
+        headers: {
+          'x-api-key': settings.anthropicApiKey,
+          'anthropic-version': '2023-06-01',
+          'anthropic-dangerous-direct-browser-access': 'true'
+        }
+      })
+    });
+
+    this.register({
+      id: 'openai',
+      label: 'OpenAI GPT',
+      format: 'openai',
+      capabilities: { vision: true, promptCaching: false, jsonMode: true, streaming: true },
+      defaultModel: 'gpt-4o',
+      fastModel: 'gpt-4o-mini',
+      modelPattern: /^(gpt-|o\d)/,
+      credentialFields: ['authToken'],
+      // Reasoning models (GPT-5, o-series) take max_completion_tokens and only the default temperature
+      prepareBody: (body, model) => {
+        if (/^(gpt-5|o\d)/.test(model)) {
+          body.max_completion_tokens = body.max_tokens;
+          delete body.max_tokens;
+          delete body.temperature;
+        } else if (typeof body.temperature !== 'number') {
+          body.temperature = 0.5;
+        }
+      },
+      models: {
+        'gpt-4o-mini': { maxOutputTokens: 16384, contextWindow: 128000 },
+        'gpt-4o': { maxOutputTokens: 16384, contextWindow: 128000 },
+        'gpt-4-turbo': { maxOutputTokens: 4096, contextWindow: 128000 }
+      },
+      resolveEndpoint: (settings) => ({
+        url: 'https://api.openai.com/v1/chat/completions',
+        headers: { 'Authorization': `Bearer ${settings.authToken}` }
+      })
+    });
+
+    this.register({
+      id: 'azure-openai',
+      label: 'Azure OpenAI',
+      format: 'openai',
+      capabilities: { vision: true, promptCaching: false, jsonMode: true, streaming: true },
+      // Azure routes by deployment name, so the deployment doubles as the model
+      defaultModel: null,
+      fastModel: null,
+      modelField: 'azureOpenAIDeployment',
+      credentialFields: ['azureOpenAIKey', 'azureOpenAIEndpoint', 'azureOpenAIDeployment'],
+      models: {},
+      resolveEndpoint: (settings, model) => {
+        const endpoint = (settings.azureOpenAIEndpoint || '').replace(/\/+$/, '');
+        const apiVersion = settings.azureOpenAIApiVersion || '2024-06-01';
+        return {
+          url: `${endpoint}/openai/deployments/${encodeURIComponent(model)}/chat/completions?api-version=${encodeURIComponent(apiVersion)}`,
+          headers: { 'api-key': settings.azureOpenAIKey }
+        };
+      }
+    });
+
+    this.register({
+      id: 'gemini',
+      label: 'Google Gemini',
+      format: 'gemini',
+      capabilities: { vision: true, promptCaching: false, jsonMode: true, streaming: true },
+      defaultModel: 'gemini-2.5-pro',
+      fastModel: 'gemini-2.5-flash',
+      modelPattern: /^gemini-/,
+      credentialFields: ['geminiApiKey'],
+      models: {
+        'gemini-2.5-pro': { maxOutputTokens: 65536, contextWindow: 1048576 },
+        'gemini-2.5-flash': { maxOutputTokens: 65536, contextWindow: 1048576 },
+        'gemini-2.0-flash': { maxOutputTokens: 8192, contextWindow: 1048576 }
+      },
+      resolveEndpoint: (settings, model, options = {}) => {
+        const method = options.stream ? 'streamGenerateContent?alt=sse' : 'generateContent';
+        return {
+          url: `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(model)}:${method}`,
+          headers: { 'x-goog-api-key': settings.geminiApiKey }
+        };
+      }
+    });
+
+    this.register({
+      id: 'openai-compatible',
+      label: 'Local / OpenAI-compatible (Ollama, LM Studio)',
+      format: 'openai',
+      // Local models vary wildly - assume the lowest common denominator
+      capabilities: { vision: false, promptCaching: false, jsonMode: false, streaming: true },
+      defaultModel: null,
+      fastModel: null,
+      modelField: 'localModel',
+      credentialFields: ['localEndpoint', 'localModel'],
+      defaultLimits: { maxOutputTokens: 4096, contextWindow: 32768 },
+      models: {},
+      resolveEndpoint: (settings) => {
+        const baseUrl = (settings.localEndpoint || 'http://localhost:11434/v1').replace(/\/+$/, '');
+        const headers = {};
+        if (settings.localApiKey) {
+          headers['Authorization'] = `Bearer ${settings.localApiKey}`;
+        }
+        return { url: `${baseUrl}/chat/completions`, headers };
+      }
+    });
+  }
+
+  /**
+   * Register (or replace) a provider definition
+   * @param {Object} definition - Provider definition (see registerDefaults for shape)
+   */
+  register(definition) {
+    if (!definition?.id || !definition.format || typeof definition.resolveEndpoint !== 'function') {
+      throw new Error('Provider definition requires id, format and resolveEndpoint');
+    }
+
+    this.providers.set(definition.id, {
+      capabilities: {},
+      credentialFields: [],
+      models: {},
+      ...definition
+    });
+  }
+
+  /**
+   * Get provider definition (falls back to the default provider)
+   */
+  get(providerId) {
+    return this.providers.get(providerId) || this.providers.get(this.DEFAULT_PROVIDER);
+  }
+
+  has(providerId) {
+    return this.providers.has(providerId);
+  }
+
+  /**
+   * List providers for settings UI
+   * @returns {Array<{id, label, capabilities, models}>}
+   */
+  list() {
+    return Array.from(this.providers.values()).map(provider => ({
+      id: provider.id,
+      label: provider.label,
+      capabilities: { ...provider.capabilities },
+      models: Object.keys(provider.models),
+      credentialFields: provider.credentialFields.slice()
+    }));
+  }
+
+  getCapabilities(providerId) {
+    return { ...this.get(providerId).capabilities };
+  }
+
+  /**
+   * Resolve the model to use for a request.
+   * Azure and local endpoints take the model from their own settings field.
+   */
+  resolveModel(settings = {}, requestedModel = null) {
+    const provider = this.get(settings.provider);
+
+    if (provider.modelField && settings[provider.modelField]) {
+      return settings[provider.modelField];
+    }
+
+    if (requestedModel && this.isModelForProvider(provider.id, requestedModel)) {
+      return requestedModel;
+    }
+
+    if (settings.model && this.isModelForProvider(provider.id, settings.model)) {
+      return settings.model;
+    }
+
+    return provider.defaultModel || requestedModel || settings.model;
+  }
+
+  /**
+   * Cheap/fast model for planning, validation and test generation
+   */
+  getFastModel(settings = {}) {
+    const provider = this.get(settings.provider);
+    return provider.fastModel || this.resolveModel(settings);
+  }
+
+  /**
+   * Check whether a model name belongs to a provider's catalog.
+   * Providers without a catalog (Azure, local) accept any model.
+   */
+  isModelForProvider(providerId, model) {
+    const provider = this.get(providerId);
+    const catalog = Object.keys(provider.models);
+    if (catalog.length === 0) return true;
+    if (provider.modelPattern && provider.modelPattern.test(model)) return true;
+    return catalog.some(name => model.includes(name) || name.includes(model));
+  }
+
+  /**
+   * Look up limits for a model across all providers
+   * @returns {{maxOutputTokens: number, contextWindow: number}}
+   */
+  getModelLimits(model, providerId = null) {
+    const candidates = providerId ? [this.get(providerId)] : Array.from(this.providers.values());
+
+    if (model) {
+      for (const provider of candidates) {
+        for (const [modelName, limits] of Object.entries(provider.models)) {
+          if (model.includes(modelName) || modelName.includes(model)) {
+            return { ...this.DEFAULT_LIMITS, ...limits };
+          }
+        }
+      }
+    }
+
+    const fallback = providerId ? this.get(providerId).defaultLimits : null;
+    return { ...this.DEFAULT_LIMITS, ...(fallback || {}) };
+  }
+
+  /**
+   * Check that every credential field the provider needs is filled in
+   */
+  hasCredentials(settings = {}) {
+    return this.getMissingCredentials(settings).length === 0;
+  }
+
+  getMissingCredentials(settings = {}) {
+    const provider = this.get(settings.provider);
+    return provider.credentialFields.filter(field => {
+      const value = settings[field];
+      return typeof value !== 'string' || !value.trim();
+    });
+  }
+
+  /**
+   * Build the fetch request for a provider
+   * @param {Array} messages - Internal-format messages
+   * @param {Object} settings - User settings (provider, keys, endpoints)
+   * @param {Object} options - { model, maxTokens, temperature, json, stream }
+   * @returns {{url: string, init: Object, model: string, provider: Object}}
+   */
+  buildRequest(messages, settings = {}, options = {}) {
+    const provider = this.get(settings.provider);
+    const model = this.resolveModel(settings, options.model);
+    const limits = this.getModelLimits(model, provider.id);
+    const maxTokens = Math.min(options.maxTokens || 4000, limits.maxOutputTokens);
+    const preparedMessages = provider.capabilities.vision ? messages : this.stripImages(messages);
+
+    let body;
+    switch (provider.format) {
+      case 'anthropic':
+        body = this.buildAnthropicBody(preparedMessages, model, maxTokens, provider, options);
+        break;
+      case 'gemini':
+        body = this.buildGeminiBody(preparedMessages, maxTokens, provider, options);
+        break;
+      default:
+        body = this.buildOpenAIBody(preparedMessages, model, maxTokens, provider, options);
+    }
+
+    if (typeof provider.prepareBody === 'function') {
+      provider.prepareBody(body, model, options);
+    }
+
+    const endpoint = provider.resolveEndpoint(settings, model, options);
+
+    return {
+      url: endpoint.url,
+      init: {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...endpoint.headers
+        },
+        body: JSON.stringify(body)
+      },
+      model,
+      provider
+    };
+  }
+
+  buildAnthropicBody(messages, model, maxTokens, provider, options) {
+    const systemMessage = messages.find(m => m.role === 'system')?.content || '';
+    const body = {
+      model,
+      max_tokens: maxTokens,
+      messages: messages
+        .filter(m => m.role !== 'system')
+        .map(m => ({ role: m.role === 'assistant' ? 'assistant' : 'user', content: m.content }))
+    };
+
+    if (systemMessage) {
+      body.system = [{
+        type: 'text',
+        text: systemMessage,
+        ...(provider.capabilities.promptCaching ? { cache_control: { type: 'ephemeral' } } : {})
+      }];
+    }
+
+    if (typeof options.temperature === 'number') {
+      body.temperature = options.temperature;
+    }
+
+    if (options.stream) {
+      body.stream = true;
+    }
+
+    return body;
+  }
+
+  buildOpenAIBody(messages, model, maxTokens, provider, options) {
+    const body = {
+      model,
+      messages: messages.map(msg => this.toOpenAIMessage(msg)),
+      max_tokens: maxTokens
+    };
+
+    if (typeof options.temperature === 'number') {
+      body.temperature = options.temperature;
+    }
+
+    if (options.json && provider.capabilities.jsonMode) {
+      body.response_format = { type: 'json_object' };
+    }
+
+    if (options.stream) {
+      body.stream = true;
+      body.stream_options = { include_usage: true };
+    }
+
+    return body;
+  }
+
+  buildGeminiBody(messages, maxTokens, provider, options) {
+    const systemMessage = messages.find(m => m.role === 'system')?.content || '';
+    const body = {
+      contents: messages
+        .filter(m => m.role !== 'system')
+        .map(m => ({
+          role: m.role === 'assistant' ? 'model' : 'user',
+          parts: this.toGeminiParts(m.content)
+        })),
+      generationConfig: {
+        maxOutputTokens: maxTokens
+      }
+    };
+
+    if (systemMessage) {
+      body.systemInstruction = { parts: [{ text: systemMessage }] };
+    }
+
+    if (typeof options.temperature === 'number') {
+      body.generationConfig.temperature = options.temperature;
+    }
+
+    if (options.json && provider.capabilities.jsonMode) {
+      body.generationConfig.responseMimeType = 'application/json';
+    }
+
+    return body;
+  }
+
+  /**
+   * Convert an internal message to OpenAI chat format
+   */
+  toOpenAIMessage(msg) {
+    if (!Array.isArray(msg.content)) {
+      return { role: msg.role, content: msg.content };
+    }
+
+    return {
+      role: msg.role,
+      content: msg.content.map(item => {
+        if (item.type === 'image' && item.source) {
+          const mediaType = item.source.media_type || 'image/png';
+          return {
+            type: 'image_url',
+            image_url: { url: `data:${mediaType};base64,${item.source.data}`, detail: 'high' }
+          };
+        }
+        return item;
+      })
+    };
+  }
+
+  toGeminiParts(content) {
+    if (!Array.isArray(content)) {
+      return [{ text: String(content ?? '') }];
+    }
+
+    return content.map(item => {
+      if (item.type === 'image' && item.source) {
+        return {
+          inline_data: {
+            mime_type: item.source.media_type || 'image/png',
+            data: item.source.data
+          }
+        };
+      }
+      return { text: item.text || '' };
+    });
+  }
+
+  /**
+   * Replace image blocks with a text note for providers without vision
+   */
+  stripImages(messages) {
+    return messages.map(msg => {
+      if (!Array.isArray(msg.content)) return msg;
+      const hadImages = msg.content.some(item => item.type === 'image');
+      const content = msg.content.filter(item => item.type !== 'image');
+      if (hadImages) {
+        content.push({ type: 'text', text: '[Screenshots omitted - the selected model does not support images]' });
+      }
+      return { ...msg, content };
+    });
+  }
+
+  /**
+   * Normalize a provider response into { content, usage, model }
+   */
+  parseResponse(provider, result, model) {
+    switch (provider.format) {
+      case 'anthropic':
+        return {
+          content: result.content?.filter(block => block.type === 'text').map(block => block.text).join('\n') || '',
+          usage: {
+            promptTokens: result.usage?.input_tokens || 0,
+            completionTokens: result.usage?.output_tokens || 0,
+            totalTokens: (result.usage?.input_tokens || 0) + (result.usage?.output_tokens || 0),
+            cacheCreationTokens: result.usage?.cache_creation_input_tokens || 0,
+            cacheReadTokens: result.usage?.cache_read_input_tokens || 0
+          },
+          model: result.model || model,
+          finishReason: result.stop_reason
+        };
+      case 'gemini': {
+        const candidate = result.candidates?.[0];
+        return {
+          content: candidate?.content?.parts?.map(part => part.text || '').join('') || '',
+          usage: {
+            promptTokens: result.usageMetadata?.promptTokenCount || 0,
+            completionTokens: result.usageMetadata?.candidatesTokenCount || 0,
+            totalTokens: result.usageMetadata?.totalTokenCount || 0
+          },
+          model,
+          finishReason: candidate?.finishReason
+        };
+      }
+      default:
+        return {
+          content: result.choices?.[0]?.message?.content || '',
+          usage: {
+            promptTokens: result.usage?.prompt_tokens || 0,
+            completionTokens: result.usage?.completion_tokens || 0,
+            totalTokens: result.usage?.total_tokens || 0
+          },
+          model: result.model || model,
+          finishReason: result.choices?.[0]?.finish_reason
+        };
+    }
+  }
+
+  /**
+   * Extract a readable error from a failed provider response
+   */
+  async extractErrorMessage(provider, response, model) {
+    let detail = `${provider.label} API error: ${response.status}`;
+    try {
+      const body = await response.json();
+      const message = body?.error?.message || body?.[0]?.error?.message || body?.message;
+      if (message) {
+        detail = `${message} (HTTP ${response.status})`;
+      }
+    } catch (parseError) {
+      // Ignore parse errors
+    }
+
+    if (response.status === 404 && model) {
+      detail = `Model "${model}" not found by ${provider.label}. Check the model in settings.`;
+    } else if (response.status === 401 || response.status === 403) {
+      detail = `Invalid ${provider.label} API key or endpoint. Check your settings.`;
+    } else if (response.status === 429) {
+      detail = `${provider.label} rate limit hit. Wait a moment or switch to another provider.`;
+    }
+
+    return detail;
+  }
+
+  /**
+   * Call the configured provider
+   * @param {Array} messages - Internal-format messages
+   * @param {Object} settings - User settings
+   * @param {Object} options - { model, maxTokens, temperature, json, stream, consumeStream, signal }
+   *   consumeStream(response, provider) reads a streamed body into the provider's non-streamed shape
+   * @returns {Promise<{content: string, usage: Object, model: string}>}
+   */
+  async call(messages, settings = {}, options = {}) {
+    const missing = this.getMissingCredentials(settings);
+    if (missing.length > 0) {
+      const provider = this.get(settings.provider);
+      throw new Error(`${provider.label} API key or endpoint missing (${missing.join(', ')}). Please add it in settings.`);
+    }
+
+    const credentialError = this.get(settings.provider).validateCredentials?.(settings);
+    if (credentialError) {
+      throw new Error(credentialError);
+    }
+
+    // Without a stream reader the request must not ask for SSE
+    const request = this.buildRequest(messages, settings, options.consumeStream ? options : { ...options, stream: false });
+
+    const requestSize = request.init.body.length;
+    if (requestSize > this.MAX_REQUEST_SIZE) {
+      throw new Error(`Request too large (${(requestSize / 1024 / 1024).toFixed(2)}MB). Try capturing fewer elements or using a simpler description.`);
+    }
+
+    let response;
+    try {
+      response = await fetch(request.url, { ...request.init, signal: options.signal });
+    } catch (fetchError) {
+      if (fetchError.name === 'AbortError') {
+        throw new Error('REQUEST_CANCELLED');
+      }
+      throw new Error(`Network error: Unable to connect to ${request.provider.label} (${fetchError.message})`);
+    }
+
+    if (!response.ok) {
+      throw new Error(await this.extractErrorMessage(request.provider, response, request.model));
+    }
+
+    const result = options.stream && options.consumeStream
+      ? await options.consumeStream(response, request.provider)
+      : await response.json();
+    const parsed = this.parseResponse(request.provider, result, request.model);
+
+    if ((!parsed.content || parsed.content.trim().length === 0) && parsed.finishReason === 'length') {
+      throw new Error(`${request.provider.label} hit the output limit before producing any content (reasoning models can spend it all on reasoning). Try a non-reasoning model or a simpler request.`);
+    }
+
+    if (!parsed.content || parsed.content.trim().length === 0) {
+      throw new Error(`${request.provider.label} returned empty response. finish_reason: ${parsed.finishReason}`);
+    }
+
+    return parsed;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AIProviderRegistry;
+} else if (typeof window !== 'undefined') {
+  window.AIProviderRegistry = AIProviderRegistry;
+}
@@ -0,0 +1,262 @@
+// Code Merge - line diffs and three-way merge for Convert.com sync conflicts
+// Snapshots have the shape { variations: [{ name, css, js }], globalCSS, globalJS }
+class CodeMerge {
+  constructor() {
+    // LCS table cells; larger inputs fall back to a whole-block replace
+    this.maxDiffCells = 4000000;
+    this.markers = {
+      local: '<<<<<<< LOCAL (extension)',
+      separator: '=======',
+      remote: '>>>>>>> REMOTE (Convert.com)'
+    };
+  }
+
+  splitLines(text) {
+    if (!text) return [];
+    return String(text).replace(/\r\n/g, '\n').split('\n');
+  }
+
+  // Line diff as a list of { type: 'equal' | 'remove' | 'add', line }
+  diffLines(a, b) {
+    const left = Array.isArray(a) ? a : this.splitLines(a);
+    const right = Array.isArray(b) ? b : this.splitLines(b);
+    const n = left.length;
+    const m = right.length;
+
+    if ((n + 1) * (m + 1) > this.maxDiffCells) {
+      return [
+        ...left.map(line => ({ type: 'remove', line })),
+        ...right.map(line => ({ type: 'add', line }))
+      ];
+    }
+
+    // lengths[i][j] = LCS length of left[i:] and right[j:]
+    const width = m + 1;
+    const lengths = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lengths[i * width + j] = left[i] === right[j]
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+      }
+    }
+
+    const ops = [];
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (left[i] === right[j]) {
+        ops.push({ type: 'equal', line: left[i] });
+        i++;
+        j++;
+      } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+        ops.push({ type: 'remove', line: left[i] });
+        i++;
+      } else {
+        ops.push({ type: 'add', line: right[j] });
+        j++;
+      }
+    }
+    while (i < n) ops.push({ type: 'remove', line: left[i++] });
+    while (j < m) ops.push({ type: 'add', line: right[j++] });
+
+    return ops;
+  }
+
+  // Changed regions of `other` relative to base: base[start:end] is replaced by lines
+  diffHunks(baseLines, otherLines) {
+    const hunks = [];
+    let baseIndex = 0;
+    let current = null;
+
+    this.diffLines(baseLines, otherLines).forEach(op => {
+      if (op.type === 'equal') {
+        if (current) {
+          hunks.push(current);
+          current = null;
+        }
+        baseIndex++;
+        return;
+      }
+
+      if (!current) {
+        current = { start: baseIndex, end: baseIndex, lines: [] };
+      }
+      if (op.type === 'remove') {
+        baseIndex++;
+        current.end = baseIndex;
+      } else {
+        current.lines.push(op.line);
+      }
+    });
+
+    if (current) hunks.push(current);
+    return hunks;
+  }
+
+  applyHunks(baseLines, start, end, hunks) {
+    const result = [];
+    let position = start;
+    hunks.forEach(hunk => {
+      result.push(...baseLines.slice(position, hunk.start), ...hunk.lines);
+      position = hunk.end;
+    });
+    result.push(...baseLines.slice(position, end));
+    return result;
+  }
+
+  /**
+   * Three-way merge of one text field
+   * @returns {{ text: string, conflicts: number }} - text contains conflict markers when conflicts > 0
+   */
+  mergeText(base, local, remote) {
+    const localText = local || '';
+    const remoteText = remote || '';
+
+    if (localText === remoteText) return { text: localText, conflicts: 0 };
+
+    // Without a common ancestor every difference is a conflict
+    if (base === null || base === undefined) {
+      return { text: this.wrapConflict(this.splitLines(localText), this.splitLines(remoteText)).join('\n'), conflicts: 1 };
+    }
+
+    const baseText = base || '';
+    if (baseText === localText) return { text: remoteText, conflicts: 0 };
+    if (baseText === remoteText) return { text: localText, conflicts: 0 };
+
+    const baseLines = this.splitLines(baseText);
+    const hunks = [
+      ...this.diffHunks(baseLines, this.splitLines(localText)).map(hunk => ({ ...hunk, side: 'local' })),
+      ...this.diffHunks(baseLines, this.splitLines(remoteText)).map(hunk => ({ ...hunk, side: 'remote' }))
+    ].sort((a, b) => a.start - b.start || a.end - b.end);
+
+    const output = [];
+    let position = 0;
+    let conflicts = 0;
+    let index = 0;
+
+    while (index < hunks.length) {
+      // Group hunks whose base ranges overlap (or insert at the same point)
+      const group = [hunks[index]];
+      const start = hunks[index].start;
+      let end = hunks[index].end;
+      index++;
+
+      while (index < hunks.length && (hunks[index].start < end || hunks[index].start === start)) {
+        end = Math.max(end, hunks[index].end);
+        group.push(hunks[index]);
+        index++;
+      }
+
+      output.push(...baseLines.slice(position, start));
+
+      const localHunks = group.filter(hunk => hunk.side === 'local');
+      const remoteHunks = group.filter(hunk => hunk.side === 'remote');
+      const localVersion = this.applyHunks(baseLines, start, end, localHunks);
+      const remoteVersion = this.applyHunks(baseLines, start, end, remoteHunks);
+
+      if (remoteHunks.length === 0) {
+        output.push(...localVersion);
+      } else if (localHunks.length === 0 || localVersion.join('\n') === remoteVersion.join('\n')) {
+        output.push(...remoteVersion);
+      } else {
+        output.push(...this.wrapConflict(localVersion, remoteVersion));
+        conflicts++;
+      }
+
+      position = end;
+    }
+
+    output.push(...baseLines.slice(position));
+    return { text: output.join('\n'), conflicts };
+  }
+
+  wrapConflict(localLines, remoteLines) {
+    return [this.markers.local, ...localLines, this.markers.separator, ...remoteLines, this.markers.remote];
+  }
+
+  hasConflictMarkers(text) {
+    return typeof text === 'string' && text.includes(this.markers.local) && text.includes(this.markers.remote);
+  }
+
+  /**
+   * Compare base/local/remote snapshots field by field
+   * status: 'unchanged' | 'local' (only local edited) | 'remote' (only Convert edited) | 'conflict'
+   */
+  compareSnapshots(base, local, remote) {
+    const fields = [];
+    const count = Math.max(local?.variations?.length || 0, remote?.variations?.length || 0);
+
+    const addField = (key, label, baseValue, localValue, remoteValue) => {
+      const localText = localValue || '';
+      const remoteText = remoteValue || '';
+      const baseText = baseValue === undefined || baseValue === null ? null : baseValue;
+
+      let status;
+      if (localText === remoteText) {
+        status = 'unchanged';
+      } else if (baseText !== null && remoteText === baseText) {
+        status = 'local';
+      } else if (baseText !== null && localText === baseText) {
+        status = 'remote';
+      } else {
+        status = 'conflict';
+      }
+
+      const merged = this.mergeText(baseText, localText, remoteText);
+      fields.push({
+        key,
+        label,
+        base: baseText,
+        local: localText,
+        remote: remoteText,
+        status,
+        merged: merged.text,
+        mergeConflicts: merged.conflicts
+      });
+    };
+
+    for (let i = 0; i < count; i++) {
+      const name = local?.variations?.[i]?.name || remote?.variations?.[i]?.name || `Variation ${i + 1}`;
+      const baseVariation = base ? (base.variations?.[i] || {}) : null;
+      addField(`variation:${i}:css`, `${name} – CSS`, baseVariation ? baseVariation.css || '' : null, local?.variations?.[i]?.css, remote?.variations?.[i]?.css);
+      addField(`variation:${i}:js`, `${name} – JS`, baseVariation ? baseVariation.js || '' : null, local?.variations?.[i]?.js, remote?.variations?.[i]?.js);
+    }
+
+    addField('globalCSS', 'Global CSS', base ? base.globalCSS || '' : null, local?.globalCSS, remote?.globalCSS);
+    addField('globalJS', 'Global JS', base ? base.globalJS || '' : null, local?.globalJS, remote?.globalJS);
+
+    return fields;
+  }
+
+  // Build a snapshot from per-field resolutions ({ [key]: text })
+  applyResolutions(local, resolutions) {
+    const snapshot = {
+      variations: (local?.variations || []).map(variation => ({ ...variation })),
+      globalCSS: local?.globalCSS || '',
+      globalJS: local?.globalJS || ''
+    };
+
+    Object.entries(resolutions).forEach(([key, text]) => {
+      const match = key.match(/^variation:(\d+):(css|js)$/);
+      if (match) {
+        const index = parseInt(match[1], 10);
+        if (!snapshot.variations[index]) {
+          snapshot.variations[index] = { name: `Variation ${index + 1}`, css: '', js: '' };
+        }
+        snapshot.variations[index][match[2]] = text;
+      } else if (key === 'globalCSS' || key === 'globalJS') {
+        snapshot[key] = text;
+      }
+    });
+
+    return snapshot;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CodeMerge;
+} else if (typeof window !== 'undefined') {
+  window.CodeMerge = CodeMerge;
+}
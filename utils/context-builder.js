@@ -5,20 +5,30 @@ class ContextBuilder {
   constructor() {
     this.maxTokens = 8000; // Conservative limit for prompts
     this.charsPerToken = 4; // Rough estimate
+    // Open shadow roots and same-origin iframes (content scripts only)
+    this.traversal = typeof DomTraversal !== 'undefined' ? new DomTraversal() : null;
+    this.selectorEngine = typeof SelectorEngine !== 'undefined' ? new SelectorEngine() : null;
+    this.platformDetector = typeof PlatformDetector !== 'undefined' ? new PlatformDetector() : null;
+    // Caps for pages with huge DOMs (long PLPs); larger pages are sampled evenly down the page
+    this.maxScanElements = 4000; // Whole-page style scan (fonts, fixed/sticky, dynamic classes)
+    this.maxInteractiveCandidates = 400; // Highest pre-scored matches checked before the top interactive elements are picked
   }
 
   /**
    * Build hierarchical context based on capture mode
    * @param {Element|null} selectedElement - User-selected element (null for full page)
-   * @param {Object} options - { rootElement, includeScreenshot, maxProximityElements, maxStructureElements }
+   * @param {Object} options - { rootElement, includeScreenshot, maxProximityElements, maxStructureElements, slicer }
+   *   slicer: async (items, phase, handler) => void - runs per-element work; PageCapture passes an
+   *   idle-time slicer that reports progress and throws once the capture is cancelled
    */
-  buildContext(selectedElement = null, options = {}) {
+  async buildContext(selectedElement = null, options = {}) {
     const defaults = {
       rootElement: null, // NEW: Scope all queries to this element
       includeScreenshot: true,
       maxProximityElements: 8,
       maxStructureElements: 12,
-      proximityRadius: 300 // pixels
+      proximityRadius: 300, // pixels
+      slicer: (items, phase, handler) => this.runInline(items, phase, handler)
     };
     const opts = { ...defaults, ...options };
 
@@ -27,7 +37,7 @@ class ContextBuilder {
       primary: [],
       proximity: [],
       structure: [],
-      metadata: this.captureMetadata()
+      metadata: await this.captureMetadata(opts.slicer)
     };
 
     // If rootElement is provided, scope ALL queries to that element
@@ -36,12 +46,12 @@ class ContextBuilder {
     if (selectedElement) {
       // ELEMENT-FOCUSED MODE
       context.primary = [this.captureElementFull(selectedElement)];
-      context.proximity = this.captureProximityElements(selectedElement, opts.proximityRadius, opts.maxProximityElements);
+      context.proximity = await this.captureProximityElements(selectedElement, opts.proximityRadius, opts.maxProximityElements, opts.slicer);
       context.structure = this.capturePageStructure(opts.maxStructureElements, queryRoot);
       context.metadata.focusPath = this.getElementPath(selectedElement);
     } else {
       // FULL-PAGE MODE (or SCOPED if rootElement provided)
-      context.primary = this.captureTopInteractiveElements(15, queryRoot); // Top 15 interactive elements
+      context.primary = await this.captureTopInteractiveElements(15, queryRoot, opts.slicer); // Top 15 interactive elements
       context.proximity = []; // Not needed in full page mode
       context.structure = this.capturePageStructure(opts.maxStructureElements, queryRoot);
 
@@ -65,16 +75,28 @@ class ContextBuilder {
     return context;
   }
 
+  // Default slicer: all items in one synchronous pass
+  async runInline(items, phase, handler) {
+    items.forEach((item, index) => handler(item, index));
+  }
+
+  // Even spread in document order, so the bottom of long pages is still represented
+  sampleEvenly(items, cap) {
+    if (items.length <= cap) return items;
+    return Array.from({ length: cap }, (_, i) => items[Math.floor(i * items.length / cap)]);
+  }
+
   /**
    * Capture FULL detail for primary target element
    */
   captureElementFull(element) {
-    const rect = element.getBoundingClientRect();
+    const rect = this.getViewportRect(element);
     const computed = window.getComputedStyle(element);
 
     return {
       level: 'primary',
-      selector: this.generateSelector(element),
+      selector: this.generateScopedSelector(element),
+      scope: this.getScopeType(element),
       alternativeSelectors: this.generateAlternativeSelectors(element),
 
       // Basic info
@@ -120,7 +142,7 @@ class ContextBuilder {
   /**
    * Capture MEDIUM detail for proximity elements (parent, siblings, nearby)
    */
-  captureProximityElements(targetElement, radius, maxCount) {
+  async captureProximityElements(targetElement, radius, maxCount, slicer) {
     const targetRect = targetElement.getBoundingClientRect();
     const proximityElements = [];
     const seen = new Set([targetElement]);
@@ -155,8 +177,8 @@ class ContextBuilder {
     }
 
     // 3. Spatial proximity (within radius pixels)
-    const allElements = document.querySelectorAll('button, a, h1, h2, h3, input, [class*="cta"]');
-    allElements.forEach(el => {
+    const allElements = Array.from(document.querySelectorAll('button, a, h1, h2, h3, input, [class*="cta"]'));
+    await slicer(allElements, 'measure', el => {
       if (seen.has(el) || proximityElements.length >= maxCount) return;
 
       const rect = el.getBoundingClientRect();
@@ -190,12 +212,13 @@ class ContextBuilder {
   captureElementMedium(element) {
     if (!element) return null;
 
-    const rect = element.getBoundingClientRect();
+    const rect = this.getViewportRect(element);
     const computed = window.getComputedStyle(element);
 
     return {
       level: 'proximity',
-      selector: this.generateSelector(element),
+      selector: this.generateScopedSelector(element),
+      scope: this.getScopeType(element),
       tag: element.tagName.toLowerCase(),
       text: element.textContent?.trim().substring(0, 100) || '',
       classes: Array.from(element.classList),
@@ -258,7 +281,7 @@ class ContextBuilder {
    * @param {number} maxCount - Maximum number of elements to capture
    * @param {Element|Document} queryRoot - Root element to scope queries (default: document)
    */
-  captureTopInteractiveElements(maxCount, queryRoot = document) {
+  async captureTopInteractiveElements(maxCount, queryRoot = document, slicer) {
     const interactiveSelectors = [
       'button',
       'a[href]',
@@ -269,30 +292,54 @@ class ContextBuilder {
       '[class*="cta"]'
     ];
 
-    const elements = [];
+    const matched = [];
     const seen = new Set();
 
-    interactiveSelectors.forEach(selector => {
-      queryRoot.querySelectorAll(selector).forEach(el => {
-        if (seen.has(el) || elements.length >= maxCount) return;
-        if (!el.offsetParent) return; // Skip hidden
-
-        const rect = el.getBoundingClientRect();
-        if (rect.width === 0 || rect.height === 0) return;
+    // Full-page capture also looks inside open shadow roots and same-origin iframes
+    const scopes = this.traversal && queryRoot === document ? this.traversal.collectScopes(document) : null;
 
+    interactiveSelectors.forEach(selector => {
+      const matches = scopes ? this.traversal.querySelectorAllDeep(selector, document, scopes) : queryRoot.querySelectorAll(selector);
+      matches.forEach(el => {
+        if (seen.has(el)) return;
         seen.add(el);
-        elements.push({
-          ...this.captureElementMedium(el),
-          level: 'primary',
-          importance: this.calculateImportance(el)
-        });
+        matched.push(el);
       });
     });
 
-    // Sort by importance
-    elements.sort((a, b) => b.importance - a.importance);
+    // Pass 1: cheap importance pre-score (one rect read, class and tag checks) for every match,
+    // so the cap keeps the hero CTA and add-to-cart buttons rather than an arbitrary slice
+    const scored = [];
+    await slicer(matched, 'scan', el => {
+      const rect = el.getBoundingClientRect();
+      if (rect.width === 0 || rect.height === 0) return; // Not rendered
+
+      scored.push({ el, importance: this.calculateImportance(el, rect) });
+    });
+
+    const candidates = scored.sort((a, b) => b.importance - a.importance).slice(0, this.maxInteractiveCandidates);
+    if (candidates.length < scored.length) {
+      console.log(`✂️ Kept the ${candidates.length} highest-scoring of ${scored.length} interactive elements`);
+    }
+
+    // Pass 2: visibility check (forces layout) for the candidates, highest score first
+    const top = [];
+    await slicer(candidates, 'measure', candidate => {
+      if (top.length >= maxCount) return;
+      if (!candidate.el.offsetParent) return; // Skip hidden
+      top.push(candidate);
+    });
+
+    // Pass 3: selectors and styles only for the most important ones
+    const result = [];
+    await slicer(top, 'describe', ({ el, importance }) => {
+      result.push({
+        ...this.captureElementMedium(el),
+        level: 'primary',
+        importance
+      });
+    });
 
-    const result = elements.slice(0, maxCount);
     console.log(`📦 Captured ${result.length} interactive elements from ${queryRoot === document ? 'document' : 'scoped root'}`);
 
     return result;
@@ -354,89 +401,36 @@ class ContextBuilder {
   }
 
   /**
-   * Helper to escape CSS identifiers
+   * Unique selector from the shared selector engine (strategy order follows Settings)
    */
-  escapeCSSIdentifier(str) {
-    if (!str) return '';
-    if (typeof CSS !== 'undefined' && CSS.escape) {
-      return CSS.escape(str);
-    }
-    return str.replace(/([!"#$%&'()*+,.\/:;<=>?@\[\\\]^`{|}~])/g, '\\$1');
+  generateSelector(element, root = element.getRootNode()) {
+    return this.selectorEngine ? this.selectorEngine.generate(element, root) : element.tagName.toLowerCase();
   }
 
   /**
-   * Generate reliable CSS selector
+   * Selector that generated code can resolve: 'host >>> inner' for shadow DOM / iframe elements
    */
-  generateSelector(element) {
-    // ID is most reliable
-    if (element.id) {
-      return `#${this.escapeCSSIdentifier(element.id)}`;
-    }
-
-    // Try to build from classes and tag
-    const tag = element.tagName.toLowerCase();
-    const classes = Array.from(element.classList)
-      .filter(c => !c.match(/^(active|hover|focus|selected|js-)/) && c.length < 30)
-      .slice(0, 3) // Use up to 3 classes for better specificity
-      .map(c => this.escapeCSSIdentifier(c))
-      .join('.');
-
-    if (classes) {
-      const selector = `${tag}.${classes}`;
-      try {
-        // Verify uniqueness - MUST be exactly 1 match
-        const matches = document.querySelectorAll(selector);
-        if (matches.length === 1) {
-          return selector;
-        }
-
-        // If not unique, try adding more context or use nth-child
-        console.log(`⚠️ Selector "${selector}" matches ${matches.length} elements - using nth-child for uniqueness`);
-      } catch (e) {
-        // Invalid selector, fall through to nth-child
-      }
-    }
+  generateScopedSelector(element) {
+    if (!this.traversal) return this.generateSelector(element);
+    return this.traversal.buildDeepSelector(element, node => this.generateSelector(node));
+  }
 
-    // Fall back to nth-child for guaranteed uniqueness
-    const parent = element.parentElement;
-    if (parent) {
-      const siblings = Array.from(parent.children);
-      const index = siblings.indexOf(element) + 1;
-      const parentSelector = this.generateSelector(parent);
-      return `${parentSelector} > ${tag}:nth-child(${index})`;
-    }
+  getScopeType(element) {
+    return this.traversal ? this.traversal.getScopeInfo(element, node => this.generateSelector(node)).type : 'document';
+  }
 
-    return tag;
+  // Top-document viewport coordinates (iframe content is offset by its frame)
+  getViewportRect(element) {
+    return this.traversal ? this.traversal.getViewportRect(element) : element.getBoundingClientRect();
   }
 
   /**
-   * Generate alternative selectors for reliability
+   * Generate alternative selectors for reliability: the other strategies' unique selectors
    */
   generateAlternativeSelectors(element) {
-    const alternatives = [];
-
-    // By ID
-    if (element.id) alternatives.push(`#${this.escapeCSSIdentifier(element.id)}`);
-
-    // By test ID
-    const testId = element.getAttribute('data-testid') || element.getAttribute('data-test-id');
-    if (testId) alternatives.push(`[data-testid="${testId}"]`);
-
-    // By aria-label
-    const ariaLabel = element.getAttribute('aria-label');
-    if (ariaLabel) alternatives.push(`[aria-label="${ariaLabel}"]`);
-
-    // By unique class combination
-    const uniqueClass = Array.from(element.classList).find(c => {
-      try {
-        return document.querySelectorAll(`.${this.escapeCSSIdentifier(c)}`).length === 1;
-      } catch (e) {
-        return false;
-      }
-    });
-    if (uniqueClass) alternatives.push(`.${this.escapeCSSIdentifier(uniqueClass)}`);
-
-    return alternatives.slice(0, 3);
+    if (!this.selectorEngine) return [];
+    // The first candidate is the primary selector (same strategy order)
+    return this.selectorEngine.generateCandidates(element).slice(1, 4).map(candidate => candidate.selector);
   }
 
   /**
@@ -456,12 +450,13 @@ class ContextBuilder {
 
   /**
    * Calculate element importance (for sorting)
+   * @param {Element} element
+   * @param {DOMRect} rect - Bounding rect when the caller already read it
    */
-  calculateImportance(element) {
+  calculateImportance(element, rect = element.getBoundingClientRect()) {
     let score = 0;
 
     // Above fold = more important
-    const rect = element.getBoundingClientRect();
     if (rect.top < window.innerHeight) score += 10;
 
     // Larger elements = more important
@@ -469,11 +464,15 @@ class ContextBuilder {
     score += Math.min(area / 1000, 10);
 
     // Certain classes = more important
-    const classStr = element.className.toLowerCase();
+    const classStr = (element.getAttribute('class') || '').toLowerCase();
     if (classStr.includes('cta') || classStr.includes('primary')) score += 15;
     if (classStr.includes('hero') || classStr.includes('main')) score += 10;
     if (classStr.includes('btn') || classStr.includes('button')) score += 5;
 
+    // Purchase actions (add to cart, buy, checkout) = more important
+    const intent = `${classStr} ${element.id} ${element.getAttribute('name') || ''} ${element.getAttribute('aria-label') || ''} ${(element.textContent || '').slice(0, 60)}`.toLowerCase();
+    if (/add.?to.?(cart|bag|basket)|buy|checkout/.test(intent)) score += 15;
+
     // Buttons and links = more important
     const tag = element.tagName.toLowerCase();
     if (tag === 'button') score += 8;
@@ -573,14 +572,15 @@ class ContextBuilder {
   /**
    * Capture page metadata including JS behaviors
    */
-  captureMetadata() {
+  async captureMetadata(slicer) {
     // Extract color scheme
     const bodyStyles = window.getComputedStyle(document.body);
 
-    // Extract fonts
+    // One computed-style pass over a capped sample of the page feeds fonts and JS behaviors
+    const scanned = this.sampleEvenly(Array.from(document.querySelectorAll('*')), this.maxScanElements);
     const fonts = new Set();
-    document.querySelectorAll('*').forEach(el => {
-      const font = window.getComputedStyle(el).fontFamily;
+    const jsBehaviors = await this.detectPageBehaviors(scanned, slicer, computed => {
+      const font = computed.fontFamily;
       if (font) fonts.add(font.split(',')[0].trim().replace(/['"]/g, ''));
     });
 
@@ -594,19 +594,36 @@ class ContextBuilder {
       colorScheme: {
         background: bodyStyles.backgroundColor,
         text: bodyStyles.color,
-        primary: this.extractPrimaryColor()
+        primary: await this.extractPrimaryColor(slicer)
       },
       fontFamilies: Array.from(fonts).slice(0, 3),
-      jsBehaviors: this.detectPageBehaviors(), // NEW: JS context
+      jsBehaviors, // NEW: JS context
+      platform: this.detectPlatform(),
       timestamp: Date.now()
     };
   }
 
+  /**
+   * Framework/platform and hydration behavior (React, Vue, Shopify, Magento...)
+   */
+  detectPlatform() {
+    if (!this.platformDetector) return null;
+    try {
+      return this.platformDetector.detect(document);
+    } catch (error) {
+      console.warn('Failed to detect platform:', error);
+      return null;
+    }
+  }
+
   /**
    * Detect JavaScript behaviors on the page
    * Captures scroll handlers, dynamic classes, sticky elements, etc.
+   * @param {Element[]} elements - Elements to scan (captureMetadata passes a capped sample)
+   * @param {Function} slicer - See buildContext
+   * @param {Function} onStyle - Called with each element's computed style (shares the pass)
    */
-  detectPageBehaviors() {
+  async detectPageBehaviors(elements, slicer, onStyle = null) {
     const behaviors = {
       hasScrollHandler: false,
       stickyElements: [],
@@ -620,53 +637,45 @@ class ContextBuilder {
       const scrollDetector = window.addEventListener ? 'has addEventListener (likely has scroll handlers)' : 'no addEventListener';
       behaviors.hasScrollHandler = scrollDetector;
 
-      // Find sticky/fixed position elements
-      document.querySelectorAll('*').forEach(el => {
-        const position = window.getComputedStyle(el).position;
-        if (position === 'sticky') {
-          behaviors.stickyElements.push({
-            selector: this.generateSelector(el),
-            tag: el.tagName.toLowerCase(),
-            top: window.getComputedStyle(el).top
-          });
+      // Limits avoid token bloat; selectors (uniqueness queries) are only generated for kept elements
+      const limits = { sticky: 5, fixed: 10, dynamicClasses: 20, inlineHandlers: 10 };
+      const found = { sticky: [], fixed: [], dynamicClasses: [], inlineHandlers: [] };
+      const dynamicClassPatterns = /scroll|sticky|fixed|active|open|visible|hidden|show|hide/i;
+
+      await slicer(elements, 'scan', el => {
+        const computed = window.getComputedStyle(el);
+        if (onStyle) onStyle(computed);
+
+        // Find sticky/fixed position elements
+        if (computed.position === 'sticky' && found.sticky.length < limits.sticky) {
+          found.sticky.push({ el, top: computed.top });
         }
-        if (position === 'fixed') {
-          behaviors.fixedElements.push({
-            selector: this.generateSelector(el),
-            tag: el.tagName.toLowerCase(),
-            top: window.getComputedStyle(el).top
-          });
+        if (computed.position === 'fixed' && found.fixed.length < limits.fixed) {
+          found.fixed.push({ el, top: computed.top });
         }
 
         // Detect inline event handlers
         ['onclick', 'onscroll', 'onmouseover', 'onmouseout'].forEach(handler => {
-          if (el[handler]) {
-            behaviors.inlineHandlers.push({
-              selector: this.generateSelector(el),
-              handler: handler
-            });
+          if (el[handler] && found.inlineHandlers.length < limits.inlineHandlers) {
+            found.inlineHandlers.push({ el, handler });
           }
         });
 
         // Detect classes that might be dynamic (common scroll/state classes)
-        const dynamicClassPatterns = /scroll|sticky|fixed|active|open|visible|hidden|show|hide/i;
         Array.from(el.classList).forEach(cls => {
-          if (dynamicClassPatterns.test(cls)) {
-            behaviors.dynamicClasses.push({
-              selector: this.generateSelector(el),
-              class: cls
-            });
+          if (dynamicClassPatterns.test(cls) && found.dynamicClasses.length < limits.dynamicClasses) {
+            found.dynamicClasses.push({ el, class: cls });
           }
         });
       });
 
-      // Limit results to avoid token bloat
-      behaviors.stickyElements = behaviors.stickyElements.slice(0, 5);
-      behaviors.fixedElements = behaviors.fixedElements.slice(0, 10);
-      behaviors.dynamicClasses = behaviors.dynamicClasses.slice(0, 20);
-      behaviors.inlineHandlers = behaviors.inlineHandlers.slice(0, 10);
+      behaviors.stickyElements = found.sticky.map(({ el, top }) => ({ selector: this.generateSelector(el), tag: el.tagName.toLowerCase(), top }));
+      behaviors.fixedElements = found.fixed.map(({ el, top }) => ({ selector: this.generateSelector(el), tag: el.tagName.toLowerCase(), top }));
+      behaviors.inlineHandlers = found.inlineHandlers.map(({ el, handler }) => ({ selector: this.generateSelector(el), handler }));
+      behaviors.dynamicClasses = found.dynamicClasses.map(({ el, class: cls }) => ({ selector: this.generateSelector(el), class: cls }));
 
     } catch (error) {
+      if (error.cancelled) throw error;
       console.warn('Failed to detect page behaviors:', error);
     }
 
@@ -935,27 +944,15 @@ class ContextBuilder {
     return analysis;
   }
 
-  /**
-   * Generate a simple selector for an element
-   */
-  generateSelector(element) {
-    if (element.id) return `#${element.id}`;
-    if (element.className && typeof element.className === 'string') {
-      const classes = element.className.trim().split(/\s+/).slice(0, 2);
-      if (classes.length > 0) return `${element.tagName.toLowerCase()}.${classes.join('.')}`;
-    }
-    return element.tagName.toLowerCase();
-  }
-
   /**
    * Extract primary brand color (heuristic)
    */
-  extractPrimaryColor() {
+  async extractPrimaryColor(slicer) {
     // Look for buttons, links
-    const candidates = document.querySelectorAll('button, .btn, .button, a[href]');
+    const candidates = this.sampleEvenly(Array.from(document.querySelectorAll('button, .btn, .button, a[href]')), this.maxInteractiveCandidates);
     const colors = new Map();
 
-    candidates.forEach(el => {
+    await slicer(candidates, 'scan', el => {
       const bg = window.getComputedStyle(el).backgroundColor;
       if (bg && bg !== 'rgba(0, 0, 0, 0)' && bg !== 'transparent') {
         colors.set(bg, (colors.get(bg) || 0) + 1);
@@ -0,0 +1,205 @@
+// Convert Experience Bundle - portable JSON export/import of experiences between projects
+// Bundle shape: { format, version, exportedAt, source: { accountId, projectId }, experiences: [entry] }
+class ConvertExperienceBundle {
+  constructor() {
+    this.format = 'convert-experience-bundle';
+    this.version = 1;
+    // Change types that carry plain code and can be recreated in another project
+    this.portableChangeTypes = ['defaultCode', 'customCode', 'defaultCodeMultipage'];
+    // Project-scoped IDs; only reusable when importing back into the source project
+    this.targetingKeys = ['goals', 'audiences', 'locations'];
+  }
+
+  createBundle(experiences, source = {}) {
+    return {
+      format: this.format,
+      version: this.version,
+      exportedAt: new Date().toISOString(),
+      source: {
+        accountId: source.accountId ? String(source.accountId) : null,
+        projectId: source.projectId ? String(source.projectId) : null
+      },
+      experiences: experiences.map(experience => this.toEntry(experience))
+    };
+  }
+
+  // Strip API-assigned IDs and keep everything needed to recreate the experience
+  toEntry(experience) {
+    const data = experience?.data || experience || {};
+
+    const variations = (data.variations || []).map((variation, index) => ({
+      name: variation.name || (variation.is_baseline ? 'Original' : `Variation ${index}`),
+      is_baseline: Boolean(variation.is_baseline),
+      traffic_distribution: typeof variation.traffic_distribution === 'number' ? variation.traffic_distribution : null,
+      changes: (variation.changes || [])
+        .filter(change => this.portableChangeTypes.includes(change.type))
+        .map(change => ({ type: change.type, data: { ...change.data } }))
+    }));
+
+    const targeting = {};
+    this.targetingKeys.forEach(key => {
+      const ids = this.extractIds(data[key]);
+      if (ids.length) targeting[key] = ids;
+    });
+
+    return {
+      name: data.name || 'Untitled Experience',
+      description: data.description || '',
+      type: data.type || 'a/b',
+      url: data.url || data.site_area?.url || null,
+      site_area: data.site_area || null,
+      global_js: data.global_js || '',
+      global_css: data.global_css || '',
+      variations,
+      metadata: {
+        sourceId: data.id ? String(data.id) : null,
+        key: data.key || null,
+        status: data.status || null,
+        updated_at: data.updated_at || null,
+        skippedChanges: (data.variations || []).reduce((count, variation) =>
+          count + (variation.changes || []).filter(change => !this.portableChangeTypes.includes(change.type)).length, 0),
+        targeting
+      }
+    };
+  }
+
+  // Convert returns targeting either as ID lists or as expanded objects
+  extractIds(value) {
+    if (!Array.isArray(value)) return [];
+    return value
+      .map(item => (item && typeof item === 'object' ? item.id : item))
+      .filter(id => id !== null && id !== undefined && id !== '')
+      .map(id => String(id));
+  }
+
+  /**
+   * @throws {Error} when the input is not a bundle this version can read
+   */
+  validateBundle(bundle) {
+    if (!bundle || typeof bundle !== 'object') {
+      throw new Error('Bundle is not a JSON object');
+    }
+    if (bundle.format !== this.format) {
+      throw new Error('Not a Convert experience bundle');
+    }
+    if (bundle.version > this.version) {
+      throw new Error(`Bundle version ${bundle.version} is newer than this extension supports`);
+    }
+    if (!Array.isArray(bundle.experiences) || bundle.experiences.length === 0) {
+      throw new Error('Bundle contains no experiences');
+    }
+    return bundle;
+  }
+
+  isSameProject(bundle, target) {
+    return Boolean(bundle.source?.projectId) &&
+      String(bundle.source.projectId) === String(target.projectId) &&
+      String(bundle.source.accountId) === String(target.accountId);
+  }
+
+  /**
+   * Dry-run report: what importing the bundle into target would create
+   * @param {Object} target - { accountId, projectId }
+   * @param {Array} existing - experiences already in the target project ({ name })
+   * @param {Object} options - { skipExisting, namePrefix }
+   */
+  planImport(bundle, target, existing = [], options = {}) {
+    this.validateBundle(bundle);
+
+    const sameProject = this.isSameProject(bundle, target);
+    const existingNames = new Set(existing.map(exp => (exp.name || '').trim().toLowerCase()));
+    const plannedNames = new Set();
+
+    const items = bundle.experiences.map((entry, index) => {
+      const name = `${options.namePrefix || ''}${entry.name}`;
+      const key = name.trim().toLowerCase();
+      const warnings = [];
+      const variationCount = entry.variations.filter(variation => !variation.is_baseline).length;
+
+      if (!entry.url) {
+        warnings.push('No URL in bundle; Convert will reject the experience');
+      }
+      if (variationCount === 0) {
+        warnings.push('No variations besides the original');
+      }
+      if (entry.metadata?.skippedChanges) {
+        warnings.push(`${entry.metadata.skippedChanges} visual-editor change(s) were not exported`);
+      }
+
+      const targeting = entry.metadata?.targeting || {};
+      const droppedTargeting = this.targetingKeys.filter(targetingKey => targeting[targetingKey]?.length);
+      if (droppedTargeting.length && !sameProject) {
+        warnings.push(`${droppedTargeting.join(', ')} are project-specific and will not be attached`);
+      }
+
+      const duplicate = existingNames.has(key) || plannedNames.has(key);
+      plannedNames.add(key);
+
+      let action = 'create';
+      if (duplicate && options.skipExisting) {
+        action = 'skip';
+      } else if (duplicate) {
+        warnings.push('An experience with this name already exists');
+      }
+
+      return {
+        index,
+        name,
+        action,
+        variationCount,
+        hasGlobalCode: Boolean(entry.global_js || entry.global_css),
+        warnings
+      };
+    });
+
+    return {
+      target: { accountId: String(target.accountId), projectId: String(target.projectId) },
+      sameProject,
+      toCreate: items.filter(item => item.action === 'create').length,
+      toSkip: items.filter(item => item.action === 'skip').length,
+      items
+    };
+  }
+
+  // Create payload for CONVERT_CREATE_EXPERIENCE; imports always land paused
+  toCreatePayload(entry, { sameProject = false, namePrefix = '' } = {}) {
+    const payload = {
+      name: `${namePrefix}${entry.name}`,
+      type: entry.type || 'a/b',
+      status: 'paused',
+      url: entry.url,
+      variations: entry.variations.map(variation => {
+        const result = { name: variation.name };
+        if (variation.is_baseline) result.is_baseline = true;
+        if (typeof variation.traffic_distribution === 'number') {
+          result.traffic_distribution = variation.traffic_distribution;
+        }
+        if (!variation.is_baseline && variation.changes.length) {
+          result.changes = variation.changes.map(change => ({ type: change.type, data: { ...change.data } }));
+        }
+        return result;
+      })
+    };
+
+    if (entry.description) payload.description = entry.description;
+    if (entry.site_area) payload.site_area = entry.site_area;
+    if (entry.global_js) payload.global_js = entry.global_js;
+    if (entry.global_css) payload.global_css = entry.global_css;
+
+    if (sameProject) {
+      const targeting = entry.metadata?.targeting || {};
+      this.targetingKeys.forEach(key => {
+        if (targeting[key]?.length) payload[key] = targeting[key];
+      });
+    }
+
+    return payload;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ConvertExperienceBundle;
+} else if (typeof window !== 'undefined') {
+  window.ConvertExperienceBundle = ConvertExperienceBundle;
+}
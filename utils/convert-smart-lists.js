@@ -255,8 +255,12 @@ class ConvertSmartLists {
       archived: []
     };
 
+    // Convert reports live experiences as either "active" or "running"
+    const aliases = { running: 'active' };
+
     experiences.forEach(exp => {
-      const status = (exp.status || 'draft').toLowerCase();
+      const rawStatus = (exp.status || 'draft').toLowerCase();
+      const status = aliases[rawStatus] || rawStatus;
       if (groups[status]) {
         groups[status].push(exp);
       } else {
@@ -4,6 +4,12 @@ class DesignFileManager {
     this.files = [];
     this.maxFileSize = 10 * 1024 * 1024; // 10MB
     this.supportedTypes = ['image/png', 'image/jpeg', 'image/jpg', 'image/svg+xml', 'image/webp'];
+
+    // Figma REST API import
+    this.figmaApiBase = 'https://api.figma.com';
+    this.figmaMaxDepth = 25;
+    this.figmaMaxTexts = 60;
+    this.figmaMaxSpacing = 20;
   }
 
   async addFile(file) {
@@ -138,8 +144,9 @@ class DesignFileManager {
   }
 
   // Build AI prompt with design files
-  buildAIPromptWithDesigns(basePrompt, currentPageScreenshot) {
-    if (this.files.length === 0) {
+  // Image blocks use the Anthropic shape the rest of the pipeline converts per provider
+  buildAIPromptWithDesigns(basePrompt, currentPageScreenshot, files = this.files) {
+    if (files.length === 0) {
       return {
         type: 'text',
         content: basePrompt
@@ -147,23 +154,18 @@ class DesignFileManager {
     }
 
     // Multi-modal prompt with images
-    const content = [
-      {
+    const content = [];
+    if (basePrompt) {
+      content.push({
         type: 'text',
         text: basePrompt
-      }
-    ];
+      });
+    }
 
     // Add current page screenshot
-    if (currentPageScreenshot) {
-      content.push({
-        type: 'image_url',
-        image_url: {
-          url: currentPageScreenshot,
-          detail: 'high'
-        }
-      });
-      
+    const screenshotBlock = currentPageScreenshot && this.toImageBlock(currentPageScreenshot);
+    if (screenshotBlock) {
+      content.push(screenshotBlock);
       content.push({
         type: 'text',
         text: '\n↑ CURRENT PAGE STATE (before changes)\n'
@@ -171,14 +173,11 @@ class DesignFileManager {
     }
 
     // Add design files
-    this.files.forEach((file, index) => {
-      content.push({
-        type: 'image_url',
-        image_url: {
-          url: file.dataUrl,
-          detail: 'high'
-        }
-      });
+    files.forEach((file, index) => {
+      const imageBlock = this.toImageBlock(file.dataUrl);
+      if (imageBlock) {
+        content.push(imageBlock);
+      }
 
       const fileContext = file.notes ? 
         `\n↑ DESIGN FILE ${index + 1}: ${file.name} - ${file.notes}\n` :
@@ -188,6 +187,13 @@ class DesignFileManager {
         type: 'text',
         text: fileContext
       });
+
+      if (file.designSpec) {
+        content.push({
+          type: 'text',
+          text: `\nDESIGN SPEC FOR FILE ${index + 1} (from Figma node tree - exact values):\n${this.formatDesignSpec(file.designSpec)}`
+        });
+      }
     });
 
     // Add design comparison instructions
@@ -200,7 +206,7 @@ DESIGN FILE INSTRUCTIONS:
 
 You have been provided with:
 1. The CURRENT page state (screenshot)
-2. ${this.files.length} DESIGN FILE(S) showing the desired end state
+2. ${files.length} DESIGN FILE(S) showing the desired end state${files.some(file => file.designSpec) ? '\n3. DESIGN SPECS with exact copy, colors, type styles and spacing from Figma' : ''}
 
 YOUR TASK:
 → Analyze the visual differences between current and desired states
@@ -215,6 +221,7 @@ YOUR TASK:
 → Generate Convert.com code to transform current → desired state
 → Prioritize CSS for visual changes, use JS only when necessary
 → Be precise with measurements and colors visible in designs
+→ When a DESIGN SPEC is given, use its copy verbatim and its hex/px values exactly
 → Maintain responsive design principles
 
 IMPORTANT: Match the design files as closely as possible while maintaining proper Convert.com code structure.
@@ -227,6 +234,24 @@ IMPORTANT: Match the design files as closely as possible while maintaining prope
     };
   }
 
+  toImageBlock(dataUrl) {
+    const match = typeof dataUrl === 'string' && dataUrl.match(/^data:([^;]+);base64,(.+)$/);
+    if (!match) return null;
+
+    // Vision APIs accept raster formats only; SVG designs go through as file names
+    const mediaType = match[1] === 'image/jpg' ? 'image/jpeg' : match[1];
+    if (!['image/png', 'image/jpeg', 'image/gif', 'image/webp'].includes(mediaType)) return null;
+
+    return {
+      type: 'image',
+      source: {
+        type: 'base64',
+        media_type: mediaType,
+        data: match[2]
+      }
+    };
+  }
+
   // Create visual comparison HTML
   createComparisonView(currentScreenshot) {
     if (this.files.length === 0) {
@@ -263,25 +288,294 @@ IMPORTANT: Match the design files as closely as possible while maintaining prope
     `;
   }
 
-  // Handle Figma URL import
-  async importFromFigma(figmaUrl) {
-    // Basic Figma URL validation
-    if (!figmaUrl.includes('figma.com')) {
+  // Parse a Figma share URL into { fileKey, nodeId }
+  // Accepts /file/, /design/ and /proto/ links; node-id may use "1-2" or "1:2"
+  parseFigmaUrl(figmaUrl) {
+    let url;
+    try {
+      url = new URL(figmaUrl);
+    } catch (error) {
+      throw new Error('Invalid Figma URL');
+    }
+
+    if (!/(^|\.)figma\.com$/.test(url.hostname)) {
       throw new Error('Invalid Figma URL');
     }
 
-    // Note: Full Figma API integration would require Figma API token
-    // For now, just provide instructions
+    const match = url.pathname.match(/^\/(?:file|design|proto)\/([A-Za-z0-9]+)/);
+    if (!match) {
+      throw new Error('Figma URL must point to a file (figma.com/design/<key>/...)');
+    }
+
+    const rawNodeId = url.searchParams.get('node-id');
+    if (!rawNodeId) {
+      throw new Error('Select a frame in Figma and copy its link (the URL needs a node-id)');
+    }
+
     return {
-      success: false,
-      message: 'Figma import: Please export your design as PNG from Figma and upload it here.',
-      instructions: [
-        '1. Open your Figma file',
-        '2. Select the frame you want to test',
-        '3. Right-click → Export → PNG (2x for better quality)',
-        '4. Upload the exported PNG file here'
-      ]
+      fileKey: match[1],
+      nodeId: decodeURIComponent(rawNodeId).replace(/-/g, ':')
+    };
+  }
+
+  // Import a Figma frame: rendered PNG plus a design spec from the node tree
+  // options.apiBase and options.fetch allow pointing at a mock of the REST API
+  async importFromFigma(figmaUrl, token, options = {}) {
+    if (!token) {
+      throw new Error('Figma personal access token missing. Add one in the settings page.');
+    }
+
+    const { fileKey, nodeId } = this.parseFigmaUrl(figmaUrl);
+    const apiBase = (options.apiBase || this.figmaApiBase).replace(/\/+$/, '');
+    const fetchFn = options.fetch || ((...args) => fetch(...args));
+    const scale = options.scale || 2;
+
+    const figmaRequest = async (path) => {
+      const response = await fetchFn(`${apiBase}${path}`, {
+        headers: { 'X-Figma-Token': token }
+      });
+
+      if (!response.ok) {
+        let detail = '';
+        try {
+          const body = await response.json();
+          detail = body.err || body.message || '';
+        } catch (parseError) {
+          // Non-JSON error body
+        }
+        if (response.status === 403) {
+          throw new Error(`Figma rejected the token (403)${detail ? `: ${detail}` : ''}`);
+        }
+        throw new Error(`Figma API error ${response.status}${detail ? `: ${detail}` : ''}`);
+      }
+
+      return response.json();
     };
+
+    const ids = encodeURIComponent(nodeId);
+    const [imageResult, nodeResult] = await Promise.all([
+      figmaRequest(`/v1/images/${fileKey}?ids=${ids}&format=png&scale=${scale}`),
+      figmaRequest(`/v1/files/${fileKey}/nodes?ids=${ids}`)
+    ]);
+
+    if (imageResult.err) {
+      throw new Error(`Figma render failed: ${imageResult.err}`);
+    }
+
+    const imageUrl = imageResult.images?.[nodeId];
+    if (!imageUrl) {
+      throw new Error(`Figma did not return an image for node ${nodeId}`);
+    }
+
+    const node = nodeResult.nodes?.[nodeId]?.document;
+    if (!node) {
+      throw new Error(`Node ${nodeId} not found in Figma file`);
+    }
+
+    const imageResponse = await fetchFn(imageUrl);
+    if (!imageResponse.ok) {
+      throw new Error(`Failed to download Figma render (${imageResponse.status})`);
+    }
+    const dataUrl = await this.responseToDataUrl(imageResponse, 'image/png');
+    const designSpec = this.extractFigmaDesignSpec(node);
+
+    const imported = {
+      id: this.generateId(),
+      name: `${nodeResult.name || 'Figma'} – ${node.name}.png`,
+      type: 'image/png',
+      size: Math.round(dataUrl.length * 0.75),
+      timestamp: Date.now(),
+      preview: dataUrl,
+      base64: dataUrl.split(',')[1],
+      dataUrl,
+      notes: '',
+      dimensions: designSpec.frame ? {
+        width: designSpec.frame.width,
+        height: designSpec.frame.height
+      } : null,
+      source: 'figma',
+      figma: { fileKey, nodeId, url: figmaUrl },
+      designSpec
+    };
+
+    this.files.push(imported);
+    return imported;
+  }
+
+  async responseToDataUrl(response, fallbackType) {
+    const contentType = response.headers?.get?.('content-type') || fallbackType;
+    const bytes = new Uint8Array(await response.arrayBuffer());
+
+    // btoa on chunks keeps large renders from overflowing the argument stack
+    let binary = '';
+    const chunkSize = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+    }
+
+    return `data:${contentType.split(';')[0]};base64,${btoa(binary)}`;
+  }
+
+  // Walk a Figma node tree and collect copy, colors, typography and spacing
+  extractFigmaDesignSpec(rootNode) {
+    const spec = {
+      frame: null,
+      texts: [],
+      colors: [],
+      typography: [],
+      spacing: [],
+      radii: []
+    };
+    const colorCounts = new Map();
+    const typeStyles = new Map();
+    const radii = new Set();
+
+    const addColor = (hex, usage) => {
+      const entry = colorCounts.get(hex) || { hex, count: 0, usage: new Set() };
+      entry.count++;
+      entry.usage.add(usage);
+      colorCounts.set(hex, entry);
+    };
+
+    if (rootNode.absoluteBoundingBox) {
+      spec.frame = {
+        name: rootNode.name,
+        width: Math.round(rootNode.absoluteBoundingBox.width),
+        height: Math.round(rootNode.absoluteBoundingBox.height)
+      };
+    }
+
+    const walk = (node, depth) => {
+      if (!node || node.visible === false || depth > this.figmaMaxDepth) return;
+
+      const fillHex = this.figmaSolidFillToHex(node.fills);
+      const strokeHex = this.figmaSolidFillToHex(node.strokes);
+
+      if (node.type === 'TEXT') {
+        const style = node.style || {};
+        const text = {
+          name: node.name,
+          characters: node.characters || '',
+          fontFamily: style.fontFamily,
+          fontSize: style.fontSize,
+          fontWeight: style.fontWeight,
+          lineHeight: style.lineHeightPx ? Math.round(style.lineHeightPx * 100) / 100 : null,
+          letterSpacing: style.letterSpacing || 0,
+          textCase: style.textCase || null,
+          color: fillHex
+        };
+
+        if (text.characters.trim() && spec.texts.length < this.figmaMaxTexts) {
+          spec.texts.push(text);
+        }
+
+        const styleKey = `${text.fontFamily}|${text.fontSize}|${text.fontWeight}|${text.lineHeight}`;
+        if (!typeStyles.has(styleKey)) {
+          typeStyles.set(styleKey, {
+            fontFamily: text.fontFamily,
+            fontSize: text.fontSize,
+            fontWeight: text.fontWeight,
+            lineHeight: text.lineHeight,
+            sample: text.characters.substring(0, 40)
+          });
+        }
+
+        if (fillHex) addColor(fillHex, 'text');
+      } else {
+        if (fillHex) addColor(fillHex, 'fill');
+        if (strokeHex) addColor(strokeHex, 'stroke');
+      }
+
+      if (node.layoutMode && node.layoutMode !== 'NONE') {
+        spec.spacing.push({
+          name: node.name,
+          layout: node.layoutMode === 'HORIZONTAL' ? 'row' : 'column',
+          padding: [
+            node.paddingTop || 0,
+            node.paddingRight || 0,
+            node.paddingBottom || 0,
+            node.paddingLeft || 0
+          ],
+          gap: node.itemSpacing || 0
+        });
+      }
+
+      if (typeof node.cornerRadius === 'number' && node.cornerRadius > 0) {
+        radii.add(node.cornerRadius);
+      }
+
+      (node.children || []).forEach(child => walk(child, depth + 1));
+    };
+
+    walk(rootNode, 0);
+
+    spec.colors = Array.from(colorCounts.values())
+      .sort((a, b) => b.count - a.count)
+      .map(({ hex, count, usage }) => ({ hex, count, usage: Array.from(usage) }));
+    spec.typography = Array.from(typeStyles.values());
+    spec.spacing = spec.spacing.slice(0, this.figmaMaxSpacing);
+    spec.radii = Array.from(radii).sort((a, b) => a - b);
+
+    return spec;
+  }
+
+  figmaSolidFillToHex(paints) {
+    if (!Array.isArray(paints)) return null;
+    const solid = paints.find(paint => paint.type === 'SOLID' && paint.visible !== false && paint.color);
+    if (!solid) return null;
+
+    const { r, g, b } = solid.color;
+    const alpha = (solid.opacity ?? 1) * (solid.color.a ?? 1);
+    const toHex = (value) => Math.round(value * 255).toString(16).padStart(2, '0');
+    const hex = `#${toHex(r)}${toHex(g)}${toHex(b)}`;
+
+    return alpha < 1 ? `${hex}${toHex(alpha)}` : hex;
+  }
+
+  // Text summary of a Figma design spec for the generation prompt
+  formatDesignSpec(spec) {
+    if (!spec) return '';
+
+    let text = '';
+    if (spec.frame) {
+      text += `Frame: "${spec.frame.name}" ${spec.frame.width}×${spec.frame.height}px\n`;
+    }
+
+    if (spec.texts.length > 0) {
+      text += '\nEXACT COPY (use verbatim):\n';
+      spec.texts.forEach(item => {
+        const font = [item.fontFamily, item.fontSize && `${item.fontSize}px`, item.fontWeight]
+          .filter(Boolean).join(' ');
+        text += `  • "${item.characters}" — ${font}${item.lineHeight ? `, line-height ${item.lineHeight}px` : ''}${item.color ? `, color ${item.color}` : ''}\n`;
+      });
+    }
+
+    if (spec.colors.length > 0) {
+      text += '\nCOLORS (most used first):\n';
+      spec.colors.slice(0, 12).forEach(color => {
+        text += `  • ${color.hex} (${color.usage.join('/')}, ×${color.count})\n`;
+      });
+    }
+
+    if (spec.typography.length > 0) {
+      text += '\nTYPE STYLES:\n';
+      spec.typography.forEach(style => {
+        text += `  • ${style.fontFamily} ${style.fontSize}px / ${style.fontWeight}${style.lineHeight ? ` / ${style.lineHeight}px` : ''} — e.g. "${style.sample}"\n`;
+      });
+    }
+
+    if (spec.spacing.length > 0) {
+      text += '\nSPACING (auto-layout):\n';
+      spec.spacing.forEach(item => {
+        text += `  • ${item.name}: ${item.layout}, padding ${item.padding.join('px ')}px, gap ${item.gap}px\n`;
+      });
+    }
+
+    if (spec.radii.length > 0) {
+      text += `\nCORNER RADII: ${spec.radii.map(r => `${r}px`).join(', ')}\n`;
+    }
+
+    return text;
   }
 
   // Generate file preview HTML
@@ -0,0 +1,396 @@
+// Design System Extractor - mines the site's design tokens (CSS custom properties, palette,
+// type scale, spacing, radii, button styles) so generated elements reuse the site's own values
+// extract() runs in the content script; merge()/formatForPrompt() also run in the service worker
+// and side panel, which cache the result per domain
+class DesignSystemExtractor {
+  constructor() {
+    this.maxElements = 1500; // Computed-style sampling cap for large pages
+    this.maxVariables = 60;
+    this.version = 1; // Bump when the token shape changes so stale caches are ignored
+  }
+
+  /**
+   * Extract the design-token set for the current document
+   * @returns {Object} { variables, palette, primary, typography, spacing, radii, buttons, sources }
+   */
+  extract(doc = document) {
+    const start = Date.now();
+    const variables = this.extractCustomProperties(doc);
+    const elements = this.sampleVisibleElements(doc);
+
+    const tokens = {
+      version: this.version,
+      url: doc.location?.href || null,
+      extractedAt: Date.now(),
+      variables,
+      palette: this.extractPalette(elements, variables),
+      typography: this.extractTypography(elements, doc),
+      spacing: this.topValues(this.collectLengths(elements, ['paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft', 'marginTop', 'marginBottom', 'rowGap', 'columnGap']), 8)
+        .sort((a, b) => parseFloat(a) - parseFloat(b)),
+      radii: this.topValues(this.collectLengths(elements, ['borderTopLeftRadius']), 5),
+      buttons: this.extractButtonStyles(doc)
+    };
+    tokens.primary = this.pickPrimary(tokens);
+    tokens.sources = {
+      sampledElements: elements.length,
+      blockedStylesheets: this.blockedStylesheets,
+      duration: Date.now() - start
+    };
+
+    return tokens;
+  }
+
+  // ---------- CSS custom properties ----------
+
+  /**
+   * Custom properties declared in same-origin stylesheets, resolved against :root
+   * Cross-origin sheets can't be read (CORS); those are counted in sources.blockedStylesheets
+   */
+  extractCustomProperties(doc) {
+    const declared = new Map();
+    this.blockedStylesheets = 0;
+
+    const visit = (rules) => {
+      Array.from(rules || []).forEach(rule => {
+        if (rule.cssRules && !rule.style) {
+          visit(rule.cssRules); // @media, @supports, @layer
+          return;
+        }
+        if (!rule.style || !/(^|,)\s*(:root|html|body)\b/.test(rule.selectorText || '')) return;
+        for (let i = 0; i < rule.style.length; i++) {
+          const name = rule.style[i];
+          if (name.startsWith('--') && !declared.has(name)) {
+            declared.set(name, rule.style.getPropertyValue(name).trim());
+          }
+        }
+      });
+    };
+
+    Array.from(doc.styleSheets).forEach(sheet => {
+      try {
+        visit(sheet.cssRules);
+      } catch (error) {
+        this.blockedStylesheets++;
+      }
+    });
+
+    const rootStyles = window.getComputedStyle(doc.documentElement);
+    const variables = [];
+    declared.forEach((raw, name) => {
+      const value = rootStyles.getPropertyValue(name).trim() || raw;
+      const type = this.classifyVariable(name, value);
+      if (type) variables.push({ name, value, type });
+    });
+
+    // Brand/primary-looking names first so truncation keeps them
+    const weight = (v) => (/brand|primary|accent|cta/i.test(v.name) ? 0 : 1);
+    return variables.sort((a, b) => weight(a) - weight(b)).slice(0, this.maxVariables);
+  }
+
+  classifyVariable(name, value) {
+    if (!value || value.length > 120) return null;
+    if (this.isColor(value)) return 'color';
+    if (/font-family|--font(?!-size|-weight)|typeface/i.test(name)) return 'font';
+    if (/radius|rounded/i.test(name)) return 'radius';
+    if (/shadow/i.test(name)) return 'shadow';
+    if (/font-size|text-(xs|sm|base|md|lg|xl)|fs-|size-/i.test(name) && /^[\d.]+(px|rem|em)$/.test(value)) return 'fontSize';
+    if (/space|spacing|gap|gutter|padding|margin|size/i.test(name) && /^[\d.]+(px|rem|em)$/.test(value)) return 'spacing';
+    return null;
+  }
+
+  isColor(value) {
+    return /^(#[0-9a-f]{3,8}|rgba?\(|hsla?\(|oklch\(|oklab\(|lab\(|lch\(|color\()/i.test(value.trim());
+  }
+
+  // ---------- Computed-style sampling ----------
+
+  sampleVisibleElements(doc) {
+    const elements = [];
+    const all = doc.body ? doc.body.getElementsByTagName('*') : [];
+    for (let i = 0; i < all.length && elements.length < this.maxElements; i++) {
+      const el = all[i];
+      if (['SCRIPT', 'STYLE', 'NOSCRIPT', 'SVG', 'PATH', 'META', 'LINK'].includes(el.tagName.toUpperCase())) continue;
+      // Our own overlays and previews are not part of the site's design
+      if ((el.id && el.id.startsWith('convert-')) || el.hasAttribute('data-convert-preview')) continue;
+      const rect = el.getBoundingClientRect();
+      if (rect.width === 0 || rect.height === 0) continue;
+      elements.push({ el, style: window.getComputedStyle(el), area: rect.width * rect.height });
+    }
+    return elements;
+  }
+
+  /**
+   * Dominant colors weighted by painted area (backgrounds) and text length (text colors)
+   */
+  extractPalette(elements, variables) {
+    const backgrounds = new Map();
+    const text = new Map();
+    const add = (map, color, weight) => {
+      if (!color || this.isTransparent(color)) return;
+      map.set(color, (map.get(color) || 0) + weight);
+    };
+
+    elements.forEach(({ el, style, area }) => {
+      add(backgrounds, style.backgroundColor, Math.sqrt(area));
+      const ownText = Array.from(el.childNodes)
+        .filter(node => node.nodeType === Node.TEXT_NODE)
+        .reduce((sum, node) => sum + node.textContent.trim().length, 0);
+      if (ownText > 0) add(text, style.color, ownText);
+    });
+
+    // Map computed colors back to the variables that define them
+    const variableByColor = new Map();
+    variables.filter(v => v.type === 'color').forEach(v => {
+      const normalized = this.normalizeColor(v.value);
+      if (normalized && !variableByColor.has(normalized)) variableByColor.set(normalized, v.name);
+    });
+
+    const toEntries = (map, limit) => Array.from(map.entries())
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([color, weight]) => ({
+        color: this.toHex(color) || color,
+        variable: variableByColor.get(this.normalizeColor(color)) || null,
+        saturated: this.isSaturated(color),
+        weight: Math.round(weight)
+      }));
+
+    return {
+      backgrounds: toEntries(backgrounds, 6),
+      text: toEntries(text, 4)
+    };
+  }
+
+  extractTypography(elements, doc) {
+    const families = new Map();
+    const sizes = new Map();
+
+    elements.forEach(({ el, style }) => {
+      const hasText = Array.from(el.childNodes).some(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim());
+      if (!hasText) return;
+      const family = style.fontFamily.split(',')[0].trim().replace(/['"]/g, '');
+      families.set(family, (families.get(family) || 0) + 1);
+      sizes.set(style.fontSize, (sizes.get(style.fontSize) || 0) + 1);
+    });
+
+    const styleOf = (selector) => {
+      const el = doc.querySelector(selector);
+      if (!el) return null;
+      const style = window.getComputedStyle(el);
+      return {
+        fontFamily: style.fontFamily.split(',')[0].trim().replace(/['"]/g, ''),
+        fontSize: style.fontSize,
+        fontWeight: style.fontWeight,
+        lineHeight: style.lineHeight,
+        letterSpacing: style.letterSpacing,
+        textTransform: style.textTransform
+      };
+    };
+
+    return {
+      families: this.topValues(families, 3),
+      scale: this.topValues(sizes, 8).sort((a, b) => parseFloat(a) - parseFloat(b)),
+      body: styleOf('main p, article p, p') || styleOf('body'),
+      headings: ['h1', 'h2', 'h3'].reduce((result, tag) => {
+        const style = styleOf(tag);
+        if (style) result[tag] = style;
+        return result;
+      }, {})
+    };
+  }
+
+  collectLengths(elements, properties) {
+    const counts = new Map();
+    elements.forEach(({ style }) => {
+      properties.forEach(prop => {
+        const value = style[prop];
+        if (!value || !/^[\d.]+px$/.test(value) || parseFloat(value) === 0) return;
+        const rounded = `${Math.round(parseFloat(value))}px`;
+        counts.set(rounded, (counts.get(rounded) || 0) + 1);
+      });
+    });
+    return counts;
+  }
+
+  /**
+   * Distinct button looks, most common first (primary CTA, secondary, ...)
+   */
+  extractButtonStyles(doc) {
+    const candidates = Array.from(doc.querySelectorAll(
+      'button, input[type="submit"], input[type="button"], [role="button"], a.btn, a.button, a[class*="btn"], a[class*="button"]'
+    )).slice(0, 200);
+
+    const groups = new Map();
+    candidates.forEach(el => {
+      if ((el.id && el.id.startsWith('convert-')) || el.closest('[data-convert-preview]')) return;
+      const rect = el.getBoundingClientRect();
+      if (rect.width < 40 || rect.height < 20) return; // Icon buttons, close "x"
+      const style = window.getComputedStyle(el);
+      if (this.isTransparent(style.backgroundColor) && style.borderStyle === 'none') return; // Plain links
+
+      const look = {
+        backgroundColor: this.toHex(style.backgroundColor) || style.backgroundColor,
+        color: this.toHex(style.color) || style.color,
+        borderRadius: style.borderTopLeftRadius,
+        border: style.borderTopStyle === 'none' ? 'none' : `${style.borderTopWidth} ${style.borderTopStyle} ${this.toHex(style.borderTopColor) || style.borderTopColor}`,
+        padding: `${style.paddingTop} ${style.paddingRight}`,
+        fontSize: style.fontSize,
+        fontWeight: style.fontWeight,
+        textTransform: style.textTransform
+      };
+      const key = JSON.stringify(look);
+      const group = groups.get(key) || { ...look, count: 0, example: (el.textContent || el.value || '').trim().substring(0, 30) };
+      group.count++;
+      groups.set(key, group);
+    });
+
+    return Array.from(groups.values()).sort((a, b) => b.count - a.count).slice(0, 3);
+  }
+
+  /**
+   * Brand color: the most common saturated button background, else the most used saturated color
+   */
+  pickPrimary(tokens) {
+    const button = tokens.buttons.find(b => this.isSaturated(b.backgroundColor));
+    const fromPalette = [...tokens.palette.backgrounds, ...tokens.palette.text].find(entry => entry.saturated);
+    const color = button?.backgroundColor || fromPalette?.color || null;
+    if (!color) return null;
+
+    const normalized = this.normalizeColor(color);
+    const named = tokens.variables.find(v => v.type === 'color' && /brand|primary|accent|cta/i.test(v.name) && this.normalizeColor(v.value) === normalized);
+    const any = named || tokens.variables.find(v => v.type === 'color' && this.normalizeColor(v.value) === normalized);
+    return { color, variable: any?.name || null };
+  }
+
+  // ---------- Color helpers ----------
+
+  topValues(counts, limit) {
+    return Array.from(counts.entries()).sort((a, b) => b[1] - a[1]).slice(0, limit).map(([value]) => value);
+  }
+
+  isTransparent(color) {
+    return !color || color === 'transparent' || /rgba\([^)]*,\s*0\)$/.test(color.replace(/\s+/g, ' '));
+  }
+
+  parseRgb(color) {
+    if (!color) return null;
+    const value = color.trim().toLowerCase();
+    const hex = value.match(/^#([0-9a-f]{3,8})$/);
+    if (hex) {
+      let h = hex[1];
+      if (h.length === 3 || h.length === 4) h = h.split('').map(c => c + c).join('');
+      return [0, 2, 4].map(i => parseInt(h.substr(i, 2), 16));
+    }
+    const rgb = value.match(/^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)/);
+    return rgb ? rgb.slice(1, 4).map(n => Math.round(parseFloat(n))) : null;
+  }
+
+  normalizeColor(color) {
+    const rgb = this.parseRgb(color);
+    return rgb ? rgb.join(',') : null;
+  }
+
+  toHex(color) {
+    const rgb = this.parseRgb(color);
+    return rgb ? '#' + rgb.map(n => n.toString(16).padStart(2, '0')).join('') : null;
+  }
+
+  // Greys, black and white are layout colors, not brand colors
+  isSaturated(color) {
+    const rgb = this.parseRgb(color);
+    if (!rgb) return false;
+    return Math.max(...rgb) - Math.min(...rgb) > 40;
+  }
+
+  // ---------- Cache and prompt ----------
+
+  /**
+   * Combine a fresh extraction with the domain's cached set; values from the current page win,
+   * cached ones fill in what this page could not read (e.g. CORS-blocked stylesheets)
+   */
+  merge(current, cached) {
+    if (!cached || cached.version !== this.version) return current;
+    if (!current) return cached;
+
+    const variables = [...current.variables];
+    cached.variables.forEach(v => {
+      if (!variables.some(existing => existing.name === v.name)) variables.push(v);
+    });
+
+    return {
+      ...current,
+      variables: variables.slice(0, this.maxVariables),
+      primary: current.primary || cached.primary,
+      buttons: current.buttons.length ? current.buttons : cached.buttons
+    };
+  }
+
+  /**
+   * Prompt section describing the design system; empty when nothing useful was found
+   */
+  formatForPrompt(tokens) {
+    if (!tokens || (!tokens.variables?.length && !tokens.palette?.backgrounds?.length && !tokens.buttons?.length)) {
+      return '';
+    }
+
+    const lines = ['**🎨 SITE DESIGN TOKENS (reuse these so new elements look native):**'];
+    const ref = (entry) => entry.variable ? `var(${entry.variable}) /* ${entry.color} */` : entry.color;
+
+    if (tokens.primary) {
+      lines.push(`- Brand/primary color: ${ref(tokens.primary)}`);
+    }
+    const colorVars = tokens.variables.filter(v => v.type === 'color').slice(0, 12);
+    if (colorVars.length) {
+      lines.push(`- Color variables: ${colorVars.map(v => `${v.name}: ${v.value}`).join('; ')}`);
+    }
+    if (tokens.palette?.backgrounds?.length) {
+      lines.push(`- Dominant backgrounds: ${tokens.palette.backgrounds.map(ref).join(', ')}`);
+    }
+    if (tokens.palette?.text?.length) {
+      lines.push(`- Text colors: ${tokens.palette.text.map(ref).join(', ')}`);
+    }
+
+    const typography = tokens.typography || {};
+    const fontVars = tokens.variables.filter(v => v.type === 'font');
+    if (typography.families?.length || fontVars.length) {
+      const names = fontVars.length ? fontVars.map(v => `var(${v.name})`).join(', ') : typography.families.join(', ');
+      lines.push(`- Fonts: ${names}`);
+    }
+    if (typography.scale?.length) {
+      lines.push(`- Type scale: ${typography.scale.join(' / ')}`);
+    }
+    Object.entries(typography.headings || {}).forEach(([tag, style]) => {
+      lines.push(`- ${tag}: ${style.fontSize} ${style.fontWeight} ${style.fontFamily}${style.textTransform !== 'none' ? `, ${style.textTransform}` : ''}`);
+    });
+    if (typography.body) {
+      lines.push(`- Body text: ${typography.body.fontSize}/${typography.body.lineHeight} ${typography.body.fontFamily}`);
+    }
+
+    const scaleVars = tokens.variables.filter(v => v.type === 'spacing').slice(0, 8);
+    if (scaleVars.length) {
+      lines.push(`- Spacing variables: ${scaleVars.map(v => `${v.name}: ${v.value}`).join('; ')}`);
+    } else if (tokens.spacing?.length) {
+      lines.push(`- Spacing scale: ${tokens.spacing.join(' / ')}`);
+    }
+    const radiusVars = tokens.variables.filter(v => v.type === 'radius').slice(0, 4);
+    if (radiusVars.length || tokens.radii?.length) {
+      lines.push(`- Border radii: ${radiusVars.length ? radiusVars.map(v => `${v.name}: ${v.value}`).join('; ') : tokens.radii.join(', ')}`);
+    }
+
+    tokens.buttons?.forEach((button, index) => {
+      lines.push(`- Button style ${index + 1}${button.example ? ` ("${button.example}")` : ''}: background ${button.backgroundColor}, color ${button.color}, border ${button.border}, radius ${button.borderRadius}, padding ${button.padding}, ${button.fontSize} weight ${button.fontWeight}${button.textTransform !== 'none' ? `, ${button.textTransform}` : ''}`);
+    });
+
+    lines.push('- When a variable above holds the value you need, write var(--name) instead of the literal so the change follows theme updates');
+    lines.push('- New buttons must copy an existing button style above; do not invent colors, fonts or radii outside this set');
+
+    return `\n${lines.join('\n')}\n`;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DesignSystemExtractor;
+} else if (typeof window !== 'undefined') {
+  window.DesignSystemExtractor = DesignSystemExtractor;
+}
@@ -0,0 +1,251 @@
+// DOM Traversal - walks open shadow roots and same-origin iframes
+// Deep selectors join one selector per scope with ' >>> ':
+//   'checkout-widget >>> button.pay'            (shadow host → element in its shadow root)
+//   'iframe#payment >>> form >>> input[name=cc]' (iframe → document → element)
+// Generated code resolves them through deepQuerySelector()/waitForElement() (buildQueryHelperSource)
+class DomTraversal {
+  constructor() {
+    this.separator = ' >>> ';
+    this.maxDepth = 5; // Nested shadow roots / frames followed from the top document
+    this.maxScopes = 60; // Web-component heavy pages can have hundreds of shadow roots
+    // Wrap the injected helpers so they can be found and stripped again after a round trip through Convert
+    this.utilityStartMarker = '// ==== Experiment Builder utilities (managed - do not edit) ====';
+    this.utilityEndMarker = '// ==== End Experiment Builder utilities ====';
+  }
+
+  isShadowRoot(node) {
+    return Boolean(node) && node.nodeType === 11 && Boolean(node.host);
+  }
+
+  // Cross-origin frames return null (or throw in some embed setups)
+  getFrameDocument(frame) {
+    try {
+      const frameDocument = frame.contentDocument;
+      return frameDocument?.documentElement ? frameDocument : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Every queryable root reachable from root: the document itself, open shadow roots
+   * and same-origin iframe documents (breadth-first)
+   * @returns {Array<{ root, type: 'document'|'shadow'|'iframe', host, depth }>}
+   */
+  collectScopes(root = document) {
+    const scopes = [{ root, type: 'document', host: null, depth: 0 }];
+
+    for (let i = 0; i < scopes.length && scopes.length < this.maxScopes; i++) {
+      const scope = scopes[i];
+      if (scope.depth >= this.maxDepth) continue;
+
+      scope.root.querySelectorAll('*').forEach(element => {
+        if (scopes.length >= this.maxScopes) return;
+
+        if (element.shadowRoot) {
+          scopes.push({ root: element.shadowRoot, type: 'shadow', host: element, depth: scope.depth + 1 });
+        }
+        if (element.tagName === 'IFRAME' || element.tagName === 'FRAME') {
+          const frameDocument = this.getFrameDocument(element);
+          if (frameDocument) {
+            scopes.push({ root: frameDocument, type: 'iframe', host: element, depth: scope.depth + 1 });
+          }
+        }
+      });
+    }
+
+    return scopes;
+  }
+
+  /**
+   * querySelectorAll across all scopes
+   * @param {Array} scopes - reuse a collectScopes() result when querying many selectors
+   */
+  querySelectorAllDeep(selector, root = document, scopes = null) {
+    const results = [];
+    (scopes || this.collectScopes(root)).forEach(scope => {
+      try {
+        results.push(...scope.root.querySelectorAll(selector));
+      } catch (error) {
+        // Invalid selector for this engine - nothing to add
+      }
+    });
+    return results;
+  }
+
+  /**
+   * Where an element lives relative to the top document
+   * @param {Function} selectorFn - (element, scopeRoot) => selector unique within scopeRoot
+   * @returns {{ type: 'document'|'shadow'|'iframe', hops: string[] }} - type is the innermost boundary
+   */
+  getScopeInfo(element, selectorFn) {
+    const hops = [];
+    let type = 'document';
+    let node = element;
+
+    for (let depth = 0; depth < this.maxDepth; depth++) {
+      const root = node.getRootNode();
+      let boundary = null;
+
+      if (this.isShadowRoot(root)) {
+        boundary = 'shadow';
+        node = root.host;
+      } else if (root !== document && root.defaultView?.frameElement) {
+        boundary = 'iframe';
+        node = root.defaultView.frameElement;
+      }
+
+      if (!boundary) break;
+      if (type === 'document') type = boundary;
+      hops.unshift(selectorFn(node, node.getRootNode()));
+    }
+
+    return { type, hops };
+  }
+
+  buildDeepSelector(element, selectorFn) {
+    const { hops } = this.getScopeInfo(element, selectorFn);
+    return [...hops, selectorFn(element, element.getRootNode())].join(this.separator);
+  }
+
+  isDeepSelector(selector) {
+    return typeof selector === 'string' && selector.includes('>>>');
+  }
+
+  // Follow every hop with its first match (same as the runtime helper), then match the last part
+  queryAllByPath(selector, root = document) {
+    const parts = String(selector).split('>>>').map(part => part.trim());
+    let scope = root;
+
+    for (let i = 0; i < parts.length - 1; i++) {
+      const host = scope.querySelector(parts[i]);
+      if (!host) return [];
+      scope = host.shadowRoot || this.getFrameDocument(host);
+      if (!scope) return [];
+    }
+
+    return Array.from(scope.querySelectorAll(parts[parts.length - 1]));
+  }
+
+  querySelectorDeep(selector, root = document) {
+    return this.queryAllByPath(selector, root)[0] || null;
+  }
+
+  /**
+   * elementFromPoint that descends into open shadow roots and same-origin iframes
+   * @param {number} x - top-document viewport coordinate
+   * @param {number} y - top-document viewport coordinate
+   */
+  elementFromPointDeep(x, y, root = document) {
+    let element = root.elementFromPoint(x, y);
+    let offsetX = 0;
+    let offsetY = 0;
+
+    for (let depth = 0; element && depth < this.maxDepth * 2; depth++) {
+      if (element.shadowRoot) {
+        const inner = element.shadowRoot.elementFromPoint(x - offsetX, y - offsetY);
+        if (inner && inner !== element) {
+          element = inner;
+          continue;
+        }
+      }
+
+      const frameDocument = element.tagName === 'IFRAME' ? this.getFrameDocument(element) : null;
+      if (frameDocument) {
+        const frameRect = element.getBoundingClientRect();
+        offsetX += frameRect.left + element.clientLeft;
+        offsetY += frameRect.top + element.clientTop;
+        const inner = frameDocument.elementFromPoint(x - offsetX, y - offsetY);
+        if (inner) {
+          element = inner;
+          continue;
+        }
+      }
+
+      break;
+    }
+
+    return element;
+  }
+
+  // Bounding rect in top-document viewport coordinates (iframe content is offset by its frame)
+  getViewportRect(element) {
+    const rect = element.getBoundingClientRect();
+    let left = rect.left;
+    let top = rect.top;
+    let frame = element.ownerDocument?.defaultView?.frameElement;
+
+    while (frame && frame.ownerDocument) {
+      const frameRect = frame.getBoundingClientRect();
+      left += frameRect.left + frame.clientLeft;
+      top += frameRect.top + frame.clientTop;
+      frame = frame.ownerDocument.defaultView?.frameElement;
+    }
+
+    return {
+      x: left,
+      y: top,
+      left,
+      top,
+      width: rect.width,
+      height: rect.height,
+      right: left + rect.width,
+      bottom: top + rect.height
+    };
+  }
+
+  /**
+   * Page-context helper source; included in global JS wherever waitForElement is
+   * Selectors without ' >>> ' behave exactly like document.querySelector
+   */
+  buildQueryHelperSource() {
+    return `// Resolves 'host >>> inner' selectors through open shadow roots and same-origin iframes
+function deepQuerySelector(selector, root) {
+  var parts = String(selector).split('>>>');
+  var scope = root || document;
+  var element = null;
+  for (var i = 0; i < parts.length; i++) {
+    if (!scope) return null;
+    element = scope.querySelector(parts[i].trim());
+    if (!element) return null;
+    if (i < parts.length - 1) {
+      scope = element.shadowRoot || (element.tagName === 'IFRAME' ? element.contentDocument : null);
+    }
+  }
+  return element;
+}`;
+  }
+
+  buildWaitForElementSource() {
+    return `${this.utilityStartMarker}
+${this.buildQueryHelperSource()}
+
+// Utility function (required for code execution)
+function waitForElement(selector, callback, maxWait = 10000) {
+  const start = Date.now();
+  const interval = setInterval(() => {
+    const element = deepQuerySelector(selector);
+    if (element) {
+      clearInterval(interval);
+      callback(element);
+    } else if (Date.now() - start > maxWait) {
+      clearInterval(interval);
+      console.warn('Element not found after timeout:', selector);
+    }
+  }, 100);
+
+  // AUTO-TRACK: Register interval with Cleanup Manager
+  if (window.ConvertCleanupManager) {
+    window.ConvertCleanupManager.registerInterval(interval, 'waitForElement: ' + selector);
+  }
+}
+${this.utilityEndMarker}`;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DomTraversal;
+} else if (typeof window !== 'undefined') {
+  window.DomTraversal = DomTraversal;
+}
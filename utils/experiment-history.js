@@ -9,7 +9,12 @@ class ExperimentHistory {
     this.MAX_EXPERIMENTS_PER_DOMAIN = 10;
     this.MAX_TOTAL_SIZE_BYTES = 4 * 1024 * 1024; // 4MB conservative limit (Chrome limit is ~5MB)
     this.MAX_SCREENSHOT_SIZE = 500 * 1024; // 500KB max per screenshot (after compression)
+    this.MAX_SCREENSHOT_HEIGHT = 3600; // Full-page screenshots are cropped to the top of the page (px after resizing)
     this.COMPRESSION_QUALITY = 0.6; // JPEG quality (0-1)
+    this.DESIGN_TOKENS_KEY = 'designTokenCache'; // { [domain]: design token set }
+    this.MAX_DESIGN_TOKEN_DOMAINS = 20; // Least recently cached domains are evicted beyond this
+    this.TEMPLATE_PAGES_KEY = 'templatePages'; // { [domain]: { [templateKey]: [url, ...] } }
+    this.MAX_TEMPLATE_PAGES = 5; // Most recent captured URLs kept per template
   }
 
   /**
@@ -45,9 +50,10 @@ class ExperimentHistory {
       }
 
       // Create canvas and draw resized image
+      // Tall full-page captures are cropped: a legible top section beats a whole page shrunk to fit 500KB
       const canvas = document.createElement('canvas');
       canvas.width = width;
-      canvas.height = height;
+      canvas.height = Math.min(height, this.MAX_SCREENSHOT_HEIGHT);
       const ctx = canvas.getContext('2d');
       ctx.drawImage(img, 0, 0, width, height);
 
@@ -171,6 +177,8 @@ class ExperimentHistory {
         description: experimentData.description || '',
         screenshot: optimizedScreenshot,
         chatHistory: experimentData.chatHistory || [], // 🆕 Save chat history
+        trafficAllocation: experimentData.trafficAllocation || null, // [original, ...variations] percentages
+        experimentPages: experimentData.experimentPages || [], // Multi-page URL rules (no page data)
 
         // Convert.com sync metadata
         convertMetadata: experimentData.convertMetadata || {
@@ -378,6 +386,100 @@ class ExperimentHistory {
     }
   }
 
+  /**
+   * Get the cached design tokens for a domain
+   * @param {string} url - Page URL to extract domain from
+   * @returns {Promise<object|null>} - Token set from DesignSystemExtractor or null
+   */
+  async getDesignTokens(url) {
+    try {
+      const domain = this.getDomainFromUrl(url);
+      if (!domain) return null;
+
+      const result = await chrome.storage.local.get([this.DESIGN_TOKENS_KEY]);
+      return result[this.DESIGN_TOKENS_KEY]?.[domain] || null;
+    } catch (error) {
+      console.error('Failed to load design tokens:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Cache design tokens for a domain (one set per domain, replaced on each capture)
+   * Keeps the MAX_DESIGN_TOKEN_DOMAINS most recently cached domains
+   * @param {string} url - Page URL
+   * @param {object} tokens - Token set from DesignSystemExtractor
+   * @returns {Promise<boolean>} - Success status
+   */
+  async saveDesignTokens(url, tokens) {
+    try {
+      const domain = this.getDomainFromUrl(url);
+      if (!domain || !tokens) return false;
+
+      const result = await chrome.storage.local.get([this.DESIGN_TOKENS_KEY]);
+      const cache = result[this.DESIGN_TOKENS_KEY] || {};
+      cache[domain] = { ...tokens, cachedAt: Date.now() };
+
+      const domains = Object.keys(cache).sort((a, b) => (cache[b].cachedAt || 0) - (cache[a].cachedAt || 0));
+      domains.slice(this.MAX_DESIGN_TOKEN_DOMAINS).forEach(stale => {
+        delete cache[stale];
+      });
+
+      await chrome.storage.local.set({ [this.DESIGN_TOKENS_KEY]: cache });
+      return true;
+    } catch (error) {
+      console.error('Failed to save design tokens:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Remember a captured URL under its template (see SelectorEngine.getTemplateKey) so selectors
+   * can later be replayed against other pages built from the same template
+   * @param {string} url - Captured page URL
+   * @param {string} templateKey - Template key of the URL
+   * @returns {Promise<boolean>} - Success status
+   */
+  async saveTemplatePage(url, templateKey) {
+    try {
+      const domain = this.getDomainFromUrl(url);
+      if (!domain || !templateKey) return false;
+
+      const result = await chrome.storage.local.get([this.TEMPLATE_PAGES_KEY]);
+      const store = result[this.TEMPLATE_PAGES_KEY] || {};
+      const templates = store[domain] || {};
+      const urls = [url, ...(templates[templateKey] || []).filter(existing => existing !== url)];
+      templates[templateKey] = urls.slice(0, this.MAX_TEMPLATE_PAGES);
+      store[domain] = templates;
+
+      await chrome.storage.local.set({ [this.TEMPLATE_PAGES_KEY]: store });
+      return true;
+    } catch (error) {
+      console.error('Failed to save template page:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Other captured URLs of the same template, most recent first
+   * @param {string} url - Current page URL (excluded from the result)
+   * @param {string} templateKey - Template key of the URL
+   * @returns {Promise<string[]>}
+   */
+  async getTemplatePages(url, templateKey) {
+    try {
+      const domain = this.getDomainFromUrl(url);
+      if (!domain || !templateKey) return [];
+
+      const result = await chrome.storage.local.get([this.TEMPLATE_PAGES_KEY]);
+      const urls = result[this.TEMPLATE_PAGES_KEY]?.[domain]?.[templateKey] || [];
+      return urls.filter(existing => existing !== url);
+    } catch (error) {
+      console.error('Failed to load template pages:', error);
+      return [];
+    }
+  }
+
   /**
    * Clear all experiment history (use with caution)
    * @returns {Promise<boolean>} - Success status
@@ -577,7 +679,7 @@ class ExperimentHistory {
    * Mark experiment as synced to Convert.com
    * @param {string} url - Page URL
    * @param {string} experimentId - Experiment ID
-   * @param {object} syncData - { accountId, projectId, experienceId, apiKeyId }
+   * @param {object} syncData - { accountId, projectId, experienceId, apiKeyId, codeHash, baseCode }
    * @returns {Promise<boolean>} - Success status
    */
   async markAsSynced(url, experimentId, syncData) {
@@ -593,7 +695,10 @@ class ExperimentHistory {
         experienceId: syncData.experienceId,
         apiKeyId: syncData.apiKeyId,
         lastSyncedAt: Date.now(),
-        createdInConvert: true
+        createdInConvert: true,
+        // Code pushed at this sync - base for detecting edits made in the Convert editor
+        codeHash: syncData.codeHash || null,
+        baseCode: syncData.baseCode || null
       };
 
       await this.saveExperiment(url, experiment);
@@ -0,0 +1,181 @@
+/**
+ * Full-Page Screenshot
+ *
+ * Captures the whole scrollable page instead of the visible viewport. Uses the DevTools
+ * Protocol (Page.captureScreenshot with captureBeyondViewport) so fixed and sticky headers
+ * render once; when the debugger can't attach (another debugger holds the tab) it falls
+ * back to scrolling, capturing each viewport and stitching the frames on an OffscreenCanvas,
+ * hiding fixed/sticky elements after the first frame so they don't repeat.
+ */
+
+class FullPageScreenshot {
+  constructor() {
+    this.protocolVersion = '1.3';
+    this.maxPageHeight = 12000; // CSS px; infinite feeds are cut here
+    this.maxOutputWidth = 1280; // Vision models downscale anything larger
+    this.maxOutputHeight = 7800; // Stay under the 8000px image limit of vision APIs
+    this.quality = 80;
+    this.captureInterval = 550; // captureVisibleTab is limited to 2 calls per second
+    this.settleDelay = 150; // Lazy images and sticky headers after each scroll
+  }
+
+  /**
+   * Capture the full page of a tab
+   * @param {number} tabId
+   * @returns {Promise<{ screenshot: string, width: number, height: number, truncated: boolean, method: string }>}
+   */
+  async capture(tabId) {
+    try {
+      return await this.captureWithDebugger(tabId);
+    } catch (error) {
+      console.warn('⚠️ [FullPage] Debugger capture unavailable, stitching viewports:', error.message);
+      return this.captureStitched(tabId);
+    }
+  }
+
+  // Output scale that keeps the image within the vision-model limits
+  getOutputScale(width, height) {
+    return Math.min(1, this.maxOutputWidth / width, this.maxOutputHeight / height);
+  }
+
+  async captureWithDebugger(tabId) {
+    let attachedHere = true;
+    try {
+      await chrome.debugger.attach({ tabId }, this.protocolVersion);
+    } catch (error) {
+      // Viewport emulation already holds the session; reuse it and leave detaching to it
+      if (!/already attached/i.test(error.message)) throw error;
+      attachedHere = false;
+    }
+
+    try {
+      const metrics = await chrome.debugger.sendCommand({ tabId }, 'Page.getLayoutMetrics');
+      const size = metrics.cssContentSize || metrics.contentSize;
+      const { result } = await chrome.debugger.sendCommand({ tabId }, 'Runtime.evaluate', {
+        expression: 'window.devicePixelRatio',
+        returnByValue: true
+      });
+      const dpr = result?.value || 1;
+
+      const width = Math.ceil(size.width);
+      const fullHeight = Math.ceil(size.height);
+      const height = Math.min(fullHeight, this.maxPageHeight);
+      const scale = this.getOutputScale(width, height);
+
+      const shot = await chrome.debugger.sendCommand({ tabId }, 'Page.captureScreenshot', {
+        format: 'jpeg',
+        quality: this.quality,
+        captureBeyondViewport: true,
+        // clip.scale multiplies device pixels; divide out the DPR so output is in CSS px × scale
+        clip: { x: 0, y: 0, width, height, scale: scale / dpr }
+      });
+
+      console.log(`📸 [FullPage] Captured ${width}×${height} via debugger${fullHeight > height ? ' (truncated)' : ''}`);
+      return {
+        screenshot: `data:image/jpeg;base64,${shot.data}`,
+        width: Math.round(width * scale),
+        height: Math.round(height * scale),
+        truncated: fullHeight > height,
+        method: 'debugger'
+      };
+    } finally {
+      if (attachedHere) {
+        await chrome.debugger.detach({ tabId }).catch(() => {});
+      }
+    }
+  }
+
+  async captureStitched(tabId) {
+    const tab = await chrome.tabs.get(tabId);
+    const run = async (func, args = []) => {
+      const [injection] = await chrome.scripting.executeScript({ target: { tabId }, func, args });
+      return injection?.result;
+    };
+
+    const page = await run(() => ({
+      scrollHeight: Math.max(document.documentElement.scrollHeight, document.body?.scrollHeight || 0),
+      viewportWidth: document.documentElement.clientWidth,
+      viewportHeight: window.innerHeight,
+      scrollX: window.scrollX,
+      scrollY: window.scrollY
+    }));
+
+    const height = Math.min(page.scrollHeight, this.maxPageHeight);
+    const positions = [];
+    for (let y = 0; y < height; y += page.viewportHeight) {
+      positions.push(Math.max(0, Math.min(y, height - page.viewportHeight)));
+    }
+
+    const frames = [];
+    try {
+      for (let i = 0; i < positions.length; i++) {
+        const actualY = await run((y) => {
+          window.scrollTo({ top: y, left: 0, behavior: 'instant' });
+          return window.scrollY;
+        }, [positions[i]]);
+
+        // After the first frame, fixed/sticky headers and bars would repeat in every frame
+        if (i === 1) {
+          await run(() => {
+            document.querySelectorAll('body *').forEach(el => {
+              const style = window.getComputedStyle(el);
+              // Sticky elements only repeat while stuck; mid-page ones stay visible
+              const stuck = style.position === 'sticky' && el.getBoundingClientRect().top <= (parseFloat(style.top) || 0) + 1;
+              if (style.position !== 'fixed' && !stuck) return;
+              el.setAttribute('data-convert-fullpage-hidden', el.style.visibility || '');
+              el.style.visibility = 'hidden';
+            });
+          });
+        }
+
+        await new Promise(resolve => setTimeout(resolve, Math.max(this.settleDelay, i > 0 ? this.captureInterval : 0)));
+        const dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'png' });
+        frames.push({ y: actualY, dataUrl });
+      }
+    } finally {
+      await run(() => {
+        document.querySelectorAll('[data-convert-fullpage-hidden]').forEach(el => {
+          el.style.visibility = el.getAttribute('data-convert-fullpage-hidden');
+          el.removeAttribute('data-convert-fullpage-hidden');
+        });
+      }).catch(() => {});
+      await run((x, y) => window.scrollTo({ top: y, left: x, behavior: 'instant' }), [page.scrollX, page.scrollY]).catch(() => {});
+    }
+
+    const screenshot = await this.stitch(frames, page.viewportWidth, height);
+    console.log(`📸 [FullPage] Stitched ${frames.length} frames into ${page.viewportWidth}×${height}`);
+    return { ...screenshot, truncated: page.scrollHeight > height, method: 'stitched' };
+  }
+
+  /**
+   * Draw frames at their scroll offsets; later frames overdraw the overlap of the last one
+   */
+  async stitch(frames, cssWidth, cssHeight) {
+    const scale = this.getOutputScale(cssWidth, cssHeight);
+    const width = Math.round(cssWidth * scale);
+    const height = Math.round(cssHeight * scale);
+    const canvas = new OffscreenCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+
+    for (const frame of frames) {
+      const bitmap = await createImageBitmap(await (await fetch(frame.dataUrl)).blob());
+      // Frames are in device pixels; map them back to CSS width before scaling
+      const frameScale = width / bitmap.width;
+      ctx.drawImage(bitmap, 0, Math.round(frame.y * scale), width, Math.round(bitmap.height * frameScale));
+      bitmap.close();
+    }
+
+    const blob = await canvas.convertToBlob({ type: 'image/jpeg', quality: this.quality / 100 });
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return { screenshot: `data:image/jpeg;base64,${btoa(binary)}`, width, height };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FullPageScreenshot;
+}
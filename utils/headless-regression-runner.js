@@ -0,0 +1,274 @@
+/**
+ * Headless Regression Runner
+ *
+ * Node-side replay of exported experiments (the JSON `exportCode` produces)
+ * against saved HTML snapshots of the target page, using jsdom. Each variation
+ * runs in a fresh document with the same helpers the live preview provides
+ * (waitForElement, convert._$) and then executes the stored TestScriptGenerator
+ * script, so an experiment library can be regression-tested offline.
+ *
+ * jsdom has no layout engine: validations that depend on geometry (scroll
+ * position, exit intent, element sizes) are approximations here.
+ */
+
+class HeadlessRegressionRunner {
+  /**
+   * @param {Object} options
+   * @param {Function} options.JSDOM - jsdom's JSDOM constructor
+   * @param {string} options.testPatternsSource - contents of utils/test-patterns.js
+   * @param {number} options.settleDelay - ms to let polling helpers apply changes
+   * @param {number} options.testTimeout - default ms budget for one test script
+   */
+  constructor(options = {}) {
+    if (!options.JSDOM) {
+      throw new Error('HeadlessRegressionRunner requires jsdom (npm install --save-dev jsdom)');
+    }
+    this.JSDOM = options.JSDOM;
+    this.testPatternsSource = options.testPatternsSource || '';
+    this.settleDelay = options.settleDelay ?? 500;
+    this.testTimeout = options.testTimeout ?? 30000;
+    this.verbose = Boolean(options.verbose);
+  }
+
+  /**
+   * @throws {Error} when the input is not an exportCode payload
+   */
+  validateExport(experiment) {
+    if (!experiment || typeof experiment !== 'object') {
+      throw new Error('Experiment export is not a JSON object');
+    }
+    if (!Array.isArray(experiment.variations) || experiment.variations.length === 0) {
+      throw new Error('Experiment export contains no variations');
+    }
+    return experiment;
+  }
+
+  // jsdom rejects non-http(s) URLs like 'Unknown'; routers need a real href
+  resolvePageUrl(experiment, fallback = 'https://example.com/') {
+    try {
+      const url = new URL(experiment.pageUrl);
+      return /^https?:$/.test(url.protocol) ? url.href : fallback;
+    } catch (error) {
+      return fallback;
+    }
+  }
+
+  /**
+   * Browser-side shims injected before any experiment code
+   * Mirrors what Convert and the preview pipeline provide at runtime
+   */
+  buildShimScript() {
+    return `
+(function() {
+  // jsdom has no layout: treat rendered (non display:none) elements as laid out
+  Object.defineProperty(HTMLElement.prototype, 'offsetParent', {
+    configurable: true,
+    get: function() {
+      for (var node = this; node && node.nodeType === 1; node = node.parentElement) {
+        if (window.getComputedStyle(node).display === 'none') return null;
+      }
+      return this.parentElement || null;
+    }
+  });
+
+  window.__regressionErrors = [];
+  window.addEventListener('error', function(event) {
+    window.__regressionErrors.push(event.error ? event.error.message : event.message);
+  });
+  window.addEventListener('unhandledrejection', function(event) {
+    window.__regressionErrors.push(event.reason && event.reason.message ? event.reason.message : String(event.reason));
+  });
+
+  if (typeof window.waitForElement !== 'function') {
+    window.waitForElement = function(selector, callback, maxWait) {
+      var start = Date.now();
+      var limit = maxWait || 10000;
+      var interval = setInterval(function() {
+        var element = document.querySelector(selector);
+        if (element) {
+          clearInterval(interval);
+          callback(element);
+        } else if (Date.now() - start > limit) {
+          clearInterval(interval);
+          console.warn('Element not found after timeout:', selector);
+        }
+      }, 100);
+    };
+  }
+
+  // Minimal stand-in for Convert's polling selector (not a full jQuery)
+  function Selection(selector) {
+    var elements = typeof selector === 'string'
+      ? Array.prototype.slice.call(document.querySelectorAll(selector))
+      : [].concat(selector || []);
+    var selection = elements.slice();
+    selection.selector = selector;
+    selection.each = function(fn) {
+      elements.forEach(function(element, index) { fn.call(element, index, element); });
+      return selection;
+    };
+    selection.waitUntilExists = function(fn, maxWait) {
+      window.waitForElement(selector, function(element) { fn.call(element, element); }, maxWait);
+      return selection;
+    };
+    return selection;
+  }
+
+  window.convert = window.convert || {};
+  window.convert._$ = window.convert._$ || Selection;
+  window.convert.$ = window.convert.$ || Selection;
+})();
+`;
+  }
+
+  // Same structure as the service worker's buildTestExecutionCode
+  buildTestExecutionCode(testScript) {
+    return `
+(async function() {
+  ${this.testPatternsSource}
+
+  ${testScript}
+
+  return await testVariation();
+})()
+`;
+  }
+
+  createDocument(html, url) {
+    const dom = new this.JSDOM(html, {
+      url,
+      runScripts: 'outside-only', // Snapshot scripts never run; only experiment code does
+      pretendToBeVisual: true
+    });
+
+    if (!this.verbose) {
+      dom.virtualConsole?.removeAllListeners?.();
+    }
+    return dom;
+  }
+
+  wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  withTimeout(promise, ms, label) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`${label} timed out after ${ms}ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * Run one variation against a snapshot
+   * @returns {Promise<Object>} - { variation, name, status, duration, errors, validations }
+   *   status: 'passed' | 'failed' | 'error'
+   */
+  async runVariation(snapshotHtml, experiment, variation) {
+    const start = Date.now();
+    const result = {
+      variation: variation.number,
+      name: variation.name || `Variation ${variation.number}`,
+      status: 'running',
+      duration: 0,
+      errors: [],
+      validations: []
+    };
+
+    const dom = this.createDocument(snapshotHtml, this.resolvePageUrl(experiment));
+    const { window } = dom;
+
+    try {
+      window.eval(this.buildShimScript());
+
+      const css = [experiment.globalCSS, variation.css].filter(Boolean).join('\n\n');
+      if (css.trim()) {
+        const style = window.document.createElement('style');
+        style.setAttribute('data-convert-preview', 'true');
+        style.textContent = css;
+        window.document.head.appendChild(style);
+      }
+
+      [['Global JS', experiment.globalJS], [`${result.name} JS`, variation.js]].forEach(([label, code]) => {
+        if (!code || !code.trim()) return;
+        try {
+          window.eval(code);
+        } catch (error) {
+          result.errors.push(`${label}: ${error.message}`);
+        }
+      });
+
+      // Give waitForElement / waitUntilExists polling time to apply changes
+      await this.wait(this.settleDelay);
+
+      if (experiment.testScript?.script) {
+        const budget = Math.max(this.testTimeout, (experiment.testScript.suggestedDuration || 0) * 1000);
+        const testResults = await this.withTimeout(
+          Promise.resolve(window.eval(this.buildTestExecutionCode(experiment.testScript.script))),
+          budget,
+          'Test script'
+        );
+
+        result.validations = (testResults?.validations || []).map(validation => ({
+          test: validation.test,
+          passed: Boolean(validation.passed),
+          expected: validation.expected,
+          actual: validation.actual
+        }));
+        if (testResults?.error) {
+          result.errors.push(`Test script: ${testResults.error}`);
+        }
+        result.status = testResults?.overallStatus === 'passed' ? 'passed'
+          : testResults?.overallStatus === 'error' ? 'error' : 'failed';
+      } else {
+        // Without a stored test script, a clean run is the only check
+        result.status = 'passed';
+      }
+
+      result.errors.push(...window.__regressionErrors.map(message => `Runtime: ${message}`));
+      if (result.errors.length && result.status === 'passed') {
+        result.status = 'failed';
+      }
+    } catch (error) {
+      result.status = 'error';
+      result.errors.push(error.message);
+    } finally {
+      window.close(); // Clears leftover intervals so the process can exit
+      result.duration = Date.now() - start;
+    }
+
+    return result;
+  }
+
+  /**
+   * Run every (or selected) variation of an experiment against a snapshot
+   * @param {Object} options - { variations: [numbers] }
+   */
+  async runExperiment(snapshotHtml, experiment, options = {}) {
+    this.validateExport(experiment);
+
+    const variations = experiment.variations.filter(variation =>
+      !options.variations?.length || options.variations.includes(variation.number));
+
+    const results = [];
+    for (const variation of variations) {
+      results.push(await this.runVariation(snapshotHtml, experiment, variation));
+    }
+    return results;
+  }
+
+  summarize(cases) {
+    const results = cases.flatMap(entry => entry.results || []);
+    return {
+      total: results.length,
+      passed: results.filter(result => result.status === 'passed').length,
+      failed: results.filter(result => result.status === 'failed').length,
+      errored: results.filter(result => result.status === 'error').length + cases.filter(entry => entry.error).length
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HeadlessRegressionRunner;
+}
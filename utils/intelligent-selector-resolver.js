@@ -162,37 +162,30 @@ Guidelines:
   async callAI(prompt) {
     // Get API settings
     const settings = await chrome.storage.local.get(['settings']);
-    const apiKey = settings.settings?.anthropicApiKey;
+    const providerSettings = settings.settings || {};
+    const registry = this.getProviderRegistry();
 
-    if (!apiKey) {
+    if (!registry.hasCredentials(providerSettings)) {
       throw new Error('No API key configured');
     }
 
     // Use fast model for intent analysis
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKey,
-        'anthropic-version': '2023-06-01',
-        'anthropic-dangerous-direct-browser-access': 'true'
-      },
-      body: JSON.stringify({
-        model: 'claude-3-5-haiku-20241022', // Fast, cheap model
-        max_tokens: 1000,
-        messages: [{
-          role: 'user',
-          content: prompt
-        }]
-      })
+    const response = await registry.call([{
+      role: 'user',
+      content: prompt
+    }], providerSettings, {
+      model: registry.getFastModel(providerSettings),
+      maxTokens: 1000
     });
 
-    if (!response.ok) {
-      throw new Error(`AI call failed: ${response.statusText}`);
-    }
+    return response.content;
+  }
 
-    const data = await response.json();
-    return data.content[0].text;
+  getProviderRegistry() {
+    if (!this.providerRegistry) {
+      this.providerRegistry = new AIProviderRegistry();
+    }
+    return this.providerRegistry;
   }
 
   /**
@@ -0,0 +1,215 @@
+// Multi-Page Experiment - capture sets spanning several URLs (e.g. product → cart → checkout)
+// Page shape: { key, label, url, matchType, pattern, instructions, pageData, capturedAt }
+// matchType uses Convert's URL rule names: 'contains' | 'matches' | 'regexMatches'
+class MultiPageExperiment {
+  constructor() {
+    this.maxPromptElements = 40;
+    this.routerStart = '// === Multi-page routing (generated - do not edit) ===';
+    this.routerEnd = '// === End multi-page routing ===';
+  }
+
+  createPage(pageData, existingPages = [], options = {}) {
+    const url = pageData?.url || options.url || '';
+    const { matchType, pattern } = this.derivePattern(url);
+    const label = options.label || this.deriveLabel(url, pageData?.title);
+
+    return {
+      key: this.uniqueKey(label, existingPages),
+      label,
+      url,
+      matchType: options.matchType || matchType,
+      pattern: options.pattern || pattern,
+      instructions: options.instructions || '',
+      pageData: pageData || null,
+      capturedAt: pageData ? Date.now() : null
+    };
+  }
+
+  // Path-based "contains" rule; the site root needs an exact match or it would match every page
+  derivePattern(url) {
+    try {
+      const parsed = new URL(url);
+      if (parsed.pathname === '/' || parsed.pathname === '') {
+        return { matchType: 'matches', pattern: `${parsed.origin}/` };
+      }
+      return { matchType: 'contains', pattern: parsed.pathname.replace(/\/$/, '') };
+    } catch (error) {
+      return { matchType: 'contains', pattern: url };
+    }
+  }
+
+  deriveLabel(url, title) {
+    try {
+      const segments = new URL(url).pathname.split('/').filter(Boolean);
+      if (segments.length === 0) return 'Home';
+      const last = decodeURIComponent(segments[segments.length - 1]).replace(/[-_]+/g, ' ').replace(/\.\w+$/, '');
+      return last.charAt(0).toUpperCase() + last.slice(1);
+    } catch (error) {
+      return title || 'Page';
+    }
+  }
+
+  uniqueKey(label, existingPages) {
+    const base = String(label).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'page';
+    const taken = new Set(existingPages.map(page => page.key));
+    let key = base;
+    let suffix = 2;
+    while (taken.has(key)) {
+      key = `${base}-${suffix++}`;
+    }
+    return key;
+  }
+
+  // Same semantics as the generated router so previews and live behaviour agree
+  urlMatches(url, matchType, pattern) {
+    if (!url || !pattern) return false;
+    if (matchType === 'matches') return url.replace(/\/$/, '') === pattern.replace(/\/$/, '');
+    if (matchType === 'regexMatches') {
+      try {
+        return new RegExp(pattern).test(url);
+      } catch (error) {
+        return false;
+      }
+    }
+    return url.includes(pattern);
+  }
+
+  findPageForUrl(pages, url) {
+    return pages.find(page => this.urlMatches(url, page.matchType, page.pattern)) || null;
+  }
+
+  validatePages(pages) {
+    const errors = [];
+    pages.forEach(page => {
+      if (!page.pattern?.trim()) {
+        errors.push(`"${page.label}" needs a URL pattern`);
+      } else if (page.matchType === 'regexMatches') {
+        try {
+          new RegExp(page.pattern);
+        } catch (error) {
+          errors.push(`"${page.label}" has an invalid regex: ${error.message}`);
+        }
+      }
+      if (page.url && page.pattern && !this.urlMatches(page.url, page.matchType, page.pattern)) {
+        errors.push(`"${page.label}" pattern does not match its own URL (${page.url})`);
+      }
+    });
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Global JS helper the generated code branches on
+   * isExperimentPage('cart') is true only on URLs matching the cart page's rule
+   */
+  buildRouterScript(pages) {
+    const rules = {};
+    pages.forEach(page => {
+      rules[page.key] = { matchType: page.matchType, pattern: page.pattern };
+    });
+
+    return `${this.routerStart}
+var EXPERIMENT_PAGES = ${JSON.stringify(rules, null, 2)};
+function isExperimentPage(key) {
+  var rule = EXPERIMENT_PAGES[key];
+  if (!rule) return false;
+  var url = window.location.href;
+  if (rule.matchType === 'matches') return url.replace(/\\/$/, '') === rule.pattern.replace(/\\/$/, '');
+  if (rule.matchType === 'regexMatches') {
+    try { return new RegExp(rule.pattern).test(url); } catch (e) { return false; }
+  }
+  return url.indexOf(rule.pattern) !== -1;
+}
+${this.routerEnd}`;
+  }
+
+  // Replace any previous router block so edited patterns always win
+  ensureRouter(globalJS, pages) {
+    const withoutRouter = this.stripRouter(globalJS || '');
+    if (!pages || pages.length < 2) return withoutRouter;
+    const router = this.buildRouterScript(pages);
+    return withoutRouter ? `${router}\n\n${withoutRouter}` : router;
+  }
+
+  stripRouter(globalJS) {
+    const start = globalJS.indexOf(this.routerStart);
+    const end = globalJS.indexOf(this.routerEnd);
+    if (start === -1 || end === -1) return globalJS;
+    return (globalJS.slice(0, start) + globalJS.slice(end + this.routerEnd.length)).trim();
+  }
+
+  summarizeElements(pageData, limit = this.maxPromptElements) {
+    return (pageData?.elementDatabase?.elements || [])
+      .slice(0, limit)
+      .map(element => ({
+        selector: element.selector,
+        type: element.type,
+        text: (element.text || '').substring(0, 80)
+      }));
+  }
+
+  // Compact, serializable form sent with GENERATE_CODE
+  toGenerationPages(pages) {
+    return pages.map(page => ({
+      key: page.key,
+      label: page.label,
+      url: page.url,
+      matchType: page.matchType,
+      pattern: page.pattern,
+      instructions: page.instructions || '',
+      screenshot: page.pageData?.screenshot || null,
+      elements: this.summarizeElements(page.pageData)
+    }));
+  }
+
+  buildPromptSection(pages) {
+    let section = `\n\n🗺️ **MULTI-PAGE EXPERIMENT (${pages.length} pages):**\n`;
+    section += 'This experiment runs on several pages. The same variation code is loaded on every page listed below, so it MUST branch on location.\n\n';
+    section += '**RULES:**\n';
+    section += '1. Wrap every page-specific change in `if (isExperimentPage(\'<key>\')) { ... }` using the keys below.\n';
+    section += '2. `isExperimentPage` is already defined in global JS - do NOT redefine it.\n';
+    section += '3. Selectors listed under a page are valid ONLY inside that page\'s branch.\n';
+    section += '4. CSS that only applies to one page must be injected from that page\'s JS branch, not the shared CSS field.\n\n';
+
+    pages.forEach(page => {
+      section += `### Page \`${page.key}\` - ${page.label}\n`;
+      section += `URL: ${page.url || '(not captured)'}\n`;
+      section += `Rule: URL ${page.matchType} "${page.pattern}"\n`;
+      if (page.instructions?.trim()) {
+        section += `Changes on this page: ${page.instructions.trim()}\n`;
+      }
+      if (page.elements?.length) {
+        section += 'Valid selectors on this page:\n';
+        page.elements.forEach(element => {
+          section += `- "${element.selector}" (${element.type}${element.text ? `: ${element.text}` : ''})\n`;
+        });
+      } else {
+        section += 'No element data captured - only change this page if the request is explicit about selectors.\n';
+      }
+      section += '\n';
+    });
+
+    return section;
+  }
+
+  // One Convert location per page; definitions go to CONVERT_CREATE_LOCATION
+  toLocationDefinitions(pages, experienceName) {
+    return pages.map(page => ({
+      name: `${experienceName} - ${page.label}`,
+      kind: 'url',
+      value: page.pattern,
+      matchType: page.matchType
+    }));
+  }
+
+  // Page data is never persisted (quota); recapture restores element databases
+  serializePages(pages) {
+    return pages.map(({ pageData, ...page }) => ({ ...page, capturedAt: null }));
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MultiPageExperiment;
+} else if (typeof window !== 'undefined') {
+  window.MultiPageExperiment = MultiPageExperiment;
+}
@@ -0,0 +1,359 @@
+// Platform Detector - identifies the page's frontend framework, commerce/CMS platform and
+// hydration behavior from DOM markers (content scripts run in an isolated world, so page
+// globals like window.React or window.Shopify are not visible - only what the markup shows)
+// Bundled apps and React 18 createRoot leave no markup signals; the side panel fills those in
+// with PlatformDetector.probePageGlobals run in the page's MAIN world (applyPageGlobals)
+// Generation rules for the detected stack are built here too, so capture and prompt agree
+class PlatformDetector {
+  constructor() {
+    // Each signal is [selector, label]; any match counts as evidence
+    this.frameworks = {
+      react: {
+        label: 'React',
+        rerenders: true,
+        signals: [
+          ['[data-reactroot], [data-reactid]', 'data-reactroot attribute'],
+          ['script#__NEXT_DATA__, #__next', 'Next.js root'],
+          ['#___gatsby', 'Gatsby root'],
+          ['script[src*="react-dom"], script[src*="/react."]', 'React bundle'],
+          ['[data-rr-ui-event-key], [data-remix-run], script[src*="/build/_shared/"]', 'Remix/React Router']
+        ]
+      },
+      vue: {
+        label: 'Vue',
+        rerenders: true,
+        signals: [
+          ['#__nuxt, #__layout, script#__NUXT_DATA__', 'Nuxt root'],
+          ['[data-server-rendered="true"]', 'Vue SSR marker'],
+          ['script[src*="vue."], script[src*="/vue@"]', 'Vue bundle']
+        ],
+        // Scoped styles add data-v-<hash> attributes, which no selector can match by prefix
+        attributePrefix: 'data-v-'
+      },
+      angular: {
+        label: 'Angular',
+        rerenders: true,
+        signals: [
+          ['[ng-version]', 'ng-version attribute'],
+          ['[ng-app], [data-ng-app], .ng-scope', 'AngularJS app']
+        ],
+        attributePrefix: '_nghost-'
+      },
+      svelte: {
+        label: 'Svelte',
+        rerenders: true,
+        signals: [
+          ['[data-sveltekit-preload-data], [data-sveltekit-hydrate], #svelte', 'SvelteKit marker']
+        ],
+        classPattern: /^svelte-[a-z0-9]+$/
+      }
+    };
+
+    this.platforms = {
+      shopify: {
+        label: 'Shopify',
+        signals: [
+          ['script[src*="cdn.shopify.com"], link[href*="cdn.shopify.com"]', 'Shopify CDN assets'],
+          ['.shopify-section, [id^="shopify-section-"]', 'Shopify theme sections'],
+          ['meta[name="shopify-checkout-api-token"], meta[name="shopify-digital-wallet"]', 'Shopify meta tags']
+        ]
+      },
+      magento: {
+        label: 'Magento',
+        signals: [
+          ['script[type="text/x-magento-init"], [data-mage-init]', 'Magento init scripts'],
+          ['script[src*="/static/version"], link[href*="/static/version"]', 'Magento static assets'],
+          ['[data-bind*="scope:"]', 'Knockout UI components']
+        ]
+      },
+      woocommerce: {
+        label: 'WooCommerce',
+        signals: [
+          ['body.woocommerce, body.woocommerce-page, .woocommerce', 'WooCommerce classes'],
+          ['script[src*="/plugins/woocommerce/"]', 'WooCommerce plugin assets']
+        ]
+      },
+      wordpress: {
+        label: 'WordPress',
+        signals: [
+          ['meta[name="generator"][content^="WordPress"]', 'WordPress generator tag'],
+          ['link[href*="/wp-content/"], script[src*="/wp-content/"], script[src*="/wp-includes/"]', 'wp-content assets']
+        ]
+      },
+      salesforceCommerce: {
+        label: 'Salesforce Commerce Cloud',
+        signals: [
+          ['script[src*="demandware"], link[href*="demandware.static"], img[src*="demandware.static"]', 'Demandware assets'],
+          ['form[action*="/on/demandware.store/"], a[href*="/on/demandware.store/"]', 'Demandware controller URLs'],
+          ['[data-action="Product-Show"], .product-detail[data-pid]', 'SFRA product markup']
+        ]
+      }
+    };
+  }
+
+  /**
+   * Detect framework, platform and hydration behavior
+   * @returns {{ framework, platform, metaFramework, hydration, rerenderRisk }}
+   */
+  detect(root = document) {
+    const framework = this.matchBest(this.frameworks, root);
+    const platform = this.matchBest(this.platforms, root);
+
+    const result = {
+      framework: framework ? { id: framework.id, name: framework.label, version: this.detectVersion(framework.id, root), signals: framework.signals } : null,
+      platform: platform ? { id: platform.id, name: platform.label, signals: platform.signals } : null,
+      metaFramework: this.detectMetaFramework(root),
+      hydration: this.detectHydration(root),
+      rerenderRisk: 'low'
+    };
+
+    // WooCommerce wins ties with WordPress (listed first); keep the CMS for context
+    if (result.platform?.id === 'woocommerce') {
+      result.platform.cms = 'WordPress';
+    }
+
+    result.rerenderRisk = this.assessRerenderRisk(result);
+    return result;
+  }
+
+  assessRerenderRisk(info) {
+    if (info.framework && this.frameworks[info.framework.id]?.rerenders) {
+      return info.hydration?.ssr ? 'high' : 'medium';
+    }
+    if (info.platform && ['magento', 'salesforceCommerce', 'shopify'].includes(info.platform.id)) {
+      return 'medium'; // AJAX-swapped sections (mini-cart, variant pickers)
+    }
+    return 'low';
+  }
+
+  /**
+   * Merge a probePageGlobals result into a detect() result. Runtime globals are stronger
+   * evidence than markup, so a probed framework replaces a different markup guess
+   * @param {Object|null} info - detect() result (may be null when capture had none)
+   * @param {Object|null} probe - { react, vue, angular, shopify, versions }
+   */
+  applyPageGlobals(info, probe) {
+    if (!probe) return info;
+
+    const result = {
+      framework: info?.framework ? { ...info.framework, signals: [...info.framework.signals] } : null,
+      platform: info?.platform ? { ...info.platform, signals: [...info.platform.signals] } : null,
+      metaFramework: info?.metaFramework || null,
+      hydration: info?.hydration || { ssr: false, islands: false, markers: [] },
+      rerenderRisk: 'low'
+    };
+
+    const probedFramework = ['react', 'vue', 'angular'].find(id => probe[id]);
+    if (probedFramework) {
+      if (result.framework?.id === probedFramework) {
+        result.framework.signals.push(probe[probedFramework]);
+        result.framework.version = result.framework.version || probe.versions?.[probedFramework] || null;
+      } else {
+        result.framework = {
+          id: probedFramework,
+          name: this.frameworks[probedFramework].label,
+          version: probe.versions?.[probedFramework] || null,
+          signals: [probe[probedFramework]]
+        };
+      }
+    }
+
+    if (probe.shopify) {
+      if (result.platform?.id === 'shopify') {
+        result.platform.signals.push(probe.shopify);
+      } else if (!result.platform || result.platform.id === 'wordpress') {
+        result.platform = { id: 'shopify', name: this.platforms.shopify.label, signals: [probe.shopify] };
+      }
+    }
+
+    result.rerenderRisk = this.assessRerenderRisk(result);
+    return result;
+  }
+
+  matchBest(definitions, root) {
+    let best = null;
+
+    Object.entries(definitions).forEach(([id, definition]) => {
+      const signals = definition.signals
+        .filter(([selector]) => this.safeQuery(root, selector))
+        .map(([, label]) => label);
+
+      if (definition.attributePrefix && this.hasAttributePrefix(root, definition.attributePrefix)) {
+        signals.push(`${definition.attributePrefix}* attributes`);
+      }
+      if (definition.classPattern && this.hasClassMatching(root, definition.classPattern)) {
+        signals.push('scoped component classes');
+      }
+
+      if (signals.length > 0 && (!best || signals.length > best.signals.length)) {
+        best = { id, label: definition.label, signals };
+      }
+    });
+
+    return best;
+  }
+
+  safeQuery(root, selector) {
+    try {
+      return Boolean(root.querySelector(selector));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Sampled: attribute/class scans over every element are too slow on large pages
+  sampleElements(root, limit = 400) {
+    return Array.from(root.querySelectorAll('body *')).slice(0, limit);
+  }
+
+  hasAttributePrefix(root, prefix) {
+    return this.sampleElements(root).some(el => Array.from(el.attributes).some(attr => attr.name.startsWith(prefix)));
+  }
+
+  hasClassMatching(root, pattern) {
+    return this.sampleElements(root).some(el => Array.from(el.classList).some(cls => pattern.test(cls)));
+  }
+
+  detectVersion(frameworkId, root) {
+    if (frameworkId === 'angular') {
+      return root.querySelector('[ng-version]')?.getAttribute('ng-version') || null;
+    }
+    return null;
+  }
+
+  detectMetaFramework(root) {
+    if (this.safeQuery(root, 'script#__NEXT_DATA__, #__next')) {
+      // App Router streams RSC payloads instead of __NEXT_DATA__
+      return root.querySelector('script#__NEXT_DATA__') ? 'Next.js (pages router)' : 'Next.js (app router)';
+    }
+    if (this.safeQuery(root, '#__nuxt, script#__NUXT_DATA__')) return 'Nuxt';
+    if (this.safeQuery(root, '#___gatsby')) return 'Gatsby';
+    if (this.safeQuery(root, '[data-sveltekit-preload-data], [data-sveltekit-hydrate]')) return 'SvelteKit';
+    if (this.safeQuery(root, 'script[src*="/build/_shared/"], [data-remix-run]')) return 'Remix';
+    if (this.safeQuery(root, 'script[src*="hydrogen"], [data-hydrogen]')) return 'Shopify Hydrogen';
+    return null;
+  }
+
+  /**
+   * Server-rendered markup that a framework later hydrates: DOM edits made before hydration
+   * finishes are discarded or cause hydration mismatches
+   */
+  detectHydration(root) {
+    const markers = [
+      ['script#__NEXT_DATA__', 'Next.js data'],
+      ['script[src*="/_next/static/"]', 'Next.js chunks'],
+      ['[data-server-rendered="true"], script#__NUXT_DATA__', 'Vue/Nuxt SSR'],
+      ['[ng-server-context]', 'Angular Universal'],
+      ['[data-sveltekit-hydrate]', 'SvelteKit hydration'],
+      ['astro-island', 'Astro islands']
+    ].filter(([selector]) => this.safeQuery(root, selector)).map(([, label]) => label);
+
+    return {
+      ssr: markers.length > 0,
+      islands: this.safeQuery(root, 'astro-island'),
+      markers
+    };
+  }
+
+  /**
+   * Prompt rules for the detected stack (empty when nothing special was detected)
+   * @param {Object} info - detect() result stored in page data
+   */
+  buildGenerationRules(info) {
+    if (!info || (!info.framework && !info.platform && !info.hydration?.ssr)) return '';
+
+    const stack = [info.framework?.name, info.metaFramework, info.platform?.name].filter(Boolean).join(' + ');
+    const rules = [];
+
+    if (info.framework && this.frameworks[info.framework.id]?.rerenders) {
+      rules.push(`- ${info.framework.name} re-renders components and can silently discard DOM edits. Put each change in an idempotent apply() function (guard with a data attribute), call it from waitForElement, and re-run it from a MutationObserver on the closest stable container (debounce ~50ms, disconnect while applying to avoid loops).`);
+      rules.push('- Prefer CSS for visual changes - stylesheets survive re-renders; JS edits to text/attributes must be re-applied by the observer.');
+      rules.push('- Never replace framework-owned nodes (innerHTML/outerHTML on component roots); insert new elements next to them instead.');
+    }
+    if (info.hydration?.ssr) {
+      rules.push(`- Server-rendered page that hydrates (${info.hydration.markers.join(', ')}): changes made before hydration are reverted. Apply after window "load" (or immediately if document.readyState === "complete"), then keep them with the observer.`);
+    }
+    if (info.platform?.id === 'shopify') {
+      rules.push('- Shopify theme: sections re-render via the Section Rendering API (cart drawer, variant changes, theme editor). Listen for document "shopify:section:load" and re-apply; observe .shopify-section containers (ids like #shopify-section-header) rather than generated child ids.');
+    }
+    if (info.platform?.id === 'magento') {
+      rules.push('- Magento: Knockout/RequireJS render mini-cart, checkout and price boxes late and rebind them on AJAX updates. Use waitForElement with generous timeouts and re-apply from an observer on the component container (e.g. [data-block="minicart"]).');
+    }
+    if (info.platform?.id === 'woocommerce' || info.platform?.id === 'wordpress') {
+      rules.push('- WordPress/WooCommerce: cart fragments and widgets are refreshed over AJAX (e.g. .widget_shopping_cart_content). Re-apply changes inside those containers from an observer; avoid editing markup produced by page builders by index.');
+    }
+    if (info.platform?.id === 'salesforceCommerce') {
+      rules.push('- Salesforce Commerce Cloud (SFRA): product detail, price and availability blocks are replaced over AJAX when variants change. Observe .product-detail (or the [data-pid] container) and re-apply.');
+    }
+    if (rules.length === 0) return '';
+
+    return `\n**🧱 FRONTEND STACK: ${stack || 'server-rendered page'}**\n${rules.join('\n')}\n- Keep one observer per container (store it on window and disconnect the previous one) so re-running the variation does not stack observers.\n`;
+  }
+
+  /**
+   * Short label for UI badges, e.g. "React · Shopify"
+   */
+  describe(info) {
+    if (!info) return '';
+    return [info.metaFramework || info.framework?.name, info.platform?.name].filter(Boolean).join(' · ');
+  }
+}
+
+/**
+ * Framework globals visible only in the page's MAIN world. Passed as `func` to
+ * chrome.scripting.executeScript, so it must stay self-contained and return plain data
+ * @returns {{ react, vue, angular, shopify, versions }} - Each detected entry is a signal label
+ */
+PlatformDetector.probePageGlobals = function probePageGlobals() {
+  const result = { react: null, vue: null, angular: null, shopify: null, versions: {} };
+
+  // React roots: ReactDOM.render sets _reactRootContainer, createRoot (18+) a __reactContainer$<id> key
+  const containers = [
+    document.getElementById('root'),
+    document.getElementById('app'),
+    document.getElementById('__next'),
+    ...Array.from(document.querySelectorAll('body > div, body > main')).slice(0, 20)
+  ].filter(Boolean);
+  for (const container of containers) {
+    if (container._reactRootContainer) {
+      result.react = 'React root (ReactDOM.render)';
+      break;
+    }
+    if (Object.keys(container).some(key => key.startsWith('__reactContainer$'))) {
+      result.react = 'React root (createRoot)';
+      break;
+    }
+  }
+  const hook = window.__REACT_DEVTOOLS_GLOBAL_HOOK__;
+  if (!result.react && hook?.renderers?.size > 0) {
+    result.react = 'React renderer registered';
+  }
+  if (result.react && window.React?.version) {
+    result.versions.react = window.React.version;
+  }
+
+  if (window.__VUE__ || document.querySelector('[data-v-app]')?.__vue_app__) {
+    result.vue = 'Vue 3 app';
+    result.versions.vue = document.querySelector('[data-v-app]')?.__vue_app__?.version || null;
+  } else if (window.Vue?.version) {
+    result.vue = 'Vue global';
+    result.versions.vue = window.Vue.version;
+  }
+
+  if (typeof window.ng?.getComponent === 'function' || typeof window.getAllAngularRootElements === 'function') {
+    result.angular = 'Angular runtime';
+  }
+
+  if (window.Shopify && (window.Shopify.shop || window.Shopify.theme)) {
+    result.shopify = 'window.Shopify' + (window.Shopify.theme?.name ? ` (theme "${window.Shopify.theme.name}")` : '');
+  }
+
+  return result;
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PlatformDetector;
+} else if (typeof window !== 'undefined') {
+  window.PlatformDetector = PlatformDetector;
+}
@@ -0,0 +1,192 @@
+/**
+ * Prompt Budget Planner
+ * Fits prompt context into a model's context window before the request is sent
+ *
+ * Sections: primary, proximity, structure (page elements), screenshots, fewShot, history
+ * Each section gets a share of the budget left after fixed prompt text; sections that need
+ * less hand the surplus to the others in priority order. Within a section items are kept by
+ * importance (ties keep original order), so the same input always prunes the same way.
+ */
+class PromptBudgetPlanner {
+  constructor(options = {}) {
+    this.charsPerToken = options.charsPerToken || 4; // Same heuristic as ContextBuilder.estimateTokens
+    this.imageTokens = options.imageTokens || 1600; // ~1.2 megapixel screenshot on Claude / GPT-4o
+    this.safetyMargin = options.safetyMargin ?? 0.1; // Estimates are rough; never plan to the last token
+
+    this.shares = {
+      primary: 0.3,
+      history: 0.15,
+      screenshots: 0.15,
+      proximity: 0.15,
+      fewShot: 0.1,
+      structure: 0.15
+    };
+    // Order in which sections claim budget other sections did not need
+    this.priority = ['primary', 'history', 'screenshots', 'proximity', 'fewShot', 'structure'];
+    this.labels = {
+      primary: 'primary element',
+      proximity: 'nearby element',
+      structure: 'structure element',
+      screenshots: 'screenshot',
+      fewShot: 'few-shot example',
+      history: 'history message'
+    };
+  }
+
+  estimateTokens(value) {
+    if (value === null || value === undefined) return 0;
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return Math.ceil(text.length / this.charsPerToken);
+  }
+
+  /**
+   * Input tokens available for a model
+   * @param {{contextWindow: number}} limits - From AIProviderRegistry.getModelLimits
+   * @param {number} maxOutputTokens - From getModelMaxTokens (the response shares the window)
+   */
+  getInputBudget(limits, maxOutputTokens) {
+    const contextWindow = limits?.contextWindow || 128000;
+    return Math.floor((contextWindow - (maxOutputTokens || 0)) * (1 - this.safetyMargin));
+  }
+
+  /**
+   * Decide which items to keep
+   * @param {Object} request
+   * @param {number} request.inputBudget - getInputBudget() result
+   * @param {number} request.fixedTokens - Instructions, request text and other unprunable content
+   * @param {Object<string, Array<{value, label, tokens?, importance?, required?}>>} request.sections
+   * @returns {{ kept: Object<string, Array>, dropped: Array, budget: Object, pruned: boolean }}
+   */
+  plan({ inputBudget, fixedTokens = 0, sections = {} }) {
+    const prepared = {};
+    let requiredTokens = 0;
+    let optionalTokens = 0;
+
+    Object.entries(sections).forEach(([section, items]) => {
+      prepared[section] = (items || []).map((item, index) => {
+        const tokens = item.tokens ?? this.estimateTokens(item.value);
+        if (item.required) requiredTokens += tokens;
+        else optionalTokens += tokens;
+        return { ...item, section, index, tokens, importance: item.importance ?? -index };
+      });
+    });
+
+    const available = Math.max(0, inputBudget - fixedTokens - requiredTokens);
+    const budget = { input: inputBudget, fixed: fixedTokens, required: requiredTokens, available, requested: optionalTokens };
+
+    // Everything fits - nothing to decide
+    if (optionalTokens <= available) {
+      const kept = {};
+      Object.entries(prepared).forEach(([section, items]) => {
+        kept[section] = items.map(item => item.value);
+      });
+      return { kept, dropped: [], budget: { ...budget, used: fixedTokens + requiredTokens + optionalTokens }, pruned: false };
+    }
+
+    const allocations = this.allocate(prepared, available);
+    const ranked = {};
+    const keepSets = {};
+    let spare = available;
+
+    Object.entries(prepared).forEach(([section, items]) => {
+      let remaining = allocations[section] || 0;
+      keepSets[section] = new Set();
+      ranked[section] = items
+        .filter(item => !item.required)
+        .sort((a, b) => (b.importance - a.importance) || (a.index - b.index));
+
+      ranked[section].forEach(item => {
+        if (item.tokens <= remaining) {
+          keepSets[section].add(item.index);
+          remaining -= item.tokens;
+          spare -= item.tokens;
+        }
+      });
+    });
+
+    // Rounding gaps inside allocations: offer the spare to skipped items, highest priority first
+    this.orderSections(Object.keys(prepared)).forEach(section => {
+      ranked[section].forEach(item => {
+        if (!keepSets[section].has(item.index) && item.tokens <= spare) {
+          keepSets[section].add(item.index);
+          spare -= item.tokens;
+        }
+      });
+    });
+
+    const kept = {};
+    const dropped = [];
+    let used = fixedTokens + requiredTokens;
+
+    Object.entries(prepared).forEach(([section, items]) => {
+      ranked[section]
+        .filter(item => !keepSets[section].has(item.index))
+        .forEach(item => dropped.push({ section, label: item.label, tokens: item.tokens, importance: item.importance }));
+
+      kept[section] = items
+        .filter(item => item.required || keepSets[section].has(item.index))
+        .map(item => {
+          if (!item.required) used += item.tokens;
+          return item.value;
+        });
+    });
+
+    return { kept, dropped, budget: { ...budget, allocations, used }, pruned: dropped.length > 0 };
+  }
+
+  // Share-based allocation, then surplus from under-used sections goes out in priority order
+  allocate(prepared, available) {
+    const demand = {};
+    Object.entries(prepared).forEach(([section, items]) => {
+      demand[section] = items.filter(item => !item.required).reduce((sum, item) => sum + item.tokens, 0);
+    });
+
+    const active = Object.keys(demand).filter(section => demand[section] > 0);
+    const shareTotal = active.reduce((sum, section) => sum + (this.shares[section] || 0.1), 0);
+
+    const allocations = {};
+    let surplus = 0;
+    active.forEach(section => {
+      const share = Math.floor(available * (this.shares[section] || 0.1) / shareTotal);
+      allocations[section] = Math.min(share, demand[section]);
+      surplus += share - allocations[section];
+    });
+
+    this.orderSections(active).forEach(section => {
+      const extra = Math.min(surplus, demand[section] - allocations[section]);
+      allocations[section] += extra;
+      surplus -= extra;
+    });
+
+    return allocations;
+  }
+
+  // Priority order, unknown sections last
+  orderSections(sections) {
+    return [
+      ...this.priority.filter(section => sections.includes(section)),
+      ...sections.filter(section => !this.priority.includes(section))
+    ];
+  }
+
+  /**
+   * One-line summary for the activity stream, e.g. "12 nearby elements, 1 screenshot"
+   */
+  summarizeDropped(dropped) {
+    const counts = {};
+    dropped.forEach(item => {
+      counts[item.section] = (counts[item.section] || 0) + 1;
+    });
+
+    return this.orderSections(Object.keys(counts))
+      .map(section => `${counts[section]} ${this.labels[section] || section}${counts[section] === 1 ? '' : 's'}`)
+      .join(', ');
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PromptBudgetPlanner;
+} else if (typeof window !== 'undefined') {
+  window.PromptBudgetPlanner = PromptBudgetPlanner;
+}
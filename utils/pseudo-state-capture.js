@@ -0,0 +1,214 @@
+/**
+ * Pseudo-State Capture
+ *
+ * Reads :hover, :focus, :focus-visible and :active styles by forcing each state through
+ * the Chrome DevTools Protocol (CSS.forcePseudoState) and diffing the computed style
+ * against the resting style. getComputedStyle in the content script only ever sees
+ * the resting state, so hover-effect requests had nothing to build on.
+ */
+
+class PseudoStateCapture {
+  constructor() {
+    this.states = ['hover', 'focus', 'focus-visible', 'active'];
+    this.protocolVersion = '1.3';
+    this.maxDescendants = 6; // Interactive children per element (links/buttons inside a card)
+    this.maxTransitionWait = 600; // Let state transitions finish before reading end values
+    this.interactiveSelector = 'a[href], button, input, select, textarea, summary, [role="button"], [role="link"], [role="tab"], [tabindex]:not([tabindex="-1"])';
+
+    // Properties that state rules change; layout properties are left out on purpose
+    this.properties = new Set([
+      'color', 'background-color', 'background-image', 'opacity', 'visibility',
+      'border-top-color', 'border-right-color', 'border-bottom-color', 'border-left-color',
+      'border-top-width', 'border-bottom-width', 'border-top-style',
+      'box-shadow', 'text-shadow', 'filter', 'transform', 'cursor',
+      'outline-color', 'outline-style', 'outline-width', 'outline-offset',
+      'text-decoration-line', 'text-decoration-color', 'text-underline-offset',
+      'font-weight', 'letter-spacing', 'fill', 'stroke'
+    ]);
+
+    // Requests that are about interaction states; other requests skip the debugger banner
+    this.triggerPattern = /\b(hover(ed|s)?|mouse ?over|focus(ed)?|focus-visible|active|pressed|interaction states?|outline)\b/i;
+  }
+
+  /**
+   * Whether a request is worth attaching the debugger for
+   */
+  isRelevant(description) {
+    return this.triggerPattern.test(description || '');
+  }
+
+  /**
+   * Capture state styles for elements and their interactive descendants
+   * @param {number} tabId
+   * @param {Array<string>} selectors - Light-DOM selectors (">>>" deep selectors are skipped)
+   * @returns {Promise<Object>} { [selector]: { self: { hover: {prop: {from, to}} }, descendants: [{ label, states }] } }
+   */
+  async capture(tabId, selectors) {
+    const targets = [...new Set(selectors.filter(selector => selector && !selector.includes('>>>')))];
+    if (targets.length === 0) return {};
+
+    const attachedHere = await this.attach(tabId);
+    const results = {};
+
+    try {
+      await chrome.debugger.sendCommand({ tabId }, 'DOM.enable');
+      await chrome.debugger.sendCommand({ tabId }, 'CSS.enable');
+      const { root } = await chrome.debugger.sendCommand({ tabId }, 'DOM.getDocument', { depth: 0 });
+
+      for (const selector of targets) {
+        try {
+          const { nodeId } = await chrome.debugger.sendCommand({ tabId }, 'DOM.querySelector', { nodeId: root.nodeId, selector });
+          if (!nodeId) continue;
+
+          const entry = { self: await this.captureNode(tabId, nodeId), descendants: [] };
+
+          const { nodeIds } = await chrome.debugger.sendCommand({ tabId }, 'DOM.querySelectorAll', {
+            nodeId,
+            selector: this.interactiveSelector
+          });
+          for (const childId of nodeIds.slice(0, this.maxDescendants)) {
+            const states = await this.captureNode(tabId, childId);
+            if (Object.keys(states).length > 0) {
+              entry.descendants.push({ label: await this.describeNode(tabId, childId), states });
+            }
+          }
+
+          results[selector] = entry;
+        } catch (error) {
+          console.warn(`⚠️ [PseudoState] ${selector} skipped:`, error.message);
+        }
+      }
+    } finally {
+      if (attachedHere) await this.detach(tabId);
+    }
+
+    return results;
+  }
+
+  /**
+   * Force each state in turn and keep only the properties that change
+   * @returns {Promise<Object>} { hover: { 'background-color': { from, to } }, ... } - states without changes omitted
+   */
+  async captureNode(tabId, nodeId) {
+    const resting = await this.getStyles(tabId, nodeId);
+    const wait = this.getTransitionWait(resting);
+    const states = {};
+
+    try {
+      for (const state of this.states) {
+        await chrome.debugger.sendCommand({ tabId }, 'CSS.forcePseudoState', { nodeId, forcedPseudoClasses: [state] });
+        if (wait) await new Promise(resolve => setTimeout(resolve, wait));
+
+        const forced = await this.getStyles(tabId, nodeId);
+        const changes = {};
+        Object.entries(forced).forEach(([name, value]) => {
+          if (resting[name] !== value) changes[name] = { from: resting[name], to: value };
+        });
+        if (Object.keys(changes).length > 0) states[state] = changes;
+      }
+    } finally {
+      await chrome.debugger.sendCommand({ tabId }, 'CSS.forcePseudoState', { nodeId, forcedPseudoClasses: [] }).catch(() => {});
+    }
+
+    return states;
+  }
+
+  async getStyles(tabId, nodeId) {
+    const { computedStyle } = await chrome.debugger.sendCommand({ tabId }, 'CSS.getComputedStyleForNode', { nodeId });
+    const styles = {};
+    computedStyle.forEach(({ name, value }) => {
+      if (this.properties.has(name) || name === 'transition-duration' || name === 'transition-delay') {
+        styles[name] = value;
+      }
+    });
+    return styles;
+  }
+
+  // Longest duration + delay from lists like "0.2s, 150ms", capped
+  getTransitionWait(styles) {
+    const toMs = (value) => (value || '0s').split(',').map(part => {
+      const n = parseFloat(part);
+      return part.trim().endsWith('ms') ? n : n * 1000;
+    });
+    const durations = toMs(styles['transition-duration']);
+    const delays = toMs(styles['transition-delay']);
+    delete styles['transition-duration'];
+    delete styles['transition-delay'];
+
+    const longest = Math.max(0, ...durations.map((duration, i) => duration + (delays[i] || 0)));
+    return longest > 0 ? Math.min(longest + 50, this.maxTransitionWait) : 0;
+  }
+
+  // Short label like a.card-link#buy for descendants (they have no database selector)
+  async describeNode(tabId, nodeId) {
+    const { node } = await chrome.debugger.sendCommand({ tabId }, 'DOM.describeNode', { nodeId });
+    const attrs = {};
+    for (let i = 0; i < (node.attributes || []).length; i += 2) {
+      attrs[node.attributes[i]] = node.attributes[i + 1];
+    }
+    const classes = (attrs.class || '').trim().split(/\s+/).filter(Boolean).slice(0, 2);
+    return `${node.localName}${attrs.id ? `#${attrs.id}` : ''}${classes.map(cls => `.${cls}`).join('')}`;
+  }
+
+  async attach(tabId) {
+    try {
+      await chrome.debugger.attach({ tabId }, this.protocolVersion);
+      return true;
+    } catch (error) {
+      // Viewport emulation already holds the session; reuse it and leave detaching to it
+      if (/already attached/i.test(error.message)) return false;
+      throw new Error(`Could not attach debugger for state capture: ${error.message}`);
+    }
+  }
+
+  async detach(tabId) {
+    try {
+      await chrome.debugger.detach({ tabId });
+    } catch (error) {
+      // Tab closed or user dismissed the debugging banner
+    }
+  }
+
+  /**
+   * Prompt section for one element's captured states
+   */
+  formatForPrompt(selector, entry) {
+    if (!entry) return '';
+
+    const formatStates = (states) => Object.entries(states)
+      .map(([state, changes]) => `:${state} → ${Object.entries(changes).map(([name, { from, to }]) => `${name}: ${from} → ${to}`).join('; ')}`);
+
+    const lines = [];
+    const own = formatStates(entry.self || {});
+    if (own.length > 0) {
+      own.forEach(line => lines.push(`- \`${selector}\` ${line}`));
+    } else {
+      lines.push(`- \`${selector}\` has no hover/focus/active styles of its own`);
+    }
+    (entry.descendants || []).forEach(({ label, states }) => {
+      formatStates(states).forEach(line => lines.push(`  - inside: \`${label}\` ${line}`));
+    });
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Full prompt block for several elements; empty when nothing was captured
+   * @param {Object} captured - capture() result
+   */
+  formatAll(captured) {
+    const sections = Object.entries(captured || {}).map(([selector, entry]) => this.formatForPrompt(selector, entry)).filter(Boolean);
+    if (sections.length === 0) return '';
+
+    return `\n**🖱️ INTERACTION STATES (forced in the live page; changes from the resting style):**
+${sections.join('\n')}
+- Write state changes in CSS (selector:hover, :focus-visible, :active), not JS mouse events
+- The existing state rules above still apply: override the listed values with equal or higher specificity, and keep a visible :focus-visible style
+`;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PseudoStateCapture;
+}
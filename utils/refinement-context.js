@@ -590,52 +590,43 @@ CRITICAL RULES FOR NEW FEATURE:
   async callAI(prompt, options = {}) {
     // Get API settings
     const settings = await chrome.storage.local.get(['settings']);
-    const apiKey = settings.settings?.anthropicApiKey;
+    const providerSettings = settings.settings || {};
+    const registry = this.getProviderRegistry();
 
-    if (!apiKey) {
+    if (!registry.hasCredentials(providerSettings)) {
       throw new Error('No API key configured');
     }
 
-    const model = settings.settings?.model || 'claude-3-7-sonnet-20250219';
-
-    console.log('🤖 [RefinementContext] Calling AI:', { model, promptLength: prompt.length });
-
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKey,
-        'anthropic-version': '2023-06-01',
-        'anthropic-dangerous-direct-browser-access': 'true'
-      },
-      body: JSON.stringify({
-        model: model,
-        max_tokens: 8000,
-        messages: [{
-          role: 'user',
-          content: prompt
-        }]
-      })
-    });
+    const model = registry.resolveModel(providerSettings);
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`AI API call failed: ${response.statusText} - ${errorText}`);
-    }
+    console.log('🤖 [RefinementContext] Calling AI:', { provider: providerSettings.provider, model, promptLength: prompt.length });
 
-    const data = await response.json();
-    const content = data.content[0].text;
+    const response = await registry.call([{
+      role: 'user',
+      content: prompt
+    }], providerSettings, {
+      model,
+      maxTokens: 8000,
+      json: true
+    });
 
     // Parse JSON response
-    const parsed = this.parseAIResponse(content);
+    const parsed = this.parseAIResponse(response.content);
 
     return {
       code: parsed,
-      usage: data.usage,
+      usage: response.usage,
       confidence: parsed.confidence || 0
     };
   }
 
+  getProviderRegistry() {
+    if (!this.providerRegistry) {
+      this.providerRegistry = new AIProviderRegistry();
+    }
+    return this.providerRegistry;
+  }
+
   /**
    * Parse AI response (handle JSON extraction)
    */
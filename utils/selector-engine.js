@@ -0,0 +1,276 @@
+// Selector Engine - the one place that turns an element into a CSS selector
+// Strategies run in a configurable priority order (Settings → Selectors); the first one that
+// yields a selector unique in the element's root wins and the others become alternatives.
+// Used by the element selector, page capture, the context builder and selector validation
+class SelectorEngine {
+  constructor(options = {}) {
+    this.strategies = ['testAttribute', 'id', 'aria', 'stableClass', 'structural'];
+    this.priority = options.priority ? this.normalizePriority(options.priority) : null;
+    this.testAttributes = ['data-testid', 'data-test-id', 'data-test', 'data-qa', 'data-cy'];
+    this.maxAttributeLength = 60; // Longer labels are copy, not identifiers
+    this.maxClassesPerSelector = 3;
+    this.maxAnchorDepth = 5; // Ancestors checked for an anchor; above that the path just grows
+
+    // Framework-generated ids (ember123, :r1:, radix-…, UUIDs) change between page loads
+    this.unstableIdPattern = /^(ember\d|ext-gen|yui_|ui-id-|radix-|headlessui-|mui-|react-aria|:r[0-9a-z]*:?)|\d{4,}|^[a-f0-9]{8,}$|[a-f0-9]{8}-[a-f0-9]{4}-/i;
+    // State classes, CSS-in-JS / CSS-module hashes and our own markers
+    this.unstableClassPattern = /^(convert-|is-|has-)|^(active|hover|focus|focused|selected|open|opened|current|visible|hidden|disabled|loading|loaded)$|^(css|sc|jsx|emotion|svelte)-[a-z0-9]+$|_(?=[a-zA-Z0-9]*\d)[a-zA-Z0-9]{5,}$|\d{4,}/;
+  }
+
+  /**
+   * Strategy order in effect: constructor option, then the Settings value, then the default
+   */
+  getPriority() {
+    return this.priority || this.normalizePriority(SelectorEngine.configuredPriority) || this.strategies;
+  }
+
+  // Known strategies in the given order; missing ones are appended so every element gets a selector
+  normalizePriority(priority) {
+    const list = Array.isArray(priority) ? priority : String(priority || '').split(',');
+    const known = list.map(name => String(name).trim()).filter(name => this.strategies.includes(name));
+    if (known.length === 0) return null;
+    return [...new Set([...known, ...this.strategies])];
+  }
+
+  /**
+   * Best selector for an element: unique within root, from the highest-priority strategy that has one
+   * @param {Element} element
+   * @param {Document|ShadowRoot} root - Defaults to the element's own document or shadow root
+   */
+  generate(element, root = element.getRootNode()) {
+    for (const strategy of this.getPriority()) {
+      const selector = this.runStrategy(strategy, element, root);
+      if (selector) return selector;
+    }
+    return element.tagName.toLowerCase();
+  }
+
+  /**
+   * Every strategy's unique selector, in priority order
+   * @returns {Array<{ selector: string, strategy: string }>}
+   */
+  generateCandidates(element, root = element.getRootNode()) {
+    const candidates = [];
+    this.getPriority().forEach(strategy => {
+      const selector = this.runStrategy(strategy, element, root);
+      if (selector && !candidates.some(candidate => candidate.selector === selector)) {
+        candidates.push({ selector, strategy });
+      }
+    });
+    return candidates;
+  }
+
+  runStrategy(strategy, element, root) {
+    switch (strategy) {
+      case 'testAttribute': return this.byTestAttribute(element, root);
+      case 'id': return this.byId(element, root);
+      case 'aria': return this.byAria(element, root);
+      case 'stableClass': return this.byStableClass(element, root);
+      case 'structural': return this.byStructure(element, root);
+      default: return null;
+    }
+  }
+
+  byTestAttribute(element, root) {
+    for (const attribute of this.testAttributes) {
+      const value = element.getAttribute(attribute);
+      if (!value) continue;
+      const selector = `[${attribute}=${this.quote(value)}]`;
+      if (this.isUnique(selector, element, root)) return selector;
+      const tagged = `${element.tagName.toLowerCase()}${selector}`;
+      if (this.isUnique(tagged, element, root)) return tagged;
+    }
+    return null;
+  }
+
+  byId(element, root) {
+    if (!element.id || !this.isStableId(element.id)) return null;
+    const selector = `#${this.escape(element.id)}`;
+    return this.isUnique(selector, element, root) ? selector : null;
+  }
+
+  // Accessible names and form field names
+  byAria(element, root) {
+    const tag = element.tagName.toLowerCase();
+    const attributes = ['aria-label', 'name', 'alt'];
+    for (const attribute of attributes) {
+      const value = element.getAttribute(attribute);
+      if (!value || value.length > this.maxAttributeLength) continue;
+      const selector = `${tag}[${attribute}=${this.quote(value)}]`;
+      if (this.isUnique(selector, element, root)) return selector;
+    }
+    return null;
+  }
+
+  // Single stable classes first, then pairs, then up to three
+  byStableClass(element, root) {
+    const tag = element.tagName.toLowerCase();
+    const classes = this.getStableClasses(element).map(cls => this.escape(cls));
+    const combinations = [
+      ...classes.map(cls => [cls]),
+      ...classes.flatMap((first, i) => classes.slice(i + 1).map(second => [first, second])),
+      classes.length > 2 ? classes : null
+    ].filter(Boolean);
+
+    for (const combination of combinations) {
+      const selector = `${tag}.${combination.join('.')}`;
+      if (this.isUnique(selector, element, root)) return selector;
+    }
+    return null;
+  }
+
+  /**
+   * Path down from the nearest ancestor that has a non-structural selector of its own,
+   * stepping with tag (+ stable class) and :nth-of-type only where siblings share the tag
+   */
+  byStructure(element, root) {
+    const steps = [];
+    let current = element;
+    let depth = 0;
+
+    while (current) {
+      steps.unshift(this.describeStep(current));
+      const path = steps.join(' > ');
+      if (this.isUnique(path, element, root)) return path;
+
+      const parent = current.parentElement;
+      if (!parent || parent === current.ownerDocument.body || parent === current.ownerDocument.documentElement) {
+        return path;
+      }
+
+      const anchor = ++depth <= this.maxAnchorDepth ? this.findAnchor(parent, root) : null;
+      if (anchor && this.isUnique(`${anchor} > ${path}`, element, root)) {
+        return `${anchor} > ${path}`;
+      }
+      current = parent;
+    }
+
+    return steps.join(' > ');
+  }
+
+  findAnchor(element, root) {
+    for (const strategy of this.getPriority()) {
+      if (strategy === 'structural') continue;
+      const selector = this.runStrategy(strategy, element, root);
+      if (selector) return selector;
+    }
+    return null;
+  }
+
+  describeStep(element) {
+    const tag = element.tagName.toLowerCase();
+    const stableClass = this.getStableClasses(element)[0];
+    let step = stableClass ? `${tag}.${this.escape(stableClass)}` : tag;
+
+    const sameTag = Array.from(element.parentElement?.children || []).filter(sibling => sibling.tagName === element.tagName);
+    if (sameTag.length > 1) {
+      step += `:nth-of-type(${sameTag.indexOf(element) + 1})`;
+    }
+    return step;
+  }
+
+  getStableClasses(element, limit = this.maxClassesPerSelector) {
+    return Array.from(element.classList || [])
+      .filter(cls => this.isStableClass(cls))
+      .slice(0, limit);
+  }
+
+  isStableClass(cls) {
+    return Boolean(cls) && cls.length <= 40 && !this.unstableClassPattern.test(cls);
+  }
+
+  isStableId(id) {
+    return Boolean(id) && id.length <= 60 && !this.unstableIdPattern.test(id);
+  }
+
+  isUnique(selector, element, root) {
+    try {
+      const matches = root.querySelectorAll(selector);
+      return matches.length === 1 && matches[0] === element;
+    } catch (error) {
+      return false; // Invalid selector
+    }
+  }
+
+  /**
+   * Reasons a selector is likely to break on other pages, independent of any page
+   * @returns {string[]} Empty when nothing looks fragile
+   */
+  assessFragility(selector) {
+    const reasons = [];
+    const target = selector.split('>>>').pop();
+
+    if (/:nth-(child|of-type)\(/.test(target)) {
+      reasons.push('position-based (:nth-child/:nth-of-type) - breaks when siblings are added or reordered');
+    }
+
+    const ids = (target.match(/#(?:\\.|[\w-])+/g) || []).map(id => id.slice(1).replace(/\\/g, ''));
+    const classes = (target.match(/\.(?:\\.|[\w-])+/g) || []).map(cls => cls.slice(1).replace(/\\/g, ''));
+    if (ids.some(id => !this.isStableId(id)) || classes.some(cls => !this.isStableClass(cls))) {
+      reasons.push('generated-looking id or class');
+    }
+
+    if (/\[(aria-label|alt|title)=/.test(target)) {
+      reasons.push('depends on copy (accessible name) that usually differs between pages');
+    }
+
+    if (target.split(/\s*>\s*|\s+/).filter(Boolean).length > 3) {
+      reasons.push('long structural path');
+    }
+
+    return reasons;
+  }
+
+  /**
+   * Template key for a URL: pages sharing it (e.g. /products/red-shirt and /products/blue-hat)
+   * are expected to share markup. First path segment (plus a locale prefix) is kept, later
+   * segments only count, numeric ones are normalized
+   */
+  getTemplateKey(url) {
+    try {
+      const { hostname, pathname } = new URL(url);
+      const segments = pathname.split('/').filter(Boolean);
+      if (segments.length === 0) return `${hostname}/`;
+
+      const keep = /^[a-z]{2}([-_][a-z]{2})?$/i.test(segments[0]) ? 2 : 1;
+      const shape = segments.map((segment, i) => {
+        if (/^\d+$/.test(segment)) return ':n';
+        return i < keep ? segment.toLowerCase() : '*';
+      });
+      return `${hostname}/${shape.join('/')}`;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  escape(value) {
+    if (typeof CSS !== 'undefined' && CSS.escape) {
+      return CSS.escape(value);
+    }
+    return value.replace(/([!"#$%&'()*+,.\/:;<=>?@\[\\\]^`{|}~])/g, '\\$1');
+  }
+
+  quote(value) {
+    return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  }
+}
+
+// Strategy order from Settings; read once per context and shared by every engine instance
+SelectorEngine.configuredPriority = null;
+if (typeof chrome !== 'undefined' && chrome.storage?.local) {
+  chrome.storage.local.get(['settings']).then(({ settings }) => {
+    SelectorEngine.configuredPriority = settings?.selectorStrategyPriority || null;
+  }).catch(() => {});
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.settings) {
+      SelectorEngine.configuredPriority = changes.settings.newValue?.selectorStrategyPriority || null;
+    }
+  });
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SelectorEngine;
+} else if (typeof window !== 'undefined') {
+  window.SelectorEngine = SelectorEngine;
+}
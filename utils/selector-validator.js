@@ -4,6 +4,16 @@
 class SelectorValidator {
   constructor() {
     this.validationCache = new Map();
+    // Resolves 'host >>> inner' selectors for shadow DOM / iframe elements (content scripts only)
+    this.traversal = typeof DomTraversal !== 'undefined' ? new DomTraversal() : null;
+    this.selectorEngine = typeof SelectorEngine !== 'undefined' ? new SelectorEngine() : null;
+  }
+
+  queryAll(selector) {
+    if (this.traversal && this.traversal.isDeepSelector(selector)) {
+      return this.traversal.queryAllByPath(selector);
+    }
+    return document.querySelectorAll(selector);
   }
 
   /**
@@ -115,9 +125,12 @@ class SelectorValidator {
   testSelector(selector, expectedTag) {
     try {
       // Test if selector is valid
-      const matches = document.querySelectorAll(selector);
+      const matches = this.queryAll(selector);
       const matchCount = matches.length;
 
+      // Deep selectors are scored on the part that targets the element itself
+      const target = selector.split('>>>').pop().trim();
+
       if (matchCount === 0) {
         return { confidence: 0, matchCount: 0 };
       }
@@ -143,20 +156,20 @@ class SelectorValidator {
       }
 
       // Selector type scoring
-      if (selector.startsWith('#')) {
+      if (target.startsWith('#')) {
         confidence += 0.4; // ID selector (most reliable)
-      } else if (selector.includes('[name=') || selector.includes('[data-')) {
+      } else if (target.includes('[name=') || target.includes('[data-')) {
         confidence += 0.35; // Attribute selector (very reliable)
-      } else if (selector.match(/\.\w+/)) {
+      } else if (target.match(/\.\w+/)) {
         confidence += 0.3; // Class selector (reliable)
-      } else if (selector.includes('>')) {
+      } else if (target.includes('>')) {
         confidence += 0.2; // Path selector (less reliable)
       } else {
         confidence += 0.1; // Tag selector (least reliable)
       }
 
       // Bonus for short, simple selectors
-      if (selector.length < 30) {
+      if (target.length < 30) {
         confidence += 0.1;
       }
 
@@ -239,7 +252,7 @@ class SelectorValidator {
 
     selectors.forEach(selector => {
       try {
-        const matches = document.querySelectorAll(selector);
+        const matches = this.queryAll(selector);
         results[selector] = {
           valid: matches.length > 0,
           matchCount: matches.length,
@@ -257,6 +270,77 @@ class SelectorValidator {
     return results;
   }
 
+  /**
+   * Replays selectors against other pages of the same template and flags the ones likely to
+   * break there. The current page's server HTML (baseline) tells client-rendered elements
+   * apart: a selector that already misses there is reported as unverified, not broken
+   * @param {Array<string>} selectors
+   * @param {Array<{ url: string, document: Document }>} pages - Parsed pages of the same template
+   * @param {{ url: string, document: Document }|null} baseline - Parsed server HTML of the current page
+   * @returns {{ results: Object, flagged: Array, pagesChecked: number }}
+   */
+  checkRobustness(selectors, pages, baseline = null) {
+    const results = {};
+
+    [...new Set(selectors)].forEach(selector => {
+      // Shadow roots and iframes are not part of fetched HTML
+      if (this.traversal && this.traversal.isDeepSelector(selector)) {
+        results[selector] = { status: 'unverified', score: null, pages: [], reasons: ['inside a shadow root or iframe'] };
+        return;
+      }
+
+      const count = (doc) => {
+        try {
+          return doc.querySelectorAll(selector).length;
+        } catch (error) {
+          return null;
+        }
+      };
+
+      const baselineCount = baseline ? count(baseline.document) : null;
+      if (baselineCount === null && baseline) return; // Not a valid CSS selector (extraction noise)
+      if (baselineCount === 0) {
+        results[selector] = { status: 'unverified', score: null, pages: [], reasons: ['rendered by JavaScript - not in the server HTML'] };
+        return;
+      }
+
+      const pageResults = pages.map(page => ({ url: page.url, matchCount: count(page.document) }))
+        .filter(page => page.matchCount !== null);
+      if (pageResults.length === 0) return;
+
+      const missing = pageResults.filter(page => page.matchCount === 0);
+      const ambiguous = pageResults.filter(page => baselineCount === 1 && page.matchCount > 1);
+      const reasons = this.selectorEngine ? this.selectorEngine.assessFragility(selector) : [];
+      if (missing.length > 0) {
+        reasons.unshift(`matches nothing on ${missing.length} of ${pageResults.length} other pages`);
+      }
+      if (ambiguous.length > 0) {
+        reasons.push(`matches several elements on ${ambiguous.length} other page${ambiguous.length > 1 ? 's' : ''}`);
+      }
+
+      // Share of pages where it still matches, minus a penalty per static fragility reason
+      const found = (pageResults.length - missing.length) / pageResults.length;
+      const penalties = reasons.length - (missing.length > 0 ? 1 : 0);
+      const score = Math.max(0, Math.min(1, found - penalties * 0.15));
+
+      let status = 'stable';
+      if (missing.length === pageResults.length) {
+        status = 'broken';
+      } else if (missing.length > 0 || ambiguous.length > 0 || score < 0.7) {
+        status = 'fragile';
+      }
+
+      results[selector] = { status, score, pages: pageResults, reasons };
+    });
+
+    const flagged = Object.entries(results)
+      .filter(([, result]) => result.status === 'broken' || result.status === 'fragile')
+      .map(([selector, result]) => ({ selector, ...result }))
+      .sort((a, b) => a.score - b.score);
+
+    return { results, flagged, pagesChecked: pages.length };
+  }
+
   /**
    * Extracts all unique selectors from generated code
    */
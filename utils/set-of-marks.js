@@ -46,7 +46,7 @@ class SetOfMarks {
 
         // Draw marks for each element
         elements.forEach((element, index) => {
-          const markNumber = index + 1;
+          const markNumber = element.markNumber || index + 1;
           this.drawMark(ctx, element.boundingRect, markNumber);
         });
 
@@ -65,6 +65,108 @@ class SetOfMarks {
     });
   }
 
+  /**
+   * Which part of the page a captured screenshot shows, and at what scale
+   * @param {Object} pageData - Captured page data (viewport, screenshotFullPage)
+   * @param {number} imageWidth - Natural width of the screenshot
+   * @param {number} imageHeight - Natural height of the screenshot
+   * @returns {Object} { scale, originX, originY, scrollX, scrollY, width, height }
+   */
+  getScreenshotFrame(pageData, imageWidth, imageHeight) {
+    const viewport = pageData?.viewport || pageData?.elementDatabase?.metadata?.viewport || {};
+    const fullPage = pageData?.screenshotFullPage === true;
+
+    return {
+      scale: imageWidth / (viewport.width || imageWidth), // Device pixels (and downscaling) per CSS px
+      // Viewport screenshots start at the scroll position of the capture, full-page ones at the top
+      originX: fullPage ? 0 : (viewport.scrollX || 0),
+      originY: fullPage ? 0 : (viewport.scrollY || 0),
+      scrollX: viewport.scrollX || 0,
+      scrollY: viewport.scrollY || 0,
+      width: imageWidth,
+      height: imageHeight
+    };
+  }
+
+  /**
+   * Marks for captured elements that are visible in a screenshot
+   * @param {Array} elements - Captured elements with visual.position
+   * @param {Object} frame - getScreenshotFrame() result
+   * @param {Object} options - { renumber: false } keeps each element's list position as its number
+   * @returns {Array} [{ markNumber, element, boundingRect }] with boundingRect in screenshot pixels
+   */
+  createMarks(elements, frame, options = {}) {
+    const renumber = options.renumber !== false;
+    const marks = [];
+
+    elements.forEach((element, index) => {
+      const rect = this.toPageRect(element, frame);
+      if (!rect) return;
+
+      const boundingRect = {
+        x: Math.round((rect.x - frame.originX) * frame.scale),
+        y: Math.round((rect.y - frame.originY) * frame.scale),
+        width: Math.round(rect.width * frame.scale),
+        height: Math.round(rect.height * frame.scale)
+      };
+
+      // Below the fold of a viewport screenshot, or cut off a truncated full-page one
+      const outside = boundingRect.x >= frame.width || boundingRect.y >= frame.height ||
+        boundingRect.x + boundingRect.width <= 0 || boundingRect.y + boundingRect.height <= 0;
+      if (outside) return;
+
+      marks.push({ markNumber: renumber ? marks.length + 1 : index + 1, element, boundingRect });
+    });
+
+    return marks;
+  }
+
+  /**
+   * Page coordinates of a captured element. Primary and database elements store page positions
+   * with their size; proximity elements store viewport positions with separate dimensions.
+   */
+  toPageRect(element, frame) {
+    const visual = element?.visual;
+    if (!visual?.position) return null;
+
+    if (visual.position.width > 0 && visual.position.height > 0) {
+      return visual.position;
+    }
+    if (visual.dimensions?.width > 0 && visual.dimensions.height > 0) {
+      return {
+        x: visual.position.x + frame.scrollX,
+        y: visual.position.y + frame.scrollY,
+        width: visual.dimensions.width,
+        height: visual.dimensions.height
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Innermost mark under a point (screenshot pixels), so a button wins over its card
+   */
+  findMarkAt(marks, x, y) {
+    const area = ({ boundingRect }) => boundingRect.width * boundingRect.height;
+
+    return marks
+      .filter(({ boundingRect: r }) => x >= r.x && x <= r.x + r.width && y >= r.y && y <= r.y + r.height)
+      .sort((a, b) => area(a) - area(b))[0] || null;
+  }
+
+  /**
+   * Marks that fall mostly inside a lasso rectangle (screenshot pixels)
+   * @param {number} minCoverage - Share of a mark's area that must be inside the rectangle
+   */
+  findMarksInArea(marks, area, minCoverage = 0.6) {
+    return marks.filter(({ boundingRect: r }) => {
+      const overlapWidth = Math.min(r.x + r.width, area.x + area.width) - Math.max(r.x, area.x);
+      const overlapHeight = Math.min(r.y + r.height, area.y + area.height) - Math.max(r.y, area.y);
+      if (overlapWidth <= 0 || overlapHeight <= 0) return false;
+      return (overlapWidth * overlapHeight) / (r.width * r.height) >= minCoverage;
+    });
+  }
+
   /**
    * Draw a numbered mark on the canvas
    * @param {CanvasRenderingContext2D} ctx - Canvas context
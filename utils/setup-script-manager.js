@@ -0,0 +1,103 @@
+// Setup Script Manager - per-domain scripts that put the page into a gated state
+// (open mini-cart, expand mega-menu, log in, add to cart) before capture, preview and tests
+// Scripts are async function bodies using the TestPatterns primitives, e.g.
+//   await TestPatterns.simulateClick(await TestPatterns.waitForElement('.header-cart'));
+//   await TestPatterns.waitForElement('.mini-cart.is-open');
+// Stored shape: { [domain]: { domain, script, enabled, updatedAt } }
+class SetupScriptManager {
+  constructor() {
+    this.STORAGE_KEY = 'setupScripts';
+    this.timeout = 15000; // Login flows and add-to-cart requests can be slow
+  }
+
+  // www.shop.com and shop.com share a setup script
+  getDomainFromUrl(url) {
+    try {
+      return new URL(url).hostname.replace(/^www\./, '');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async getAll() {
+    const result = await chrome.storage.local.get([this.STORAGE_KEY]);
+    return result[this.STORAGE_KEY] || {};
+  }
+
+  /**
+   * Setup for a page: exact host first, then parent domains (checkout.shop.com → shop.com)
+   * @returns {Promise<Object|null>}
+   */
+  async getForUrl(url) {
+    const domain = this.getDomainFromUrl(url);
+    if (!domain) return null;
+
+    const scripts = await this.getAll();
+    const parts = domain.split('.');
+    for (let i = 0; i < parts.length - 1; i++) {
+      const candidate = parts.slice(i).join('.');
+      if (scripts[candidate]?.script?.trim()) {
+        return scripts[candidate];
+      }
+    }
+    return null;
+  }
+
+  async save(domain, script, enabled = true) {
+    const scripts = await this.getAll();
+    scripts[domain] = { domain, script, enabled, updatedAt: Date.now() };
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: scripts });
+    console.log(`💾 Setup script saved for ${domain}`);
+    return scripts[domain];
+  }
+
+  async remove(domain) {
+    const scripts = await this.getAll();
+    delete scripts[domain];
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: scripts });
+    console.log(`🗑️ Setup script removed for ${domain}`);
+  }
+
+  /**
+   * Page-context code that runs the setup once per page load; returns { status, duration, error }
+   * Re-running would undo toggles such as an opened mini-cart, so an applied setup is skipped
+   * until the page reloads or the script changes (force runs it regardless)
+   * @param {Object} setup - Stored setup entry
+   * @param {string} testPatternsCode - TestPatterns library source
+   */
+  buildExecutionCode(setup, testPatternsCode, options = {}) {
+    const runKey = JSON.stringify(`${setup.domain}:${setup.updatedAt}`);
+
+    return `
+(async function() {
+  const startTime = Date.now();
+  if (window.__convertSetupApplied === ${runKey} && !${Boolean(options.force)}) {
+    return { status: 'skipped', duration: 0 };
+  }
+
+  try {
+    ${testPatternsCode}
+
+    console.log('[Setup] Running page setup script...');
+    await (async function() {
+      ${setup.script}
+    })();
+
+    window.__convertSetupApplied = ${runKey};
+    console.log('[Setup] ✓ Page setup complete');
+    return { status: 'completed', duration: Date.now() - startTime };
+  } catch (error) {
+    console.error('[Setup] ✗ Page setup failed:', error);
+    return { status: 'error', error: error.message, duration: Date.now() - startTime };
+  }
+})();
+`;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SetupScriptManager;
+} else if (typeof window !== 'undefined') {
+  window.SetupScriptManager = SetupScriptManager;
+}
@@ -14,12 +14,16 @@ class SmartContextAssembler {
       MODERATE: ['selector', 'tag', 'id', 'classes', 'text', 'visual'],
       FULL: ['selector', 'tag', 'id', 'classes', 'text', 'visual', 'attributes', 'innerHTML', 'metadata']
     };
+
+    // Optional: caps element lists by the selected model's token budget
+    this.budgetPlanner = typeof PromptBudgetPlanner !== 'undefined' ? new PromptBudgetPlanner() : null;
   }
 
   /**
    * Build optimized context based on intent analysis
+   * @param {Object} options - elementTokenBudget: max tokens for element data (from the model's context window)
    */
-  async assembleContext(intentAnalysis, pageData, currentCode = null) {
+  async assembleContext(intentAnalysis, pageData, currentCode = null, options = {}) {
     console.log('🏗️ [Smart Context] Assembling optimized context...');
 
     // CRITICAL: Check if pageData has element database
@@ -69,7 +73,9 @@ class SmartContextAssembler {
           filteredElementCount: 0
         }
       },
-      screenshot: null
+      screenshot: null,
+      platform: pageData.platform || pageData.context?.metadata?.platform || null,
+      designTokens: pageData.designTokens || null
     };
 
     // 1. Get target elements with context radius
@@ -106,7 +112,10 @@ class SmartContextAssembler {
       ];
 
       // Limit to top elements based on scope
-      const limitedElements = allElements.slice(0, context.elementDatabase.elements.length || 20);
+      const limitedElements = this.fitElementsToBudget(
+        allElements.slice(0, context.elementDatabase.elements.length || 20),
+        options.elementTokenBudget
+      );
 
       // Split back into hierarchical structure (preserve original levels if possible)
       context.context.primary = limitedElements.filter(el => el.level === 'primary');
@@ -145,6 +154,11 @@ class SmartContextAssembler {
       console.log('📉 [Smart Context] Stripped visual data for minimal size');
     }
 
+    // 4. Keep within the element token budget (lists are already ranked, most relevant first)
+    const beforeBudget = context.elementDatabase.elements.length;
+    context.elementDatabase.elements = this.fitElementsToBudget(context.elementDatabase.elements, options.elementTokenBudget);
+    context.elementDatabase.metadata.droppedForBudget = beforeBudget - context.elementDatabase.elements.length;
+
     context.elementDatabase.metadata.filteredElementCount = context.elementDatabase.elements.length;
 
     // Log size reduction
@@ -160,6 +174,27 @@ class SmartContextAssembler {
     return context;
   }
 
+  /**
+   * Drop lowest-ranked elements until the list fits tokenBudget (no budget = unchanged)
+   */
+  fitElementsToBudget(elements, tokenBudget) {
+    if (!tokenBudget || !this.budgetPlanner || elements.length === 0) {
+      return elements;
+    }
+
+    const plan = this.budgetPlanner.plan({
+      inputBudget: tokenBudget,
+      sections: {
+        primary: elements.map((element, index) => ({ value: element, label: element.selector, importance: -index }))
+      }
+    });
+
+    if (plan.pruned) {
+      console.log(`✂️ [Smart Context] Token budget ${tokenBudget}: dropped ${plan.dropped.length} element(s)`);
+    }
+    return plan.kept.primary;
+  }
+
   /**
    * Get elements with specified context radius
    */
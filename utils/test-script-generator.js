@@ -249,89 +249,40 @@ Generate the test function now:`;
   }
 
   /**
-   * Call AI API for test script generation
+   * Call AI API for test script generation (routed through AIProviderRegistry)
    * @param {string} prompt - Test script prompt
    * @param {Object} settings - AI settings
    * @returns {Promise<string>} - AI response
    */
   async callAI(prompt, settings) {
-    const { provider, model, authToken } = settings;
+    const registry = this.getProviderRegistry();
+    const providerSettings = { ...settings };
 
-    if (provider === 'anthropic') {
-      return await this.callClaude(prompt, model, authToken);
-    } else {
-      return await this.callOpenAI(prompt, model, authToken);
+    // Legacy callers pass the active provider's key as authToken
+    if (providerSettings.provider === 'anthropic' && !providerSettings.anthropicApiKey) {
+      providerSettings.anthropicApiKey = providerSettings.authToken;
     }
-  }
 
-  /**
-   * Call Claude API
-   * @param {string} prompt - Prompt
-   * @param {string} model - Model name
-   * @param {string} authToken - API key
-   * @returns {Promise<string>} - Response content
-   */
-  async callClaude(prompt, model, authToken) {
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'anthropic-version': '2023-06-01',
-        'x-api-key': authToken
-      },
-      body: JSON.stringify({
-        model: model || 'claude-3-5-sonnet-20241022',
-        max_tokens: 2000,
-        temperature: 0.3, // Lower temperature for consistent test generation
-        messages: [{
-          role: 'user',
-          content: prompt
-        }]
-      })
+    const response = await registry.call([{
+      role: 'system',
+      content: 'You are an expert test engineer. Generate ONLY the test function code with no additional text.'
+    }, {
+      role: 'user',
+      content: prompt
+    }], providerSettings, {
+      model: settings.model || registry.getFastModel(providerSettings), // Use cheaper model for test generation
+      maxTokens: 2000,
+      temperature: 0.3 // Lower temperature for consistent test generation
     });
 
-    if (!response.ok) {
-      throw new Error(`Claude API error: ${response.status}`);
-    }
-
-    const data = await response.json();
-    return data.content[0].text;
+    return response.content;
   }
 
-  /**
-   * Call OpenAI API
-   * @param {string} prompt - Prompt
-   * @param {string} model - Model name
-   * @param {string} authToken - API key
-   * @returns {Promise<string>} - Response content
-   */
-  async callOpenAI(prompt, model, authToken) {
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${authToken}`
-      },
-      body: JSON.stringify({
-        model: model || 'gpt-4o-mini', // Use cheaper model for test generation
-        messages: [{
-          role: 'system',
-          content: 'You are an expert test engineer. Generate ONLY the test function code with no additional text.'
-        }, {
-          role: 'user',
-          content: prompt
-        }],
-        temperature: 0.3,
-        max_tokens: 2000
-      })
-    });
-
-    if (!response.ok) {
-      throw new Error(`OpenAI API error: ${response.status}`);
+  getProviderRegistry() {
+    if (!this.providerRegistry) {
+      this.providerRegistry = new AIProviderRegistry();
     }
-
-    const data = await response.json();
-    return data.choices[0].message.content;
+    return this.providerRegistry;
   }
 
   /**
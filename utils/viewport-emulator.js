@@ -0,0 +1,167 @@
+/**
+ * Viewport Emulator
+ *
+ * Emulates device viewports on a tab through the Chrome DevTools Protocol
+ * (chrome.debugger) so previews and Visual QA can run at several breakpoints
+ * without resizing the user's window.
+ */
+
+class ViewportEmulator {
+  constructor() {
+    this.presets = {
+      mobile: { name: 'mobile', label: 'Mobile', width: 390, height: 844, deviceScaleFactor: 3, mobile: true },
+      tablet: { name: 'tablet', label: 'Tablet', width: 768, height: 1024, deviceScaleFactor: 2, mobile: true },
+      desktop: { name: 'desktop', label: 'Desktop', width: 1440, height: 900, deviceScaleFactor: 1, mobile: false }
+    };
+    this.protocolVersion = '1.3';
+    this.settleDelay = 400; // Layout + media queries after a metrics change
+    this.attachedTabs = new Set(); // Tabs we attached to (and must detach)
+
+    // Closing the tab or dismissing Chrome's debugging banner detaches us
+    if (typeof chrome !== 'undefined' && chrome.debugger?.onDetach) {
+      chrome.debugger.onDetach.addListener((source) => this.attachedTabs.delete(source.tabId));
+    }
+  }
+
+  /**
+   * Normalize preset names and custom { width, height } objects
+   * @param {Array<string|Object>} viewports
+   * @returns {Array<Object>}
+   */
+  resolveViewports(viewports = ['mobile', 'tablet', 'desktop']) {
+    return viewports
+      .map(viewport => {
+        if (typeof viewport === 'string') {
+          return this.presets[viewport] || null;
+        }
+
+        const width = parseInt(viewport?.width, 10);
+        const height = parseInt(viewport?.height, 10);
+        if (!width || !height || width < 200 || height < 200 || width > 3840 || height > 4320) {
+          return null;
+        }
+
+        return {
+          name: viewport.name || `custom-${width}x${height}`,
+          label: viewport.label || `Custom ${width}×${height}`,
+          width,
+          height,
+          deviceScaleFactor: viewport.deviceScaleFactor || 1,
+          mobile: viewport.mobile ?? width < 768
+        };
+      })
+      .filter(Boolean);
+  }
+
+  async attach(tabId) {
+    if (this.attachedTabs.has(tabId)) return;
+
+    try {
+      await chrome.debugger.attach({ tabId }, this.protocolVersion);
+      console.log(`🔌 [Viewport] Debugger attached to tab ${tabId}`);
+    } catch (error) {
+      // Already attached by us in an earlier call that did not clean up
+      if (!/already attached/i.test(error.message)) {
+        throw new Error(`Could not attach debugger for viewport emulation: ${error.message}`);
+      }
+    }
+    this.attachedTabs.add(tabId);
+  }
+
+  async detach(tabId) {
+    if (!this.attachedTabs.has(tabId)) return;
+    this.attachedTabs.delete(tabId);
+
+    try {
+      await chrome.debugger.detach({ tabId });
+      console.log(`🔌 [Viewport] Debugger detached from tab ${tabId}`);
+    } catch (error) {
+      // Tab closed or user dismissed the debugging banner
+    }
+  }
+
+  /**
+   * Apply a viewport and leave it active (for interactive previews)
+   */
+  async setViewport(tabId, viewport) {
+    await this.attach(tabId);
+
+    await chrome.debugger.sendCommand({ tabId }, 'Emulation.setDeviceMetricsOverride', {
+      width: viewport.width,
+      height: viewport.height,
+      deviceScaleFactor: viewport.deviceScaleFactor,
+      mobile: viewport.mobile
+    });
+    await chrome.debugger.sendCommand({ tabId }, 'Emulation.setTouchEmulationEnabled', {
+      enabled: viewport.mobile,
+      maxTouchPoints: viewport.mobile ? 5 : 1
+    });
+
+    await new Promise(resolve => setTimeout(resolve, this.settleDelay));
+    console.log(`📱 [Viewport] Tab ${tabId} emulating ${viewport.label} (${viewport.width}×${viewport.height})`);
+  }
+
+  async clearViewport(tabId) {
+    if (!this.attachedTabs.has(tabId)) return;
+
+    try {
+      await chrome.debugger.sendCommand({ tabId }, 'Emulation.clearDeviceMetricsOverride');
+      await chrome.debugger.sendCommand({ tabId }, 'Emulation.setTouchEmulationEnabled', { enabled: false });
+    } catch (error) {
+      console.warn('⚠️ [Viewport] Failed to clear emulation:', error.message);
+    }
+    await this.detach(tabId);
+  }
+
+  /**
+   * Screenshot of the emulated viewport (captureVisibleTab ignores emulation)
+   * Captured at CSS-pixel size so high-DPR presets don't produce oversized images
+   * @returns {Promise<string>} JPEG data URL
+   */
+  async captureScreenshot(tabId, viewport, quality = 80) {
+    const result = await chrome.debugger.sendCommand({ tabId }, 'Page.captureScreenshot', {
+      format: 'jpeg',
+      quality,
+      clip: {
+        x: 0,
+        y: 0,
+        width: viewport.width,
+        height: viewport.height,
+        scale: 1 / (viewport.deviceScaleFactor || 1)
+      }
+    });
+    return `data:image/jpeg;base64,${result.data}`;
+  }
+
+  /**
+   * Run fn at each viewport, restoring the real window size afterwards
+   * @param {number} tabId
+   * @param {Array<Object>} viewports - resolved viewports
+   * @param {Function} fn - async (viewport) => result
+   * @returns {Promise<Array<{viewport, result?, error?}>>}
+   */
+  async forEachViewport(tabId, viewports, fn) {
+    const results = [];
+
+    try {
+      for (const viewport of viewports) {
+        try {
+          await this.setViewport(tabId, viewport);
+          results.push({ viewport, result: await fn(viewport) });
+        } catch (error) {
+          console.error(`❌ [Viewport] ${viewport.label} failed:`, error);
+          results.push({ viewport, error: error.message });
+        }
+      }
+    } finally {
+      await this.clearViewport(tabId);
+    }
+
+    return results;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ViewportEmulator;
+}
@@ -42,6 +42,7 @@ class VisualQAService {
    * @param {Array} params.previousDefects - Defects from previous iteration (optional)
    * @param {Object} params.elementDatabase - Optional element database for quantitative checks
    * @param {Object} params.generatedCode - Optional generated code for static analysis
+   * @param {boolean} params.fullPage - Screenshots cover the whole page length, not just the viewport
    * @returns {Promise<Object>} QA result with status and defects
    */
   async runQA(params) {
@@ -52,7 +53,8 @@ class VisualQAService {
       iteration,
       previousDefects = [],
       elementDatabase = null,
-      generatedCode = null
+      generatedCode = null,
+      fullPage = false
     } = params;
 
     // PRE-CHECK 1: Check if screenshots are identical (no changes applied)
@@ -93,7 +95,7 @@ class VisualQAService {
 
     // Build prompt with strict termination criteria and element database context
     const hasScreenshots = preScreenResult.hasScreenshots !== false;
-    const prompt = this.buildPrompt(originalRequest, iteration, previousDefects, elementDatabase, hasScreenshots);
+    const prompt = this.buildPrompt(originalRequest, iteration, previousDefects, elementDatabase, hasScreenshots, fullPage);
 
     try {
       // Call GPT-4 Vision API
@@ -185,7 +187,7 @@ class VisualQAService {
   /**
    * Build GPT-4 Vision prompt with strict termination criteria and few-shot examples
    */
-  buildPrompt(originalRequest, iteration, previousDefects, elementDatabase = null, hasScreenshots = true) {
+  buildPrompt(originalRequest, iteration, previousDefects, elementDatabase = null, hasScreenshots = true, fullPage = false) {
     const isFirstIteration = iteration === 1;
     const hasRepeatedDefects = this.detectRepeatedDefects(previousDefects);
     const isFullSuiteReview = originalRequest.includes('FULL SUITE REVIEW');
@@ -203,6 +205,7 @@ ${isFullSuiteReview ? '🔍 **COMPREHENSIVE FULL SUITE REVIEW MODE** 🔍\nThis
 **${isFullSuiteReview ? 'COMPLETE REQUEST SUITE' : 'ORIGINAL REQUEST'}:**
 ${originalRequest}
 ${elementContext}
+${hasScreenshots && fullPage ? '**SCREENSHOTS:** Both images show the FULL page length (scaled down), not just the viewport - check sections below the fold too. Fixed headers appear only once, at the top.\n' : ''}
 ${hasScreenshots ? 
 `**ANALYSIS STEPS:**
 1. COUNT elements in BEFORE → Establish baseline (e.g., "2 buttons")